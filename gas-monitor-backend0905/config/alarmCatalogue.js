@@ -0,0 +1,69 @@
+/**
+ * Alarm Code Catalogue
+ * Built-in severities for the EventHub listener alarm codes, used to seed the alarm definitions
+ * Individual codes can be overridden with ALARM_SEVERITY_OVERRIDES, e.g. {"IO_ALR_105":"minor"}
+ */
+
+// Severity levels ordered from most to least severe - the index is the sort rank
+const SEVERITY_LEVELS = ['critical', 'major', 'minor', 'info'];
+
+// Severity used for codes missing from the catalogue
+const DEFAULT_SEVERITY = SEVERITY_LEVELS.includes(process.env.ALARM_DEFAULT_SEVERITY)
+  ? process.env.ALARM_DEFAULT_SEVERITY
+  : 'minor';
+
+const ALARM_CATALOGUE = {
+  IO_ALR_100: { severity: 'critical', description: 'Temperature high' },
+  IO_ALR_101: { severity: 'major', description: 'Temperature low' },
+  IO_ALR_103: { severity: 'major', description: 'Humidity high' },
+  IO_ALR_104: { severity: 'minor', description: 'Humidity low' },
+  IO_ALR_105: { severity: 'info', description: 'Oil level at 50%' },
+  IO_ALR_106: { severity: 'minor', description: 'Oil level at 30%' },
+  IO_ALR_107: { severity: 'major', description: 'Oil level at 10%' },
+  IO_ALR_108: { severity: 'critical', description: 'Oil tank empty' },
+  IO_ALR_109: { severity: 'info', description: 'Oil refilled' },
+  // Plant-level alarm raised by the flood detector
+  ALARM_FLOOD: { severity: 'major', description: 'Alarm flood - alarm rate above the limit' }
+};
+
+/**
+ * Apply severity overrides from the environment
+ * Invalid JSON or unknown severities are ignored so a bad setting cannot stop the server
+ */
+const applyOverrides = () => {
+  if (!process.env.ALARM_SEVERITY_OVERRIDES) return;
+
+  try {
+    const overrides = JSON.parse(process.env.ALARM_SEVERITY_OVERRIDES);
+    Object.entries(overrides).forEach(([code, severity]) => {
+      if (!SEVERITY_LEVELS.includes(severity)) {
+        console.warn(`⚠️ Ignoring unknown severity "${severity}" for alarm code ${code}`);
+        return;
+      }
+      ALARM_CATALOGUE[code] = { ...(ALARM_CATALOGUE[code] || { description: code }), severity };
+    });
+    console.log(`📋 Applied ${Object.keys(overrides).length} alarm severity overrides`);
+  } catch (error) {
+    console.error('❌ Invalid ALARM_SEVERITY_OVERRIDES JSON:', error.message);
+  }
+};
+
+applyOverrides();
+
+/**
+ * Parse a comma-separated severity list, dropping unknown values
+ * @param {string|Array} value - e.g. "critical,major"
+ * @returns {Array<string>}
+ */
+const parseSeverities = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(s => s.trim().toLowerCase()).filter(s => SEVERITY_LEVELS.includes(s));
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  DEFAULT_SEVERITY,
+  ALARM_CATALOGUE,
+  parseSeverities
+};
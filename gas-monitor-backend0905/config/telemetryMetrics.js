@@ -0,0 +1,126 @@
+/**
+ * Telemetry Metrics
+ * Built-in sensor metrics, seeded into the metric registry the first time the server starts
+ * After that the registry in MongoDB is the source of truth, see metricRegistryService
+ *
+ * key                 - Name used by the APIs, thresholds and the dashboard, e.g. oilLevel
+ * displayName, unit   - Labels for charts, gauges and exports
+ * precision           - Decimal places values are shown with
+ * validMin, validMax  - Physically possible range, readings outside it are sensor faults
+ * valueType           - number or boolean
+ * fields              - Field names the value is stored under, the first one is used when writing
+ * deviceTypes         - Device types that report the metric, empty for all
+ * chart, gauge        - Show a chart over time / a gauge with the latest value on the dashboard
+ * thresholdDirection  - Side the single-value threshold of older dashboards guards, high or low
+ * defaultThreshold, defaultTolerance - Reported for devices without their own settings
+ * alarmCodes          - Alarm codes raised when the high or low limit is crossed
+ */
+
+const DEFAULT_METRICS = [
+  {
+    key: 'temperature',
+    displayName: 'Temperature',
+    unit: '°C',
+    precision: 1,
+    validMin: -40,
+    validMax: 125,
+    fields: ['Temperature', 'temperature'],
+    color: '#ff9800',
+    chart: true,
+    gauge: true,
+    thresholdDirection: 'high',
+    defaultThreshold: 35,
+    defaultTolerance: 0.5,
+    alarmCodes: { high: 'IO_ALR_100', low: 'IO_ALR_101' }
+  },
+  {
+    key: 'humidity',
+    displayName: 'Humidity',
+    unit: '%',
+    precision: 1,
+    validMin: 0,
+    validMax: 100,
+    fields: ['Humidity', 'humidity'],
+    color: '#2196f3',
+    chart: false,
+    gauge: true,
+    thresholdDirection: 'high',
+    defaultThreshold: 70,
+    defaultTolerance: 2,
+    alarmCodes: { high: 'IO_ALR_103', low: 'IO_ALR_104' }
+  },
+  {
+    key: 'oilLevel',
+    displayName: 'Oil Level',
+    unit: '%',
+    precision: 1,
+    validMin: 0,
+    validMax: 100,
+    fields: ['OilLevel', 'oilLevel'],
+    color: '#4caf50',
+    chart: true,
+    gauge: true,
+    thresholdDirection: 'low',
+    defaultThreshold: 15,
+    defaultTolerance: 1,
+    alarmCodes: { low: 'IO_ALR_107' }
+  },
+  {
+    key: 'openAlerts',
+    displayName: 'Open Alerts',
+    unit: '',
+    precision: 0,
+    validMin: 0,
+    fields: ['OpenAlerts', 'openAlerts'],
+    color: '#f44336',
+    chart: false,
+    gauge: false
+  },
+  {
+    key: 'alcoholLevel',
+    displayName: 'Alcohol Level',
+    unit: 'ppm',
+    precision: 0,
+    validMin: 0,
+    validMax: 10000,
+    fields: ['AlcoholLevel', 'alcoholLevel', 'alcohol'],
+    color: '#9c27b0',
+    chart: true,
+    gauge: true,
+    thresholdDirection: 'high'
+  },
+  {
+    key: 'distance',
+    displayName: 'Distance',
+    unit: 'cm',
+    precision: 1,
+    validMin: 0,
+    validMax: 1000,
+    fields: ['Distance', 'distance'],
+    color: '#607d8b',
+    chart: false,
+    gauge: true,
+    thresholdDirection: 'low'
+  },
+  {
+    key: 'ledState',
+    displayName: 'LED',
+    unit: '',
+    precision: 0,
+    valueType: 'boolean',
+    fields: ['LedState', 'ledState'],
+    color: '#ffc107',
+    chart: false,
+    gauge: true
+  }
+];
+
+// Expression resolving the device name of a raw telemetry document
+const DEVICE_NAME_EXPRESSION = {
+  $ifNull: ['$DeviceName', { $ifNull: ['$deviceName', { $ifNull: ['$device', '$device_id'] }] }]
+};
+
+module.exports = {
+  DEFAULT_METRICS,
+  DEVICE_NAME_EXPRESSION
+};
@@ -0,0 +1,47 @@
+/**
+ * Units
+ * Telemetry is stored as bare numbers in the unit of its registry metric, e.g. temperature in °C
+ * Each unit converts to the base unit of its quantity as base = value * factor + offset,
+ * differences such as tolerances and deadbands only use the factor
+ */
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Unit system used for users without a saved preference
+const DEFAULT_UNIT_SYSTEM = UNIT_SYSTEMS.includes(process.env.DEFAULT_UNIT_SYSTEM)
+  ? process.env.DEFAULT_UNIT_SYSTEM
+  : 'metric';
+
+const UNITS = {
+  '°C': { quantity: 'temperature', factor: 1, offset: 0 },
+  '°F': { quantity: 'temperature', factor: 5 / 9, offset: -32 * 5 / 9 },
+  K: { quantity: 'temperature', factor: 1, offset: -273.15 },
+  mm: { quantity: 'length', factor: 0.001, offset: 0 },
+  cm: { quantity: 'length', factor: 0.01, offset: 0 },
+  m: { quantity: 'length', factor: 1, offset: 0 },
+  in: { quantity: 'length', factor: 0.0254, offset: 0 },
+  ft: { quantity: 'length', factor: 0.3048, offset: 0 },
+  mL: { quantity: 'volume', factor: 0.001, offset: 0 },
+  L: { quantity: 'volume', factor: 1, offset: 0 },
+  gal: { quantity: 'volume', factor: 3.785411784, offset: 0 },
+  'L/min': { quantity: 'flow', factor: 1, offset: 0 },
+  'gal/min': { quantity: 'flow', factor: 3.785411784, offset: 0 },
+  kg: { quantity: 'mass', factor: 1, offset: 0 },
+  lb: { quantity: 'mass', factor: 0.45359237, offset: 0 },
+  kPa: { quantity: 'pressure', factor: 1000, offset: 0 },
+  bar: { quantity: 'pressure', factor: 100000, offset: 0 },
+  psi: { quantity: 'pressure', factor: 6894.757293168, offset: 0 }
+};
+
+// Unit each system shows a stored unit in - units missing here, such as % and ppm, are shown as stored
+const SYSTEM_UNITS = {
+  metric: { '°F': '°C', in: 'cm', ft: 'm', gal: 'L', 'gal/min': 'L/min', lb: 'kg', psi: 'bar' },
+  imperial: { '°C': '°F', K: '°F', mm: 'in', cm: 'in', m: 'ft', mL: 'gal', L: 'gal', 'L/min': 'gal/min', kg: 'lb', kPa: 'psi', bar: 'psi' }
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  UNITS,
+  SYSTEM_UNITS
+};
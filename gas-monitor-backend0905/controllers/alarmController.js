@@ -2,6 +2,20 @@ const Alarm = require('../models/alarmModel'); // Model pointing to oxygen_monit
 const Device = require('../models/Device');
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
+const { getPlantScope, canAccessPlant, canAccessDevice } = require('../services/plantAccessService');
+const { getAlarmStatus, findAlarm, transitionAlarm } = require('../services/alarmLifecycleService');
+const { parseSeverities } = require('../config/alarmCatalogue');
+const { getAlarmDefinition, getAlarmSeverity, buildSeverityQuery } = require('../services/alarmDefinitionService');
+const User = require('../models/userModel');
+const PlantAssignment = require('../models/plantAssignment');
+const { dispatchEvent } = require('../services/webhookService');
+const { queryAlarms } = require('../services/alarmQueryService');
+const { getAlarmAnalytics } = require('../services/alarmAnalyticsService');
+const { emitToPlant } = require('../services/socketRoomService');
+const { ROLES, hasRole } = require('../middleware/roleMiddleware');
+
+// Lowest role an alarm can be assigned to - the acknowledge and resolve routes require it
+const ASSIGNEE_ROLE = 'operator';
 
 console.log("🔄 Alarm controller initialized");
 
@@ -21,13 +35,16 @@ exports.getAllAlarms = async (req, res) => {
     // Access the alarms collection directly
     const alarmsCollection = telemetryDB.collection('alarms');
     
+    // Restrict to the caller's assigned plants
+    const scopeQuery = buildPlantScopeQuery(req.plantScope);
+    
     // Count total alarms for logging
-    const totalCount = await alarmsCollection.countDocuments({});
+    const totalCount = await alarmsCollection.countDocuments(scopeQuery);
     console.log(`📊 Total alarms in MongoDB: ${totalCount}`);
     
     // Fetch alarms with direct MongoDB query
     // Using the native MongoDB driver for more reliable querying
-    const alarms = await alarmsCollection.find({})
+    const alarms = await alarmsCollection.find(scopeQuery)
       .sort({ CreatedTimestamp: -1 })
       .limit(100) // Limit to most recent 100 for performance
       .toArray();
@@ -54,7 +71,7 @@ exports.getAllAlarms = async (req, res) => {
         console.log(`🔄 Trying alternative collection: ${alternativeCollectionName}`);
         
         const alternativeCollection = telemetryDB.collection(alternativeCollectionName);
-        const alternativeAlarms = await alternativeCollection.find({})
+        const alternativeAlarms = await alternativeCollection.find(scopeQuery)
           .sort({ CreatedTimestamp: -1 })
           .limit(100)
           .toArray();
@@ -79,21 +96,71 @@ exports.getAllAlarms = async (req, res) => {
   }
 };
 
-// Helper function to normalize alarm objects
-function normalizeAlarmObject(alarm) {
+// Query alarms with filters, sorting and cursor pagination
+// e.g. /api/alarms/query?plantName=Plant C&severity=critical,major&status=New&from=2024-01-01&sort=severity&limit=25
+exports.queryAlarms = async (req, res) => {
+  try {
+    const { plantName, deviceName } = req.query;
+    
+    if (plantName && !canAccessPlant(req.plantScope, plantName)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    if (deviceName && !(await canAccessDevice(req.plantScope, deviceName))) {
+      return res.status(403).json({ message: 'Access denied to this device' });
+    }
+    
+    const result = await queryAlarms(req.query, buildPlantScopeQuery(req.plantScope));
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    
+    console.log(`📋 Alarm query returned ${result.alarms.length} of ${result.total} alarms`);
+    res.status(200).json({
+      alarms: result.alarms.map(alarm => normalizeAlarmObject(alarm)),
+      total: result.total,
+      limit: result.limit,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    console.error('❌ Error querying alarms:', error);
+    res.status(500).json({ message: `Failed to query alarms: ${error.message}` });
+  }
+};
+
+// Alarm counts, response times and time-of-day distribution over a period
+exports.getAlarmAnalytics = async (req, res) => {
+  try {
+    const { plantName, deviceName } = req.query;
+    
+    if (plantName && !canAccessPlant(req.plantScope, plantName)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    if (deviceName && !(await canAccessDevice(req.plantScope, deviceName))) {
+      return res.status(403).json({ message: 'Access denied to this device' });
+    }
+    
+    const report = await getAlarmAnalytics(req.query, buildPlantScopeQuery(req.plantScope));
+    if (report.error) {
+      return res.status(400).json({ message: report.error });
+    }
+    
+    console.log(`📊 Alarm analytics built over ${report.summary.count} alarms`);
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('❌ Error building alarm analytics:', error);
+    res.status(500).json({ message: `Failed to build alarm analytics: ${error.message}` });
+  }
+};
+
+// Helper function to build a query limiting alarms to the plants in scope
+function buildPlantScopeQuery(scope) {
+  if (!scope || scope.unrestricted) return {};
+  
   return {
-    _id: alarm._id || `alarm-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
-    AlarmId: alarm.AlarmId || alarm.alarmId || '',
-    AlarmCode: alarm.AlarmCode || alarm.alarmCode || '',
-    AlarmDescription: alarm.AlarmDescription || alarm.alarmDescription || alarm.description || '',
-    CreatedTimestamp: alarm.CreatedTimestamp || alarm.createdTimestamp || alarm.timestamp || new Date(),
-    DeviceId: alarm.DeviceId || alarm.deviceId || '',
-    DeviceName: alarm.DeviceName || alarm.deviceName || '',
-    PlantName: alarm.PlantName || alarm.plantName || '',
-    IsActive: typeof alarm.IsActive !== 'undefined' ? alarm.IsActive : 
-              typeof alarm.isActive !== 'undefined' ? alarm.isActive : true,
-    IsRead: typeof alarm.IsRead !== 'undefined' ? alarm.IsRead : 
-            typeof alarm.isRead !== 'undefined' ? alarm.isRead : false
+    $or: [
+      { PlantName: { $in: scope.plantNames } },
+      { plantName: { $in: scope.plantNames } }
+    ]
   };
 }
 
@@ -106,6 +173,10 @@ exports.getAlarmsByDevice = async (req, res) => {
       return res.status(400).json({ message: 'Device ID is required' });
     }
     
+    if (!(await canAccessDevice(req.plantScope, deviceId))) {
+      return res.status(403).json({ message: 'Access denied to this device' });
+    }
+    
     console.log(`📋 Fetching alarms for device ${deviceId} from MongoDB...`);
     
     // Get direct connection to the database to query the collection directly
@@ -190,7 +261,7 @@ exports.getAlarmsByDevice = async (req, res) => {
 // Get alarms by plant name and device name (new endpoint)
 exports.getAlarmsByPlantAndDevice = async (req, res) => {
   try {
-    const { plantName, deviceName } = req.query;
+    const { plantName, deviceName, severity } = req.query;
     
     if (!plantName) {
       return res.status(400).json({ 
@@ -199,6 +270,13 @@ exports.getAlarmsByPlantAndDevice = async (req, res) => {
       });
     }
     
+    if (!canAccessPlant(req.plantScope, plantName)) {
+      return res.status(403).json({ 
+        message: 'Access denied to this plant',
+        alarms: []
+      });
+    }
+    
     console.log(`📋 Fetching alarms for plant "${plantName}"${deviceName ? ` and device "${deviceName}"` : ''} from MongoDB...`);
     
     // Get direct connection to the database to query the collection directly
@@ -240,6 +318,12 @@ exports.getAlarmsByPlantAndDevice = async (req, res) => {
       }];
     }
     
+    // Add severity filter if provided, e.g. severity=critical,major
+    const severities = parseSeverities(severity);
+    if (severities.length > 0) {
+      query.$and = [...(query.$and || []), buildSeverityQuery(severities)];
+    }
+    
     // Count matching alarms for this query
     const matchCount = await alarmsCollection.countDocuments(query);
     console.log(`📊 Found ${matchCount} alarms matching query: ${JSON.stringify(query)}`);
@@ -280,12 +364,16 @@ exports.getAlarmsByPlantAndDevice = async (req, res) => {
 };
 
 // Extended helper function to normalize alarm objects with device context
+// Description, severity, recommended action and root causes fall back to the alarm definition
 function normalizeAlarmObject(alarm, contextDeviceId = null) {
+  const alarmCode = alarm.AlarmCode || alarm.alarmCode || '';
+  const definition = getAlarmDefinition(alarmCode) || {};
+  
   return {
     _id: alarm._id || `alarm-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
     AlarmId: alarm.AlarmId || alarm.alarmId || '',
-    AlarmCode: alarm.AlarmCode || alarm.alarmCode || '',
-    AlarmDescription: alarm.AlarmDescription || alarm.alarmDescription || alarm.description || '',
+    AlarmCode: alarmCode,
+    AlarmDescription: alarm.AlarmDescription || alarm.alarmDescription || alarm.description || definition.description || '',
     CreatedTimestamp: alarm.CreatedTimestamp || alarm.createdTimestamp || alarm.timestamp || new Date(),
     DeviceId: alarm.DeviceId || alarm.deviceId || contextDeviceId || '',
     DeviceName: alarm.DeviceName || alarm.deviceName || '',
@@ -293,7 +381,34 @@ function normalizeAlarmObject(alarm, contextDeviceId = null) {
     IsActive: typeof alarm.IsActive !== 'undefined' ? alarm.IsActive : 
               typeof alarm.isActive !== 'undefined' ? alarm.isActive : true,
     IsRead: typeof alarm.IsRead !== 'undefined' ? alarm.IsRead : 
-            typeof alarm.isRead !== 'undefined' ? alarm.isRead : false
+            typeof alarm.isRead !== 'undefined' ? alarm.isRead : false,
+    Status: getAlarmStatus(alarm),
+    Severity: alarm.Severity || getAlarmSeverity(alarmCode),
+    RecommendedAction: definition.recommendedAction || '',
+    RootCauses: definition.rootCauses || [],
+    AcknowledgedBy: alarm.AcknowledgedBy || null,
+    AcknowledgedTimestamp: alarm.AcknowledgedTimestamp || null,
+    AcknowledgedComment: alarm.AcknowledgedComment || '',
+    AssignedTo: alarm.AssignedTo || null,
+    AssignedBy: alarm.AssignedBy || null,
+    AssignedTimestamp: alarm.AssignedTimestamp || null,
+    AssignedComment: alarm.AssignedComment || '',
+    ResolvedBy: alarm.ResolvedBy || null,
+    ResolvedTimestamp: alarm.ResolvedTimestamp || null,
+    ResolvedComment: alarm.ResolvedComment || '',
+    ClosedBy: alarm.ClosedBy || null,
+    ClosedTimestamp: alarm.ClosedTimestamp || null,
+    ClosedComment: alarm.ClosedComment || '',
+    ClearedTimestamp: alarm.ClearedTimestamp || null,
+    ClearedValue: alarm.ClearedValue || '',
+    EscalationLevel: alarm.EscalationLevel || 0,
+    EscalationHistory: alarm.EscalationHistory || [],
+    Suppressed: alarm.Suppressed || false,
+    Suppression: alarm.Suppression || null,
+    OccurrenceCount: alarm.OccurrenceCount || 1,
+    FirstSeenTimestamp: alarm.FirstSeenTimestamp || alarm.CreatedTimestamp,
+    LastSeenTimestamp: alarm.LastSeenTimestamp || alarm.CreatedTimestamp,
+    StatusHistory: alarm.StatusHistory || []
   };
 }
 
@@ -314,7 +429,7 @@ exports.getUnreadAlarmsCount = async (req, res) => {
     const alarmsCollection = telemetryDB.collection('alarms');
     
     // Count unread alarms
-    const count = await alarmsCollection.countDocuments({ IsRead: false });
+    const count = await alarmsCollection.countDocuments({ IsRead: false, ...buildPlantScopeQuery(req.plantScope) });
     console.log(`✅ Found ${count} unread alarms`);
     
     // If no unread alarms found via IsRead, try isRead (lowercase) as well
@@ -414,7 +529,7 @@ exports.markAlarmAsRead = async (req, res) => {
   }
 };
 
-// Mark all alarms as read
+// Mark all alarms of the caller's plants as read
 exports.markAllAlarmsAsRead = async (req, res) => {
   try {
     console.log('📋 Marking all alarms as read...');
@@ -430,13 +545,16 @@ exports.markAllAlarmsAsRead = async (req, res) => {
     // Access the alarms collection directly
     const alarmsCollection = telemetryDB.collection('alarms');
     
+    // Restrict to the caller's assigned plants
+    const scopeQuery = buildPlantScopeQuery(req.plantScope);
+    
     // Get a count of unread alarms before the update
-    const unreadCount = await alarmsCollection.countDocuments({ IsRead: false });
+    const unreadCount = await alarmsCollection.countDocuments({ IsRead: false, ...scopeQuery });
     console.log(`📄 Found ${unreadCount} unread alarms to mark as read`);
     
     // Mark all alarms as read - try both casing versions for maximum compatibility
     const result = await alarmsCollection.updateMany(
-      { $or: [{ IsRead: false }, { isRead: false }] },
+      { $and: [{ $or: [{ IsRead: false }, { isRead: false }] }, scopeQuery] },
       { $set: { IsRead: true, isRead: true } } // Update both field variants
     );
     
@@ -450,3 +568,100 @@ exports.markAllAlarmsAsRead = async (req, res) => {
     res.status(500).json({ message: `Failed to mark all alarms as read: ${error.message}` });
   }
 };
+
+// Shared handler for lifecycle transitions - loads the alarm, checks plant access,
+// applies the transition and broadcasts the new state to the plant's connected clients
+async function changeAlarmStatus(req, res, newStatus, options = {}) {
+  try {
+    const { alarmId } = req.params;
+    
+    const alarm = await findAlarm(alarmId);
+    if (!alarm) {
+      return res.status(404).json({ message: 'Alarm not found' });
+    }
+    
+    if (!canAccessPlant(req.plantScope, alarm.PlantName || alarm.plantName)) {
+      return res.status(403).json({ message: 'Access denied to this alarm' });
+    }
+    
+    const updatedAlarm = await transitionAlarm(alarm, newStatus, {
+      user: req.user,
+      comment: req.body.comment,
+      ...options
+    });
+    const normalizedAlarm = normalizeAlarmObject(updatedAlarm);
+    
+    await emitToPlant(req.app.get('io'), 'alarm_status_changed', normalizedAlarm);
+    dispatchEvent('alarm.status_changed', normalizedAlarm, { plantName: normalizedAlarm.PlantName });
+    
+    res.status(200).json(normalizedAlarm);
+  } catch (error) {
+    console.error(`❌ Error changing alarm ${req.params.alarmId} to ${newStatus}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : `Failed to update alarm: ${error.message}` });
+  }
+}
+
+// Acknowledge an alarm
+exports.acknowledgeAlarm = (req, res) => changeAlarmStatus(req, res, 'Acknowledged');
+
+// Assign an alarm to a user
+exports.assignAlarm = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'A valid userId is required' });
+    }
+    
+    const assignee = await User.findById(userId).select('name email role');
+    if (!assignee) {
+      return res.status(404).json({ message: 'Assignee not found' });
+    }
+    if (!hasRole(assignee.role, ASSIGNEE_ROLE)) {
+      return res.status(400).json({ message: `${assignee.name || assignee.email} cannot work alarms, requires ${ASSIGNEE_ROLE} role` });
+    }
+    
+    // The assignee has to be able to see the alarm's plant
+    const alarm = await findAlarm(req.params.alarmId);
+    if (!alarm) {
+      return res.status(404).json({ message: 'Alarm not found' });
+    }
+    const plantName = alarm.PlantName || alarm.plantName;
+    if (!canAccessPlant(req.plantScope, plantName)) {
+      return res.status(403).json({ message: 'Access denied to this alarm' });
+    }
+    const assigneeScope = await getPlantScope({ userId: assignee._id.toString(), role: assignee.role });
+    if (!canAccessPlant(assigneeScope, plantName)) {
+      return res.status(400).json({ message: `${assignee.name || assignee.email} is not assigned to ${plantName}` });
+    }
+    
+    return changeAlarmStatus(req, res, 'Assigned', {
+      assignee: { userId: assignee._id.toString(), name: assignee.name, email: assignee.email }
+    });
+  } catch (error) {
+    console.error(`❌ Error assigning alarm ${req.params.alarmId}:`, error);
+    res.status(500).json({ message: `Failed to assign alarm: ${error.message}` });
+  }
+};
+
+// Resolve an alarm
+exports.resolveAlarm = (req, res) => changeAlarmStatus(req, res, 'Resolved');
+
+// Close an alarm
+exports.closeAlarm = (req, res) => changeAlarmStatus(req, res, 'Closed');
+
+// List users an alarm can be assigned to (operators and above of the caller's plants, and super admins)
+exports.getAssignees = async (req, res) => {
+  try {
+    const query = { role: { $in: ROLES.filter(role => hasRole(role, ASSIGNEE_ROLE)) } };
+    if (!req.plantScope.unrestricted) {
+      const assignments = await PlantAssignment.find({ plantId: { $in: req.plantScope.plantIds } });
+      query.$or = [{ _id: { $in: assignments.map(a => a.userId) } }, { role: 'super-admin' }];
+    }
+    const users = await User.find(query).select('name email role');
+    res.status(200).json(users);
+  } catch (error) {
+    console.error('❌ Error fetching alarm assignees:', error);
+    res.status(500).json({ message: `Failed to fetch assignees: ${error.message}` });
+  }
+};
@@ -0,0 +1,115 @@
+const AlarmDefinition = require('../models/alarmDefinitionModel');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+const { refreshDefinitions } = require('../services/alarmDefinitionService');
+
+// Pick the editable fields from a request body, accepting root causes as an array or one per line
+const buildDefinitionFields = (body) => {
+  const fields = {};
+  if (body.description !== undefined) fields.description = String(body.description).trim();
+  if (body.severity !== undefined) fields.severity = String(body.severity).toLowerCase();
+  if (body.recommendedAction !== undefined) fields.recommendedAction = String(body.recommendedAction);
+  if (body.rootCauses !== undefined) {
+    const rootCauses = Array.isArray(body.rootCauses) ? body.rootCauses : String(body.rootCauses).split('\n');
+    fields.rootCauses = rootCauses.map(cause => String(cause).trim()).filter(Boolean);
+  }
+  return fields;
+};
+
+// Get all alarm definitions
+exports.getAlarmDefinitions = async (req, res) => {
+  try {
+    const definitions = await AlarmDefinition.find().sort({ code: 1 });
+    res.status(200).json(definitions);
+  } catch (error) {
+    console.error('❌ Error fetching alarm definitions:', error);
+    res.status(500).json({ message: `Failed to fetch alarm definitions: ${error.message}` });
+  }
+};
+
+// Get a single alarm definition by code
+exports.getAlarmDefinition = async (req, res) => {
+  try {
+    const definition = await AlarmDefinition.findOne({ code: req.params.code.toUpperCase() });
+    if (!definition) {
+      return res.status(404).json({ message: 'Alarm definition not found' });
+    }
+    res.status(200).json(definition);
+  } catch (error) {
+    console.error(`❌ Error fetching alarm definition ${req.params.code}:`, error);
+    res.status(500).json({ message: `Failed to fetch alarm definition: ${error.message}` });
+  }
+};
+
+// Create an alarm definition
+exports.createAlarmDefinition = async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const fields = buildDefinitionFields(req.body);
+
+    if (!code || !fields.description) {
+      return res.status(400).json({ message: 'Code and description are required' });
+    }
+    if (fields.severity && !SEVERITY_LEVELS.includes(fields.severity)) {
+      return res.status(400).json({ message: `Severity must be one of: ${SEVERITY_LEVELS.join(', ')}` });
+    }
+    if (await AlarmDefinition.exists({ code })) {
+      return res.status(409).json({ message: `Alarm definition ${code} already exists` });
+    }
+
+    const definition = await AlarmDefinition.create({ code, ...fields, updatedBy: req.user.userId });
+    await refreshDefinitions();
+
+    console.log(`📋 Alarm definition ${code} created by ${req.user.email}`);
+    res.status(201).json(definition);
+  } catch (error) {
+    console.error('❌ Error creating alarm definition:', error);
+    res.status(500).json({ message: `Failed to create alarm definition: ${error.message}` });
+  }
+};
+
+// Update an alarm definition - the code itself cannot be changed
+exports.updateAlarmDefinition = async (req, res) => {
+  try {
+    const fields = buildDefinitionFields(req.body);
+
+    if (fields.description === '') {
+      return res.status(400).json({ message: 'Description cannot be empty' });
+    }
+    if (fields.severity && !SEVERITY_LEVELS.includes(fields.severity)) {
+      return res.status(400).json({ message: `Severity must be one of: ${SEVERITY_LEVELS.join(', ')}` });
+    }
+
+    const definition = await AlarmDefinition.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      { ...fields, updatedBy: req.user.userId },
+      { new: true, runValidators: true }
+    );
+    if (!definition) {
+      return res.status(404).json({ message: 'Alarm definition not found' });
+    }
+    await refreshDefinitions();
+
+    console.log(`📋 Alarm definition ${definition.code} updated by ${req.user.email}`);
+    res.status(200).json(definition);
+  } catch (error) {
+    console.error(`❌ Error updating alarm definition ${req.params.code}:`, error);
+    res.status(500).json({ message: `Failed to update alarm definition: ${error.message}` });
+  }
+};
+
+// Delete an alarm definition
+exports.deleteAlarmDefinition = async (req, res) => {
+  try {
+    const definition = await AlarmDefinition.findOneAndDelete({ code: req.params.code.toUpperCase() });
+    if (!definition) {
+      return res.status(404).json({ message: 'Alarm definition not found' });
+    }
+    await refreshDefinitions();
+
+    console.log(`🗑️ Alarm definition ${definition.code} deleted by ${req.user.email}`);
+    res.status(200).json({ message: 'Alarm definition deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error deleting alarm definition ${req.params.code}:`, error);
+    res.status(500).json({ message: `Failed to delete alarm definition: ${error.message}` });
+  }
+};
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const AlarmShelve = require('../models/alarmShelveModel');
+const MaintenanceWindow = require('../models/maintenanceWindowModel');
+const SuppressionAudit = require('../models/suppressionAuditModel');
+const Device = require('../models/Device');
+const { canAccessPlant } = require('../services/plantAccessService');
+const {
+  MAX_SHELVE_MINUTES,
+  getActor,
+  recordAudit,
+  broadcastChange,
+  shelveAlarm,
+  unshelveAlarm
+} = require('../services/suppressionService');
+
+// Build the plant filter for list endpoints from the caller's scope and an optional ?plantId=
+const buildPlantFilter = (req) => {
+  const { plantId } = req.query;
+  if (plantId) {
+    if (!canAccessPlant(req.plantScope, plantId)) return null;
+    return { plantId };
+  }
+  return req.plantScope.unrestricted ? {} : { plantId: { $in: req.plantScope.plantIds } };
+};
+
+// Validate and pick the editable fields of a maintenance window
+const buildWindowFields = (body) => {
+  const fields = {};
+
+  if (body.startsAt !== undefined) fields.startsAt = new Date(body.startsAt);
+  if (body.endsAt !== undefined) fields.endsAt = new Date(body.endsAt);
+  if (body.reason !== undefined) fields.reason = String(body.reason).trim();
+  if (body.deviceNames !== undefined) {
+    if (!Array.isArray(body.deviceNames)) {
+      return { error: 'deviceNames must be an array' };
+    }
+    fields.deviceNames = body.deviceNames.map(name => String(name).trim()).filter(Boolean);
+  }
+  if ([fields.startsAt, fields.endsAt].some(date => date && isNaN(date.getTime()))) {
+    return { error: 'startsAt and endsAt must be valid dates' };
+  }
+
+  return { fields };
+};
+
+// Describe a window for the audit trail
+const describeWindow = (window) =>
+  `${window.startsAt.toISOString()} - ${window.endsAt.toISOString()} on ${window.deviceNames.length ? window.deviceNames.join(', ') : 'all devices'}${window.reason ? ` - ${window.reason}` : ''}`;
+
+// Get shelved alarm codes - active ones unless ?all=true
+exports.getShelves = async (req, res) => {
+  try {
+    const filter = buildPlantFilter(req);
+    if (!filter) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    if (req.query.deviceName) filter.deviceName = req.query.deviceName;
+    if (req.query.all !== 'true') filter.active = true;
+
+    const shelves = await AlarmShelve.find(filter).sort({ createdAt: -1 }).limit(500);
+    res.status(200).json(shelves);
+  } catch (error) {
+    console.error('❌ Error fetching alarm shelves:', error);
+    res.status(500).json({ message: `Failed to fetch alarm shelves: ${error.message}` });
+  }
+};
+
+// Shelve an alarm code on a device for a bounded number of minutes
+exports.createShelve = async (req, res) => {
+  try {
+    const { deviceName, alarmCode, reason } = req.body;
+    const durationMinutes = Number(req.body.durationMinutes);
+
+    if (!deviceName || !alarmCode) {
+      return res.status(400).json({ message: 'deviceName and alarmCode are required' });
+    }
+    if (!(durationMinutes > 0 && durationMinutes <= MAX_SHELVE_MINUTES)) {
+      return res.status(400).json({ message: `durationMinutes must be between 1 and ${MAX_SHELVE_MINUTES}` });
+    }
+
+    const device = await Device.findOne({ deviceName });
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!canAccessPlant(req.plantScope, device.plantId.toString())) {
+      return res.status(403).json({ message: 'Access denied to this device' });
+    }
+
+    const shelve = await shelveAlarm({
+      plantId: device.plantId,
+      deviceName,
+      alarmCode: String(alarmCode).trim(),
+      durationMinutes,
+      reason: reason ? String(reason).trim() : ''
+    }, req.user);
+    res.status(201).json(shelve);
+  } catch (error) {
+    console.error('❌ Error shelving alarm:', error);
+    res.status(500).json({ message: `Failed to shelve alarm: ${error.message}` });
+  }
+};
+
+// Unshelve an alarm code before its shelve period ends
+exports.deleteShelve = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid shelve id' });
+    }
+    const shelve = await AlarmShelve.findById(req.params.id);
+    if (!shelve || !shelve.active) {
+      return res.status(404).json({ message: 'Active shelve not found' });
+    }
+    if (!canAccessPlant(req.plantScope, shelve.plantId.toString())) {
+      return res.status(403).json({ message: 'Access denied to this shelve' });
+    }
+
+    const updated = await unshelveAlarm(shelve, req.user);
+    if (!updated) {
+      return res.status(404).json({ message: 'Active shelve not found' });
+    }
+    res.status(200).json(updated);
+  } catch (error) {
+    console.error(`❌ Error unshelving ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to unshelve alarm: ${error.message}` });
+  }
+};
+
+// Get maintenance windows - current and upcoming ones unless ?all=true
+exports.getMaintenanceWindows = async (req, res) => {
+  try {
+    const filter = buildPlantFilter(req);
+    if (!filter) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    if (req.query.all !== 'true') filter.endsAt = { $gt: new Date() };
+
+    const windows = await MaintenanceWindow.find(filter)
+      .populate('plantId', 'plantName')
+      .sort({ startsAt: 1 })
+      .limit(500);
+    res.status(200).json(windows);
+  } catch (error) {
+    console.error('❌ Error fetching maintenance windows:', error);
+    res.status(500).json({ message: `Failed to fetch maintenance windows: ${error.message}` });
+  }
+};
+
+// Schedule a maintenance window for a plant or some of its devices
+exports.createMaintenanceWindow = async (req, res) => {
+  try {
+    const { plantId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(plantId)) {
+      return res.status(400).json({ message: 'Invalid plant id' });
+    }
+    if (!canAccessPlant(req.plantScope, plantId)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+
+    const { fields, error } = buildWindowFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!fields.startsAt || !fields.endsAt || fields.endsAt <= fields.startsAt) {
+      return res.status(400).json({ message: 'startsAt and endsAt are required and endsAt must be after startsAt' });
+    }
+
+    const window = await MaintenanceWindow.create({ ...fields, plantId, createdBy: req.user.userId });
+    await recordAudit({
+      action: 'window_created',
+      plantId,
+      windowId: window._id,
+      details: describeWindow(window),
+      by: getActor(req.user)
+    });
+
+    console.log(`🛠️ Maintenance window ${window._id} scheduled for plant ${plantId} by ${req.user.email}`);
+    broadcastChange({ action: 'window_created', window });
+    res.status(201).json(window);
+  } catch (error) {
+    console.error('❌ Error creating maintenance window:', error);
+    res.status(500).json({ message: `Failed to create maintenance window: ${error.message}` });
+  }
+};
+
+// Update a maintenance window, e.g. to end it early or extend it
+exports.updateMaintenanceWindow = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid maintenance window id' });
+    }
+    const window = await MaintenanceWindow.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({ message: 'Maintenance window not found' });
+    }
+    if (!canAccessPlant(req.plantScope, window.plantId.toString())) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+
+    const { fields, error } = buildWindowFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    window.set(fields);
+    if (window.endsAt <= window.startsAt) {
+      return res.status(400).json({ message: 'endsAt must be after startsAt' });
+    }
+    await window.save();
+
+    await recordAudit({
+      action: 'window_updated',
+      plantId: window.plantId,
+      windowId: window._id,
+      details: describeWindow(window),
+      by: getActor(req.user)
+    });
+    broadcastChange({ action: 'window_updated', window });
+    res.status(200).json(window);
+  } catch (error) {
+    console.error(`❌ Error updating maintenance window ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to update maintenance window: ${error.message}` });
+  }
+};
+
+// Delete a maintenance window
+exports.deleteMaintenanceWindow = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid maintenance window id' });
+    }
+    const window = await MaintenanceWindow.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({ message: 'Maintenance window not found' });
+    }
+    if (!canAccessPlant(req.plantScope, window.plantId.toString())) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+
+    await window.deleteOne();
+    await recordAudit({
+      action: 'window_deleted',
+      plantId: window.plantId,
+      windowId: window._id,
+      details: describeWindow(window),
+      by: getActor(req.user)
+    });
+    broadcastChange({ action: 'window_deleted', window });
+    res.status(200).json({ message: 'Maintenance window deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error deleting maintenance window ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to delete maintenance window: ${error.message}` });
+  }
+};
+
+// Get the shelving and maintenance audit trail, newest first
+exports.getAuditTrail = async (req, res) => {
+  try {
+    const filter = buildPlantFilter(req);
+    if (!filter) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    if (req.query.deviceName) filter.deviceName = req.query.deviceName;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const entries = await SuppressionAudit.find(filter).sort({ timestamp: -1 }).limit(limit);
+    res.status(200).json(entries);
+  } catch (error) {
+    console.error('❌ Error fetching suppression audit trail:', error);
+    res.status(500).json({ message: `Failed to fetch audit trail: ${error.message}` });
+  }
+};
@@ -1,13 +1,20 @@
 const User = require('../models/userModel');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { ROLES } = require('../middleware/roleMiddleware');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+const { sendTestEmail } = require('../services/notificationService');
+const { DEFAULT_UNIT_SYSTEM } = require('../config/units');
+const { parseUnitPreference } = require('../services/unitService');
  
 const generateToken = (user) => {
   return jwt.sign(
     { 
       userId: user._id,
       email: user.email,
-      name: user.name
+      name: user.name,
+      role: user.role
     }, 
     process.env.JWT_SECRET, 
     { expiresIn: '30d' }
@@ -27,7 +34,12 @@ exports.registerUser = async (req, res) => {
     if (existingUser) return res.status(400).json({ message: 'User already exists' });
  
     const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email, password: hashedPassword });
+
+    // The very first account bootstraps the system as super-admin, everyone else starts as viewer
+    const userCount = await User.countDocuments();
+    const role = userCount === 0 ? 'super-admin' : 'viewer';
+
+    const user = await User.create({ name, email, password: hashedPassword, role });
  
     const token = generateToken(user);
  
@@ -37,7 +49,8 @@ exports.registerUser = async (req, res) => {
       user: {
         _id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (err) {
@@ -69,11 +82,133 @@ exports.loginUser = async (req, res) => {
       user: {
         _id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (err) {
     console.error('Login Error:', err.message);
     res.status(500).json({ message: 'Server error during login' });
   }
-};
\ No newline at end of file
+};
+ 
+// List users with their roles (super-admin only)
+exports.getUsers = async (req, res) => {
+  try {
+    const users = await User.find().select('-password');
+    res.json(users);
+  } catch (err) {
+    console.error('Get Users Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+};
+ 
+// Change a user's role (super-admin only)
+exports.updateUserRole = async (req, res) => {
+  const { role } = req.body;
+ 
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+ 
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+ 
+    res.json(user);
+  } catch (err) {
+    console.error('Update Role Error:', err.message);
+    res.status(500).json({ message: 'Server error while updating role' });
+  }
+};
+ 
+// Notification preferences with the units preference alongside as `units`
+const formatPreferences = (user) => {
+  const { notificationPreferences, unitPreferences = {} } = user.toObject({ flattenMaps: true });
+  return {
+    ...notificationPreferences,
+    units: { system: unitPreferences.system || DEFAULT_UNIT_SYSTEM, overrides: unitPreferences.overrides || {} }
+  };
+};
+ 
+// Get the caller's notification and units preferences
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences unitPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+ 
+    res.json(formatPreferences(user));
+  } catch (err) {
+    console.error('Get Preferences Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching preferences' });
+  }
+};
+ 
+// Update the caller's notification and units preferences
+exports.updatePreferences = async (req, res) => {
+  const email = (req.body && req.body.email) || {};
+  const units = req.body && req.body.units;
+  const update = {};
+ 
+  if (email.enabled !== undefined) {
+    update['notificationPreferences.email.enabled'] = Boolean(email.enabled);
+  }
+  if (email.minSeverity !== undefined) {
+    if (!SEVERITY_LEVELS.includes(email.minSeverity)) {
+      return res.status(400).json({ message: `Minimum severity must be one of: ${SEVERITY_LEVELS.join(', ')}` });
+    }
+    update['notificationPreferences.email.minSeverity'] = email.minSeverity;
+  }
+  if (email.plantIds !== undefined) {
+    if (!Array.isArray(email.plantIds) || !email.plantIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Plant ids must be an array of valid ids' });
+    }
+    update['notificationPreferences.email.plantIds'] = email.plantIds;
+  }
+  if (email.deviceNames !== undefined) {
+    if (!Array.isArray(email.deviceNames)) {
+      return res.status(400).json({ message: 'Device names must be an array' });
+    }
+    update['notificationPreferences.email.deviceNames'] = email.deviceNames.map(String);
+  }
+  if (units !== undefined) {
+    // "imperial" or { system } only switches the system, per-metric overrides are replaced when sent
+    const { preference, error } = parseUnitPreference(units);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    update['unitPreferences.system'] = preference.system;
+    if (typeof units === 'string' ? units.includes(':') : units.overrides !== undefined) {
+      update['unitPreferences.overrides'] = preference.overrides;
+    }
+  }
+ 
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences unitPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+ 
+    res.json(formatPreferences(user));
+  } catch (err) {
+    console.error('Update Preferences Error:', err.message);
+    res.status(500).json({ message: 'Server error while updating preferences' });
+  }
+};
+ 
+// Send a test alarm email to the caller
+exports.sendTestNotification = async (req, res) => {
+  try {
+    await sendTestEmail(req.user.email);
+    res.json({ message: `Test email sent to ${req.user.email}` });
+  } catch (err) {
+    console.error('Test Notification Error:', err.message);
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -94,6 +94,8 @@ exports.addDevice = async (req, res) => {
 
       parentDeviceId, // optional
 
+      deviceType, // optional, selects the registry metrics the device reports
+
     } = req.body;
  
     if (!deviceName || !serialNumber || !macId || !commissionedDate || !plantId) {
@@ -116,6 +118,8 @@ exports.addDevice = async (req, res) => {
 
       parentDeviceId: parentDeviceId || null,
 
+      deviceType: deviceType || null,
+
     });
  
     await newDevice.save();
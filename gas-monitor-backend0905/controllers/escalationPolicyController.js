@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const EscalationPolicy = require('../models/escalationPolicyModel');
+const { ROLES } = require('../middleware/roleMiddleware');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+const { canAccessPlant } = require('../services/plantAccessService');
+
+// Validate and pick the editable fields from a request body
+const buildPolicyFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.enabled !== undefined) fields.enabled = Boolean(body.enabled);
+  if (body.severities !== undefined) {
+    if (!Array.isArray(body.severities) || body.severities.some(s => !SEVERITY_LEVELS.includes(s))) {
+      return { error: `Severities must be a list of: ${SEVERITY_LEVELS.join(', ')}` };
+    }
+    fields.severities = body.severities;
+  }
+  if (body.steps !== undefined) {
+    if (!Array.isArray(body.steps)) {
+      return { error: 'Steps must be an array' };
+    }
+    for (const step of body.steps) {
+      const roles = step.roles || [];
+      const userIds = step.userIds || [];
+      if (!(Number(step.delayMinutes) >= 0)) {
+        return { error: 'Every step needs a delayMinutes of 0 or more' };
+      }
+      if (roles.some(role => !ROLES.includes(role)) || !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'Steps may only target known roles and valid user ids' };
+      }
+      if (roles.length === 0 && userIds.length === 0) {
+        return { error: 'Every step must notify at least one role or user' };
+      }
+    }
+    // Keep the steps ordered so the scheduler can walk them by index
+    fields.steps = body.steps
+      .map(step => ({ delayMinutes: Number(step.delayMinutes), roles: step.roles || [], userIds: step.userIds || [] }))
+      .sort((a, b) => a.delayMinutes - b.delayMinutes);
+  }
+
+  return { fields };
+};
+
+// Get the escalation policies of the caller's plants
+exports.getPolicies = async (req, res) => {
+  try {
+    const filter = req.plantScope.unrestricted ? {} : { plantId: { $in: req.plantScope.plantIds } };
+    const policies = await EscalationPolicy.find(filter).populate('plantId', 'plantName');
+    res.status(200).json(policies);
+  } catch (error) {
+    console.error('❌ Error fetching escalation policies:', error);
+    res.status(500).json({ message: `Failed to fetch escalation policies: ${error.message}` });
+  }
+};
+
+// Get the escalation policy of one plant
+exports.getPlantPolicy = async (req, res) => {
+  try {
+    if (!canAccessPlant(req.plantScope, req.params.plantId)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    const policy = await EscalationPolicy.findOne({ plantId: req.params.plantId });
+    if (!policy) {
+      return res.status(404).json({ message: 'No escalation policy for this plant' });
+    }
+    res.status(200).json(policy);
+  } catch (error) {
+    console.error(`❌ Error fetching escalation policy for plant ${req.params.plantId}:`, error);
+    res.status(500).json({ message: `Failed to fetch escalation policy: ${error.message}` });
+  }
+};
+
+// Create or replace the escalation policy of a plant - each plant has at most one
+exports.savePlantPolicy = async (req, res) => {
+  try {
+    const { plantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(plantId)) {
+      return res.status(400).json({ message: 'Invalid plant id' });
+    }
+    if (!canAccessPlant(req.plantScope, plantId)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+
+    const { fields, error } = buildPolicyFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await EscalationPolicy.findOne({ plantId });
+    if (!existing && (!fields.name || !fields.steps || fields.steps.length === 0)) {
+      return res.status(400).json({ message: 'Name and at least one step are required' });
+    }
+
+    const policy = existing || new EscalationPolicy({ plantId });
+    policy.set({ ...fields, updatedBy: req.user.userId });
+    await policy.save();
+
+    console.log(`⏫ Escalation policy for plant ${plantId} saved by ${req.user.email}`);
+    res.status(existing ? 200 : 201).json(policy);
+  } catch (error) {
+    console.error(`❌ Error saving escalation policy for plant ${req.params.plantId}:`, error);
+    res.status(500).json({ message: `Failed to save escalation policy: ${error.message}` });
+  }
+};
+
+// Delete the escalation policy of a plant
+exports.deletePlantPolicy = async (req, res) => {
+  try {
+    if (!canAccessPlant(req.plantScope, req.params.plantId)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    const policy = await EscalationPolicy.findOneAndDelete({ plantId: req.params.plantId });
+    if (!policy) {
+      return res.status(404).json({ message: 'No escalation policy for this plant' });
+    }
+    res.status(200).json({ message: 'Escalation policy deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error deleting escalation policy for plant ${req.params.plantId}:`, error);
+    res.status(500).json({ message: `Failed to delete escalation policy: ${error.message}` });
+  }
+};
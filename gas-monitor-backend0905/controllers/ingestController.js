@@ -0,0 +1,27 @@
+const { ingestTelemetry } = require('../services/telemetryIngestService');
+const { getMqttBridgeStatus } = require('../services/mqttBridgeService');
+
+// Store one reading or a batch posted by an HTTP device, or by a user on behalf of devices
+// 201 when something was stored, 200 when everything was already stored, 400 when every reading was rejected
+exports.ingestTelemetry = async (req, res) => {
+  try {
+    const report = await ingestTelemetry(req.body, { scope: req.plantScope, device: req.device });
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    if (report.rejected === report.received) {
+      const error = report.received === 1 ? report.results[0].error : 'Every reading was rejected';
+      return res.status(400).json({ error, ...report });
+    }
+
+    res.status(report.stored > 0 ? 201 : 200).json(report);
+  } catch (error) {
+    console.error('❌ Error ingesting telemetry:', error);
+    res.status(500).json({ error: 'Failed to ingest telemetry' });
+  }
+};
+
+// Connection state and message counts of the MQTT bridge
+exports.getMqttStatus = async (req, res) => {
+  res.json(getMqttBridgeStatus());
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const MetricDefinition = require('../models/metricDefinitionModel');
+const { getMetrics, refreshMetrics } = require('../services/metricRegistryService');
+const { getUnitOptions, getConversion, getRequestUnits } = require('../services/unitService');
+
+const STRING_FIELDS = ['displayName', 'unit', 'valueType', 'color', 'thresholdDirection'];
+const NUMBER_FIELDS = ['precision', 'validMin', 'validMax', 'defaultThreshold', 'defaultTolerance', 'order'];
+const BOOLEAN_FIELDS = ['chart', 'gauge', 'enabled'];
+const LIST_FIELDS = ['fields', 'deviceTypes'];
+
+// Pick the editable fields from a request body, accepting lists as an array or comma separated
+const buildMetricFields = (body) => {
+  const fields = {};
+  STRING_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name] === null ? null : String(body[name]).trim();
+  });
+  NUMBER_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name] === null || body[name] === '' ? null : Number(body[name]);
+  });
+  BOOLEAN_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name] === true || body[name] === 'true';
+  });
+  LIST_FIELDS.forEach(name => {
+    if (body[name] === undefined) return;
+    const values = Array.isArray(body[name]) ? body[name] : String(body[name] || '').split(',');
+    fields[name] = values.map(value => String(value).trim()).filter(Boolean);
+  });
+  if (body.alarmCodes !== undefined) {
+    fields.alarmCodes = {
+      high: (body.alarmCodes && body.alarmCodes.high) || null,
+      low: (body.alarmCodes && body.alarmCodes.low) || null
+    };
+  }
+  return fields;
+};
+
+// Check the numeric fields and the range of a definition
+const validateMetricFields = (fields) => {
+  const invalid = NUMBER_FIELDS.find(name => fields[name] !== undefined && fields[name] !== null && !Number.isFinite(fields[name]));
+  if (invalid) return `${invalid} must be a number`;
+  if (fields.validMin !== undefined && fields.validMax !== undefined
+    && fields.validMin !== null && fields.validMax !== null && fields.validMin >= fields.validMax) {
+    return 'validMin must be below validMax';
+  }
+  return null;
+};
+
+// Add the unit each metric is shown in for the caller, with the conversion live readings need to get there
+const withDisplayUnit = (metric, units) => ({
+  ...metric,
+  unitOptions: getUnitOptions(metric.unit),
+  displayUnit: units[metric.key] || metric.unit,
+  displayConversion: getConversion(metric.unit, units[metric.key] || metric.unit)
+});
+
+// Get the registry - ?deviceId= or ?deviceType= narrows it to one kind of device, ?includeDisabled=true adds disabled metrics
+// Display units follow ?units=, otherwise the caller's saved preference
+exports.getMetrics = async (req, res) => {
+  try {
+    const { units, error } = await getRequestUnits(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    let { deviceType } = req.query;
+    if (!deviceType && req.query.deviceId && mongoose.Types.ObjectId.isValid(req.query.deviceId)) {
+      const device = await Device.findById(req.query.deviceId).select('deviceType');
+      deviceType = device ? device.deviceType : undefined;
+    }
+    const metrics = getMetrics({ deviceType, includeDisabled: req.query.includeDisabled === 'true' });
+    res.status(200).json(metrics.map(metric => withDisplayUnit(metric, units)));
+  } catch (error) {
+    console.error('❌ Error fetching metrics:', error);
+    res.status(500).json({ message: `Failed to fetch metrics: ${error.message}` });
+  }
+};
+
+// Get a single metric definition by key
+exports.getMetric = async (req, res) => {
+  try {
+    const { units, error } = await getRequestUnits(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const metric = getMetrics({ includeDisabled: true }).find(definition => definition.key === req.params.key);
+    if (!metric) {
+      return res.status(404).json({ message: 'Metric not found' });
+    }
+    res.status(200).json(withDisplayUnit(metric, units));
+  } catch (error) {
+    console.error(`❌ Error fetching metric ${req.params.key}:`, error);
+    res.status(500).json({ message: `Failed to fetch metric: ${error.message}` });
+  }
+};
+
+// Create a metric definition
+exports.createMetric = async (req, res) => {
+  try {
+    const key = String(req.body.key || '').trim();
+    const fields = buildMetricFields(req.body);
+
+    if (!key || !fields.displayName) {
+      return res.status(400).json({ message: 'Key and display name are required' });
+    }
+    const invalid = validateMetricFields(fields);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+    if (await MetricDefinition.exists({ key })) {
+      return res.status(409).json({ message: `Metric ${key} already exists` });
+    }
+
+    const metric = await MetricDefinition.create({ key, ...fields, updatedBy: req.user.userId });
+    await refreshMetrics();
+
+    console.log(`📐 Metric ${key} created by ${req.user.email}`);
+    res.status(201).json(metric);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('❌ Error creating metric:', error);
+    res.status(500).json({ message: `Failed to create metric: ${error.message}` });
+  }
+};
+
+// Update a metric definition - the key itself cannot be changed, it names the stored values
+exports.updateMetric = async (req, res) => {
+  try {
+    const fields = buildMetricFields(req.body);
+
+    if (fields.displayName === '') {
+      return res.status(400).json({ message: 'Display name cannot be empty' });
+    }
+    const existing = await MetricDefinition.findOne({ key: req.params.key });
+    if (!existing) {
+      return res.status(404).json({ message: 'Metric not found' });
+    }
+    const invalid = validateMetricFields({
+      validMin: existing.validMin,
+      validMax: existing.validMax,
+      ...fields
+    });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const metric = await MetricDefinition.findOneAndUpdate(
+      { key: req.params.key },
+      { ...fields, updatedBy: req.user.userId },
+      { new: true, runValidators: true }
+    );
+    await refreshMetrics();
+
+    console.log(`📐 Metric ${metric.key} updated by ${req.user.email}`);
+    res.status(200).json(metric);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`❌ Error updating metric ${req.params.key}:`, error);
+    res.status(500).json({ message: `Failed to update metric: ${error.message}` });
+  }
+};
+
+// Delete a metric definition - stored readings are kept, they are just no longer read
+exports.deleteMetric = async (req, res) => {
+  try {
+    const metric = await MetricDefinition.findOneAndDelete({ key: req.params.key });
+    if (!metric) {
+      return res.status(404).json({ message: 'Metric not found' });
+    }
+    await refreshMetrics();
+
+    console.log(`🗑️ Metric ${metric.key} deleted by ${req.user.email}`);
+    res.status(200).json({ message: 'Metric deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error deleting metric ${req.params.key}:`, error);
+    res.status(500).json({ message: `Failed to delete metric: ${error.message}` });
+  }
+};
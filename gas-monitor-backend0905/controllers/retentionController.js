@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const RetentionPolicy = require('../models/retentionPolicyModel');
+const Plant = require('../models/plant');
+const { canAccessPlant } = require('../services/plantAccessService');
+const { DEFAULT_RETENTION, RETENTION_FIELDS, resolveRetention, runRetention, getStorageUsage } = require('../services/retentionService');
+
+// Validate and pick the editable fields from a request body - null clears a field back to the default
+const buildPolicyFields = (body) => {
+  const fields = {};
+
+  for (const key of RETENTION_FIELDS) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const days = Number(body[key]);
+    if (!Number.isInteger(days) || days < 1) {
+      return { error: `${key} must be a whole number of days of at least 1` };
+    }
+    fields[key] = days;
+  }
+  if (body.archive !== undefined) {
+    fields.archive = body.archive === null ? null : Boolean(body.archive);
+  }
+
+  return { fields };
+};
+
+// Get the retention policies of the caller's plants, with the retention each one resolves to
+exports.getPolicies = async (req, res) => {
+  try {
+    const filter = req.plantScope.unrestricted ? {} : { plantId: { $in: req.plantScope.plantIds } };
+    const policies = await RetentionPolicy.find(filter).populate('plantId', 'plantName');
+    res.status(200).json(policies.map(policy => ({ ...policy.toObject(), effective: resolveRetention(policy) })));
+  } catch (error) {
+    console.error('❌ Error fetching retention policies:', error);
+    res.status(500).json({ message: `Failed to fetch retention policies: ${error.message}` });
+  }
+};
+
+// Get the global retention defaults used where a plant sets nothing
+exports.getDefaults = async (req, res) => {
+  res.status(200).json(DEFAULT_RETENTION);
+};
+
+// Get the retention policy of one plant - plants without one report the defaults
+exports.getPlantPolicy = async (req, res) => {
+  try {
+    if (!canAccessPlant(req.plantScope, req.params.plantId)) {
+      return res.status(403).json({ message: 'Access denied to this plant' });
+    }
+    const policy = await RetentionPolicy.findOne({ plantId: req.params.plantId });
+    res.status(200).json({ policy, effective: resolveRetention(policy) });
+  } catch (error) {
+    console.error(`❌ Error fetching retention policy for plant ${req.params.plantId}:`, error);
+    res.status(500).json({ message: `Failed to fetch retention policy: ${error.message}` });
+  }
+};
+
+// Create or update the retention policy of a plant - each plant has at most one
+exports.savePlantPolicy = async (req, res) => {
+  try {
+    const { plantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(plantId)) {
+      return res.status(400).json({ message: 'Invalid plant id' });
+    }
+    if (!(await Plant.exists({ _id: plantId }))) {
+      return res.status(404).json({ message: 'Plant not found' });
+    }
+
+    const { fields, error } = buildPolicyFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await RetentionPolicy.findOne({ plantId });
+    const policy = existing || new RetentionPolicy({ plantId });
+    policy.set({ ...fields, updatedBy: req.user.userId });
+    await policy.save();
+
+    console.log(`🧹 Retention policy for plant ${plantId} saved by ${req.user.email}`);
+    res.status(existing ? 200 : 201).json({ policy, effective: resolveRetention(policy) });
+  } catch (error) {
+    console.error(`❌ Error saving retention policy for plant ${req.params.plantId}:`, error);
+    res.status(500).json({ message: `Failed to save retention policy: ${error.message}` });
+  }
+};
+
+// Delete the retention policy of a plant so it falls back to the defaults
+exports.deletePlantPolicy = async (req, res) => {
+  try {
+    const policy = await RetentionPolicy.findOneAndDelete({ plantId: req.params.plantId });
+    if (!policy) {
+      return res.status(404).json({ message: 'No retention policy for this plant' });
+    }
+    res.status(200).json({ message: 'Retention policy deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error deleting retention policy for plant ${req.params.plantId}:`, error);
+    res.status(500).json({ message: `Failed to delete retention policy: ${error.message}` });
+  }
+};
+
+// Report storage usage per collection and of the archive directory
+exports.getStorageUsage = async (req, res) => {
+  try {
+    res.status(200).json(await getStorageUsage());
+  } catch (error) {
+    console.error('❌ Error fetching storage usage:', error);
+    res.status(500).json({ message: `Failed to fetch storage usage: ${error.message}` });
+  }
+};
+
+// Apply the retention policies now instead of waiting for the scheduler
+exports.runRetention = async (req, res) => {
+  try {
+    const deleted = await runRetention();
+    if (!deleted) {
+      return res.status(409).json({ message: 'A retention run is already in progress' });
+    }
+    console.log(`🧹 Retention run triggered by ${req.user.email}`);
+    res.status(200).json({ deleted });
+  } catch (error) {
+    console.error('❌ Error running retention:', error);
+    res.status(500).json({ message: `Failed to run retention: ${error.message}` });
+  }
+};
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const { WEBHOOK_EVENT_TYPES } = require('../models/webhookModel');
+const { generateSecret, sendTestEvent } = require('../services/webhookService');
+
+// Hide most of the secret when listing webhooks - the full secret is only returned on create
+const maskSecret = (webhook) => {
+  const data = webhook.toObject();
+  data.secret = `${data.secret.slice(0, 4)}…`;
+  return data;
+};
+
+// Validate and pick the editable fields from a request body
+const buildWebhookFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.url !== undefined) {
+    try {
+      const url = new URL(body.url);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+      fields.url = url.toString();
+    } catch (err) {
+      return { error: 'URL must be a valid http or https address' };
+    }
+  }
+  if (body.secret !== undefined && body.secret !== '') fields.secret = String(body.secret);
+  if (body.eventTypes !== undefined) {
+    if (!Array.isArray(body.eventTypes) || body.eventTypes.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+      return { error: `Event types must be a list of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+    fields.eventTypes = body.eventTypes;
+  }
+  if (body.plantIds !== undefined) {
+    if (!Array.isArray(body.plantIds) || !body.plantIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Plant ids must be an array of valid ids' };
+    }
+    fields.plantIds = body.plantIds;
+  }
+  if (body.enabled !== undefined) fields.enabled = Boolean(body.enabled);
+
+  return { fields };
+};
+
+// Get all webhooks
+exports.getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.status(200).json(webhooks.map(maskSecret));
+  } catch (error) {
+    console.error('❌ Error fetching webhooks:', error);
+    res.status(500).json({ message: `Failed to fetch webhooks: ${error.message}` });
+  }
+};
+
+// Get a single webhook
+exports.getWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    res.status(200).json(maskSecret(webhook));
+  } catch (error) {
+    console.error(`❌ Error fetching webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to fetch webhook: ${error.message}` });
+  }
+};
+
+// Create a webhook - a secret is generated when none is given
+exports.createWebhook = async (req, res) => {
+  try {
+    const { fields, error } = buildWebhookFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!fields.name || !fields.url) {
+      return res.status(400).json({ message: 'Name and URL are required' });
+    }
+
+    const webhook = await Webhook.create({
+      secret: generateSecret(),
+      ...fields,
+      createdBy: req.user.userId
+    });
+
+    console.log(`🪝 Webhook "${webhook.name}" created by ${req.user.email}`);
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('❌ Error creating webhook:', error);
+    res.status(500).json({ message: `Failed to create webhook: ${error.message}` });
+  }
+};
+
+// Update a webhook
+exports.updateWebhook = async (req, res) => {
+  try {
+    const { fields, error } = buildWebhookFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (fields.name === '') {
+      return res.status(400).json({ message: 'Name cannot be empty' });
+    }
+
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    res.status(200).json(maskSecret(webhook));
+  } catch (error) {
+    console.error(`❌ Error updating webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to update webhook: ${error.message}` });
+  }
+};
+
+// Delete a webhook and its delivery log
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    res.status(200).json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error deleting webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to delete webhook: ${error.message}` });
+  }
+};
+
+// Get the delivery log of a webhook, newest first
+exports.getDeliveries = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const filter = { webhookId: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.status(200).json(deliveries);
+  } catch (error) {
+    console.error(`❌ Error fetching deliveries for webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to fetch webhook deliveries: ${error.message}` });
+  }
+};
+
+// Send a test event and return the result of the first attempt
+exports.testWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+    res.status(200).json(delivery);
+  } catch (error) {
+    console.error(`❌ Error testing webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: `Failed to send test event: ${error.message}` });
+  }
+};
@@ -0,0 +1,57 @@
+const { isDeviceKey, authenticateDeviceKey } = require('../services/deviceCredentialService');
+
+/**
+ * Get the device key of a request
+ * Devices send it as X-Device-Key, or as a Bearer token for clients that can only set Authorization
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getDeviceKey = (req) => {
+    const header = req.headers['x-device-key'];
+    if (header) return String(header).trim();
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ') && isDeviceKey(authHeader.slice(7).trim())) {
+        return authHeader.slice(7).trim();
+    }
+    return null;
+};
+
+/**
+ * Check whether a request carries a device key rather than a user token
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const hasDeviceKey = (req) => getDeviceKey(req) !== null;
+
+/**
+ * Express middleware authenticating a device by its API key
+ * Attaches req.device, req.plant and req.deviceCredential - there is no req.user on these requests
+ */
+const deviceKeyMiddleware = async (req, res, next) => {
+    try {
+        const key = getDeviceKey(req);
+        if (!key) {
+            return res.status(401).json({ message: 'Authorization denied, no device key provided' });
+        }
+
+        const resolved = await authenticateDeviceKey(key, req.ip);
+        if (!resolved) {
+            console.warn(`🚫 Rejected device key ${key.slice(0, 12)}… from ${req.ip}`);
+            return res.status(401).json({ message: 'Invalid, expired or revoked device key' });
+        }
+
+        req.device = resolved.device;
+        req.plant = resolved.plant;
+        req.deviceCredential = resolved.credential;
+        next();
+    } catch (err) {
+        console.error('Device key middleware error:', err.message);
+        res.status(500).json({ message: 'Failed to verify device key' });
+    }
+};
+
+module.exports = {
+    hasDeviceKey,
+    deviceKeyMiddleware
+};
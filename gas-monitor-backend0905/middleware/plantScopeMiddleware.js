@@ -0,0 +1,13 @@
+const { getPlantScope } = require('../services/plantAccessService');
+
+// Attaches the caller's plant scope to req.plantScope
+// Must be mounted after authMiddleware so req.user is populated
+module.exports = async (req, res, next) => {
+    try {
+        req.plantScope = await getPlantScope(req.user);
+        next();
+    } catch (err) {
+        console.error('Plant scope middleware error:', err.message);
+        res.status(500).json({ message: 'Failed to resolve plant permissions' });
+    }
+};
@@ -0,0 +1,48 @@
+// Roles ordered from least to most privileged - a role inherits everything below it
+const ROLES = ['viewer', 'operator', 'plant-admin', 'super-admin'];
+
+/**
+ * Get the rank of a role in the hierarchy
+ * Tokens issued before roles existed carry no role and are treated as viewers
+ * @param {string} role - Role name
+ * @returns {number} - Index in ROLES, 0 for unknown roles
+ */
+const getRoleRank = (role) => Math.max(ROLES.indexOf(role), 0);
+
+/**
+ * Check whether a role satisfies a minimum role
+ * @param {string} role - Role of the caller
+ * @param {string} minimumRole - Lowest role allowed
+ * @returns {boolean}
+ */
+const hasRole = (role, minimumRole) => getRoleRank(role) >= getRoleRank(minimumRole);
+
+/**
+ * Express middleware allowing only callers with at least the given role
+ * Must be mounted after authMiddleware so req.user is populated
+ * @param {string} minimumRole - Lowest role allowed to access the route
+ */
+const requireRole = (minimumRole) => {
+    if (!ROLES.includes(minimumRole)) {
+        throw new Error(`Unknown role: ${minimumRole}`);
+    }
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authorization denied, no token provided' });
+        }
+
+        if (!hasRole(req.user.role, minimumRole)) {
+            console.warn(`🚫 User ${req.user.email} (${req.user.role || 'viewer'}) denied ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({ message: `Access denied, requires ${minimumRole} role` });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    ROLES,
+    hasRole,
+    requireRole
+};
@@ -0,0 +1,17 @@
+const jwt = require('jsonwebtoken');
+
+// Socket.IO middleware verifying the JWT sent in the handshake
+// Clients pass it as io(url, { auth: { token } }), the decoded payload is kept on socket.data.user
+module.exports = (socket, next) => {
+    try {
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+        if (!token) {
+            return next(new Error('Authorization denied, no token provided'));
+        }
+        socket.data.user = jwt.verify(token, process.env.JWT_SECRET);
+        next();
+    } catch (err) {
+        console.error('Socket auth error:', err.message);
+        next(new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+};
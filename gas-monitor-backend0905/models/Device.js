@@ -8,6 +8,8 @@ const deviceSchema = new mongoose.Schema({
   commissionedDate: { type: Date, required: true },
   plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
   parentDeviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', default: null }, // 
+  // Matches the deviceTypes of the metric registry, e.g. esp32-alcohol - null reports every metric
+  deviceType: { type: String, trim: true, default: null },
 });
 
 // Create a model using the test database connection
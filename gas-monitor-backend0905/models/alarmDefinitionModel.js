@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+const { SEVERITY_LEVELS, DEFAULT_SEVERITY } = require('../config/alarmCatalogue');
+
+// Catalogue entry describing one alarm code, e.g. IO_ALR_100
+const alarmDefinitionSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+    description: { type: String, required: true, trim: true },
+    severity: { type: String, enum: SEVERITY_LEVELS, default: DEFAULT_SEVERITY },
+    recommendedAction: { type: String, default: '' },
+    rootCauses: { type: [String], default: [] },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('AlarmDefinition', alarmDefinitionSchema) : mongoose.model('AlarmDefinition', alarmDefinitionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
+const { ALARM_STATUSES } = require('../services/alarmLifecycleService');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
 
 // Define the schema - updated to match the actual MongoDB document structure
 // Making fields optional to avoid validation errors with existing data
@@ -21,7 +23,38 @@ const alarmSchema = new mongoose.Schema({
   DeviceName: String,
   IsRead: { type: Boolean, default: false },
   PlantName: String,
-  DeviceData: { type: mongoose.Schema.Types.Mixed, required: false } // Could be String or Object
+  DeviceData: { type: mongoose.Schema.Types.Mixed, required: false }, // Could be String or Object
+  // Derived from the alarm code catalogue when the alarm is created
+  Severity: { type: String, enum: SEVERITY_LEVELS, required: false },
+  // Lifecycle state - each transition stores <Status>By, <Status>Timestamp and <Status>Comment
+  Status: { type: String, enum: ALARM_STATUSES, default: 'New' },
+  AcknowledgedBy: { type: mongoose.Schema.Types.Mixed, required: false },
+  AcknowledgedTimestamp: Date,
+  AcknowledgedComment: String,
+  AssignedTo: { type: mongoose.Schema.Types.Mixed, required: false },
+  AssignedBy: { type: mongoose.Schema.Types.Mixed, required: false },
+  AssignedTimestamp: Date,
+  AssignedComment: String,
+  ResolvedBy: { type: mongoose.Schema.Types.Mixed, required: false },
+  ResolvedTimestamp: Date,
+  ResolvedComment: String,
+  ClosedBy: { type: mongoose.Schema.Types.Mixed, required: false },
+  ClosedTimestamp: Date,
+  ClosedComment: String,
+  StatusHistory: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Set by the rule engine when the reading returns inside its limit
+  ClearedTimestamp: Date,
+  ClearedValue: String,
+  // Escalation steps already run for this alarm
+  EscalationLevel: { type: Number, default: 0 },
+  EscalationHistory: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Set when the alarm was raised while its code was shelved or during a maintenance window
+  Suppressed: { type: Boolean, default: false },
+  Suppression: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Repeats of an open alarm (same device and code) are folded into it instead of stored again
+  OccurrenceCount: { type: Number, default: 1 },
+  FirstSeenTimestamp: Date,
+  LastSeenTimestamp: Date
 }, {
   // This is important - tells Mongoose not to enforce strict schema validation
   // which allows for fields in the DB that aren't in the schema
@@ -30,6 +63,9 @@ const alarmSchema = new mongoose.Schema({
   versionKey: false
 });
 
+// Serves the default newest-first page of the alarm query
+alarmSchema.index({ CreatedTimestamp: -1, _id: -1 });
+
 // Log that we're initializing the Alarm model
 console.log('📋 Initializing Alarm model to access MongoDB collection');
 
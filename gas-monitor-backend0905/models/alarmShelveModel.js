@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Who performed a suppression change - copied from the JWT so the audit trail survives user deletion
+const actorSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    email: String
+}, { _id: false });
+
+// An alarm code shelved on one device until shelvedUntil - kept after unshelving as history
+const alarmShelveSchema = new mongoose.Schema({
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
+    deviceName: { type: String, required: true },
+    alarmCode: { type: String, required: true, uppercase: true, trim: true },
+    reason: { type: String, default: '' },
+    shelvedUntil: { type: Date, required: true },
+    shelvedBy: { type: actorSchema, default: null },
+    active: { type: Boolean, default: true },
+    unshelvedAt: { type: Date, default: null },
+    unshelvedBy: { type: actorSchema, default: null }
+}, { timestamps: true });
+
+alarmShelveSchema.index({ active: 1, deviceName: 1, alarmCode: 1 });
+alarmShelveSchema.index({ active: 1, shelvedUntil: 1 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('AlarmShelve', alarmShelveSchema) : mongoose.model('AlarmShelve', alarmShelveSchema);
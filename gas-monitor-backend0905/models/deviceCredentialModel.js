@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// API key a device posts telemetry with - only the SHA-256 hash of the key is stored, the prefix identifies it in the UI
+const deviceCredentialSchema = new mongoose.Schema({
+    deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true, index: true },
+    label: { type: String, trim: true, default: '' },
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Set on the key a rotation replaced, which keeps working until then so the device can be updated
+    expiresAt: { type: Date, default: null },
+    rotatedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null }
+}, { timestamps: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('DeviceCredential', deviceCredentialSchema) : mongoose.model('DeviceCredential', deviceCredentialSchema);
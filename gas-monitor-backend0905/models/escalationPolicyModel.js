@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+const { ROLES } = require('../middleware/roleMiddleware');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+
+// One escalation step - who to notify once an alarm has been unacknowledged for delayMinutes
+const escalationStepSchema = new mongoose.Schema({
+    delayMinutes: { type: Number, required: true, min: 0 },
+    roles: [{ type: String, enum: ROLES }],
+    userIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+}, { _id: false });
+
+// Escalation policy of a plant - steps run in order of delayMinutes until the alarm is acknowledged
+const escalationPolicySchema = new mongoose.Schema({
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true, unique: true },
+    name: { type: String, required: true, trim: true },
+    severities: { type: [{ type: String, enum: SEVERITY_LEVELS }], default: ['critical'] },
+    steps: { type: [escalationStepSchema], default: [] },
+    enabled: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('EscalationPolicy', escalationPolicySchema) : mongoose.model('EscalationPolicy', escalationPolicySchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Planned maintenance for a plant - alarms raised inside the window are recorded but suppressed
+// An empty deviceNames list covers every device of the plant
+const maintenanceWindowSchema = new mongoose.Schema({
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
+    deviceNames: { type: [String], default: [] },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    reason: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+maintenanceWindowSchema.index({ plantId: 1, endsAt: 1 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('MaintenanceWindow', maintenanceWindowSchema) : mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Registry entry describing one sensor metric, e.g. alcoholLevel - see config/telemetryMetrics.js
+const metricDefinitionSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true, trim: true, match: /^[a-zA-Z][a-zA-Z0-9_]*$/ },
+    displayName: { type: String, required: true, trim: true },
+    unit: { type: String, default: '' },
+    precision: { type: Number, min: 0, max: 6, default: 1 },
+    validMin: { type: Number, default: null },
+    validMax: { type: Number, default: null },
+    valueType: { type: String, enum: ['number', 'boolean'], default: 'number' },
+    // Field names the value is stored under - empty uses the PascalCase and camelCase forms of the key
+    fields: { type: [String], default: [] },
+    // Device types that report this metric - empty means every device
+    deviceTypes: { type: [String], default: [] },
+    color: { type: String, default: null },
+    chart: { type: Boolean, default: true },
+    gauge: { type: Boolean, default: true },
+    thresholdDirection: { type: String, enum: ['high', 'low'], default: 'high' },
+    defaultThreshold: { type: Number, default: null },
+    defaultTolerance: { type: Number, default: null },
+    alarmCodes: {
+        high: { type: String, default: null },
+        low: { type: String, default: null }
+    },
+    order: { type: Number, default: 0 },
+    enabled: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('MetricDefinition', metricDefinitionSchema) : mongoose.model('MetricDefinition', metricDefinitionSchema);
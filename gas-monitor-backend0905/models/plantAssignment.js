@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Links a user to a plant they are responsible for
+const plantAssignmentSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A user can only be assigned to the same plant once
+plantAssignmentSchema.index({ userId: 1, plantId: 1 }, { unique: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('PlantAssignment', plantAssignmentSchema) : mongoose.model('PlantAssignment', plantAssignmentSchema);
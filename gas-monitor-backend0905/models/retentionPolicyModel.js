@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Days to keep data for - null falls back to the global default from the environment
+const retentionDays = { type: Number, min: 1, default: null };
+
+// Retention policy of a plant - how long its devices' telemetry and its closed alarms are kept
+const retentionPolicySchema = new mongoose.Schema({
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true, unique: true },
+    rawTelemetryDays: retentionDays,
+    minuteRollupDays: retentionDays,
+    hourlyRollupDays: retentionDays,
+    dailyRollupDays: retentionDays,
+    closedAlarmDays: retentionDays,
+    // Write expiring data to compressed NDJSON files before it is deleted - null uses the global default
+    archive: { type: Boolean, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('RetentionPolicy', retentionPolicySchema) : mongoose.model('RetentionPolicy', retentionPolicySchema);
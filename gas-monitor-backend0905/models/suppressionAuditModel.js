@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+const SUPPRESSION_AUDIT_ACTIONS = [
+    'shelved',
+    'unshelved',
+    'shelve_expired',
+    'window_created',
+    'window_updated',
+    'window_deleted',
+    'alarm_suppressed'
+];
+
+// One entry in the shelving and maintenance window audit trail
+const suppressionAuditSchema = new mongoose.Schema({
+    action: { type: String, enum: SUPPRESSION_AUDIT_ACTIONS, required: true },
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', default: null },
+    shelveId: { type: mongoose.Schema.Types.ObjectId, ref: 'AlarmShelve', default: null },
+    windowId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaintenanceWindow', default: null },
+    alarmId: { type: String, default: null },
+    deviceName: { type: String, default: '' },
+    alarmCode: { type: String, default: '' },
+    details: { type: String, default: '' },
+    // null for changes made by the server, e.g. automatic unshelving
+    by: {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        name: String,
+        email: String
+    },
+    timestamp: { type: Date, default: Date.now }
+});
+
+suppressionAuditSchema.index({ plantId: 1, timestamp: -1 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+const SuppressionAudit = testDB ? testDB.model('SuppressionAudit', suppressionAuditSchema) : mongoose.model('SuppressionAudit', suppressionAuditSchema);
+
+module.exports = SuppressionAudit;
+module.exports.SUPPRESSION_AUDIT_ACTIONS = SUPPRESSION_AUDIT_ACTIONS;
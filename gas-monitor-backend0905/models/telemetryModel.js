@@ -1,27 +1,13 @@
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
 
+// Sensor values are stored under the field names in the metric registry (see services/metricRegistryService.js),
+// so the schema only declares the fields every reading has and lets the registry metrics through unchecked
 const telemetrySchema = new mongoose.Schema({
   DeviceName: {
     type: String,
     required: true,
   },
-  Temperature: {
-    type: Number,
-    default: 0,
-  },
-  Humidity: {
-    type: Number,
-    default: 0,
-  },
-  OilLevel: {
-    type: Number,
-    default: 0,
-  },
-  OpenAlerts: {
-    type: Number,
-    default: 0,
-  },
   Category: {
     type: String,
     default: () => new Date().toISOString().substring(0, 7), // YYYY-MM format
@@ -33,7 +19,7 @@ const telemetrySchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
-});
+}, { strict: false });
 
 // Ensure indexes for faster queries
 telemetrySchema.index({ DeviceName: 1, Timestamp: -1 });
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Alarm limits for one metric (type) of one device
+// `threshold` is the original single limit and is still honoured when highLimit/lowLimit are not set
+const thresholdSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  type: { type: String, required: true },
+  threshold: { type: Number, default: null },
+  highLimit: { type: Number, default: null },
+  lowLimit: { type: Number, default: null },
+  // Distance the value must move back inside the limit before the rule can trigger again
+  deadband: { type: Number, default: 0, min: 0 },
+  // How long a limit must be continuously violated before an alarm is raised
+  minDurationSeconds: { type: Number, default: 0, min: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Create a compound index for fast lookups
+thresholdSchema.index({ deviceId: 1, type: 1 }, { unique: true });
+
+// Initialize the threshold model with the main database
+module.exports = mongoose.model('Threshold', thresholdSchema);
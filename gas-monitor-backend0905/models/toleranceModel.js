@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Create a tolerance model and collection for parameters that control how much a value needs to change to be considered significant
+const toleranceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  type: { type: String, required: true },
+  tolerance: { type: Number, required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Create a compound index for fast lookups
+toleranceSchema.index({ deviceId: 1, type: 1 }, { unique: true });
+
+// Initialize the tolerance model with the main database
+module.exports = mongoose.model('Tolerance', toleranceSchema);
@@ -1,6 +1,9 @@
 //usermodel is 
 const mongoose = require('mongoose');
 const { getTestDB } = require('../config/db');
+const { ROLES } = require('../middleware/roleMiddleware');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+const { UNIT_SYSTEMS } = require('../config/units');
  
 const userSchema = new mongoose.Schema({
 
@@ -34,6 +37,42 @@ const userSchema = new mongoose.Schema({
 
   },
 
+  role: {
+
+    type: String,
+
+    enum: ROLES,
+
+    default: 'viewer'
+
+  },
+
+  // Per-user notification opt-in - alarms are only sent for subscribed plants and devices
+  notificationPreferences: {
+
+    email: {
+
+      enabled: { type: Boolean, default: false },
+
+      minSeverity: { type: String, enum: SEVERITY_LEVELS, default: 'major' },
+
+      plantIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plant' }],
+
+      deviceNames: [{ type: String, trim: true }]
+
+    }
+
+  },
+
+  // Units telemetry is shown in - a unit system plus per-metric overrides, e.g. { temperature: '°C' }
+  unitPreferences: {
+
+    system: { type: String, enum: [...UNIT_SYSTEMS, null], default: null },
+
+    overrides: { type: Map, of: String, default: {} }
+
+  },
+
   createdAt: {
 
     type: Date,
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// One attempt series to deliver an event to a webhook
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    eventType: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    responseStatus: { type: Number, default: null },
+    error: { type: String, default: '' },
+    lastAttemptAt: { type: Date, default: null },
+    nextAttemptAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('WebhookDelivery', webhookDeliverySchema) : mongoose.model('WebhookDelivery', webhookDeliverySchema);
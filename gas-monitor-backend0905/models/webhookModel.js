@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENT_TYPES = [
+    'alarm.raised',
+    'alarm.cleared',
+    'alarm.status_changed',
+    'alarm.escalated',
+    'device.created',
+    'device.updated',
+    'device.deleted'
+];
+
+// Outbound webhook subscription - an empty plantIds list receives events from every plant
+const webhookSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    secret: { type: String, required: true },
+    eventTypes: { type: [{ type: String, enum: WEBHOOK_EVENT_TYPES }], default: ['alarm.raised'] },
+    plantIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plant' }],
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+const Webhook = testDB ? testDB.model('Webhook', webhookSchema) : mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
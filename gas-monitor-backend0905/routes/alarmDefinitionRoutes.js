@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const alarmDefinitionController = require('../controllers/alarmDefinitionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Any authenticated user may read the catalogue, only super admins may change it
+router.use(authMiddleware);
+
+router.get('/', alarmDefinitionController.getAlarmDefinitions);
+router.get('/:code', alarmDefinitionController.getAlarmDefinition);
+router.post('/', requireRole('super-admin'), alarmDefinitionController.createAlarmDefinition);
+router.put('/:code', requireRole('super-admin'), alarmDefinitionController.updateAlarmDefinition);
+router.delete('/:code', requireRole('super-admin'), alarmDefinitionController.deleteAlarmDefinition);
+
+module.exports = router;
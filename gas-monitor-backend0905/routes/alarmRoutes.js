@@ -1,10 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const alarmController = require('../controllers/alarmController');
+const authMiddleware = require('../middleware/authMiddleware');
+const plantScope = require('../middleware/plantScopeMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Every alarm route requires an authenticated user, scoped to their plants
+router.use(authMiddleware, plantScope);
 
 // Get all alarms
 router.get('/', alarmController.getAllAlarms);
 
+// Query alarms with filters, sorting and cursor pagination
+router.get('/query', alarmController.queryAlarms);
+
+// Alarm counts, MTTA/MTTR, top alarm codes and time-of-day distribution
+router.get('/analytics', alarmController.getAlarmAnalytics);
+
 // Get alarms by plant name and device name (query parameters)
 router.get('/filter', alarmController.getAlarmsByPlantAndDevice);
 
@@ -20,4 +32,13 @@ router.put('/:alarmId/read', alarmController.markAlarmAsRead);
 // Mark all alarms as read
 router.put('/read/all', alarmController.markAllAlarmsAsRead);
 
+// Get users alarms can be assigned to
+router.get('/assignees', requireRole('plant-admin'), alarmController.getAssignees);
+
+// Alarm lifecycle: New → Acknowledged → Assigned → Resolved → Closed
+router.put('/:alarmId/acknowledge', requireRole('operator'), alarmController.acknowledgeAlarm);
+router.put('/:alarmId/assign', requireRole('plant-admin'), alarmController.assignAlarm);
+router.put('/:alarmId/resolve', requireRole('operator'), alarmController.resolveAlarm);
+router.put('/:alarmId/close', requireRole('plant-admin'), alarmController.closeAlarm);
+
 module.exports = router;
\ No newline at end of file
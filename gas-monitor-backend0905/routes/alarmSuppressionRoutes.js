@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const alarmSuppressionController = require('../controllers/alarmSuppressionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const plantScope = require('../middleware/plantScopeMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Every suppression route requires an authenticated user, scoped to their plants
+router.use(authMiddleware, plantScope);
+
+// Operators shelve alarm codes on a device for a bounded time
+router.get('/shelves', alarmSuppressionController.getShelves);
+router.post('/shelves', requireRole('operator'), alarmSuppressionController.createShelve);
+router.delete('/shelves/:id', requireRole('operator'), alarmSuppressionController.deleteShelve);
+
+// Plant admins schedule maintenance windows
+router.get('/maintenance-windows', alarmSuppressionController.getMaintenanceWindows);
+router.post('/maintenance-windows', requireRole('plant-admin'), alarmSuppressionController.createMaintenanceWindow);
+router.put('/maintenance-windows/:id', requireRole('plant-admin'), alarmSuppressionController.updateMaintenanceWindow);
+router.delete('/maintenance-windows/:id', requireRole('plant-admin'), alarmSuppressionController.deleteMaintenanceWindow);
+
+// Audit trail of shelving, unshelving, windows and suppressed alarms
+router.get('/audit', alarmSuppressionController.getAuditTrail);
+
+module.exports = router;
@@ -1,6 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser } = require('../controllers/authController');
+const {
+  registerUser,
+  loginUser,
+  getUsers,
+  updateUserRole,
+  getPreferences,
+  updatePreferences,
+  sendTestNotification
+} = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
  
 // Registration route
 router.post('/register', registerUser);
@@ -8,4 +18,13 @@ router.post('/register', registerUser);
 // Login route
 router.post('/login', loginUser);
  
+// User role management (super-admin only)
+router.get('/users', authMiddleware, requireRole('super-admin'), getUsers);
+router.put('/users/:id/role', authMiddleware, requireRole('super-admin'), updateUserRole);
+ 
+// Notification and units preferences of the logged in user
+router.get('/preferences', authMiddleware, getPreferences);
+router.put('/preferences', authMiddleware, updatePreferences);
+router.post('/preferences/test-email', authMiddleware, sendTestNotification);
+ 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const { registerDeviceInAzure } = require("../services/azureService");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireRole } = require("../middleware/roleMiddleware");
 
 // Register a new device in Azure IoT Hub
-router.post("/register-device", async (req, res) => {
+router.post("/register-device", authMiddleware, requireRole("plant-admin"), async (req, res) => {
   console.log("Registering device in Azure IoT Hub...");
   console.log("Request body:", req.body);
   console.log("Request headers:", req.headers);
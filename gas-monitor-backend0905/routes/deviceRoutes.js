@@ -1,14 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const Device = require('../models/Device');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+const plantScope = require('../middleware/plantScopeMiddleware');
+const { canAccessPlant } = require('../services/plantAccessService');
+const { dispatchEvent } = require('../services/webhookService');
+const {
+  listDeviceKeys,
+  createDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
+  deleteDeviceKeys
+} = require('../services/deviceCredentialService');
+const { publishCommand } = require('../services/mqttBridgeService');
+ 
+router.use(authMiddleware, plantScope);
+ 
+// Reject requests for a plant outside the caller's assignments
+const denyPlant = (res) => res.status(403).json({ message: 'Access denied to this plant' });
+ 
+// Check the plant of an existing device against the caller's assignments
+const canAccessDeviceById = async (req, id) => {
+  const device = await Device.findById(id);
+  return !!device && canAccessPlant(req.plantScope, device.plantId.toString());
+};
  
 // ✅ GET all devices (optionally filter by plantId)
 router.get('/', async (req, res) => {
   try {
     const { plantId } = req.query;
+    if (plantId && !canAccessPlant(req.plantScope, plantId)) {
+      return denyPlant(res);
+    }
+ 
+    // Without a plantId only devices of the caller's plants are listed
     const devices = plantId
       ? await Device.find({ plantId })
-      : await Device.find();
+      : await Device.find(req.plantScope.unrestricted ? {} : { plantId: { $in: req.plantScope.plantIds } });
     res.json(devices);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -22,6 +51,9 @@ router.get('/parents', async (req, res) => {
     if (!plantId) {
       return res.status(400).json({ message: 'Missing plantId in query' });
     }
+    if (!canAccessPlant(req.plantScope, plantId)) {
+      return denyPlant(res);
+    }
  
     const parentDevices = await Device.find({ plantId, parentDeviceId: null }); // 👈 only top-level devices
     res.json(parentDevices);
@@ -35,6 +67,9 @@ router.get('/parents', async (req, res) => {
 router.get('/:parentId/children', async (req, res) => {
   try {
     const { parentId } = req.params;
+    if (!(await canAccessDeviceById(req, parentId))) {
+      return denyPlant(res);
+    }
     const children = await Device.find({ parentDeviceId: parentId });
     res.json(children);
   } catch (error) {
@@ -44,10 +79,14 @@ router.get('/:parentId/children', async (req, res) => {
 });
  
 // ✅ POST - Add a new device (parentDeviceId can be null or device _id)
-router.post('/', async (req, res) => {
+router.post('/', requireRole('plant-admin'), async (req, res) => {
   try {
+    if (!canAccessPlant(req.plantScope, req.body.plantId)) {
+      return denyPlant(res);
+    }
     const newDevice = new Device(req.body);
     await newDevice.save();
+    dispatchEvent('device.created', newDevice.toObject(), { plantId: newDevice.plantId });
     res.status(201).json(newDevice);
   } catch (error) {
     console.error('Error adding device:', error);
@@ -56,9 +95,16 @@ router.post('/', async (req, res) => {
 });
  
 // ✅ PUT - Edit a device
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('plant-admin'), async (req, res) => {
   try {
+    if (!(await canAccessDeviceById(req, req.params.id))) {
+      return denyPlant(res);
+    }
+    if (req.body.plantId && !canAccessPlant(req.plantScope, req.body.plantId)) {
+      return denyPlant(res);
+    }
     const updatedDevice = await Device.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    dispatchEvent('device.updated', updatedDevice.toObject(), { plantId: updatedDevice.plantId });
     res.json(updatedDevice);
   } catch (error) {
     console.error('Error updating device:', error);
@@ -67,9 +113,14 @@ router.put('/:id', async (req, res) => {
 });
  
 // ✅ DELETE - Remove a device
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('plant-admin'), async (req, res) => {
   try {
-    await Device.findByIdAndDelete(req.params.id);
+    if (!(await canAccessDeviceById(req, req.params.id))) {
+      return denyPlant(res);
+    }
+    const deletedDevice = await Device.findByIdAndDelete(req.params.id);
+    await deleteDeviceKeys(req.params.id);
+    dispatchEvent('device.deleted', deletedDevice.toObject(), { plantId: deletedDevice.plantId });
     res.json({ message: 'Device deleted' });
   } catch (error) {
     console.error('Error deleting device:', error);
@@ -77,4 +128,94 @@ router.delete('/:id', async (req, res) => {
   }
 });
  
+// ✅ GET - API keys of a device (prefixes only, keys are never returned after they are issued)
+router.get('/:id/keys', requireRole('plant-admin'), async (req, res) => {
+  try {
+    if (!(await canAccessDeviceById(req, req.params.id))) {
+      return denyPlant(res);
+    }
+    res.json(await listDeviceKeys(req.params.id));
+  } catch (error) {
+    console.error('Error fetching device keys:', error);
+    res.status(500).json({ message: 'Server error while fetching device keys' });
+  }
+});
+ 
+// ✅ POST - Issue an additional API key for a device, the key is in the response only this once
+router.post('/:id/keys', requireRole('plant-admin'), async (req, res) => {
+  try {
+    if (!(await canAccessDeviceById(req, req.params.id))) {
+      return denyPlant(res);
+    }
+    const issued = await createDeviceKey(req.params.id, { label: req.body.label, userId: req.user.userId });
+    res.status(201).json(issued);
+  } catch (error) {
+    console.error('Error issuing device key:', error);
+    res.status(500).json({ message: 'Error issuing device key' });
+  }
+});
+ 
+// ✅ POST - Rotate the API keys of a device, the replaced keys keep working for graceHours
+router.post('/:id/keys/rotate', requireRole('plant-admin'), async (req, res) => {
+  try {
+    if (!(await canAccessDeviceById(req, req.params.id))) {
+      return denyPlant(res);
+    }
+    const options = { label: req.body.label, userId: req.user.userId };
+    if (req.body.graceHours !== undefined && req.body.graceHours !== '') {
+      options.graceHours = req.body.graceHours;
+    }
+    const rotated = await rotateDeviceKey(req.params.id, options);
+    if (rotated.error) {
+      return res.status(400).json({ message: rotated.error });
+    }
+    res.status(201).json(rotated);
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+    res.status(500).json({ message: 'Error rotating device key' });
+  }
+});
+ 
+// ✅ DELETE - Revoke an API key of a device at once
+router.delete('/:id/keys/:keyId', requireRole('plant-admin'), async (req, res) => {
+  try {
+    if (!(await canAccessDeviceById(req, req.params.id))) {
+      return denyPlant(res);
+    }
+    const revoked = await revokeDeviceKey(req.params.id, req.params.keyId, req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Device key not found' });
+    }
+    res.json(revoked);
+  } catch (error) {
+    console.error('Error revoking device key:', error);
+    res.status(500).json({ message: 'Error revoking device key' });
+  }
+});
+ 
+// ✅ POST - Send a command to a device over the site's MQTT broker
+router.post('/:id/commands', requireRole('operator'), async (req, res) => {
+  try {
+    const { command, params } = req.body;
+    if (typeof command !== 'string' || !/^[a-zA-Z][\w.-]{0,63}$/.test(command)) {
+      return res.status(400).json({ message: 'command must be a name such as reboot or setInterval' });
+    }
+    if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+      return res.status(400).json({ message: 'params must be an object' });
+    }
+    const device = await Device.findById(req.params.id).lean();
+    if (!device || !canAccessPlant(req.plantScope, device.plantId.toString())) {
+      return denyPlant(res);
+    }
+    const sent = await publishCommand(device, command, params || {}, { issuedBy: req.user.email });
+    if (sent.error) {
+      return res.status(503).json({ message: sent.error });
+    }
+    res.status(202).json(sent);
+  } catch (error) {
+    console.error('Error sending device command:', error);
+    res.status(500).json({ message: 'Error sending device command' });
+  }
+});
+ 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const escalationPolicyController = require('../controllers/escalationPolicyController');
+const authMiddleware = require('../middleware/authMiddleware');
+const plantScope = require('../middleware/plantScopeMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Plant admins manage the escalation policies of their own plants
+router.use(authMiddleware, plantScope, requireRole('plant-admin'));
+
+router.get('/', escalationPolicyController.getPolicies);
+router.get('/plant/:plantId', escalationPolicyController.getPlantPolicy);
+router.put('/plant/:plantId', escalationPolicyController.savePlantPolicy);
+router.delete('/plant/:plantId', escalationPolicyController.deletePlantPolicy);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const ingestController = require('../controllers/ingestController');
+const authMiddleware = require('../middleware/authMiddleware');
+const plantScope = require('../middleware/plantScopeMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+const { hasDeviceKey, deviceKeyMiddleware } = require('../middleware/deviceKeyMiddleware');
+
+// Devices that cannot reach the Azure Event Hub post their readings here
+// Body: one reading, an array of readings or { readings: [...] }
+
+// Devices authenticate with their own API key and may only post for themselves and their child devices
+router.post('/telemetry', (req, res, next) => (hasDeviceKey(req) ? next() : next('route')), deviceKeyMiddleware, ingestController.ingestTelemetry);
+
+// Users, e.g. backfill scripts, post with their JWT for any device of their plants
+router.post('/telemetry', authMiddleware, plantScope, requireRole('operator'), ingestController.ingestTelemetry);
+
+// State of the bridge to the site's local MQTT broker
+router.get('/mqtt', authMiddleware, requireRole('super-admin'), ingestController.getMqttStatus);
+
+module.exports = router;
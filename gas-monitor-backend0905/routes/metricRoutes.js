@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const metricController = require('../controllers/metricController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Any authenticated user may read the metric registry, only super admins may change it
+router.use(authMiddleware);
+
+router.get('/', metricController.getMetrics);
+router.get('/:key', metricController.getMetric);
+router.post('/', requireRole('super-admin'), metricController.createMetric);
+router.put('/:key', requireRole('super-admin'), metricController.updateMetric);
+router.delete('/:key', requireRole('super-admin'), metricController.deleteMetric);
+
+module.exports = router;
@@ -1,11 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const Plant = require("../models/plant"); // MongoDB Model
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireRole } = require("../middleware/roleMiddleware");
+const plantScope = require("../middleware/plantScopeMiddleware");
+const PlantAssignment = require("../models/plantAssignment");
+const User = require("../models/userModel");
+const { canAccessPlant } = require("../services/plantAccessService");
+
+router.use(authMiddleware, plantScope);
 
 // GET all plants
 router.get("/", async (req, res) => {
   try {
-    const plants = await Plant.find();
+    // Only list the plants the caller is assigned to
+    const filter = req.plantScope.unrestricted ? {} : { _id: { $in: req.plantScope.plantIds } };
+    const plants = await Plant.find(filter);
     if (plants.length === 0) {
       return res.status(404).json({ message: "No plants found" });
     }
@@ -17,7 +27,7 @@ router.get("/", async (req, res) => {
 });
 
 // POST (Add) a new plant
-router.post("/", async (req, res) => {
+router.post("/", requireRole("super-admin"), async (req, res) => {
   try {
     const newPlant = new Plant(req.body);
     await newPlant.save();
@@ -29,9 +39,10 @@ router.post("/", async (req, res) => {
 });
 
 // DELETE a plant
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("super-admin"), async (req, res) => {
   try {
     await Plant.findByIdAndDelete(req.params.id);
+    await PlantAssignment.deleteMany({ plantId: req.params.id });
     res.json({ message: "Plant deleted successfully" });
   } catch (error) {
     console.error("❌ Error deleting plant:", error.message);
@@ -40,9 +51,11 @@ router.delete("/:id", async (req, res) => {
 });
 
 // PUT (Update) a plant
-// PUT (Update) a plant
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireRole("plant-admin"), async (req, res) => {
   try {
+    if (!canAccessPlant(req.plantScope, req.params.id)) {
+      return res.status(403).json({ message: "Access denied to this plant" });
+    }
     const updatedPlant = await Plant.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
     });
@@ -55,5 +68,53 @@ router.put("/:id", async (req, res) => {
     res.status(500).json({ error: "Failed to update plant" });
   }
 });
+// GET users assigned to a plant
+router.get("/:id/assignments", requireRole("super-admin"), async (req, res) => {
+  try {
+    const assignments = await PlantAssignment.find({ plantId: req.params.id });
+    const users = await User.find({ _id: { $in: assignments.map(a => a.userId) } }).select("-password");
+    res.json(users);
+  } catch (error) {
+    console.error("❌ Error fetching plant assignments:", error.message);
+    res.status(500).json({ error: "Failed to fetch plant assignments" });
+  }
+});
+
+// POST (Assign) a user to a plant
+router.post("/:id/assignments", requireRole("super-admin"), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ message: "userId is required" });
+    }
+
+    const [plant, user] = await Promise.all([Plant.findById(req.params.id), User.findById(userId)]);
+    if (!plant || !user) {
+      return res.status(404).json({ message: "Plant or user not found" });
+    }
+
+    const assignment = await PlantAssignment.findOneAndUpdate(
+      { userId, plantId: plant._id },
+      { $setOnInsert: { assignedBy: req.user.userId, createdAt: new Date() } },
+      { upsert: true, new: true }
+    );
+    res.status(201).json(assignment);
+  } catch (error) {
+    console.error("❌ Error assigning user to plant:", error.message);
+    res.status(500).json({ error: "Failed to assign user to plant" });
+  }
+});
+
+// DELETE (Unassign) a user from a plant
+router.delete("/:id/assignments/:userId", requireRole("super-admin"), async (req, res) => {
+  try {
+    await PlantAssignment.deleteOne({ plantId: req.params.id, userId: req.params.userId });
+    res.json({ message: "User unassigned from plant" });
+  } catch (error) {
+    console.error("❌ Error removing plant assignment:", error.message);
+    res.status(500).json({ error: "Failed to remove plant assignment" });
+  }
+});
+
 module.exports = router;
 
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { redisClient } = require('../server');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Redis diagnostics are restricted to super-admins
+router.use(authMiddleware, requireRole('super-admin'));
 
 // Test Redis connection
 router.get('/connection', async (req, res) => {
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const retentionController = require('../controllers/retentionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const plantScope = require('../middleware/plantScopeMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Plant admins can see how long their plants' data is kept
+router.use(authMiddleware, plantScope, requireRole('plant-admin'));
+
+router.get('/defaults', retentionController.getDefaults);
+router.get('/policies', retentionController.getPolicies);
+router.get('/policies/plant/:plantId', retentionController.getPlantPolicy);
+
+// Changing retention deletes data, so only super admins may do it
+router.put('/policies/plant/:plantId', requireRole('super-admin'), retentionController.savePlantPolicy);
+router.delete('/policies/plant/:plantId', requireRole('super-admin'), retentionController.deletePlantPolicy);
+router.get('/storage', requireRole('super-admin'), retentionController.getStorageUsage);
+router.post('/run', requireRole('super-admin'), retentionController.runRetention);
+
+module.exports = router;
@@ -2,42 +2,26 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const Device = require("../models/Device");
+const Plant = require("../models/plant");
+const Threshold = require("../models/thresholdModel");
+const Tolerance = require("../models/toleranceModel");
 const { getTelemetryDB } = require("../config/db");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireRole } = require("../middleware/roleMiddleware");
+const plantScope = require("../middleware/plantScopeMiddleware");
+const { canAccessPlant, canAccessDevice } = require("../services/plantAccessService");
+const { parseExportOptions, streamTelemetryExport } = require("../services/telemetryExportService");
+const { IMPORT_FORMATS, detectImportFormat, importTelemetry } = require("../services/telemetryImportService");
+const { getMetric, isKnownMetric } = require("../services/metricRegistryService");
+const { getRequestUnits, toDisplayUnit, toStoredUnit, convertReading } = require("../services/unitService");
 const {
   getTelemetryDataByDeviceId,
   getTelemetryDataByDeviceName,
   getLatestTelemetryByDeviceName,
+  aggregateTelemetry,
   getDiagnosticData
 } = require("../services/mongoTelemetryService");
 
-// Create a threshold model and collection
-const thresholdSchema = new mongoose.Schema({
-  deviceId: { type: String, required: true },
-  type: { type: String, required: true },
-  threshold: { type: Number, required: true },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-// Create a compound index for fast lookups
-thresholdSchema.index({ deviceId: 1, type: 1 }, { unique: true });
-
-// Initialize the threshold model with the main database
-const Threshold = mongoose.model('Threshold', thresholdSchema);
-
-// Create a tolerance model and collection for parameters that control how much a value needs to change to be considered significant
-const toleranceSchema = new mongoose.Schema({
-  deviceId: { type: String, required: true },
-  type: { type: String, required: true },
-  tolerance: { type: Number, required: true },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-// Create a compound index for fast lookups
-toleranceSchema.index({ deviceId: 1, type: 1 }, { unique: true });
-
-// Initialize the tolerance model with the main database
-const Tolerance = mongoose.model('Tolerance', toleranceSchema);
-
 // 🔥 **Global function to fetch `deviceName` from MongoDB**
 const fetchDeviceName = async (deviceId) => {
     try {
@@ -49,8 +33,37 @@ const fetchDeviceName = async (deviceId) => {
     }
 };
 
+// Every telemetry route requires an authenticated user, scoped to their plants
+router.use(authMiddleware, plantScope);
+
+// 🔒 **Reject devices outside the caller's assigned plants**
+const checkDeviceAccess = async (req, res, next, deviceRef) => {
+    try {
+        if (!(await canAccessDevice(req.plantScope, deviceRef))) {
+            return res.status(403).json({ error: "Access denied to this device" });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+router.param("deviceId", checkDeviceAccess);
+router.param("deviceName", checkDeviceAccess);
+
+// 📏 **Resolve the caller's display units - the `units` query, else their saved preference**
+// Answers 400 and returns null when the `units` query is invalid
+const resolveUnits = async (req, res) => {
+    const { units, error } = await getRequestUnits(req);
+    if (error) {
+        res.status(400).json({ error });
+        return null;
+    }
+    return units;
+};
+
 // 🛠 **Diagnostic Route**
-router.get("/diagnostic", async (req, res) => {
+router.get("/diagnostic", requireRole("super-admin"), async (req, res) => {
     try {
         console.log("🔍 Running MongoDB diagnostic...");
 
@@ -69,7 +82,7 @@ router.get("/diagnostic", async (req, res) => {
 });
 
 // 🔍 **MongoDB Diagnostic Route**
-router.get("/mongodb-debug", async (req, res) => {
+router.get("/mongodb-debug", requireRole("super-admin"), async (req, res) => {
   try {
     console.log("🔍 Running MongoDB collection inspection...");
     
@@ -120,6 +133,8 @@ router.get("/latest/:deviceId", async (req, res) => {
     try {
         const { deviceId } = req.params;
         console.log(`🔍 Fetching latest telemetry for device: ${deviceId}`);
+        const units = await resolveUnits(req, res);
+        if (!units) return;
         
         // First check if deviceId is a MongoDB ObjectId (looking for device document)
         let deviceName = deviceId;
@@ -151,7 +166,7 @@ router.get("/latest/:deviceId", async (req, res) => {
         }
 
         console.log(`✅ Found latest telemetry for: ${deviceName}`, latestData);
-        res.json(latestData);
+        res.json(convertReading(latestData, units));
         
     } catch (error) {
         console.error("❌ Error fetching latest telemetry:", error);
@@ -164,6 +179,8 @@ router.get("/realtime/:deviceId", async (req, res) => {
     try {
         const { deviceId } = req.params;
         console.log(`📡 Fetching realtime telemetry for device: ${deviceId}`);
+        const units = await resolveUnits(req, res);
+        if (!units) return;
 
         const deviceName = await fetchDeviceName(deviceId);
         if (!deviceName) {
@@ -177,15 +194,125 @@ router.get("/realtime/:deviceId", async (req, res) => {
             return res.json([]);
         }
 
-        res.json(telemetryData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+        res.json(telemetryData
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(reading => convertReading(reading, units)));
     } catch (error) {
         console.error("❌ Error fetching realtime data:", error);
         res.json([]);
     }
 });
 
+// 📊 **Get Time-Bucketed Telemetry (min/max/avg/last per bucket)**
+// Query: from, to (ISO dates), interval (e.g. 5m, 1h, 1d or auto), metrics (comma-separated), units
+router.get("/aggregate/:deviceId", async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { from, to, interval, metrics } = req.query;
+        const units = await resolveUnits(req, res);
+        if (!units) return;
+
+        // Accept either the device's MongoDB ID or its name
+        let deviceName = deviceId;
+        if (mongoose.Types.ObjectId.isValid(deviceId)) {
+            deviceName = (await fetchDeviceName(deviceId)) || deviceId;
+        }
+
+        const result = await aggregateTelemetry(deviceName, { from, to, interval, metrics });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({
+            ...result,
+            units: Object.fromEntries(result.metrics.map(metric => [metric, units[metric]])),
+            buckets: result.buckets.map(bucket => convertReading(bucket, units))
+        });
+    } catch (error) {
+        console.error("❌ Error aggregating telemetry:", error);
+        res.status(500).json({ error: "Failed to aggregate telemetry" });
+    }
+});
+
+// 📤 **Export Raw Telemetry as CSV or XLSX**
+// Query: deviceId (ID or name) or plantId, from, to (ISO dates), format (csv or xlsx), timezone, metrics (comma-separated), units
+router.get("/export", async (req, res) => {
+    try {
+        const { deviceId, plantId } = req.query;
+        const { options, error } = parseExportOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const units = await resolveUnits(req, res);
+        if (!units) return;
+
+        let name;
+        let deviceNames;
+        if (deviceId) {
+            if (!(await canAccessDevice(req.plantScope, deviceId))) {
+                return res.status(403).json({ error: "Access denied to this device" });
+            }
+            name = mongoose.Types.ObjectId.isValid(deviceId) ? (await fetchDeviceName(deviceId)) || deviceId : deviceId;
+            deviceNames = [name];
+        } else if (plantId) {
+            if (!mongoose.Types.ObjectId.isValid(plantId)) {
+                return res.status(400).json({ error: "Invalid plant id" });
+            }
+            if (!canAccessPlant(req.plantScope, plantId)) {
+                return res.status(403).json({ error: "Access denied to this plant" });
+            }
+            const plant = await Plant.findById(plantId);
+            if (!plant) {
+                return res.status(404).json({ error: "Plant not found" });
+            }
+            name = plant.plantName;
+            deviceNames = (await Device.find({ plantId }, "deviceName")).map(device => device.deviceName);
+        } else {
+            return res.status(400).json({ error: "deviceId or plantId is required" });
+        }
+
+        await streamTelemetryExport(res, deviceNames, name, { ...options, units });
+    } catch (error) {
+        console.error("❌ Error exporting telemetry:", error);
+        // Once the file has started there is no way to report the error except cutting it short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: "Failed to export telemetry" });
+    }
+});
+
+// 📥 **Import Historical Telemetry for a Device**
+// Body: the CSV or NDJSON file itself. Query: format (csv or ndjson, otherwise taken from the content type),
+// timezone (for timestamps without an offset, UTC by default)
+router.post("/import/:deviceId", requireRole("plant-admin"), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const format = detectImportFormat(req.query.format, req.headers["content-type"]);
+        if (!format) {
+            return res.status(400).json({ error: `Send the file as ${IMPORT_FORMATS.join(' or ')}, via the format query or the content type (text/csv, application/x-ndjson)` });
+        }
+
+        const deviceName = mongoose.Types.ObjectId.isValid(deviceId) ? await fetchDeviceName(deviceId) : deviceId;
+        if (!deviceName) {
+            return res.status(404).json({ error: "Device not found" });
+        }
+
+        console.log(`📥 Importing ${format.toUpperCase()} telemetry for ${deviceName} (by ${req.user.email})`);
+        const report = await importTelemetry(req, deviceName, { format, timezone: req.query.timezone });
+        if (report.error) {
+            return res.status(400).json({ error: report.error });
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error("❌ Error importing telemetry:", error);
+        res.status(500).json({ error: "Failed to import telemetry" });
+    }
+});
+
 // EventHub MongoDB Connection Test - Moved here to prevent it being caught by the /:deviceId route
-router.get('/eventhub-test', async (req, res) => {
+router.get('/eventhub-test', requireRole("super-admin"), async (req, res) => {
   try {
     console.log('🔍 Testing EventHub to MongoDB data flow...');
     
@@ -265,6 +392,8 @@ router.get("/:deviceId", async (req, res) => {
     try {
         const { deviceId } = req.params;
         console.log(`📜 Fetching historical telemetry for device: ${deviceId}`);
+        const units = await resolveUnits(req, res);
+        if (!units) return;
 
         const deviceName = await fetchDeviceName(deviceId);
         if (!deviceName) {
@@ -278,7 +407,7 @@ router.get("/:deviceId", async (req, res) => {
             return res.json([]);
         }
 
-        res.json(historicalData);
+        res.json(historicalData.map(reading => convertReading(reading, units)));
     } catch (error) {
         console.error("❌ Error fetching historical data:", error);
         res.json([]);
@@ -290,6 +419,8 @@ router.get("/saved-latest/:deviceName", async (req, res) => {
     try {
         const { deviceName } = req.params;
         console.log(`🔍 [API] Fetching saved-latest telemetry for: ${deviceName}`);
+        const units = await resolveUnits(req, res);
+        if (!units) return;
 
         // Fetch latest entry from MongoDB
         const latestTelemetry = await getLatestTelemetryByDeviceName(deviceName);
@@ -298,7 +429,7 @@ router.get("/saved-latest/:deviceName", async (req, res) => {
             return res.status(404).json({ message: "No telemetry data found for this device." });
         }
 
-        res.json(latestTelemetry);
+        res.json(convertReading(latestTelemetry, units));
     } catch (error) {
         console.error("❌ Error in /saved-latest/:deviceName:", error);
         res.status(500).json({ message: "Internal server error" });
@@ -306,7 +437,7 @@ router.get("/saved-latest/:deviceName", async (req, res) => {
 });
 
 // Add direct device lookup route for debugging
-router.get("/device-lookup/:deviceName", async (req, res) => {
+router.get("/device-lookup/:deviceName", requireRole("super-admin"), async (req, res) => {
   try {
     const { deviceName } = req.params;
     console.log(`🔍 Looking up device in MongoDB: ${deviceName}`);
@@ -359,7 +490,7 @@ router.get("/device-lookup/:deviceName", async (req, res) => {
   }
 });
 
-router.post('/threshold/:deviceId', async (req, res) => {
+router.post('/threshold/:deviceId', requireRole("operator"), async (req, res) => {
     const { deviceId } = req.params;
     const { metric, threshold } = req.body;
   
@@ -379,63 +510,107 @@ router.post('/threshold/:deviceId', async (req, res) => {
     }
   });
 
+// Threshold fields in the caller's units - the limits are readings, the deadband a difference
+const thresholdResponse = (type, thresholdDoc, units) => ({
+  threshold: toDisplayUnit(type, thresholdDoc.threshold, units),
+  highLimit: toDisplayUnit(type, thresholdDoc.highLimit, units),
+  lowLimit: toDisplayUnit(type, thresholdDoc.lowLimit, units),
+  deadband: toDisplayUnit(type, thresholdDoc.deadband, units, { delta: true }),
+  minDurationSeconds: thresholdDoc.minDurationSeconds,
+  unit: units[type]
+});
+
 // Get threshold value for a specific device and type
 router.get("/threshold/:deviceId/:type", async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     console.log(`🔍 Fetching threshold for device ${deviceId}, type ${type}`);
+    const units = await resolveUnits(req, res);
+    if (!units) return;
     
     // Find the threshold in the database
     const thresholdDoc = await Threshold.findOne({ deviceId, type });
     
     if (!thresholdDoc) {
-      // Return default thresholds if none exist
-      const defaultThresholds = {
-        temperature: 35,  // Default temperature threshold (35°C)
-        humidity: 70,    // Default humidity threshold (70%)
-        oilLevel: 15     // Default oil level threshold (15%)
-      };
+      // Return the registry default if none exist
+      const metric = getMetric(type);
+      const defaultThreshold = metric && metric.defaultThreshold !== null ? metric.defaultThreshold : 0;
       
-      console.log(`ℹ️ No threshold found, returning default value for ${type}: ${defaultThresholds[type]}`);
-      return res.json({ threshold: defaultThresholds[type] || 0 });
+      console.log(`ℹ️ No threshold found, returning default value for ${type}: ${defaultThreshold}`);
+      return res.json({ threshold: toDisplayUnit(type, defaultThreshold, units), unit: units[type] });
     }
     
     console.log(`✅ Found threshold: ${thresholdDoc.threshold}`);
-    res.json({ threshold: thresholdDoc.threshold });
+    res.json(thresholdResponse(type, thresholdDoc, units));
   } catch (error) {
     console.error(`❌ Error fetching threshold:`, error);
     res.status(500).json({ error: "Failed to fetch threshold value" });
   }
 });
 
+// Limits arrive as numbers or numeric strings, anything else would reach the database as NaN
+const isNumber = (value) => value !== '' && typeof value !== 'boolean' && Number.isFinite(Number(value));
+
 // Update threshold value for a specific device and type
-router.post("/threshold/:deviceId/:type", async (req, res) => {
+router.post("/threshold/:deviceId/:type", requireRole("operator"), async (req, res) => {
   try {
     const { deviceId, type } = req.params;
-    const { threshold } = req.body;
+    const { threshold, highLimit, lowLimit, deadband, minDurationSeconds } = req.body;
+    const isSet = (value) => value !== undefined && value !== null;
+    
+    if (!isKnownMetric(type)) {
+      return res.status(400).json({ error: `Unknown metric: ${type}` });
+    }
+    const units = await resolveUnits(req, res);
+    if (!units) return;
     
-    if (threshold === undefined || threshold === null) {
+    if (!isSet(threshold) && !isSet(highLimit) && !isSet(lowLimit)) {
       return res.status(400).json({ error: "Threshold value is required" });
     }
     
-    console.log(`🔄 Updating threshold for device ${deviceId}, type ${type} to ${threshold}`);
+    const invalid = Object.entries({ threshold, highLimit, lowLimit, deadband, minDurationSeconds })
+      .find(([, value]) => isSet(value) && !isNumber(value));
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid[0]} must be a number` });
+    }
+    if (Number(deadband) < 0 || Number(minDurationSeconds) < 0) {
+      return res.status(400).json({ error: "Deadband and minimum duration cannot be negative" });
+    }
+    
+    console.log(`🔄 Updating threshold for device ${deviceId}, type ${type} to ${JSON.stringify(req.body)}`);
+    
+    // Values arrive in the caller's units and are stored in the metric's registry unit
+    const toStored = (value, options) => (isSet(value) ? toStoredUnit(type, Number(value), units, options) : value);
+    
+    // Only overwrite the fields that were sent so the single-value form keeps working
+    const update = { updatedAt: new Date() };
+    if (isSet(threshold)) update.threshold = toStored(threshold);
+    if (highLimit !== undefined) update.highLimit = toStored(highLimit);
+    if (lowLimit !== undefined) update.lowLimit = toStored(lowLimit);
+    if (isSet(deadband)) update.deadband = toStored(deadband, { delta: true });
+    if (isSet(minDurationSeconds)) update.minDurationSeconds = Number(minDurationSeconds);
+    
+    // A single limit is checked against the one already stored, so the pair can never end up inverted
+    const existing = await Threshold.findOne({ deviceId, type });
+    const merged = (field) => (field in update ? update[field] : existing && existing[field]);
+    if (isSet(merged('highLimit')) && isSet(merged('lowLimit')) && merged('lowLimit') >= merged('highLimit')) {
+      return res.status(400).json({ error: "Low limit must be below high limit" });
+    }
     
     // Use findOneAndUpdate with upsert to create if it doesn't exist
     const result = await Threshold.findOneAndUpdate(
       { deviceId, type },
-      { 
-        threshold, 
-        updatedAt: new Date() 
-      },
+      update,
       { 
         upsert: true, 
         new: true,
+        runValidators: true,
         setDefaultsOnInsert: true 
       }
     );
     
     console.log(`✅ Threshold updated successfully: ${result.threshold}`);
-    res.json({ success: true, threshold: result.threshold });
+    res.json({ success: true, ...thresholdResponse(type, result, units) });
   } catch (error) {
     console.error(`❌ Error updating threshold:`, error);
     res.status(500).json({ error: "Failed to update threshold value" });
@@ -447,24 +622,24 @@ router.get("/tolerance/:deviceId/:type", async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     console.log(`🔍 Fetching tolerance for device ${deviceId}, type ${type}`);
+    const units = await resolveUnits(req, res);
+    if (!units) return;
     
     // Find the tolerance in the database
     const toleranceDoc = await Tolerance.findOne({ deviceId, type });
     
     if (!toleranceDoc) {
-      // Return default tolerances if none exist
-      const defaultTolerances = {
-        temperature: 0.5,  // Default temperature tolerance (0.5°C)
-        humidity: 2.0,    // Default humidity tolerance (2%)
-        oilLevel: 1.0     // Default oil level tolerance (1%)
-      };
+      // Return the registry default if none exist
+      const metric = getMetric(type);
+      const defaultTolerance = metric && metric.defaultTolerance !== null ? metric.defaultTolerance : 1.0;
       
-      console.log(`ℹ️ No tolerance found, returning default value for ${type}: ${defaultTolerances[type]}`);
-      return res.json({ tolerance: defaultTolerances[type] || 1.0 });
+      console.log(`ℹ️ No tolerance found, returning default value for ${type}: ${defaultTolerance}`);
+      return res.json({ tolerance: toDisplayUnit(type, defaultTolerance, units, { delta: true }), unit: units[type] });
     }
     
     console.log(`✅ Found tolerance: ${toleranceDoc.tolerance}`);
-    res.json({ tolerance: toleranceDoc.tolerance });
+    // The tolerance is a difference, so only the scale of the unit applies
+    res.json({ tolerance: toDisplayUnit(type, toleranceDoc.tolerance, units, { delta: true }), unit: units[type] });
   } catch (error) {
     console.error(`❌ Error fetching tolerance:`, error);
     res.status(500).json({ error: "Failed to fetch tolerance value" });
@@ -472,14 +647,23 @@ router.get("/tolerance/:deviceId/:type", async (req, res) => {
 });
 
 // Update tolerance value for a specific device and type
-router.post("/tolerance/:deviceId/:type", async (req, res) => {
+router.post("/tolerance/:deviceId/:type", requireRole("operator"), async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     const { tolerance } = req.body;
     
+    if (!isKnownMetric(type)) {
+      return res.status(400).json({ error: `Unknown metric: ${type}` });
+    }
+    
     if (tolerance === undefined || tolerance === null) {
       return res.status(400).json({ error: "Tolerance value is required" });
     }
+    if (!isNumber(tolerance)) {
+      return res.status(400).json({ error: "Tolerance must be a number" });
+    }
+    const units = await resolveUnits(req, res);
+    if (!units) return;
     
     console.log(`🔄 Updating tolerance for device ${deviceId}, type ${type} to ${tolerance}`);
     
@@ -487,7 +671,7 @@ router.post("/tolerance/:deviceId/:type", async (req, res) => {
     const result = await Tolerance.findOneAndUpdate(
       { deviceId, type },
       { 
-        tolerance, 
+        tolerance: toStoredUnit(type, Number(tolerance), units, { delta: true }), 
         updatedAt: new Date() 
       },
       { 
@@ -498,7 +682,7 @@ router.post("/tolerance/:deviceId/:type", async (req, res) => {
     );
     
     console.log(`✅ Tolerance updated successfully: ${result.tolerance}`);
-    res.json({ success: true, tolerance: result.tolerance });
+    res.json({ success: true, tolerance: toDisplayUnit(type, result.tolerance, units, { delta: true }), unit: units[type] });
   } catch (error) {
     console.error(`❌ Error updating tolerance:`, error);
     res.status(500).json({ error: "Failed to update tolerance value" });
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Webhooks send plant data to external systems, so only super admins may manage them
+router.use(authMiddleware, requireRole('super-admin'));
+
+router.get('/', webhookController.getWebhooks);
+router.post('/', webhookController.createWebhook);
+router.get('/:id', webhookController.getWebhook);
+router.put('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.get('/:id/deliveries', webhookController.getDeliveries);
+router.post('/:id/test', webhookController.testWebhook);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Promote Super Admin CLI
+ * Only the first account registered on an empty database becomes super-admin, so deployments that already had
+ * users when roles were introduced start without one. This promotes an existing user from the command line.
+ *
+ *   npm run promote-admin -- admin@example.com
+ *
+ * Without an email it lists the current super admins.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const HELP = `Usage: npm run promote-admin -- <email>
+
+  Promotes the user with this email to super-admin. Without an email the current super admins are listed.`;
+
+/**
+ * Promote a user to super-admin, or list the super admins when no email is given
+ * @param {string} [email] - Email of the user to promote
+ * @returns {Promise<void>}
+ */
+const promoteSuperAdmin = async (email) => {
+  const { connectDB, getTestDB, getTelemetryDB } = require('../config/db');
+  const mongoose = require('mongoose');
+  await connectDB();
+  // Models bind to the connection when they are first required, so only after connecting
+  const User = require('../models/userModel');
+
+  try {
+    if (!email) {
+      const admins = await User.find({ role: 'super-admin' }).select('name email').lean();
+      console.log(admins.length
+        ? `👑 Super admins:\n${admins.map(admin => `  ${admin.email} (${admin.name})`).join('\n')}`
+        : '⚠️ There is no super admin yet');
+      return;
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) {
+      throw new Error(`No user with email ${email}`);
+    }
+    if (user.role === 'super-admin') {
+      console.log(`👑 ${user.email} already is a super admin`);
+      return;
+    }
+
+    const previousRole = user.role || 'viewer';
+    user.role = 'super-admin';
+    await user.save();
+    console.log(`👑 Promoted ${user.email} from ${previousRole} to super-admin - they have to log in again to get the new role`);
+  } finally {
+    await Promise.all([getTestDB().close(), getTelemetryDB().close(), mongoose.disconnect()]);
+  }
+};
+
+if (require.main === module) {
+  const [email] = process.argv.slice(2);
+  if (email === '--help' || email === '-h') {
+    console.log(HELP);
+  } else {
+    promoteSuperAdmin(email)
+      .then(() => {
+        if (!email) console.log(`\n${HELP}`);
+      })
+      .catch((error) => {
+        console.error('❌ Promotion failed:', error.message);
+        process.exitCode = 1;
+      });
+  }
+}
+
+module.exports = {
+  promoteSuperAdmin
+};
@@ -0,0 +1,347 @@
+/**
+ * Device Simulator CLI
+ * Runs virtual devices that publish realistic telemetry through the same paths real devices use, so the dashboards,
+ * rule engine and alarms can be demoed and load-tested without hardware.
+ *
+ *   npm run simulate -- --plants "Plant A,Plant B" --devices 5 --profiles steady:3,leaking-oil --token <jwt>
+ *   npm run simulate -- --seed 42 --start 2026-01-01T00:00:00Z --duration 1d --speed max --transport stdout > day.ndjson
+ *
+ * Run with --help for every option. The seed and start time are printed so any run can be replayed exactly.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const axios = require('axios');
+const {
+  PROFILES,
+  PROFILE_NAMES,
+  parseProfileMix,
+  createVirtualDevices,
+  takeReading
+} = require('../utils/deviceSimulator');
+
+const TRANSPORTS = ['ingest', 'redis', 'mqtt', 'stdout'];
+
+// Live runs send what has become due once a second
+const TICK_MS = 1000;
+
+// The ingest rejects readings stamped further ahead than this, the MQTT bridge stores through the ingest too
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const HELP = `Usage: npm run simulate -- [options]
+
+  --plants <names>       Comma separated plant names (default "Plant A")
+  --devices <n>          Virtual devices per plant (default 3)
+  --profiles <mix>       Profiles with optional weights, e.g. steady:3,drifting (default all)
+  --interval <duration>  Time between readings of a device, e.g. 10s (default 10s)
+  --seed <seed>          Seed of the run, the same seed replays the same readings (default random)
+  --start <time>         Simulated time of the first readings (default now)
+  --duration <duration>  Stop after this much simulated time, e.g. 30m, 6h, 2d (default run until stopped)
+  --speed <x|max>        Simulated seconds per real second, max sends as fast as possible (default 1)
+  --transport <name>     ${TRANSPORTS.join(', ')} (default ingest)
+  --url <url>            Backend for the ingest transport (default SIM_API_URL or http://localhost:PORT)
+  --token <jwt>          Operator token for the ingest transport (default SIM_API_TOKEN)
+  --batch <n>            Readings per ingest request (default 500)
+  --redis-url <url>      Redis for the redis transport (default REDIS_URL)
+  --mqtt-url <url>       Broker for the mqtt transport (default MQTT_URL)
+  --topic <template>     MQTT topic, {plant} and {device} are filled in (default plants/{plant}/devices/{device}/telemetry)
+  --register             Create the virtual devices in MongoDB if they do not exist yet
+  --quiet                Only print the summary
+
+Profiles:
+${PROFILE_NAMES.map(name => `  ${name.padEnd(16)} ${PROFILES[name].description}`).join('\n')}
+
+Transports:
+  ingest   POST /api/ingest/telemetry - stored, published to Redis and checked by the rule engine
+  redis    Publish on the Redis telemetry channel - live dashboards and alarms only, nothing is stored
+  mqtt     Publish to the site broker for the MQTT bridge
+  stdout   Print NDJSON, which the telemetry import accepts`;
+
+/**
+ * Parse a duration such as 500ms, 10s, 5m, 2h or 1d
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds, null when invalid
+ */
+const parseDuration = (value) => {
+  const match = String(value).match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/);
+  if (!match) return null;
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return Math.round(parseFloat(match[1]) * units[match[2]]);
+};
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Options, or { error }
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) return { error: `Unexpected argument ${arg}` };
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (['register', 'quiet', 'help'].includes(name)) {
+      args[name] = true;
+    } else if (inline !== undefined) {
+      args[name] = inline;
+    } else if (argv[index + 1] !== undefined && !argv[index + 1].startsWith('--')) {
+      args[name] = argv[index += 1];
+    } else {
+      return { error: `Missing value for --${name}` };
+    }
+  }
+  if (args.help) return { help: true };
+
+  const { profiles, error } = parseProfileMix(args.profiles || 'all');
+  if (error) return { error };
+
+  const options = {
+    plantNames: (args.plants || 'Plant A').split(',').map(name => name.trim()).filter(Boolean),
+    devicesPerPlant: parseInt(args.devices || '3', 10),
+    profiles,
+    intervalMs: parseDuration(args.interval || '10s'),
+    seed: args.seed || String(Math.floor(Math.random() * 1e9)),
+    start: args.start ? new Date(args.start) : new Date(),
+    durationMs: args.duration ? parseDuration(args.duration) : null,
+    speed: args.speed === 'max' ? Infinity : parseFloat(args.speed || '1'),
+    transport: args.transport || 'ingest',
+    url: (args.url || process.env.SIM_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ''),
+    token: args.token || process.env.SIM_API_TOKEN,
+    batchSize: parseInt(args.batch || '500', 10),
+    redisUrl: args['redis-url'] || process.env.REDIS_URL || 'redis://localhost:6379',
+    mqttUrl: args['mqtt-url'] || process.env.MQTT_URL,
+    topic: args.topic || 'plants/{plant}/devices/{device}/telemetry',
+    register: !!args.register,
+    quiet: !!args.quiet
+  };
+
+  if (options.plantNames.length === 0) return { error: '--plants needs at least one plant name' };
+  if (!(options.devicesPerPlant > 0)) return { error: '--devices must be a positive number' };
+  if (!(options.intervalMs >= 100)) return { error: '--interval must be a duration of at least 100ms, e.g. 10s' };
+  if (isNaN(options.start.getTime())) return { error: `Invalid --start time: ${args.start}` };
+  if (args.duration && !(options.durationMs > 0)) return { error: '--duration must be a duration such as 30m or 2h' };
+  if (!(options.speed > 0)) return { error: '--speed must be a positive number or max' };
+  if (options.speed !== 1 && !options.durationMs) return { error: '--speed other than 1 needs a --duration' };
+  if (!TRANSPORTS.includes(options.transport)) return { error: `--transport must be one of: ${TRANSPORTS.join(', ')}` };
+  if (!(options.batchSize > 0 && options.batchSize <= 1000)) return { error: '--batch must be between 1 and 1000' };
+  if (options.transport === 'ingest' && !options.token) return { error: 'The ingest transport needs --token or SIM_API_TOKEN' };
+  if (options.transport === 'mqtt' && !options.mqttUrl) return { error: 'The mqtt transport needs --mqtt-url or MQTT_URL' };
+
+  // At speed 1 readings keep their distance to the clock, faster runs end at start + duration
+  const lastReadingAt = options.speed === 1 ? options.start.getTime() : options.start.getTime() + options.durationMs;
+  if (['ingest', 'mqtt'].includes(options.transport) && lastReadingAt > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return {
+      error: options.speed === 1
+        ? `The ${options.transport} transport rejects future readings, --start must not be after now`
+        : `The ${options.transport} transport rejects future readings, --start plus --duration must not be after now ` +
+          `(start ${new Date(Date.now() - options.durationMs).toISOString()} or earlier)`
+    };
+  }
+  return options;
+};
+
+/**
+ * Open the transport readings are sent with
+ * @param {Object} options - From parseArgs
+ * @param {Object} summary - Run counters, updated with what the backend reports
+ * @returns {Promise<Object>} - { send(readings), close() }
+ */
+const openTransport = async (options, summary) => {
+  if (options.transport === 'stdout') {
+    return {
+      send: async (readings) => {
+        for (const { deviceName, timestamp, metrics } of readings) {
+          process.stdout.write(`${JSON.stringify({ deviceName, timestamp: timestamp.toISOString(), ...metrics })}\n`);
+        }
+      },
+      close: async () => {}
+    };
+  }
+
+  if (options.transport === 'ingest') {
+    const url = `${options.url}/api/ingest/telemetry`;
+    return {
+      send: async (readings) => {
+        for (let offset = 0; offset < readings.length; offset += options.batchSize) {
+          const batch = readings.slice(offset, offset + options.batchSize)
+            .map(({ deviceName, timestamp, metrics }) => ({ deviceName, timestamp: timestamp.toISOString(), metrics }));
+          // A 400 still carries the report when every reading of the batch was rejected
+          const response = await axios.post(url, { readings: batch }, {
+            headers: { Authorization: `Bearer ${options.token}` },
+            validateStatus: status => status < 300 || status === 400
+          });
+          const report = response.data;
+          if (report.received === undefined) {
+            throw new Error(`Ingest failed: ${report.error || response.status}`);
+          }
+          summary.stored += report.stored;
+          summary.duplicates += report.duplicates;
+          summary.rejected += report.rejected;
+          if (!options.quiet) {
+            for (const result of report.results.filter(item => item && item.status === 'rejected')) {
+              console.warn(`⚠️ ${batch[result.index].deviceName} @ ${batch[result.index].timestamp} rejected: ${result.error}`);
+            }
+          }
+        }
+      },
+      close: async () => {}
+    };
+  }
+
+  if (options.transport === 'redis') {
+    const { createClient } = require('redis');
+    const client = createClient({ url: options.redisUrl });
+    client.on('error', error => console.error('❌ Redis error:', error.message));
+    await client.connect();
+    return {
+      // Same shape redisService publishes for stored readings
+      send: async (readings) => {
+        for (const { deviceName, plantName, timestamp, metrics } of readings) {
+          await client.publish('telemetry', JSON.stringify({ deviceId: deviceName, deviceName, ...metrics, timestamp, plantName }));
+        }
+      },
+      close: () => client.quit()
+    };
+  }
+
+  const mqtt = require('mqtt');
+  const client = mqtt.connect(options.mqttUrl, { reconnectPeriod: 1000 });
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('error', reject);
+  });
+  return {
+    send: async (readings) => {
+      for (const { deviceName, plantName, timestamp, metrics } of readings) {
+        const topic = options.topic.replace('{plant}', plantName).replace('{device}', deviceName);
+        await new Promise((resolve, reject) => {
+          client.publish(topic, JSON.stringify({ timestamp, metrics }), { qos: 1 }, error => (error ? reject(error) : resolve()));
+        });
+      }
+    },
+    close: () => new Promise(resolve => client.end(false, {}, resolve))
+  };
+};
+
+/**
+ * Create the virtual devices in MongoDB so the ingest transport and the MQTT bridge accept their readings
+ * @param {Array<Object>} devices - Virtual devices
+ * @returns {Promise<void>}
+ */
+const registerDevices = async (devices) => {
+  const { connectDB, getTestDB, getTelemetryDB } = require('../config/db');
+  const mongoose = require('mongoose');
+  await connectDB();
+  // Models bind to the connection when they are first required, so only after connecting
+  const Device = require('../models/Device');
+  const Plant = require('../models/plant');
+
+  try {
+    let created = 0;
+    for (const plantName of [...new Set(devices.map(device => device.plantName))]) {
+      const plant = await Plant.findOne({ plantName }).lean();
+      if (!plant) {
+        throw new Error(`Plant ${plantName} does not exist, create it first or pick another --plants`);
+      }
+      for (const device of devices.filter(candidate => candidate.plantName === plantName)) {
+        const { upsertedCount } = await Device.updateOne(
+          { deviceName: device.deviceName },
+          { $setOnInsert: { deviceName: device.deviceName, serialNumber: device.deviceName, macId: 'SIMULATED', commissionedDate: new Date(), plantId: plant._id } },
+          { upsert: true }
+        );
+        created += upsertedCount;
+      }
+    }
+    console.error(`🧩 Registered ${created} new virtual device(s), ${devices.length - created} already existed`);
+  } finally {
+    await Promise.all([getTestDB().close(), getTelemetryDB().close(), mongoose.disconnect()]);
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run the simulation
+ * @param {Object} options - From parseArgs
+ * @returns {Promise<Object>} - Summary counters
+ */
+const simulate = async (options) => {
+  const devices = createVirtualDevices(options);
+  const log = (...args) => { if (!options.quiet) console.error(...args); };
+
+  // Progress goes to stderr so the stdout transport's NDJSON stays clean
+  console.error(`🎛️ Simulating ${devices.length} device(s) via ${options.transport} - seed ${options.seed}, start ${options.start.toISOString()}`);
+  for (const device of devices) log(`   ${device.deviceName} (${device.plantName}): ${device.profileName}`);
+
+  if (options.register) await registerDevices(devices);
+
+  const summary = { generated: 0, offline: 0, sent: 0, stored: 0, duplicates: 0, rejected: 0 };
+  const transport = await openTransport(options, summary);
+  const endAt = options.durationMs ? options.start.getTime() + options.durationMs : Infinity;
+  const wallStart = Date.now();
+  let stopping = false;
+  const stop = () => { stopping = true; };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    let simNow = options.start.getTime();
+    while (!stopping) {
+      if (options.speed === Infinity) {
+        // Jump straight to the next reading due and send about one reading per device at a time
+        simNow = Math.min(...devices.map(device => device.nextAt)) + options.intervalMs;
+      } else {
+        await sleep(TICK_MS);
+        simNow = options.start.getTime() + (Date.now() - wallStart) * options.speed;
+      }
+
+      const readings = [];
+      for (const device of devices) {
+        while (device.nextAt <= Math.min(simNow, endAt)) {
+          const { reading } = takeReading(device);
+          summary.generated += 1;
+          if (reading) readings.push(reading);
+          else summary.offline += 1;
+        }
+      }
+      readings.sort((a, b) => a.timestamp - b.timestamp);
+
+      if (readings.length > 0) {
+        await transport.send(readings);
+        summary.sent += readings.length;
+        log(`📡 ${new Date(Math.min(simNow, endAt)).toISOString()} sent ${readings.length} reading(s), ${summary.sent} in total`);
+      }
+      if (simNow >= endAt) break;
+    }
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    await transport.close();
+  }
+  return summary;
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(HELP);
+  } else if (options.error) {
+    console.error(`❌ ${options.error}\n\n${HELP}`);
+    process.exitCode = 1;
+  } else {
+    simulate(options)
+      .then((summary) => {
+        console.error(`✅ Simulation finished: ${JSON.stringify(summary)}`);
+        console.error(`   Replay with --seed ${options.seed} --start ${options.start.toISOString()}`);
+      })
+      .catch((error) => {
+        console.error('❌ Simulation failed:', error.response ? error.response.data : error.message);
+        process.exitCode = 1;
+      });
+  }
+}
+
+module.exports = {
+  parseDuration,
+  parseArgs,
+  simulate
+};
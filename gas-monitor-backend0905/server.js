@@ -6,6 +6,10 @@ const socketIo = require("socket.io");
 const redis = require("redis");
 
 const { connectDB } = require("./config/db");
+const authMiddleware = require("./middleware/authMiddleware");
+const { requireRole } = require("./middleware/roleMiddleware");
+const socketAuthMiddleware = require("./middleware/socketAuthMiddleware");
+const { resolveAlarmSeverity } = require("./services/alarmDefinitionService");
 
 // Route imports - wait for database before importing
 let authRoutes, plantRoutes, deviceRoutes, telemetryRoutes, azureDeviceRoutes, alarmRoutes;
@@ -45,6 +49,9 @@ io.engine.on("connection_error", (err) => {
   console.log("Connection error:", err);
 });
 
+// Require a valid JWT for every socket connection
+io.use(socketAuthMiddleware);
+
 // Log when Socket.IO server starts
 console.log('🔌 Enhanced Socket.IO server configured for cross-origin communication');
 
@@ -96,6 +103,8 @@ redisClient.on("ready", () => {
 
 // Middleware
 app.use(cors());
+// Telemetry batches from HTTP devices are larger than the default body limit allows
+app.use('/api/ingest', express.json({ limit: process.env.INGEST_BODY_LIMIT || '5mb' }));
 app.use(express.json());
 
 // Initialize routes after DB connection
@@ -121,6 +130,7 @@ if (!alarmRoutes) {
   
   // Create a router for alarms
   const alarmRouter = express.Router();
+  alarmRouter.use(authMiddleware);
   
   // Connect to the MongoDB collection directly
   const { MongoClient } = require('mongodb');
@@ -478,17 +488,43 @@ app.use('/api/redis', redisTestRoutes);
 // Socket.IO connection handling
 io.on("connection", (socket) => {
   console.log(`🔌 New client connected: ${socket.id}`);
+  // Required here as their models bind to the database connection when loaded
+  const { canAccessPlant, canAccessDevice } = require("./services/plantAccessService");
+  const { getSocketScope, joinScopedRooms } = require("./services/socketRoomService");
+  
+  // Alarm updates for the user's plants reach every page, not only subscribed dashboards
+  joinScopedRooms(socket);
   
-  // Handle device subscription
-  socket.on("subscribe", (deviceId) => {
-    console.log(`👂 Client ${socket.id} subscribed to device: ${deviceId}`);
-    socket.join(`device:${deviceId}`);
+  // Handle device subscription, limited to devices of the user's assigned plants
+  socket.on("subscribe", async (deviceId) => {
+    try {
+      const scope = await getSocketScope(socket);
+      if (!(await canAccessDevice(scope, String(deviceId)))) {
+        console.warn(`🚫 Client ${socket.id} denied subscription to device: ${deviceId}`);
+        socket.emit("subscription_error", { deviceId, message: "Access denied to this device" });
+        return;
+      }
+      console.log(`👂 Client ${socket.id} subscribed to device: ${deviceId}`);
+      socket.join(`device:${deviceId}`);
+    } catch (error) {
+      console.error(`❌ Error checking device access: ${error.message}`);
+    }
   });
   
-  // Handle plant subscription
-  socket.on("subscribePlant", (plantId) => {
-    console.log(`👂 Client ${socket.id} subscribed to plant: ${plantId}`);
-    socket.join(`plant:${plantId}`);
+  // Handle plant subscription, limited to the user's assigned plants
+  socket.on("subscribePlant", async (plantId) => {
+    try {
+      const scope = await getSocketScope(socket);
+      if (!canAccessPlant(scope, plantId)) {
+        console.warn(`🚫 Client ${socket.id} denied subscription to plant: ${plantId}`);
+        socket.emit("subscription_error", { plantId, message: "Access denied to this plant" });
+        return;
+      }
+      console.log(`👂 Client ${socket.id} subscribed to plant: ${plantId}`);
+      socket.join(`plant:${plantId}`);
+    } catch (error) {
+      console.error(`❌ Error checking plant access: ${error.message}`);
+    }
   });
   
   // Handle client disconnection
@@ -531,7 +567,7 @@ setInterval(async () => {
     
     // Subscribe to telemetry channel with enhanced logging
     console.log('🔎 Subscribing to "telemetry" Redis channel...');
-    await redisSub.subscribe("telemetry", (message) => {
+    await redisSub.subscribe("telemetry", async (message) => {
       telemetryMsgCount++;
       console.log(`🟢 [REDIS] Received telemetry message #${telemetryMsgCount} from Redis: ${message.substring(0, 50)}...`);
       
@@ -546,55 +582,10 @@ setInterval(async () => {
         const telemetryData = JSON.parse(message);
         const deviceId = telemetryData.deviceId || telemetryData.device;
         const deviceName = telemetryData.deviceName || telemetryData.DeviceName || deviceId;
+        console.log(`📡 Received telemetry data for device: ${deviceName}`);
         
-        // Check if this is from esp32_04 - various ways to identify it
-        const isEsp32_04 = deviceId === 'esp32_04' || 
-                          deviceName?.toLowerCase().includes('esp32_04') || 
-                          telemetryData?.device?.toLowerCase() === 'esp32_04' ||
-                          telemetryData?.deviceId?.toLowerCase() === 'esp32_04';
-        
-        // Enhanced logging for ESP32_04
-        if (isEsp32_04) {
-          console.log(`🔵 CRITICAL: Received ESP32_04 telemetry: ${JSON.stringify(telemetryData).substring(0, 200)}...`);
-          
-          // BROADCAST ESP32_04 DATA DIRECTLY TO ALL CLIENTS in multiple ways to ensure reception
-          console.log(`💥 Broadcasting ESP32_04 data to ALL clients via MULTIPLE channels`);
-          
-          // Method 1: Direct broadcast to all sockets
-          io.emit("telemetry", telemetryData);
-          
-          // Method 2: ESP32_04 specific channel
-          io.emit("telemetry_esp32_04", telemetryData);
-          
-          // Method 3: Device-specific room
-          io.to(`device:esp32_04`).emit("telemetry-esp32_04", telemetryData);
-          
-          // Method 4: Global broadcast with type identifier
-          io.emit("broadcast", { type: "esp32_04_data", data: telemetryData });
-          
-          // Method 5: Send to all connected socket clients individually for maximum reliability
-          const connectedSockets = Array.from(io.sockets.sockets).map(socket => socket[1]);
-          console.log(`💿 Sending to ${connectedSockets.length} individual sockets`);
-          
-          connectedSockets.forEach(socket => {
-            socket.emit("telemetry-esp32_04", telemetryData);
-          });
-          
-        } else {
-          // Normal handling for other devices
-          console.log(`📡 Received telemetry data for device: ${deviceName}`);
-          
-          // Emit to specific device room
-          io.to(`device:${deviceId}`).emit("telemetry", telemetryData);
-        }
-        
-        // Also emit to plant room if we can determine the plant
-        const plantName = telemetryData.plantName || 
-                         (deviceName.includes("esp32_04") ? "Plant D" : "Plant C");
-        const plantId = plantName === "Plant D" ? 2 : 1; // Map plant names to IDs
-        
-        console.log(`Emitting to plant:${plantId} for device ${deviceName}`);
-        io.to(`plant:${plantId}`).emit("telemetry", telemetryData);
+        // Only clients subscribed to the device or its plant receive the reading
+        await require("./services/socketRoomService").emitToPlant(io, "telemetry", telemetryData, { alarm: false });
       } catch (err) {
         console.error("❌ Error processing telemetry message:", err);
       }
@@ -602,7 +593,7 @@ setInterval(async () => {
     
     // Subscribe to alarm channel with enhanced logging
     console.log('🔎 Subscribing to "alarms" Redis channel...');
-    await redisSub.subscribe("alarms", (message) => {
+    await redisSub.subscribe("alarms", async (message) => {
       alarmMsgCount++;
       console.log(`🟢 [REDIS] Received alarm message #${alarmMsgCount} from Redis: ${message.substring(0, 50)}...`);
       
@@ -613,25 +604,51 @@ setInterval(async () => {
         
         const alarmData = parsed;
         const deviceId = alarmData.deviceId || alarmData.DeviceId;
+        const alarmDedup = require("./services/alarmDedupService");
+        
+        // Count every alarm towards the plant's alarm rate - the flood alarm itself is not counted
+        const isFloodAlarm = (alarmData.AlarmCode || alarmData.alarmCode) === alarmDedup.FLOOD_ALARM_CODE;
+        const inFlood = !isFloodAlarm && alarmDedup.recordAlarmArrival(alarmData.PlantName || alarmData.plantName);
+        
+        // Repeats of an open alarm only bump its occurrence count
+        if (!isFloodAlarm && await alarmDedup.foldPublishedAlarm(alarmData)) {
+          return;
+        }
+        
+        // Alarms from the EventHub listener carry no severity - derive it from the code catalogue
+        alarmData.Severity = resolveAlarmSeverity(alarmData.Severity || alarmData.severity,
+          alarmData.AlarmCode || alarmData.alarmCode);
+        
+        alarmData.InFlood = inFlood;
+        
+        // Flag alarms from shelved codes or inside a maintenance window before anyone sees them
+        const suppression = await require("./services/suppressionService").applySuppression(alarmData);
         
         console.log(`🚨 Received alarm data for device: ${deviceId}`);
         
-        // Emit to all clients
-        io.emit("alarm", alarmData);
-        console.log(`💥 Broadcasting alarm to ALL connected clients (${io.engine.clientsCount} clients)`);
+        // Only users of the alarm's plant receive it
+        const { emitToPlant } = require("./services/socketRoomService");
+        await emitToPlant(io, "alarm", alarmData);
         
-        // Emit to specific device room
-        if (deviceId) {
-          io.to(`device:${deviceId}`).emit("alarm", alarmData);
-          console.log(`💢 Emitting alarm to device room: device:${deviceId}`);
+        // Suppressed alarms are recorded and listed but nobody is notified
+        if (suppression) {
+          console.log(`🔕 Alarm ${alarmData.AlarmCode || alarmData.alarmCode} on ${alarmData.DeviceName || alarmData.deviceName} suppressed (${suppression.Type})`);
+          return;
         }
         
-        // Also emit to plant room
-        const plantId = alarmData.plantId || 
-                      (alarmData.plantName === "Plant D" ? 2 : 1);
+        // During a flood the single flood alarm is announced instead of each alarm
+        if (inFlood) {
+          console.log(`🌊 Alarm ${alarmData.AlarmCode || alarmData.alarmCode} not announced during the alarm flood at ${alarmData.PlantName || alarmData.plantName}`);
+          return;
+        }
         
-        io.to(`plant:${plantId}`).emit("alarm", alarmData);
-        console.log(`🏭 Emitting alarm to plant room: plant:${plantId}`);
+        // Email subscribers so alarms reach people without the dashboard open
+        require("./services/notificationService").notifyAlarm(alarmData);
+        
+        // Forward to external systems such as the maintenance ticketing system
+        require("./services/webhookService").dispatchEvent("alarm.raised", alarmData, {
+          plantName: alarmData.PlantName || alarmData.plantName
+        });
         
         // Extra processing for alarms to maintain ordering
         setTimeout(() => {
@@ -648,15 +665,19 @@ setInterval(async () => {
             message: alarmData.message || alarmData.Message || '',
             description: alarmData.description || alarmData.desc || alarmData.alarmDescription || alarmData.AlarmDescription || '',
             status: alarmData.status || 'New',
-            severity: alarmData.severity || 'Warning',
+            severity: alarmData.Severity,
             createdTimestamp: alarmData.createdTimestamp || alarmData.CreatedTimestamp || new Date().toISOString(),
             isRead: false
           };
           
           console.log(`🔔 Broadcasting COMPLETE notification: ${JSON.stringify(notificationData).substring(0, 100)}...`);
           
-          // Send to all clients with a small delay to ensure they're processed one by one
-          io.emit("alarm_notification", notificationData);
+          // Routed by the alarm itself, the notification's plant name may only be a display fallback
+          emitToPlant(io, "alarm_notification", notificationData, { refs: {
+            plantId: alarmData.plantId,
+            plantName: alarmData.PlantName || alarmData.plantName,
+            deviceName: alarmData.DeviceName || alarmData.deviceName || deviceId
+          } });
         }, 200); // Add a 200ms delay between notifications to ensure they're processed one by one
       } catch (err) {
         console.error("❌ Error processing alarm message:", err);
@@ -678,6 +699,13 @@ const initializeRoutes = () => {
   telemetryRoutes = require("./routes/telemetryRoutes");
   azureDeviceRoutes = require("./routes/azureDevice");
   alarmRoutes = require("./routes/alarmRoutes");
+  const alarmDefinitionRoutes = require("./routes/alarmDefinitionRoutes");
+  const webhookRoutes = require("./routes/webhookRoutes");
+  const escalationPolicyRoutes = require("./routes/escalationPolicyRoutes");
+  const alarmSuppressionRoutes = require("./routes/alarmSuppressionRoutes");
+  const retentionRoutes = require("./routes/retentionRoutes");
+  const metricRoutes = require("./routes/metricRoutes");
+  const ingestRoutes = require("./routes/ingestRoutes");
   
   // Set up routes
   app.use("/api/auth", authRoutes);
@@ -686,6 +714,13 @@ const initializeRoutes = () => {
   app.use("/api/telemetry", telemetryRoutes);
   app.use("/api/azure", azureDeviceRoutes);
   app.use("/api/alarms", alarmRoutes);
+  app.use("/api/alarm-definitions", alarmDefinitionRoutes);
+  app.use("/api/webhooks", webhookRoutes);
+  app.use("/api/escalation-policies", escalationPolicyRoutes);
+  app.use("/api/alarm-suppressions", alarmSuppressionRoutes);
+  app.use("/api/retention", retentionRoutes);
+  app.use("/api/metrics", metricRoutes);
+  app.use("/api/ingest", ingestRoutes);
 };
 
 // Connect to multiple MongoDB databases (test and oxygen_monitor)
@@ -705,13 +740,44 @@ connectDB()
     app.set('redisClient', redisClient);
     app.set('io', io);
 
+    // Load the alarm code catalogue used to enrich alarms
+    require('./services/alarmDefinitionService').initAlarmDefinitions();
+
+    // Load the sensor metric registry used by ingestion, the APIs and the rule engine
+    require('./services/metricRegistryService').initMetricRegistry();
+
+    // Retry webhook deliveries interrupted by a restart
+    require('./services/webhookService').resumePendingDeliveries();
+
+    // Escalate critical alarms nobody has acknowledged
+    require('./services/escalationService').startEscalationScheduler(io);
+
+    // Unshelve alarm codes once their shelve period ends
+    require('./services/suppressionService').startSuppressionScheduler(io);
+
+    // Fold repeated alarms and watch each plant's alarm rate for floods
+    require('./services/alarmDedupService').startAlarmDedup(io);
+
+    // Keep the 1-minute, 1-hour and 1-day telemetry rollups up to date
+    require('./services/telemetryRollupService').startTelemetryRollups();
+
+    // Expire telemetry, rollups and closed alarms past their plant's retention
+    require('./services/retentionService').startRetentionScheduler();
+
+    // Start evaluating telemetry against the configured thresholds (raises and clears alarms)
+    const alarmRuleEngine = require('./services/alarmRuleEngine');
+    alarmRuleEngine.startRuleEngine(redisClient, io);
+
+    // Bridge telemetry from the site's local MQTT broker when MQTT_URL is set
+    require('./services/mqttBridgeService').startMqttBridge();
+
     // Initialize WebSocket service
     const webSocketService = require('./services/websocketService');
     webSocketService.initializeWebSocketEvents();
     console.log("✅ WebSocket service initialized");
 
     // Add test route to verify Redis connectivity and data flow
-    app.get('/api/test-redis-publish', async (req, res) => {
+    app.get('/api/test-redis-publish', authMiddleware, requireRole('super-admin'), async (req, res) => {
       try {
         const testData = {
           msgCount: Math.floor(Math.random() * 1000),
@@ -741,11 +807,9 @@ connectDB()
         const publishResult = await redisClient.publish('telemetry', JSON.stringify(testData));
         console.log(`🔵 Published test message, received by ${publishResult} subscribers`);
         
-        // Also broadcast directly via WebSocket
+        // Also send directly via WebSocket to clients watching the test device or its plant
         console.log('🔵 Broadcasting test message directly via WebSocket');
-        io.emit('telemetry', testData);
-        io.emit('telemetry_esp32_04', testData);
-        io.emit('telemetry-esp32_04', testData);
+        await require('./services/socketRoomService').emitToPlant(io, 'telemetry', testData, { alarm: false });
         
         res.json({
           success: true,
@@ -763,7 +827,7 @@ connectDB()
     });
 
     // Add direct WebSocket test route
-    app.get('/api/test-websocket', (req, res) => {
+    app.get('/api/test-websocket', authMiddleware, requireRole('super-admin'), (req, res) => {
       try {
         const testData = {
           msgCount: Math.floor(Math.random() * 1000),
@@ -779,15 +843,12 @@ connectDB()
         console.log(`🔵 Clients connected: ${io.engine.clientsCount}`);
         console.log('🔵 Broadcasting test message directly via WebSocket');
         
-        // Broadcast to all channels
-        io.emit('telemetry', testData);
-        io.emit('telemetry_esp32_04', testData);
-        io.emit('telemetry-esp32_04', testData);
-        io.to('device:esp32_04').emit('telemetry', testData);
+        // Only clients watching the test device or its plant receive it
+        require('./services/socketRoomService').emitToPlant(io, 'telemetry', testData, { alarm: false });
         
         res.json({
           success: true,
-          message: `Test data broadcast directly via WebSocket to ${io.engine.clientsCount} clients`,
+          message: `Test data broadcast directly via WebSocket to clients watching ${testData.deviceId} or its plant`,
           data: testData
         });
       } catch (err) {
@@ -0,0 +1,171 @@
+/**
+ * Alarm Analytics Service
+ * Aggregates alarm counts, response times and time-of-day patterns over a period
+ */
+
+const { getTelemetryDB } = require('../config/db');
+const { buildAlarmMatch } = require('./alarmQueryService');
+
+const DEFAULT_PERIOD_DAYS = 30;
+const DEFAULT_TOP_CODES = 10;
+const MAX_TOP_CODES = 50;
+const MAX_DEVICES = 200;
+
+const PLANT_NAME = { $ifNull: ['$PlantName', { $ifNull: ['$plantName', 'Unknown'] }] };
+const DEVICE_NAME = { $ifNull: ['$DeviceName', { $ifNull: ['$deviceName', 'Unknown'] }] };
+
+/**
+ * Milliseconds between the alarm being raised and a lifecycle timestamp
+ * Alarms without the timestamp give null, which $avg ignores
+ * @param {string} field - Lifecycle timestamp field, e.g. AcknowledgedTimestamp
+ * @returns {Object} - Aggregation expression
+ */
+const durationSince = (field) => ({
+  $cond: [
+    { $and: [{ $eq: [{ $type: `$${field}` }, 'date'] }, { $eq: [{ $type: '$CreatedTimestamp' }, 'date'] }] },
+    { $subtract: [`$${field}`, '$CreatedTimestamp'] },
+    null
+  ]
+});
+
+// Repeats folded into an open alarm count as occurrences, alarms from before folding existed count once
+const OCCURRENCES = { $ifNull: ['$OccurrenceCount', 1] };
+
+// Counts and mean response times shared by every grouping - count is occurrences, the others are per alarm
+const RESPONSE_ACCUMULATORS = {
+  count: { $sum: OCCURRENCES },
+  active: { $sum: { $cond: [{ $ne: ['$IsActive', false] }, 1, 0] } },
+  acknowledged: { $sum: { $cond: [{ $eq: [{ $type: '$AcknowledgedTimestamp' }, 'date'] }, 1, 0] } },
+  resolved: { $sum: { $cond: [{ $eq: [{ $type: '$ResolvedTimestamp' }, 'date'] }, 1, 0] } },
+  mttaMs: { $avg: durationSince('AcknowledgedTimestamp') },
+  mttrMs: { $avg: durationSince('ResolvedTimestamp') }
+};
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. Europe/London
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Round a mean duration, keeping null for groups with no responses
+ * @param {number|null} value - Milliseconds
+ * @returns {number|null}
+ */
+const roundMs = (value) => (value === null || value === undefined ? null : Math.round(value));
+
+/**
+ * Shape one aggregated group for the response
+ * @param {Object} group - Group produced with RESPONSE_ACCUMULATORS
+ * @returns {Object}
+ */
+const formatGroup = ({ count, active, acknowledged, resolved, mttaMs, mttrMs }) => ({
+  count,
+  active,
+  acknowledged,
+  resolved,
+  mttaMs: roundMs(mttaMs),
+  mttrMs: roundMs(mttrMs)
+});
+
+/**
+ * Build the alarm analytics report for a period
+ * Accepts the same filters as the alarm query (plantName, deviceName, code, severity, status, search)
+ * @param {Object} params - { from, to, top, timezone, ...filters }
+ * @param {Object} scopeQuery - Query limiting alarms to the caller's plants
+ * @returns {Promise<Object>} - Report or { error }
+ */
+const getAlarmAnalytics = async (params, scopeQuery = {}) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Database connection not available');
+  }
+
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from ? new Date(params.from) : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  const timezone = params.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  const top = Math.min(Math.max(parseInt(params.top, 10) || DEFAULT_TOP_CODES, 1), MAX_TOP_CODES);
+
+  const { match, error } = buildAlarmMatch({ ...params, from, to }, scopeQuery);
+  if (error) return { error };
+
+  const [result] = await telemetryDB.collection('alarms').aggregate([
+    { $match: match },
+    {
+      $facet: {
+        summary: [{ $group: { _id: null, ...RESPONSE_ACCUMULATORS } }],
+        byPlant: [
+          { $group: { _id: PLANT_NAME, ...RESPONSE_ACCUMULATORS } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        byDevice: [
+          { $group: { _id: { plantName: PLANT_NAME, deviceName: DEVICE_NAME }, ...RESPONSE_ACCUMULATORS } },
+          { $sort: { count: -1, '_id.deviceName': 1 } },
+          { $limit: MAX_DEVICES }
+        ],
+        topCodes: [
+          {
+            $group: {
+              _id: { $ifNull: ['$AlarmCode', 'UNKNOWN'] },
+              description: { $first: '$AlarmDescription' },
+              devices: { $addToSet: DEVICE_NAME },
+              ...RESPONSE_ACCUMULATORS
+            }
+          },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: top }
+        ],
+        byHour: [
+          { $match: { CreatedTimestamp: { $type: 'date' } } },
+          // Repeats are counted at the hour their alarm was first raised
+          { $group: { _id: { $hour: { date: '$CreatedTimestamp', timezone } }, count: { $sum: OCCURRENCES } } }
+        ]
+      }
+    }
+  ]).toArray();
+
+  // Every hour is reported so charts get a full day even when some hours had no alarms
+  const hourCounts = new Map(result.byHour.map(row => [row._id, row.count]));
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, count: hourCounts.get(hour) || 0 }));
+
+  const summary = result.summary[0] || { count: 0, active: 0, acknowledged: 0, resolved: 0, mttaMs: null, mttrMs: null };
+
+  return {
+    from,
+    to,
+    timezone,
+    summary: formatGroup(summary),
+    byPlant: result.byPlant.map(group => ({ plantName: group._id, ...formatGroup(group) })),
+    byDevice: result.byDevice.map(group => ({ ...group._id, ...formatGroup(group) })),
+    topCodes: result.topCodes.map(group => ({
+      alarmCode: group._id,
+      description: group.description || '',
+      deviceCount: group.devices.length,
+      ...formatGroup(group)
+    })),
+    byHour
+  };
+};
+
+module.exports = {
+  getAlarmAnalytics
+};
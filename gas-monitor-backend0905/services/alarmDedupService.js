@@ -0,0 +1,326 @@
+/**
+ * Alarm Deduplication Service
+ * Folds repeats of an open alarm (same device and code) into that alarm with an occurrence counter,
+ * and raises one plant-level flood alarm when a plant's alarm rate goes over the limit
+ */
+
+const { getTelemetryDB } = require('../config/db');
+const { getStoredAlarmId } = require('./alarmLifecycleService');
+const { createAlarm, updateAlarmStatus } = require('./mongoAlarmService');
+const { dispatchEvent } = require('./webhookService');
+const { emitToPlant } = require('./socketRoomService');
+
+// Repeats within this time after an alarm was last seen are folded into it, even once cleared
+const DEDUP_WINDOW_MS = parseInt(process.env.ALARM_DEDUP_WINDOW_MS, 10) || 15 * 60000;
+
+// A plant is flooding when more than FLOOD_THRESHOLD alarms arrive within FLOOD_WINDOW_MS
+const FLOOD_THRESHOLD = parseInt(process.env.ALARM_FLOOD_THRESHOLD, 10) || 10;
+const FLOOD_WINDOW_MS = parseInt(process.env.ALARM_FLOOD_WINDOW_MS, 10) || 60000;
+
+const FLOOD_ALARM_CODE = 'ALARM_FLOOD';
+const FLOOD_SEVERITY = 'major';
+
+// Statuses an alarm can still be folded into - resolved and closed alarms start a new one
+const OPEN_STATUSES = ['New', 'Acknowledged', 'Assigned'];
+
+// Alarm arrival times and flood state per plant name: { arrivals, flood }
+const plantRates = new Map();
+
+let floodTimer = null;
+let io = null;
+
+/**
+ * Get the alarms collection
+ * @returns {Object}
+ */
+const getAlarmsCollection = () => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Database connection not available');
+  }
+  return telemetryDB.collection('alarms');
+};
+
+/**
+ * Find the open alarm a new occurrence should be folded into
+ * @param {Object} collection - alarms collection
+ * @param {string} deviceName - Device name
+ * @param {string} alarmCode - Alarm code
+ * @param {Object} excludeId - ObjectId of the new alarm itself, when it is already stored
+ * @returns {Promise<Object|null>} - Raw alarm document
+ */
+const findOpenAlarm = (collection, deviceName, alarmCode, excludeId) => {
+  const cutoff = new Date(Date.now() - DEDUP_WINDOW_MS);
+  const query = {
+    DeviceName: deviceName,
+    AlarmCode: alarmCode,
+    $or: [
+      {
+        Status: { $in: OPEN_STATUSES },
+        $or: [{ IsActive: true }, { LastSeenTimestamp: { $gte: cutoff } }, { CreatedTimestamp: { $gte: cutoff } }]
+      },
+      // Alarms from before the lifecycle existed have no status and are only open while active
+      { Status: { $exists: false }, IsActive: true }
+    ]
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return collection.findOne(query, { sort: { CreatedTimestamp: -1 } });
+};
+
+/**
+ * Fold a repeat of an alarm into the open alarm for the same device and code
+ * The open alarm is reactivated if it had cleared, and clients are sent the new count
+ * @param {Object} occurrence - { deviceName, alarmCode, value, timestamp, excludeId }
+ * @returns {Promise<Object|null>} - The updated alarm, or null when there was nothing to fold into
+ */
+const foldRepeatedAlarm = async ({ deviceName, alarmCode, value, timestamp, excludeId = null }) => {
+  if (!deviceName || !alarmCode) return null;
+
+  const collection = getAlarmsCollection();
+  const alarm = await findOpenAlarm(collection, deviceName, alarmCode, excludeId);
+  if (!alarm) return null;
+
+  // Alarms stored before deduplication count as their first occurrence
+  if (alarm.OccurrenceCount === undefined) {
+    await collection.updateOne(
+      { _id: alarm._id, OccurrenceCount: { $exists: false } },
+      { $set: { OccurrenceCount: 1, FirstSeenTimestamp: alarm.CreatedTimestamp } }
+    );
+  }
+
+  const update = {
+    LastSeenTimestamp: timestamp ? new Date(timestamp) : new Date(),
+    IsActive: true,
+    UpdatedTimestamp: new Date()
+  };
+  if (value !== undefined && value !== null) update.AlarmValue = String(value);
+
+  await collection.updateOne(
+    { _id: alarm._id },
+    { $inc: { OccurrenceCount: 1 }, $set: update, $unset: { ClearedTimestamp: '', ClearedValue: '' } }
+  );
+  const updated = await collection.findOne({ _id: alarm._id });
+
+  console.log(`🔁 ${alarmCode} on ${deviceName} repeated, folded into ${updated._id} (x${updated.OccurrenceCount})`);
+  await emitToPlant(io, 'alarm_occurrence', {
+    _id: updated._id,
+    AlarmCode: updated.AlarmCode,
+    DeviceName: updated.DeviceName,
+    PlantName: updated.PlantName,
+    AlarmValue: updated.AlarmValue,
+    IsActive: true,
+    OccurrenceCount: updated.OccurrenceCount,
+    FirstSeenTimestamp: updated.FirstSeenTimestamp,
+    LastSeenTimestamp: updated.LastSeenTimestamp,
+    ClearedTimestamp: null,
+    ClearedValue: ''
+  });
+  return updated;
+};
+
+/**
+ * Fold an alarm that was stored and published by another process, e.g. the EventHub listener
+ * The new document is removed once its occurrence has been counted on the open alarm.
+ * Alarms published without their stored _id are left as they are, there is no safe way to tell which document is theirs.
+ * Errors are logged and treated as not folded so a database problem cannot hide alarms
+ * @param {Object} alarmData - Alarm from the Redis alarms channel
+ * @returns {Promise<boolean>} - Whether the alarm was folded
+ */
+const foldPublishedAlarm = async (alarmData) => {
+  try {
+    const alarmId = getStoredAlarmId(alarmData);
+    if (!alarmId) return false;
+
+    const folded = await foldRepeatedAlarm({
+      deviceName: alarmData.DeviceName || alarmData.deviceName,
+      alarmCode: alarmData.AlarmCode || alarmData.alarmCode,
+      value: alarmData.AlarmValue || alarmData.alarmValue,
+      timestamp: alarmData.CreatedTimestamp || alarmData.createdTimestamp,
+      excludeId: alarmId
+    });
+    if (!folded) return false;
+
+    await getAlarmsCollection().deleteOne({ _id: alarmId });
+    return true;
+  } catch (error) {
+    console.error('❌ Error folding repeated alarm:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Get the rate state of a plant
+ * @param {string} plantName - Plant name
+ * @returns {Object} - { arrivals, flood }
+ */
+const getPlantRate = (plantName) => {
+  if (!plantRates.has(plantName)) {
+    plantRates.set(plantName, { arrivals: [], flood: null });
+  }
+  return plantRates.get(plantName);
+};
+
+/**
+ * Drop arrivals older than the flood window
+ * @param {Object} rate - Plant rate state
+ * @param {number} now - Current time in ms
+ */
+const pruneArrivals = (rate, now) => {
+  while (rate.arrivals.length > 0 && rate.arrivals[0] <= now - FLOOD_WINDOW_MS) {
+    rate.arrivals.shift();
+  }
+};
+
+/**
+ * Raise the flood alarm for a plant through the normal alarm pipeline
+ * @param {string} plantName - Plant name
+ * @param {Object} flood - Flood state, updated with the alarm id
+ * @returns {Promise<void>}
+ */
+const raiseFloodAlarm = async (plantName, flood) => {
+  try {
+    const alarm = await createAlarm({
+      DeviceName: 'Plant-wide',
+      PlantName: plantName,
+      AlarmCode: FLOOD_ALARM_CODE,
+      AlarmDescription: `Alarm flood: more than ${FLOOD_THRESHOLD} alarms in ${FLOOD_WINDOW_MS / 1000}s - ${plantName}`,
+      AlarmValue: String(flood.count),
+      Severity: FLOOD_SEVERITY,
+      IsActive: true,
+      IsRead: false,
+      Status: 'New',
+      CreatedTimestamp: flood.startedAt,
+      UpdatedTimestamp: flood.startedAt,
+      Source: 'flood-detector'
+    });
+    flood.alarmId = alarm._id;
+
+    // Required lazily - redisService loads server.js for the shared Redis client
+    await require('./redisService').publishAlarmData(alarm.toObject());
+  } catch (error) {
+    console.error(`❌ Error raising flood alarm for ${plantName}:`, error.message);
+  }
+};
+
+/**
+ * Clear the flood alarm of a plant once its alarm rate is back under the limit
+ * @param {string} plantName - Plant name
+ * @param {Object} flood - Flood state
+ * @returns {Promise<void>}
+ */
+const clearFloodAlarm = async (plantName, flood) => {
+  console.log(`🌊 Alarm flood at ${plantName} ended after ${flood.count} alarms`);
+  if (!flood.alarmId) return;
+
+  try {
+    const cleared = await updateAlarmStatus(flood.alarmId, false, {
+      ClearedTimestamp: new Date(),
+      ClearedValue: String(flood.count)
+    });
+    if (!cleared) return;
+
+    const clearedEvent = {
+      _id: cleared._id,
+      AlarmCode: cleared.AlarmCode,
+      DeviceName: cleared.DeviceName,
+      PlantName: cleared.PlantName,
+      IsActive: false,
+      Status: cleared.Status,
+      ClearedTimestamp: cleared.ClearedTimestamp,
+      ClearedValue: cleared.ClearedValue
+    };
+    await emitToPlant(io, 'alarm_cleared', clearedEvent);
+    dispatchEvent('alarm.cleared', clearedEvent, { plantName });
+  } catch (error) {
+    console.error(`❌ Error clearing flood alarm for ${plantName}:`, error.message);
+  }
+};
+
+/**
+ * Count an alarm towards its plant's alarm rate, repeats included
+ * Starts a flood when the rate goes over the limit
+ * @param {string} plantName - Plant name
+ * @returns {boolean} - Whether the plant is flooding
+ */
+const recordAlarmArrival = (plantName) => {
+  if (!plantName) return false;
+
+  const now = Date.now();
+  const rate = getPlantRate(plantName);
+  rate.arrivals.push(now);
+  pruneArrivals(rate, now);
+
+  if (rate.flood) {
+    rate.flood.count++;
+    return true;
+  }
+
+  if (rate.arrivals.length > FLOOD_THRESHOLD) {
+    rate.flood = { startedAt: new Date(now), count: rate.arrivals.length, alarmId: null };
+    console.warn(`🌊 Alarm flood at ${plantName}: ${rate.arrivals.length} alarms in ${FLOOD_WINDOW_MS / 1000}s`);
+    raiseFloodAlarm(plantName, rate.flood);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * End floods whose rate has dropped to half the limit or less
+ */
+const checkFloods = () => {
+  const now = Date.now();
+  plantRates.forEach((rate, plantName) => {
+    pruneArrivals(rate, now);
+    if (rate.flood && rate.arrivals.length <= FLOOD_THRESHOLD / 2) {
+      const flood = rate.flood;
+      rate.flood = null;
+      clearFloodAlarm(plantName, flood);
+    }
+    if (!rate.flood && rate.arrivals.length === 0) {
+      plantRates.delete(plantName);
+    }
+  });
+};
+
+/**
+ * Start flood monitoring
+ * Flood alarms left active by a previous run are cleared since their flood state was lost
+ * @param {Object} socketServer - Socket.IO server used to broadcast occurrences and cleared floods
+ * @returns {Promise<void>}
+ */
+const startAlarmDedup = async (socketServer = null) => {
+  io = socketServer;
+  floodTimer = setInterval(checkFloods, Math.min(FLOOD_WINDOW_MS, 10000));
+
+  try {
+    const result = await getAlarmsCollection().updateMany(
+      { AlarmCode: FLOOD_ALARM_CODE, IsActive: true },
+      { $set: { IsActive: false, ClearedTimestamp: new Date(), UpdatedTimestamp: new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`🌊 Cleared ${result.modifiedCount} flood alarms left active by a previous run`);
+    }
+  } catch (error) {
+    console.error('❌ Error clearing stale flood alarms:', error.message);
+  }
+  console.log(`🔁 Alarm deduplication on (${DEDUP_WINDOW_MS / 60000} min), flood limit ${FLOOD_THRESHOLD} alarms per ${FLOOD_WINDOW_MS / 1000}s`);
+};
+
+/**
+ * Stop flood monitoring
+ */
+const stopAlarmDedup = () => {
+  if (floodTimer) clearInterval(floodTimer);
+  floodTimer = null;
+};
+
+module.exports = {
+  FLOOD_ALARM_CODE,
+  foldRepeatedAlarm,
+  foldPublishedAlarm,
+  recordAlarmArrival,
+  startAlarmDedup,
+  stopAlarmDedup
+};
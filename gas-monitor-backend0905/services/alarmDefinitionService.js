@@ -0,0 +1,141 @@
+/**
+ * Alarm Definition Service
+ * Keeps an in-memory copy of the alarm definitions so alarms can be enriched synchronously
+ */
+
+const AlarmDefinition = require('../models/alarmDefinitionModel');
+const { ALARM_CATALOGUE, DEFAULT_SEVERITY, SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+
+// Definitions keyed by alarm code, null until loaded from MongoDB
+let definitionsByCode = null;
+
+/**
+ * Reload the definitions from MongoDB
+ * @returns {Promise<void>}
+ */
+const refreshDefinitions = async () => {
+  try {
+    const definitions = await AlarmDefinition.find().lean();
+    definitionsByCode = new Map(definitions.map(d => [d.code, d]));
+    console.log(`📋 Loaded ${definitions.length} alarm definitions`);
+  } catch (error) {
+    console.error('❌ Failed to load alarm definitions:', error.message);
+  }
+};
+
+/**
+ * Seed the collection from the built-in catalogue when it is empty, then load it
+ * @returns {Promise<void>}
+ */
+const initAlarmDefinitions = async () => {
+  try {
+    const count = await AlarmDefinition.countDocuments();
+    if (count === 0) {
+      const defaults = Object.entries(ALARM_CATALOGUE).map(([code, entry]) => ({ code, ...entry }));
+      await AlarmDefinition.insertMany(defaults);
+      console.log(`🌱 Seeded ${defaults.length} alarm definitions from the built-in catalogue`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to seed alarm definitions:', error.message);
+  }
+  await refreshDefinitions();
+};
+
+/**
+ * Get the definition of an alarm code
+ * Falls back to the built-in catalogue until the definitions have been loaded
+ * @param {string} alarmCode - Alarm code, e.g. IO_ALR_100
+ * @returns {Object|null}
+ */
+const getAlarmDefinition = (alarmCode) => {
+  if (!alarmCode) return null;
+  if (!definitionsByCode) {
+    return ALARM_CATALOGUE[alarmCode] ? { code: alarmCode, ...ALARM_CATALOGUE[alarmCode] } : null;
+  }
+  return definitionsByCode.get(alarmCode) || null;
+};
+
+/**
+ * Get the severity of an alarm code
+ * @param {string} alarmCode - Alarm code
+ * @returns {string} - One of SEVERITY_LEVELS
+ */
+const getAlarmSeverity = (alarmCode) => {
+  const definition = getAlarmDefinition(alarmCode);
+  return (definition && definition.severity) || DEFAULT_SEVERITY;
+};
+
+/**
+ * Get the severity of an alarm from its payload
+ * Payloads come from devices and the EventHub listener, so a severity that is not one of SEVERITY_LEVELS
+ * falls back to the definition of the alarm code instead of ranking outside every severity filter
+ * @param {string} severity - Severity the payload carries, if any
+ * @param {string} alarmCode - Alarm code
+ * @returns {string} - One of SEVERITY_LEVELS
+ */
+const resolveAlarmSeverity = (severity, alarmCode) => {
+  const normalized = typeof severity === 'string' ? severity.trim().toLowerCase() : '';
+  if (SEVERITY_LEVELS.includes(normalized)) return normalized;
+  if (normalized) console.warn(`⚠️ Ignoring unknown severity "${severity}" for alarm code ${alarmCode}`);
+  return getAlarmSeverity(alarmCode);
+};
+
+/**
+ * Build a MongoDB query matching alarms of the given severities
+ * Alarms stored before severities existed are matched through their alarm code
+ * @param {Array<string>} severities - Severities to match
+ * @returns {Object} - MongoDB query
+ */
+const buildSeverityQuery = (severities) => {
+  const knownCodes = definitionsByCode ? [...definitionsByCode.keys()] : Object.keys(ALARM_CATALOGUE);
+  const codes = knownCodes.filter(code => severities.includes(getAlarmSeverity(code)));
+  const codeMatch = severities.includes(DEFAULT_SEVERITY)
+    ? { $or: [{ AlarmCode: { $in: codes } }, { AlarmCode: { $nin: knownCodes } }] }
+    : { AlarmCode: { $in: codes } };
+
+  return {
+    $or: [
+      { Severity: { $in: severities } },
+      { Severity: { $exists: false }, ...codeMatch }
+    ]
+  };
+};
+
+/**
+ * Build an aggregation expression giving the severity rank of an alarm (0 = critical)
+ * Alarms stored before severities existed are ranked through their alarm code
+ * @returns {Object} - Aggregation expression
+ */
+const buildSeverityRankExpression = () => {
+  const knownCodes = definitionsByCode ? [...definitionsByCode.keys()] : Object.keys(ALARM_CATALOGUE);
+
+  return {
+    $switch: {
+      branches: SEVERITY_LEVELS.map((severity, rank) => ({
+        case: {
+          $or: [
+            { $eq: ['$Severity', severity] },
+            {
+              $and: [
+                { $not: ['$Severity'] },
+                { $in: ['$AlarmCode', knownCodes.filter(code => getAlarmSeverity(code) === severity)] }
+              ]
+            }
+          ]
+        },
+        then: rank
+      })),
+      default: SEVERITY_LEVELS.indexOf(DEFAULT_SEVERITY)
+    }
+  };
+};
+
+module.exports = {
+  initAlarmDefinitions,
+  refreshDefinitions,
+  getAlarmDefinition,
+  getAlarmSeverity,
+  resolveAlarmSeverity,
+  buildSeverityQuery,
+  buildSeverityRankExpression
+};
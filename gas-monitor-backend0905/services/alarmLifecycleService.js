@@ -0,0 +1,152 @@
+/**
+ * Alarm Lifecycle Service
+ * Moves alarms through New → Acknowledged → Assigned → Resolved → Closed
+ */
+
+const mongoose = require('mongoose');
+const { getTelemetryDB } = require('../config/db');
+
+const ALARM_STATUSES = ['New', 'Acknowledged', 'Assigned', 'Resolved', 'Closed'];
+
+// Allowed next states for every state - an assigned alarm may be reassigned
+const ALLOWED_TRANSITIONS = {
+  New: ['Acknowledged'],
+  Acknowledged: ['Assigned', 'Resolved', 'Closed'],
+  Assigned: ['Assigned', 'Resolved', 'Closed'],
+  Resolved: ['Closed'],
+  Closed: []
+};
+
+/**
+ * Get the lifecycle status of an alarm document
+ * Alarms created before the lifecycle existed have no Status field
+ * @param {Object} alarm - Raw alarm document
+ * @returns {string} - One of ALARM_STATUSES
+ */
+const getAlarmStatus = (alarm) => {
+  if (alarm.Status && ALARM_STATUSES.includes(alarm.Status)) {
+    return alarm.Status;
+  }
+  const isActive = typeof alarm.IsActive !== 'undefined' ? alarm.IsActive : alarm.isActive;
+  return isActive === false ? 'Closed' : 'New';
+};
+
+/**
+ * Build a query matching an alarm by ObjectId or AlarmId
+ * @param {string} alarmId - Alarm identifier from the URL
+ * @returns {Object} - MongoDB query
+ */
+const buildAlarmQuery = (alarmId) => {
+  const or = [{ AlarmId: alarmId }];
+  if (mongoose.Types.ObjectId.isValid(alarmId)) {
+    or.unshift({ _id: new mongoose.Types.ObjectId(alarmId) });
+  }
+  if (!isNaN(Number(alarmId))) {
+    or.push({ AlarmId: Number(alarmId) });
+  }
+  return { $or: or };
+};
+
+/**
+ * Get the stored document id of an alarm from the Redis alarms channel
+ * Only _id identifies the document - the listener's id may be a random GUID and AlarmId is shared by every alarm with the same code
+ * @param {Object} alarmData - Published alarm
+ * @returns {mongoose.Types.ObjectId|null} - null when the alarm was published without being stored
+ */
+const getStoredAlarmId = (alarmData) => {
+  const id = alarmData && alarmData._id ? String(alarmData._id) : '';
+  return /^[0-9a-f]{24}$/i.test(id) ? new mongoose.Types.ObjectId(id) : null;
+};
+
+/**
+ * Find an alarm by ObjectId or AlarmId
+ * @param {string} alarmId - Alarm identifier
+ * @returns {Promise<Object|null>} - Raw alarm document
+ */
+const findAlarm = async (alarmId) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Database connection not available');
+  }
+  return telemetryDB.collection('alarms').findOne(buildAlarmQuery(alarmId));
+};
+
+/**
+ * Move an alarm to a new lifecycle state
+ * @param {Object} alarm - Raw alarm document (from findAlarm)
+ * @param {string} newStatus - Target status
+ * @param {Object} options - { user, comment, assignee }
+ * @returns {Promise<Object>} - Updated alarm document
+ */
+const transitionAlarm = async (alarm, newStatus, { user, comment = '', assignee = null } = {}) => {
+  const currentStatus = getAlarmStatus(alarm);
+
+  if (!ALLOWED_TRANSITIONS[currentStatus].includes(newStatus)) {
+    const error = new Error(`Cannot change alarm from ${currentStatus} to ${newStatus}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const now = new Date();
+  const actor = user ? { userId: user.userId, name: user.name, email: user.email } : null;
+  // Each transition records <Status>By, <Status>Timestamp and optionally <Status>Comment
+  const prefix = newStatus;
+
+  const update = {
+    Status: newStatus,
+    UpdatedTimestamp: now,
+    [`${prefix}By`]: actor,
+    [`${prefix}Timestamp`]: now
+  };
+
+  if (comment) {
+    update[`${prefix}Comment`] = comment;
+  }
+
+  if (newStatus === 'Acknowledged') {
+    update.IsRead = true;
+  }
+
+  if (newStatus === 'Assigned') {
+    update.AssignedTo = assignee;
+  }
+
+  // Resolved and closed alarms no longer count as active
+  if (newStatus === 'Resolved' || newStatus === 'Closed') {
+    update.IsActive = false;
+  }
+
+  const historyEntry = {
+    From: currentStatus,
+    To: newStatus,
+    By: actor,
+    Comment: comment,
+    AssignedTo: assignee,
+    Timestamp: now
+  };
+
+  // Only applied if nobody changed the status since the alarm was loaded, alarms without a Status match null
+  const collection = getTelemetryDB().collection('alarms');
+  const result = await collection.updateOne(
+    { _id: alarm._id, Status: alarm.Status === undefined ? null : alarm.Status },
+    { $set: update, $push: { StatusHistory: historyEntry } }
+  );
+  if (result.matchedCount === 0) {
+    const error = new Error(`Alarm was changed by someone else while moving it from ${currentStatus} to ${newStatus}, reload it and try again`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  console.log(`🔄 Alarm ${alarm._id} moved from ${currentStatus} to ${newStatus}`);
+  return collection.findOne({ _id: alarm._id });
+};
+
+module.exports = {
+  ALARM_STATUSES,
+  ALLOWED_TRANSITIONS,
+  getAlarmStatus,
+  buildAlarmQuery,
+  getStoredAlarmId,
+  findAlarm,
+  transitionAlarm
+};
@@ -0,0 +1,230 @@
+/**
+ * Alarm Query Service
+ * Builds filtered, sorted and cursor-paginated queries over the alarms collection
+ */
+
+const mongoose = require('mongoose');
+const { getTelemetryDB } = require('../config/db');
+const { parseSeverities, SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+const { ALARM_STATUSES } = require('./alarmLifecycleService');
+const { buildSeverityQuery, buildSeverityRankExpression } = require('./alarmDefinitionService');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable fields - stored fields are sorted and paged on directly so an index can serve them,
+// the others need a computed key with a default so alarms missing the field still page correctly
+const SORT_FIELDS = {
+  createdAt: { field: 'CreatedTimestamp' },
+  code: { field: 'AlarmCode' },
+  status: { field: 'Status' },
+  lastSeen: { expression: () => ({ $ifNull: ['$LastSeenTimestamp', { $ifNull: ['$CreatedTimestamp', new Date(0)] }] }) },
+  device: { expression: () => ({ $ifNull: ['$DeviceName', { $ifNull: ['$deviceName', ''] }] }) },
+  occurrences: { expression: () => ({ $ifNull: ['$OccurrenceCount', 1] }) },
+  // Higher is more severe, so descending puts critical alarms first
+  severity: { expression: () => ({ $subtract: [SEVERITY_LEVELS.length - 1, buildSeverityRankExpression()] }) }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a comma-separated query parameter into a list
+ * @param {string|Array} value - e.g. "New,Acknowledged"
+ * @returns {Array<string>}
+ */
+const parseList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - ISO date or date-time
+ * @returns {Date|null|undefined} - undefined when missing, null when invalid
+ */
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Match alarms in the given lifecycle states
+ * Alarms from before the lifecycle existed count as New while active and Closed once inactive
+ * @param {Array<string>} statuses - Lifecycle states
+ * @returns {Object} - MongoDB query
+ */
+const buildStatusQuery = (statuses) => {
+  const or = [{ Status: { $in: statuses } }];
+  if (statuses.includes('New')) or.push({ Status: { $exists: false }, IsActive: { $ne: false } });
+  if (statuses.includes('Closed')) or.push({ Status: { $exists: false }, IsActive: false });
+  return { $or: or };
+};
+
+/**
+ * Build the match stage for an alarm query
+ * @param {Object} params - Query parameters from the request
+ * @param {Object} scopeQuery - Query limiting alarms to the caller's plants
+ * @returns {Object} - { match } or { error }
+ */
+const buildAlarmMatch = (params, scopeQuery = {}) => {
+  const and = [];
+  if (Object.keys(scopeQuery).length > 0) and.push(scopeQuery);
+
+  if (params.plantName) {
+    const plantRegex = { $regex: `^${escapeRegex(params.plantName)}$`, $options: 'i' };
+    and.push({ $or: [{ PlantName: plantRegex }, { plantName: plantRegex }] });
+  }
+  if (params.deviceName) {
+    const deviceRegex = { $regex: `^${escapeRegex(params.deviceName)}$`, $options: 'i' };
+    and.push({ $or: [{ DeviceName: deviceRegex }, { deviceName: deviceRegex }] });
+  }
+
+  const codes = parseList(params.code).map(code => code.toUpperCase());
+  if (codes.length > 0) and.push({ AlarmCode: { $in: codes } });
+
+  const severities = parseSeverities(params.severity);
+  if (severities.length > 0) and.push(buildSeverityQuery(severities));
+
+  const statuses = parseList(params.status);
+  if (statuses.some(status => !ALARM_STATUSES.includes(status))) {
+    return { error: `status must be a list of: ${ALARM_STATUSES.join(', ')}` };
+  }
+  if (statuses.length > 0) and.push(buildStatusQuery(statuses));
+
+  if (params.active === 'true') and.push({ IsActive: { $ne: false } });
+  if (params.active === 'false') and.push({ IsActive: false });
+
+  const from = parseDate(params.from);
+  const to = parseDate(params.to);
+  if (from === null || to === null) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from || to) {
+    and.push({ CreatedTimestamp: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+  }
+
+  if (params.search) {
+    const searchRegex = { $regex: escapeRegex(params.search), $options: 'i' };
+    and.push({
+      $or: [
+        { AlarmCode: searchRegex },
+        { AlarmDescription: searchRegex },
+        { DeviceName: searchRegex },
+        { deviceName: searchRegex }
+      ]
+    });
+  }
+
+  return { match: and.length > 0 ? { $and: and } : {} };
+};
+
+/**
+ * Encode the position after an alarm as an opaque cursor
+ * @param {*} sortValue - Sort key of the last alarm on the page
+ * @param {*} id - _id of the last alarm on the page
+ * @returns {string}
+ */
+const encodeCursor = (sortValue, id) => Buffer.from(JSON.stringify({
+  v: sortValue instanceof Date ? { $date: sortValue.toISOString() } : sortValue,
+  id: id instanceof mongoose.Types.ObjectId ? { $oid: id.toString() } : id
+})).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from the previous page
+ * @returns {Object|null} - { sortValue, id } or null when invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return {
+      sortValue: v && v.$date ? new Date(v.$date) : v,
+      id: id && id.$oid ? new mongoose.Types.ObjectId(id.$oid) : id
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Match the alarms after a cursor position
+ * Missing values sort before every set value, so they come first ascending and last descending
+ * @param {string} key - Field the page is sorted on
+ * @param {number} direction - 1 or -1
+ * @param {Object} position - { sortValue, id } from decodeCursor
+ * @returns {Object} - MongoDB query
+ */
+const buildCursorMatch = (key, direction, { sortValue, id }) => {
+  const comparison = direction === 1 ? '$gt' : '$lt';
+  const value = sortValue === undefined ? null : sortValue;
+  const or = [{ [key]: value, _id: { [comparison]: id } }];
+  if (value === null) {
+    if (direction === 1) or.push({ [key]: { $ne: null } });
+  } else {
+    or.push({ [key]: { [comparison]: value } });
+    if (direction === -1) or.push({ [key]: null });
+  }
+  return { $or: or };
+};
+
+/**
+ * Query one page of alarms
+ * @param {Object} params - { limit, cursor, sort, order, ...filters }
+ * @param {Object} scopeQuery - Query limiting alarms to the caller's plants
+ * @returns {Promise<Object>} - { alarms, total, nextCursor, limit } or { error }
+ */
+const queryAlarms = async (params, scopeQuery = {}) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Database connection not available');
+  }
+
+  const { match, error } = buildAlarmMatch(params, scopeQuery);
+  if (error) return { error };
+
+  const sortField = params.sort || 'createdAt';
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sortField)) {
+    return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  const direction = params.order === 'asc' ? 1 : -1;
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const { field, expression } = SORT_FIELDS[sortField];
+  const sortKey = field || '_sortKey';
+  const position = params.cursor ? decodeCursor(params.cursor) : null;
+  if (params.cursor && !position) return { error: 'Invalid cursor' };
+  const cursorMatch = position ? buildCursorMatch(sortKey, direction, position) : null;
+
+  // Stored fields are filtered and sorted in the first stages, computed keys have to be added to every alarm first
+  const pipeline = field
+    ? [{ $match: cursorMatch ? { $and: [match, cursorMatch] } : match }]
+    : [{ $match: match }, { $addFields: { _sortKey: expression() } }, ...(cursorMatch ? [{ $match: cursorMatch }] : [])];
+
+  // One extra row tells whether there is a next page
+  pipeline.push({ $sort: { [sortKey]: direction, _id: direction } }, { $limit: limit + 1 });
+
+  const collection = telemetryDB.collection('alarms');
+  const [rows, total] = await Promise.all([
+    collection.aggregate(pipeline).toArray(),
+    collection.countDocuments(match)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const alarms = rows.slice(0, limit);
+  const last = alarms[alarms.length - 1];
+
+  return {
+    alarms: alarms.map(({ _sortKey, ...alarm }) => alarm),
+    total,
+    limit,
+    nextCursor: hasMore ? encodeCursor(last[sortKey], last._id) : null
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  buildAlarmMatch,
+  queryAlarms
+};
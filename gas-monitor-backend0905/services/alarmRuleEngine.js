@@ -0,0 +1,362 @@
+/**
+ * Alarm Rule Engine
+ * Consumes the Redis telemetry channel, raises alarms when readings violate
+ * the per-device limits stored in the Threshold collection and clears them
+ * once readings are back to normal
+ */
+
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const Threshold = require('../models/thresholdModel');
+const Tolerance = require('../models/toleranceModel');
+const { createAlarm, getActiveRuleAlarms, updateAlarmStatus } = require('./mongoAlarmService');
+const { publishAlarmData } = require('./redisService');
+const { dispatchEvent } = require('./webhookService');
+const { emitToPlant } = require('./socketRoomService');
+const { foldRepeatedAlarm, recordAlarmArrival } = require('./alarmDedupService');
+const { getMetric, readMetricValue } = require('./metricRegistryService');
+
+// How often the threshold and device lists are reloaded from MongoDB
+const RULE_REFRESH_INTERVAL_MS = parseInt(process.env.RULE_REFRESH_INTERVAL_MS, 10) || 30000;
+
+// Rules keyed by device name, rebuilt on every refresh
+let rulesByDevice = new Map();
+
+// Violation state per device/metric/direction: { since, raised, loading }
+// raised is null until the database has been checked for an alarm left active before a restart
+const ruleState = new Map();
+
+let refreshTimer = null;
+let subscriber = null;
+let io = null;
+
+/**
+ * Resolve the high and low limits of a threshold document
+ * @param {Object} thresholdDoc - Threshold document
+ * @returns {Object} - { high, low } where unset limits are null
+ */
+const getLimits = (thresholdDoc) => {
+  const isSet = (value) => value !== undefined && value !== null;
+  let high = isSet(thresholdDoc.highLimit) ? thresholdDoc.highLimit : null;
+  let low = isSet(thresholdDoc.lowLimit) ? thresholdDoc.lowLimit : null;
+
+  if (high === null && low === null && isSet(thresholdDoc.threshold)) {
+    // The original single-value `threshold` field is read in the registry's threshold direction
+    const metric = getMetric(thresholdDoc.type);
+    if (metric && metric.thresholdDirection === 'low') {
+      low = thresholdDoc.threshold;
+    } else {
+      high = thresholdDoc.threshold;
+    }
+  }
+
+  return { high, low };
+};
+
+/**
+ * Reload thresholds and map them to device names
+ * Thresholds are saved against the device ObjectId by the dashboard, telemetry carries the device name
+ * @returns {Promise<void>}
+ */
+const refreshRules = async () => {
+  try {
+    const [thresholds, tolerances, devices, plants] = await Promise.all([Threshold.find(), Tolerance.find(), Device.find(), Plant.find()]);
+    const deviceNamesById = new Map(devices.map(d => [d._id.toString(), d.deviceName]));
+    const devicesByName = new Map(devices.map(d => [d.deviceName, d]));
+    const plantNamesById = new Map(plants.map(p => [p._id.toString(), p.plantName]));
+    const tolerancesByKey = new Map(tolerances.map(t => [`${t.deviceId}:${t.type}`, t.tolerance]));
+
+    const nextRules = new Map();
+    thresholds.forEach(doc => {
+      const deviceName = deviceNamesById.get(doc.deviceId) || doc.deviceId;
+      const limits = getLimits(doc);
+      if (limits.high === null && limits.low === null) return;
+
+      if (!nextRules.has(deviceName)) {
+        const device = devicesByName.get(deviceName) || null;
+        // Used when a reading does not name its plant
+        const plantName = (device && device.plantId && plantNamesById.get(device.plantId.toString())) || '';
+        nextRules.set(deviceName, { device, plantName, rules: [] });
+      }
+      nextRules.get(deviceName).rules.push({
+        metric: doc.type,
+        ...limits,
+        deadband: doc.deadband || 0,
+        tolerance: tolerancesByKey.get(`${doc.deviceId}:${doc.type}`) || 0,
+        minDurationMs: (doc.minDurationSeconds || 0) * 1000
+      });
+    });
+
+    rulesByDevice = nextRules;
+    console.log(`📏 Rule engine loaded ${thresholds.length} thresholds for ${nextRules.size} devices`);
+  } catch (error) {
+    console.error('❌ Rule engine failed to load thresholds:', error.message);
+  }
+};
+
+/**
+ * Read a numeric metric from a telemetry message under any of its registry field names
+ * Boolean metrics such as ledState have no limits to compare against
+ * @param {Object} reading - Telemetry message
+ * @param {string} metric - Metric key, e.g. temperature
+ * @returns {number|null}
+ */
+const getMetricValue = (reading, metric) => {
+  const value = readMetricValue(reading, metric);
+  return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Get the alarm code used for a rule direction - the registry codes match the EventHub listener codes
+ * @param {string} metric - Metric key
+ * @param {string} direction - 'high' or 'low'
+ * @returns {string}
+ */
+const getAlarmCode = (metric, direction) => {
+  const definition = getMetric(metric);
+  return (definition && definition.alarmCodes[direction]) || `${metric.toUpperCase()}_${direction.toUpperCase()}`;
+};
+
+/**
+ * Get the state of one rule direction, checking the database for an alarm left active on first use
+ * Readings arriving while that check runs wait for the same lookup, so they cannot raise the alarm twice
+ * @param {string} deviceName - Device name
+ * @param {string} metric - Metric key
+ * @param {string} direction - 'high' or 'low'
+ * @returns {Promise<Object>} - { since, raised }
+ */
+const getRuleState = async (deviceName, metric, direction) => {
+  const key = `${deviceName}:${metric}:${direction}`;
+  if (!ruleState.has(key)) {
+    const state = { since: null, raised: null };
+    state.loading = getActiveRuleAlarms(deviceName, metric, direction, getAlarmCode(metric, direction))
+      .then((activeAlarms) => { state.raised = activeAlarms.length > 0; });
+    ruleState.set(key, state);
+  }
+  const state = ruleState.get(key);
+  await state.loading;
+  return state;
+};
+
+/**
+ * Load the state of every rule before the first reading is evaluated
+ * @returns {Promise<void>}
+ */
+const loadRuleState = async () => {
+  const loads = [];
+  for (const [deviceName, entry] of rulesByDevice) {
+    for (const rule of entry.rules) {
+      if (rule.high !== null) loads.push(getRuleState(deviceName, rule.metric, 'high'));
+      if (rule.low !== null) loads.push(getRuleState(deviceName, rule.metric, 'low'));
+    }
+  }
+  await Promise.all(loads);
+  console.log(`📏 Rule engine loaded the state of ${loads.length} rules`);
+};
+
+/**
+ * Advance the state of one rule direction
+ * @param {Object} state - { since, raised } for the rule direction
+ * @param {boolean} violated - Whether the value is outside the limit
+ * @param {boolean} recovered - Whether the value is back inside the limit by the hysteresis band
+ * @param {number} minDurationMs - Required continuous violation time
+ * @param {number} now - Reading time in ms
+ * @returns {string|null} - 'raise', 'clear' or null when nothing changes
+ */
+const updateRuleState = (state, violated, recovered, minDurationMs, now) => {
+  if (violated) {
+    if (state.since === null) state.since = now;
+    if (!state.raised && now - state.since >= minDurationMs) {
+      state.raised = true;
+      return 'raise';
+    }
+    return null;
+  }
+
+  // Inside the limit: restart the duration timer, but only clear once past the hysteresis band
+  state.since = null;
+  if (recovered && state.raised) {
+    state.raised = false;
+    return 'clear';
+  }
+  return null;
+};
+
+/**
+ * Create and publish an alarm for a violated rule
+ * A repeat of an alarm that is still open is folded into it instead, without a new notification
+ * @param {Object} context - { deviceName, device, plantName, rule, direction, value, timestamp }
+ * @returns {Promise<void>}
+ */
+const raiseAlarm = async ({ deviceName, device, plantName, rule, direction, value, timestamp }) => {
+  const limit = rule[direction];
+  const alarmCode = getAlarmCode(rule.metric, direction);
+  const comparison = direction === 'high' ? '>' : '<';
+
+  const folded = await foldRepeatedAlarm({ deviceName, alarmCode, value, timestamp });
+  if (folded) {
+    recordAlarmArrival(plantName);
+    return;
+  }
+
+  const alarm = await createAlarm({
+    deviceId: device ? device._id : undefined,
+    DeviceName: deviceName,
+    PlantName: plantName,
+    AlarmCode: alarmCode,
+    AlarmDescription: `${direction === 'high' ? 'High' : 'Low'} ${rule.metric} detected (${value} ${comparison} ${limit}) - ${plantName}`,
+    AlarmValue: String(value),
+    IsActive: true,
+    IsRead: false,
+    Status: 'New',
+    CreatedTimestamp: timestamp,
+    UpdatedTimestamp: timestamp,
+    Source: 'rule-engine',
+    RuleMetric: rule.metric,
+    RuleDirection: direction,
+    RuleLimit: limit
+  });
+
+  await publishAlarmData(alarm.toObject());
+  console.log(`🚨 Rule engine raised ${alarmCode} for ${deviceName}: ${rule.metric}=${value}`);
+};
+
+/**
+ * Clear the active alarms of a rule that returned to normal
+ * @param {Object} context - { deviceName, rule, direction, value, timestamp }
+ * @returns {Promise<void>}
+ */
+const clearAlarms = async ({ deviceName, rule, direction, value, timestamp }) => {
+  const activeAlarms = await getActiveRuleAlarms(deviceName, rule.metric, direction, getAlarmCode(rule.metric, direction));
+
+  for (const alarm of activeAlarms) {
+    const cleared = await updateAlarmStatus(alarm._id, false, {
+      ClearedTimestamp: timestamp,
+      ClearedValue: String(value),
+      // Alarms from before the lifecycle existed would otherwise read as Closed once inactive
+      Status: alarm.Status || 'New'
+    });
+    if (!cleared) continue;
+
+    const clearedData = cleared.toObject();
+    const clearedEvent = {
+      _id: clearedData._id,
+      AlarmId: clearedData.AlarmId || '',
+      AlarmCode: clearedData.AlarmCode,
+      DeviceName: clearedData.DeviceName,
+      PlantName: clearedData.PlantName,
+      IsActive: false,
+      Status: clearedData.Status,
+      ClearedTimestamp: clearedData.ClearedTimestamp,
+      ClearedValue: clearedData.ClearedValue
+    };
+    await emitToPlant(io, 'alarm_cleared', clearedEvent);
+    dispatchEvent('alarm.cleared', clearedEvent, { plantName: clearedData.PlantName });
+    console.log(`✅ Rule engine cleared ${clearedData.AlarmCode} for ${deviceName}: ${rule.metric}=${value}`);
+  }
+};
+
+/**
+ * Evaluate a telemetry reading against the device's rules
+ * @param {Object} reading - Parsed telemetry message
+ * @returns {Promise<void>}
+ */
+const evaluateTelemetry = async (reading) => {
+  const deviceName = reading.deviceName || reading.DeviceName || reading.deviceId || reading.device;
+  const entry = rulesByDevice.get(deviceName);
+  if (!entry) return;
+
+  const timestamp = reading.timestamp ? new Date(reading.timestamp) : new Date();
+  const now = isNaN(timestamp.getTime()) ? Date.now() : timestamp.getTime();
+  const plantName = reading.plantName || reading.PlantName || entry.plantName;
+
+  for (const rule of entry.rules) {
+    const value = getMetricValue(reading, rule.metric);
+    if (value === null) continue;
+
+    // The tolerance acts as hysteresis: a reading must be this far back inside the limit to count as normal
+    const hysteresis = Math.max(rule.deadband, rule.tolerance);
+    const checks = [];
+    if (rule.high !== null) {
+      checks.push({ direction: 'high', violated: value > rule.high, recovered: value <= rule.high - hysteresis });
+    }
+    if (rule.low !== null) {
+      checks.push({ direction: 'low', violated: value < rule.low, recovered: value >= rule.low + hysteresis });
+    }
+
+    for (const check of checks) {
+      const key = `${deviceName}:${rule.metric}:${check.direction}`;
+      const context = { deviceName, device: entry.device, plantName, rule, direction: check.direction, value, timestamp: new Date(now) };
+
+      try {
+        const state = await getRuleState(deviceName, rule.metric, check.direction);
+        const action = updateRuleState(state, check.violated, check.recovered, rule.minDurationMs, now);
+        if (action === 'raise') await raiseAlarm(context);
+        if (action === 'clear') await clearAlarms(context);
+      } catch (error) {
+        console.error(`❌ Rule engine failed to process ${key}:`, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Start consuming telemetry from Redis
+ * @param {Object} redisClient - Connected Redis client, duplicated for the subscription
+ * @param {Object} socketServer - Socket.IO server used to broadcast cleared alarms
+ * @returns {Promise<void>}
+ */
+const startRuleEngine = async (redisClient, socketServer = null) => {
+  io = socketServer;
+
+  if (process.env.RULE_ENGINE_ENABLED === 'false') {
+    console.log('⏸️ Alarm rule engine disabled via RULE_ENGINE_ENABLED');
+    return;
+  }
+
+  await refreshRules();
+  refreshTimer = setInterval(refreshRules, RULE_REFRESH_INTERVAL_MS);
+  // Alarms left active before a restart must be known before readings arrive, or they would be raised again
+  await loadRuleState();
+
+  try {
+    subscriber = redisClient.duplicate();
+    await subscriber.connect();
+    await subscriber.subscribe('telemetry', (message) => {
+      let reading;
+      try {
+        reading = JSON.parse(message);
+      } catch (error) {
+        console.error('❌ Rule engine received invalid telemetry JSON:', error.message);
+        return;
+      }
+      evaluateTelemetry(reading).catch(error => {
+        console.error('❌ Rule engine evaluation error:', error.message);
+      });
+    });
+    console.log('✅ Alarm rule engine listening on Redis "telemetry" channel');
+  } catch (error) {
+    console.error('❌ Alarm rule engine failed to subscribe to Redis:', error.message);
+  }
+};
+
+/**
+ * Stop the rule engine and release its Redis connection
+ * @returns {Promise<void>}
+ */
+const stopRuleEngine = async () => {
+  if (refreshTimer) clearInterval(refreshTimer);
+  refreshTimer = null;
+  if (subscriber && subscriber.isOpen) {
+    await subscriber.quit();
+  }
+  subscriber = null;
+};
+
+module.exports = {
+  startRuleEngine,
+  stopRuleEngine,
+  refreshRules,
+  evaluateTelemetry,
+  getLimits
+};
@@ -0,0 +1,204 @@
+/**
+ * Device Credential Service
+ * Issues, rotates and revokes the API keys devices post telemetry with, so devices never hold a user JWT.
+ * Keys are shown once when issued and only their SHA-256 hash is stored; the first characters are kept as a
+ * prefix so admins can tell keys apart.
+ */
+
+const crypto = require('crypto');
+const DeviceCredential = require('../models/deviceCredentialModel');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+
+// Every key starts with this, which lets the ingest route tell a device key from a JWT
+const KEY_PREFIX = 'gmd_';
+
+// Characters of a key kept in clear to identify it
+const PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Hours a key replaced by a rotation keeps working
+const ROTATION_GRACE_HOURS = parseInt(process.env.DEVICE_KEY_ROTATION_GRACE_HOURS, 10) >= 0
+  ? parseInt(process.env.DEVICE_KEY_ROTATION_GRACE_HOURS, 10)
+  : 24;
+
+// Longest grace period a rotation can ask for
+const MAX_GRACE_HOURS = 24 * 30;
+
+// A device posts every few seconds, so last use is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether a value looks like a device key
+ * @param {string} value - Header value
+ * @returns {boolean}
+ */
+const isDeviceKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+/**
+ * Hash a key the way it is stored
+ * @param {string} key - Plain key
+ * @returns {string} - Hex SHA-256
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new random key
+ * @returns {Object} - { key, prefix, keyHash }
+ */
+const generateKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, PREFIX_LENGTH), keyHash: hashKey(key) };
+};
+
+/**
+ * Get the state of a credential
+ * @param {Object} credential - Credential document
+ * @param {Date} [now]
+ * @returns {string} - active, expiring (replaced by a rotation, still in its grace period), expired or revoked
+ */
+const getKeyStatus = (credential, now = new Date()) => {
+  if (credential.revokedAt) return 'revoked';
+  if (credential.expiresAt) return credential.expiresAt > now ? 'expiring' : 'expired';
+  return 'active';
+};
+
+/**
+ * Shape a credential for API responses - the hash never leaves the server
+ * @param {Object} credential - Credential document
+ * @returns {Object}
+ */
+const formatCredential = (credential) => {
+  const { keyHash, __v, ...data } = credential.toObject ? credential.toObject() : credential;
+  return { ...data, status: getKeyStatus(credential) };
+};
+
+/**
+ * List the keys of a device, newest first
+ * @param {string} deviceId - Device id
+ * @returns {Promise<Array>}
+ */
+const listDeviceKeys = async (deviceId) => {
+  const credentials = await DeviceCredential.find({ deviceId }).sort({ createdAt: -1 }).lean();
+  return credentials.map(formatCredential);
+};
+
+/**
+ * Issue a new key for a device
+ * @param {string} deviceId - Device id
+ * @param {Object} [options]
+ * @param {string} [options.label] - Note shown next to the key, e.g. the firmware it was flashed into
+ * @param {string} [options.userId] - User issuing the key
+ * @returns {Promise<Object>} - { key, credential }, the plain key is only ever returned here
+ */
+const createDeviceKey = async (deviceId, { label = '', userId = null } = {}) => {
+  const { key, prefix, keyHash } = generateKey();
+  const credential = await DeviceCredential.create({
+    deviceId,
+    label: String(label || '').slice(0, 100),
+    prefix,
+    keyHash,
+    createdBy: userId
+  });
+  console.log(`🔑 Issued device key ${prefix}… for device ${deviceId}`);
+  return { key, credential: formatCredential(credential) };
+};
+
+/**
+ * Replace the keys of a device with a new one
+ * The keys in use keep working for a grace period so the device can be updated without dropping readings
+ * @param {string} deviceId - Device id
+ * @param {Object} [options]
+ * @param {string} [options.label] - Label of the new key
+ * @param {string} [options.userId] - User rotating the key
+ * @param {number} [options.graceHours] - Hours the replaced keys keep working, 0 stops them at once
+ * @returns {Promise<Object>} - { key, credential, rotated } or { error }
+ */
+const rotateDeviceKey = async (deviceId, { label, userId = null, graceHours = ROTATION_GRACE_HOURS } = {}) => {
+  const grace = Number(graceHours);
+  if (!Number.isFinite(grace) || grace < 0 || grace > MAX_GRACE_HOURS) {
+    return { error: `graceHours must be between 0 and ${MAX_GRACE_HOURS}` };
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + grace * 60 * 60 * 1000);
+  // Keys already expiring sooner than the new grace period keep their earlier expiry
+  const { modifiedCount } = await DeviceCredential.updateMany(
+    { deviceId, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: expiresAt } }] },
+    { $set: { expiresAt, rotatedAt: now } }
+  );
+
+  const issued = await createDeviceKey(deviceId, { label, userId });
+  console.log(`🔄 Rotated ${modifiedCount} key(s) of device ${deviceId}, replaced keys expire ${expiresAt.toISOString()}`);
+  return { ...issued, rotated: modifiedCount };
+};
+
+/**
+ * Revoke a key of a device at once
+ * @param {string} deviceId - Device id
+ * @param {string} keyId - Credential id
+ * @param {string} [userId] - User revoking the key
+ * @returns {Promise<Object|null>} - Revoked credential, null when the device has no such key
+ */
+const revokeDeviceKey = async (deviceId, keyId, userId = null) => {
+  const credential = await DeviceCredential.findOne({ _id: keyId, deviceId });
+  if (!credential) return null;
+  if (!credential.revokedAt) {
+    credential.revokedAt = new Date();
+    credential.revokedBy = userId;
+    await credential.save();
+    console.log(`⛔ Revoked device key ${credential.prefix}… of device ${deviceId}`);
+  }
+  return formatCredential(credential);
+};
+
+/**
+ * Remove every key of a device, used when the device is deleted
+ * @param {string} deviceId - Device id
+ * @returns {Promise<number>} - Keys removed
+ */
+const deleteDeviceKeys = async (deviceId) => {
+  const { deletedCount } = await DeviceCredential.deleteMany({ deviceId });
+  return deletedCount;
+};
+
+/**
+ * Resolve a key to the device and plant it belongs to and record its use
+ * @param {string} key - Plain key as sent by the device
+ * @param {string} [ip] - Address the request came from
+ * @returns {Promise<Object|null>} - { credential, device, plant }, null when the key is unknown, revoked or expired
+ */
+const authenticateDeviceKey = async (key, ip = null) => {
+  if (!isDeviceKey(key)) return null;
+
+  const credential = await DeviceCredential.findOne({ keyHash: hashKey(key) }).lean();
+  const now = new Date();
+  if (!credential || credential.revokedAt || (credential.expiresAt && credential.expiresAt <= now)) {
+    return null;
+  }
+
+  const device = await Device.findById(credential.deviceId).lean();
+  if (!device) return null;
+  const plant = device.plantId ? await Plant.findById(device.plantId).lean() : null;
+
+  if (!credential.lastUsedAt || now - credential.lastUsedAt >= LAST_USED_INTERVAL_MS || credential.lastUsedIp !== ip) {
+    // A failed write only loses the last-use note, not the request
+    DeviceCredential.updateOne({ _id: credential._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+      .catch(error => console.error('❌ Error recording device key use:', error.message));
+  }
+
+  return { credential: formatCredential(credential), device, plant };
+};
+
+module.exports = {
+  KEY_PREFIX,
+  ROTATION_GRACE_HOURS,
+  isDeviceKey,
+  hashKey,
+  getKeyStatus,
+  listDeviceKeys,
+  createDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
+  deleteDeviceKeys,
+  authenticateDeviceKey
+};
@@ -0,0 +1,40 @@
+/**
+ * Email Transport
+ * Sends mail through SMTP - point SMTP_HOST/SMTP_PORT at a local catcher such as MailHog (localhost:1025) for testing
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create the SMTP transport from the environment
+ * @returns {Object|null} - Transport with send(message), or null when SMTP_HOST is not configured
+ */
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  const from = process.env.SMTP_FROM || 'Gas Monitor <alarms@gas-monitor.local>';
+  console.log(`📧 SMTP transport configured for ${process.env.SMTP_HOST}:${parseInt(process.env.SMTP_PORT, 10) || 587}`);
+
+  return {
+    name: 'smtp',
+    /**
+     * Send one email
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<Object>} - Nodemailer send info
+     */
+    send: (message) => transporter.sendMail({ from, ...message })
+  };
+};
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,191 @@
+/**
+ * Alarm Escalation Service
+ * Periodically checks unacknowledged alarms against each plant's escalation policy
+ * and notifies the next step's users once its delay has passed
+ */
+
+const { getTelemetryDB } = require('../config/db');
+const EscalationPolicy = require('../models/escalationPolicyModel');
+const Plant = require('../models/plant');
+const PlantAssignment = require('../models/plantAssignment');
+const User = require('../models/userModel');
+const { buildSeverityQuery } = require('./alarmDefinitionService');
+const { sendAlarmEmail } = require('./notificationService');
+const { dispatchEvent } = require('./webhookService');
+const { emitToPlant } = require('./socketRoomService');
+
+const ESCALATION_INTERVAL_MS = parseInt(process.env.ESCALATION_INTERVAL_MS, 10) || 60000;
+
+let timer = null;
+let running = false;
+let io = null;
+
+/**
+ * Find the users to notify for an escalation step
+ * Role targets only include users assigned to the plant, super admins are always in scope
+ * @param {Object} plant - Plant document
+ * @param {Object} step - Escalation step
+ * @returns {Promise<Array>} - Unique user documents
+ */
+const findStepRecipients = async (plant, step) => {
+  const users = [];
+
+  if (step.roles.length > 0) {
+    const assignments = await PlantAssignment.find({ plantId: plant._id });
+    users.push(...await User.find({
+      role: { $in: step.roles },
+      $or: [{ _id: { $in: assignments.map(a => a.userId) } }, { role: 'super-admin' }]
+    }));
+  }
+  if (step.userIds.length > 0) {
+    users.push(...await User.find({ _id: { $in: step.userIds } }));
+  }
+
+  const unique = new Map(users.map(user => [user._id.toString(), user]));
+  return [...unique.values()];
+};
+
+/**
+ * Run one escalation step for an alarm
+ * The alarm is claimed with a conditional update first, so an alarm acknowledged in the meantime is left alone
+ * @param {Object} collection - alarms collection
+ * @param {Object} alarm - Raw alarm document
+ * @param {Object} policy - Escalation policy
+ * @param {Object} plant - Plant document
+ * @param {number} level - Index of the step to run
+ * @returns {Promise<boolean>} - Whether the step ran
+ */
+const escalateAlarm = async (collection, alarm, policy, plant, level) => {
+  const step = policy.steps[level];
+  const recipients = await findStepRecipients(plant, step);
+
+  const entry = {
+    Level: level + 1,
+    PolicyId: policy._id,
+    DelayMinutes: step.delayMinutes,
+    Roles: step.roles,
+    NotifiedUsers: recipients.map(user => ({ userId: user._id, name: user.name, email: user.email })),
+    Timestamp: new Date()
+  };
+
+  const levelQuery = level === 0
+    ? { $or: [{ EscalationLevel: { $exists: false } }, { EscalationLevel: 0 }] }
+    : { EscalationLevel: level };
+  const result = await collection.updateOne(
+    { _id: alarm._id, IsActive: true, $and: [{ $or: [{ Status: 'New' }, { Status: { $exists: false } }] }, levelQuery] },
+    { $set: { EscalationLevel: level + 1 }, $push: { EscalationHistory: entry } }
+  );
+  if (result.modifiedCount === 0) return false;
+  alarm.EscalationHistory = [...(alarm.EscalationHistory || []), entry];
+
+  const sentTo = await sendAlarmEmail(alarm, recipients, `[Escalation ${level + 1}]`);
+  console.log(`⏫ Alarm ${alarm._id} escalated to level ${level + 1}, notified ${sentTo.length}/${recipients.length} users`);
+
+  const update = {
+    _id: alarm._id,
+    AlarmCode: alarm.AlarmCode,
+    DeviceName: alarm.DeviceName,
+    PlantName: alarm.PlantName,
+    EscalationLevel: level + 1,
+    EscalationHistory: alarm.EscalationHistory
+  };
+  await emitToPlant(io, 'alarm_escalated', update, { refs: { plantId: plant._id, deviceName: alarm.DeviceName } });
+  dispatchEvent('alarm.escalated', update, { plantId: plant._id });
+  return true;
+};
+
+/**
+ * Check the unacknowledged alarms of one plant against its policy
+ * Alarms raised before the policy was created are ignored so enabling a policy does not flood old alarms,
+ * suppressed alarms are never escalated
+ * @param {Object} collection - alarms collection
+ * @param {Object} policy - Escalation policy
+ * @returns {Promise<void>}
+ */
+const evaluatePolicy = async (collection, policy) => {
+  if (policy.steps.length === 0) return;
+
+  const plant = await Plant.findById(policy.plantId);
+  if (!plant) return;
+
+  const alarms = await collection.find({
+    $and: [
+      { $or: [{ PlantName: plant.plantName }, { plantName: plant.plantName }] },
+      { $or: [{ Status: 'New' }, { Status: { $exists: false } }] },
+      { $or: [{ EscalationLevel: { $exists: false } }, { EscalationLevel: { $lt: policy.steps.length } }] },
+      { IsActive: true, Suppressed: { $ne: true }, CreatedTimestamp: { $gte: policy.createdAt } },
+      buildSeverityQuery(policy.severities)
+    ]
+  }).toArray();
+
+  const now = Date.now();
+  for (const alarm of alarms) {
+    const age = now - new Date(alarm.CreatedTimestamp).getTime();
+    let level = alarm.EscalationLevel || 0;
+
+    // Run every step that is due - several can be due after downtime
+    while (level < policy.steps.length && age >= policy.steps[level].delayMinutes * 60000) {
+      if (!(await escalateAlarm(collection, alarm, policy, plant, level))) break;
+      level++;
+    }
+  }
+};
+
+/**
+ * Evaluate every enabled policy once
+ * @returns {Promise<void>}
+ */
+const runEscalations = async () => {
+  // Skip a tick rather than overlap with a slow previous run
+  if (running) return;
+  running = true;
+
+  try {
+    const telemetryDB = getTelemetryDB();
+    if (!telemetryDB) return;
+
+    const collection = telemetryDB.collection('alarms');
+    const policies = await EscalationPolicy.find({ enabled: true });
+    for (const policy of policies) {
+      try {
+        await evaluatePolicy(collection, policy);
+      } catch (error) {
+        console.error(`❌ Escalation policy "${policy.name}" failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Escalation run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the escalation scheduler
+ * @param {Object} socketServer - Socket.IO server used to broadcast escalations
+ */
+const startEscalationScheduler = (socketServer = null) => {
+  io = socketServer;
+
+  if (process.env.ESCALATION_ENABLED === 'false') {
+    console.log('⏸️ Alarm escalation disabled via ESCALATION_ENABLED');
+    return;
+  }
+
+  timer = setInterval(runEscalations, ESCALATION_INTERVAL_MS);
+  console.log(`⏫ Alarm escalation scheduler running every ${ESCALATION_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop the escalation scheduler
+ */
+const stopEscalationScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startEscalationScheduler,
+  stopEscalationScheduler,
+  runEscalations
+};
@@ -0,0 +1,210 @@
+/**
+ * Metric Registry Service
+ * Keeps an in-memory copy of the sensor metric registry so ingestion, the APIs, the rule engine and the
+ * dashboard all work from the same list of metrics. A new sensor only needs a registry entry to appear.
+ */
+
+const MetricDefinition = require('../models/metricDefinitionModel');
+const { DEFAULT_METRICS } = require('../config/telemetryMetrics');
+
+// Definitions in display order, null until loaded from MongoDB
+let metricDefinitions = null;
+
+/**
+ * Fill in the optional parts of a definition
+ * @param {Object} definition - Registry entry
+ * @returns {Object}
+ */
+const withDefaults = (definition) => {
+  const pascal = definition.key.charAt(0).toUpperCase() + definition.key.slice(1);
+  return {
+    unit: '',
+    precision: 1,
+    validMin: null,
+    validMax: null,
+    valueType: 'number',
+    deviceTypes: [],
+    color: null,
+    chart: true,
+    gauge: true,
+    thresholdDirection: 'high',
+    defaultThreshold: null,
+    defaultTolerance: null,
+    order: 0,
+    enabled: true,
+    ...definition,
+    alarmCodes: { high: null, low: null, ...(definition.alarmCodes || {}) },
+    fields: definition.fields && definition.fields.length > 0 ? definition.fields : [pascal, definition.key]
+  };
+};
+
+// Built-in metrics, used until the registry has been loaded
+const BUILT_IN_METRICS = DEFAULT_METRICS.map((metric, index) => withDefaults({ ...metric, order: index }));
+
+/**
+ * Reload the registry from MongoDB
+ * @returns {Promise<void>}
+ */
+const refreshMetrics = async () => {
+  try {
+    const definitions = await MetricDefinition.find().sort({ order: 1, key: 1 }).lean();
+    metricDefinitions = definitions.map(withDefaults);
+    console.log(`📐 Loaded ${definitions.length} metric definitions`);
+  } catch (error) {
+    console.error('❌ Failed to load metric definitions:', error.message);
+  }
+};
+
+/**
+ * Seed the registry with the built-in metrics when it is empty, then load it
+ * @returns {Promise<void>}
+ */
+const initMetricRegistry = async () => {
+  try {
+    const count = await MetricDefinition.countDocuments();
+    if (count === 0) {
+      await MetricDefinition.insertMany(DEFAULT_METRICS.map((metric, index) => ({ ...metric, order: index })));
+      console.log(`🌱 Seeded ${DEFAULT_METRICS.length} metric definitions from the built-in list`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to seed metric definitions:', error.message);
+  }
+  await refreshMetrics();
+};
+
+/**
+ * Get the metrics in display order
+ * @param {Object} [options]
+ * @param {string} [options.deviceType] - Only metrics reported by this device type
+ * @param {boolean} [options.includeDisabled] - Include disabled metrics
+ * @returns {Array<Object>}
+ */
+const getMetrics = ({ deviceType, includeDisabled = false } = {}) =>
+  (metricDefinitions || BUILT_IN_METRICS).filter(metric =>
+    (includeDisabled || metric.enabled)
+    && (!deviceType || metric.deviceTypes.length === 0 || metric.deviceTypes.includes(deviceType)));
+
+/**
+ * Get the keys of the enabled metrics
+ * @returns {Array<string>}
+ */
+const getMetricKeys = () => getMetrics().map(metric => metric.key);
+
+/**
+ * Get the definition of a metric
+ * @param {string} key - Metric key, e.g. oilLevel
+ * @returns {Object|null} - Enabled definition, or null
+ */
+const getMetric = (key) => getMetrics().find(metric => metric.key === key) || null;
+
+/**
+ * Check that a metric is in the registry and enabled
+ * @param {string} key - Metric key
+ * @returns {boolean}
+ */
+const isKnownMetric = (key) => getMetric(key) !== null;
+
+/**
+ * Convert a raw value to the metric's type
+ * @param {Object} metric - Definition
+ * @param {*} value - Raw value, e.g. "21.5", 1 or "true"
+ * @returns {number|boolean|null} - null when missing or not convertible
+ */
+const coerceMetricValue = (metric, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object' && value.value !== undefined) return coerceMetricValue(metric, value.value);
+
+  if (metric.valueType === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'on'].includes(text)) return true;
+    if (['false', '0', 'off'].includes(text)) return false;
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read a metric from a reading, whichever of its field names the reading uses
+ * @param {Object} reading - Telemetry message or document
+ * @param {Object|string} metric - Definition or key
+ * @returns {number|boolean|null}
+ */
+const readMetricValue = (reading, metric) => {
+  const definition = typeof metric === 'string' ? getMetric(metric) : metric;
+  if (!reading || !definition) return null;
+  const field = definition.fields.find(name => reading[name] !== undefined && reading[name] !== null);
+  return field ? coerceMetricValue(definition, reading[field]) : null;
+};
+
+/**
+ * Read every registry metric a reading carries
+ * @param {Object} reading - Telemetry message or document
+ * @returns {Object} - { [key]: value } for the metrics present
+ */
+const extractMetrics = (reading) => {
+  const values = {};
+  for (const metric of getMetrics()) {
+    const value = readMetricValue(reading, metric);
+    if (value !== null) values[metric.key] = value;
+  }
+  return values;
+};
+
+/**
+ * Check a value against the metric's valid range
+ * @param {Object} metric - Definition
+ * @param {number|boolean} value - Coerced value
+ * @returns {boolean}
+ */
+const isValueInRange = (metric, value) => {
+  if (typeof value !== 'number') return true;
+  if (metric.validMin !== null && value < metric.validMin) return false;
+  if (metric.validMax !== null && value > metric.validMax) return false;
+  return true;
+};
+
+/**
+ * Expression reading a metric from a raw telemetry document as a number
+ * Booleans become 0 or 1, missing or non-numeric readings give null, which the accumulators ignore
+ * @param {string} key - Metric key
+ * @returns {Object} - Aggregation expression
+ */
+const metricValueExpression = (key) => {
+  const { fields } = getMetric(key) || withDefaults({ key });
+  const input = fields.slice(0, -1).reduceRight(
+    (fallback, field) => ({ $ifNull: [`$${field}`, fallback] }),
+    `$${fields[fields.length - 1]}`
+  );
+  return { $convert: { input, to: 'double', onError: null, onNull: null } };
+};
+
+/**
+ * Label of a metric with its unit, e.g. "Oil Level (%)"
+ * @param {string} key - Metric key
+ * @param {string} [unit] - Unit the values are shown in, the registry unit by default
+ * @returns {string}
+ */
+const getMetricLabel = (key, unit) => {
+  const metric = getMetric(key);
+  if (!metric) return key;
+  const label = unit || metric.unit;
+  return label ? `${metric.displayName} (${label})` : metric.displayName;
+};
+
+module.exports = {
+  initMetricRegistry,
+  refreshMetrics,
+  getMetrics,
+  getMetricKeys,
+  getMetric,
+  isKnownMetric,
+  coerceMetricValue,
+  readMetricValue,
+  extractMetrics,
+  isValueInRange,
+  metricValueExpression,
+  getMetricLabel
+};
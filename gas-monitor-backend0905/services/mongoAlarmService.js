@@ -1,5 +1,18 @@
 const Alarm = require('../models/alarmModel');
 const Device = require('../models/Device');
+const { getTelemetryDB } = require('../config/db');
+const { resolveAlarmSeverity } = require('./alarmDefinitionService');
+
+/**
+ * Get the Alarm model bound to the oxygen_monitor database
+ * alarmModel can be loaded before the databases connect, in which case it sits on the default connection
+ * @returns {Object} - Mongoose model for the alarms collection
+ */
+const getAlarmModel = () => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return Alarm;
+  return telemetryDB.models.Alarm || telemetryDB.model('Alarm', Alarm.schema, 'alarms');
+};
 
 /**
  * Create a new alarm record in MongoDB
@@ -24,8 +37,15 @@ const createAlarm = async (alarmData) => {
       }
     }
     
+    alarmData.Severity = resolveAlarmSeverity(alarmData.Severity, alarmData.AlarmCode);
+    
+    const seenAt = alarmData.CreatedTimestamp || new Date();
+    alarmData.FirstSeenTimestamp = alarmData.FirstSeenTimestamp || seenAt;
+    alarmData.LastSeenTimestamp = alarmData.LastSeenTimestamp || seenAt;
+    
     // Create the alarm
-    const alarm = new Alarm(alarmData);
+    const AlarmModel = getAlarmModel();
+    const alarm = new AlarmModel(alarmData);
     await alarm.save();
     
     console.log(`✅ Alarm created with ID: ${alarm._id}`);
@@ -44,7 +64,7 @@ const createAlarm = async (alarmData) => {
  */
 const getAlarms = async (filter = {}, limit = 100) => {
   try {
-    return await Alarm.find(filter)
+    return await getAlarmModel().find(filter)
       .sort({ CreatedTimestamp: -1 })
       .limit(limit)
       .populate('deviceId');
@@ -69,7 +89,7 @@ const getActiveAlarmsByDeviceId = async (deviceId) => {
     }
     
     // Get alarms for this device
-    return await Alarm.find({
+    return await getAlarmModel().find({
       deviceId: deviceId,
       IsActive: true
     }).sort({ CreatedTimestamp: -1 });
@@ -93,7 +113,7 @@ const getActiveAlarmsByDeviceName = async (deviceName) => {
     }
     
     // If no device found, try to find alarms by DeviceName field
-    return await Alarm.find({
+    return await getAlarmModel().find({
       DeviceName: deviceName,
       IsActive: true
     }).sort({ CreatedTimestamp: -1 });
@@ -110,7 +130,7 @@ const getActiveAlarmsByDeviceName = async (deviceName) => {
  */
 const markAlarmAsRead = async (alarmId) => {
   try {
-    return await Alarm.findByIdAndUpdate(
+    return await getAlarmModel().findByIdAndUpdate(
       alarmId, 
       { IsRead: true }, 
       { new: true }
@@ -125,13 +145,14 @@ const markAlarmAsRead = async (alarmId) => {
  * Update an alarm's status
  * @param {String} alarmId - MongoDB ObjectId of the alarm
  * @param {Boolean} isActive - Whether the alarm is active
+ * @param {Object} details - Extra fields to store with the change (e.g. ClearedTimestamp)
  * @returns {Promise<Object>} - Updated alarm
  */
-const updateAlarmStatus = async (alarmId, isActive) => {
+const updateAlarmStatus = async (alarmId, isActive, details = {}) => {
   try {
-    return await Alarm.findByIdAndUpdate(
+    return await getAlarmModel().findByIdAndUpdate(
       alarmId, 
-      { IsActive: isActive }, 
+      { ...details, IsActive: isActive, UpdatedTimestamp: new Date() }, 
       { new: true }
     );
   } catch (error) {
@@ -140,11 +161,37 @@ const updateAlarmStatus = async (alarmId, isActive) => {
   }
 };
 
+/**
+ * Get active alarms raised for a threshold rule on a device
+ * Matches alarms from the rule engine and alarms with the same code from the EventHub listener
+ * @param {String} deviceName - Name of the device
+ * @param {String} metric - Metric key, e.g. temperature
+ * @param {String} direction - 'high' or 'low'
+ * @param {String} alarmCode - Alarm code used for this metric and direction
+ * @returns {Promise<Array>} - Array of active alarms
+ */
+const getActiveRuleAlarms = async (deviceName, metric, direction, alarmCode) => {
+  try {
+    return await getAlarmModel().find({
+      DeviceName: deviceName,
+      IsActive: true,
+      $or: [
+        { RuleMetric: metric, RuleDirection: direction },
+        { AlarmCode: alarmCode }
+      ]
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching active rule alarms for device: ${deviceName}`, error);
+    return [];
+  }
+};
+
 module.exports = {
   createAlarm,
   getAlarms,
   getActiveAlarmsByDeviceId,
   getActiveAlarmsByDeviceName,
   markAlarmAsRead,
-  updateAlarmStatus
+  updateAlarmStatus,
+  getActiveRuleAlarms
 };
@@ -2,6 +2,23 @@ const TelemetryModel = require('../models/telemetryModel');
 const Device = require('../models/Device');
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
+const { getMetrics, getMetricKeys, isKnownMetric, extractMetrics } = require('./metricRegistryService');
+const {
+  floorTo,
+  ceilTo,
+  aggregatePartialBuckets,
+  mergePartial,
+  chooseRollupLevel,
+  getRollupWatermark
+} = require('./telemetryRollupService');
+
+const INTERVAL_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Intervals tried, smallest first, when the caller asks for interval=auto
+const AUTO_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d'];
+const AUTO_TARGET_BUCKETS = 300;
+const MAX_BUCKETS = 2000;
+const DEFAULT_AGGREGATE_RANGE_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Get the telemetry database connection
@@ -75,13 +92,10 @@ const getTelemetryDataByDeviceName = async (deviceName, limit = 20) => {
 
     console.log(`✅ Found ${telemetryData.length} telemetry records in oxygen_monitor database`);
     
-    // Map the data to a consistent format, handling both casing variations
+    // Map the data to a consistent format - every registry metric the reading carries, whatever its field casing
     const normalizedData = telemetryData.map(data => ({
       timestamp: data.Timestamp?.toISOString() || data.timestamp?.toISOString() || new Date().toISOString(),
-      temperature: data.Temperature || data.temperature || 0,
-      humidity: data.Humidity || data.humidity || 0,
-      oilLevel: data.OilLevel || data.oilLevel || 0,
-      openAlerts: data.OpenAlerts || data.openAlerts || 0,
+      ...extractMetrics(data),
       // Add the original timestamp value for deduplication
       originalTimestamp: data.Timestamp || data.timestamp
     }));
@@ -113,6 +127,118 @@ const getTelemetryDataByDeviceName = async (deviceName, limit = 20) => {
   }
 };
 
+/**
+ * Parse an interval such as 30s, 5m, 1h or 1d
+ * @param {string} interval - Interval string
+ * @returns {number|null} - Milliseconds, or null when invalid
+ */
+const parseInterval = (interval) => {
+  const match = /^(\d+)([smhd])$/.exec(String(interval));
+  if (!match || parseInt(match[1], 10) === 0) return null;
+  return parseInt(match[1], 10) * INTERVAL_UNITS_MS[match[2]];
+};
+
+/**
+ * Pick the smallest standard interval that keeps the range within the target bucket count
+ * @param {number} rangeMs - Length of the requested range
+ * @returns {string}
+ */
+const chooseInterval = (rangeMs) =>
+  AUTO_INTERVALS.find(interval => rangeMs / parseInterval(interval) <= AUTO_TARGET_BUCKETS)
+    || AUTO_INTERVALS[AUTO_INTERVALS.length - 1];
+
+/**
+ * Aggregate telemetry for a device into time buckets
+ * Buckets are aligned to the epoch so the same interval always gives the same bucket boundaries
+ * Rolled up data is used where it fits the interval, see telemetryRollupService
+ * @param {string} deviceName - Name of the device
+ * @param {Object} options - { from, to, interval, metrics }
+ * @param {string|Date} options.from - Range start, defaults to 24 hours before `to`
+ * @param {string|Date} options.to - Range end, defaults to now
+ * @param {string} options.interval - Bucket size (e.g. 5m, 1h) or auto
+ * @param {string|Array} options.metrics - Metric names, comma-separated or a list, defaults to all
+ * @returns {Promise<Object>} - { deviceName, from, to, interval, resolution, metrics, buckets } or { error }
+ */
+const aggregateTelemetry = async (deviceName, options = {}) => {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - DEFAULT_AGGREGATE_RANGE_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  const interval = !options.interval || options.interval === 'auto'
+    ? chooseInterval(to - from)
+    : options.interval;
+  const intervalMs = parseInterval(interval);
+  if (!intervalMs) {
+    return { error: 'interval must look like 30s, 5m, 1h or 1d' };
+  }
+  if ((to - from) / intervalMs > MAX_BUCKETS) {
+    return { error: `Range too long for a ${interval} interval (max ${MAX_BUCKETS} buckets)` };
+  }
+
+  const requested = Array.isArray(options.metrics)
+    ? options.metrics
+    : String(options.metrics || '').split(',').map(metric => metric.trim()).filter(Boolean);
+  const metrics = requested.length > 0 ? requested : getMetricKeys();
+  const unknown = metrics.filter(metric => !isKnownMetric(metric));
+  if (unknown.length > 0) {
+    return { error: `Unknown metrics: ${unknown.join(', ')}. Valid metrics: ${getMetricKeys().join(', ')}` };
+  }
+
+  // Read the coarsest rollup that fits the interval where it has been built, and raw telemetry around it
+  // Rollup buckets only cover whole rollup intervals, so the partial ones at the range edges are read from raw telemetry
+  const level = chooseRollupLevel(intervalMs);
+  const watermark = level ? await getRollupWatermark(level.name) : null;
+  const rollupFrom = level ? ceilTo(from, level.intervalMs) : from;
+  const rollupTo = watermark ? floorTo(Math.min(watermark.getTime(), to.getTime()), level.intervalMs) : rollupFrom;
+  const useRollup = rollupTo > rollupFrom;
+
+  const ranges = useRollup
+    ? [{ source: 'raw', from, to: rollupFrom }, { source: level.name, from: rollupFrom, to: rollupTo }, { source: 'raw', from: rollupTo, to }]
+    : [{ source: 'raw', from, to }];
+  const sources = ranges
+    .filter(range => range.to > range.from)
+    .map(range => aggregatePartialBuckets({ ...range, intervalMs, metrics, deviceNames: [deviceName] }));
+
+  // Buckets at the edges of the rollup range can have readings from both sources
+  const partialBuckets = new Map();
+  for (const row of (await Promise.all(sources)).flat()) {
+    const key = row.bucketStart.getTime();
+    const existing = partialBuckets.get(key);
+    if (!existing) {
+      partialBuckets.set(key, row);
+      continue;
+    }
+    existing.count += row.count;
+    metrics.forEach(metric => { existing.metrics[metric] = mergePartial(existing.metrics[metric], row.metrics[metric]); });
+  }
+
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+  const buckets = [...partialBuckets.values()]
+    .sort((a, b) => a.bucketStart - b.bucketStart)
+    .map(row => {
+      const bucket = { timestamp: row.bucketStart.toISOString(), count: row.count };
+      for (const metric of metrics) {
+        const partial = row.metrics[metric];
+        bucket[metric] = {
+          min: round(partial.min),
+          max: round(partial.max),
+          avg: round(partial.count > 0 ? partial.sum / partial.count : null),
+          last: round(partial.last)
+        };
+      }
+      return bucket;
+    });
+  const resolution = useRollup ? level.name : 'raw';
+
+  console.log(`📊 Aggregated telemetry for ${deviceName} into ${buckets.length} ${interval} buckets from ${resolution} data`);
+  return { deviceName, from, to, interval, intervalMs, resolution, metrics, buckets };
+};
+
 /**
  * Fetch the latest telemetry entry for a device
  * @param {string} deviceName - Name of the device
@@ -166,10 +292,7 @@ const getLatestTelemetryByDeviceName = async (deviceName) => {
         // Add to our unique entries
         uniqueEntries.push({
           timestamp: entry.Timestamp?.toISOString() || entry.timestamp?.toISOString() || new Date().toISOString(),
-          temperature: entry.Temperature || entry.temperature || 0,
-          humidity: entry.Humidity || entry.humidity || 0,
-          oilLevel: entry.OilLevel || entry.oilLevel || 0,
-          openAlerts: entry.OpenAlerts || entry.openAlerts || 0
+          ...extractMetrics(entry)
         });
       }
     }
@@ -195,13 +318,17 @@ const createTelemetryRecord = async (deviceId, telemetryData) => {
     // Get the Telemetry model
     const Telemetry = TelemetryModel.getModel();
     
+    // Store every registry metric under the field the devices write
+    const values = extractMetrics(telemetryData);
+    const metricFields = {};
+    getMetrics().forEach(metric => {
+      if (values[metric.key] !== undefined) metricFields[metric.fields[0]] = values[metric.key];
+    });
+
     // Create new record using the telemetry model
     const newTelemetry = new Telemetry({
       DeviceName: telemetryData.deviceName || telemetryData.DeviceName || deviceId,
-      Temperature: telemetryData.temperature || telemetryData.Temperature || 0,
-      Humidity: telemetryData.humidity || telemetryData.Humidity || 0,
-      OilLevel: telemetryData.oilLevel || telemetryData.OilLevel || 0,
-      OpenAlerts: telemetryData.openAlerts || telemetryData.OpenAlerts || 0,
+      ...metricFields,
       RawData: JSON.stringify(telemetryData),
       Timestamp: new Date()
     });
@@ -261,6 +388,7 @@ module.exports = {
   getTelemetryDataByDeviceId,
   getTelemetryDataByDeviceName,
   getLatestTelemetryByDeviceName,
+  aggregateTelemetry,
   createTelemetryRecord,
   getDiagnosticData
 };
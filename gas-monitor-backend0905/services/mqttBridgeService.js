@@ -0,0 +1,323 @@
+/**
+ * MQTT Bridge Service
+ * Connects to a site's local MQTT broker (e.g. Mosquitto) for plants without Azure connectivity.
+ * Telemetry published on the configured topics goes through the same validation, storage and Redis publishing as
+ * HTTP ingestion, and commands can be published back to devices on their command topic.
+ *
+ * Topic patterns name their plant and device levels as {plant} and {device}, e.g. plants/{plant}/devices/{device}/telemetry.
+ * A bare + right after a plants or devices level is read the same way, so plants/+/devices/+/telemetry also works.
+ * Plants and devices may be named in the topic by id or by name.
+ */
+
+const mqtt = require('mqtt');
+const crypto = require('crypto');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const { ingestTelemetry } = require('./telemetryIngestService');
+
+const MQTT_URL = process.env.MQTT_URL || '';
+const TELEMETRY_TOPICS = (process.env.MQTT_TELEMETRY_TOPICS || 'plants/{plant}/devices/{device}/telemetry')
+  .split(',').map(topic => topic.trim()).filter(Boolean);
+const COMMAND_TOPIC = process.env.MQTT_COMMAND_TOPIC || 'plants/{plant}/devices/{device}/commands';
+const QOS = [0, 1, 2].includes(parseInt(process.env.MQTT_QOS, 10)) ? parseInt(process.env.MQTT_QOS, 10) : 1;
+const RECONNECT_MS = parseInt(process.env.MQTT_RECONNECT_MS, 10) || 5000;
+// Messages waiting to be handled - new messages are dropped beyond this rather than buffered without limit
+const MAX_QUEUE = parseInt(process.env.MQTT_MAX_QUEUE, 10) || 1000;
+
+// Plants and devices named in topics are cached this long before hitting the database again
+const LOOKUP_CACHE_MS = 60 * 1000;
+
+let client = null;
+let online = false;
+// Messages are handled one at a time so each device's readings reach Redis in the order they were published
+let queue = Promise.resolve();
+let queued = 0;
+// Messages dropped since the queue last filled up, reported once it has drained
+let droppedInOverflow = 0;
+const stats = { received: 0, stored: 0, duplicates: 0, rejected: 0, failed: 0, dropped: 0, lastMessageAt: null, lastError: null };
+const lookupCache = new Map();
+
+/**
+ * Parse a configured topic pattern
+ * @param {string} pattern - e.g. plants/{plant}/devices/{device}/telemetry
+ * @returns {Object} - { pattern, subscription, levels, params } where params maps plant and device to their level index
+ */
+const parseTopicPattern = (pattern) => {
+  const params = {};
+  const levels = pattern.split('/').map((level, index, all) => {
+    const named = level.match(/^\{(plant|device)\}$/);
+    if (named) {
+      params[named[1]] = index;
+      return '+';
+    }
+    const previous = index > 0 ? all[index - 1].toLowerCase() : '';
+    if (level === '+' && ['plants', 'plant'].includes(previous) && params.plant === undefined) params.plant = index;
+    if (level === '+' && ['devices', 'device'].includes(previous) && params.device === undefined) params.device = index;
+    return level;
+  });
+  return { pattern, subscription: levels.join('/'), levels, params };
+};
+
+const TOPIC_PATTERNS = TELEMETRY_TOPICS.map(parseTopicPattern);
+
+/**
+ * Match a topic against a parsed pattern
+ * @param {string} topic - Topic a message arrived on
+ * @param {Object} pattern - From parseTopicPattern
+ * @returns {Object|null} - { plant, device } levels of the topic, null when it does not match
+ */
+const matchTopic = (topic, { levels, params }) => {
+  const parts = topic.split('/');
+  for (let index = 0; index < levels.length; index += 1) {
+    if (levels[index] === '#') break;
+    if (parts[index] === undefined) return null;
+    if (levels[index] !== '+' && levels[index] !== parts[index]) return null;
+  }
+  if (!levels.includes('#') && parts.length !== levels.length) return null;
+  return {
+    plant: params.plant !== undefined ? parts[params.plant] : undefined,
+    device: params.device !== undefined ? parts[params.device] : undefined
+  };
+};
+
+/**
+ * Look up a plant or device named in a topic, by id or name
+ * @param {Object} Model - Plant or Device
+ * @param {string} nameField - plantName or deviceName
+ * @param {string} ref - Topic level
+ * @returns {Promise<Object|null>}
+ */
+const lookup = async (Model, nameField, ref) => {
+  const cacheKey = `${nameField}:${ref}`;
+  const cached = lookupCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) return cached.doc;
+
+  const query = /^[0-9a-fA-F]{24}$/.test(ref) ? { $or: [{ _id: ref }, { [nameField]: ref }] } : { [nameField]: ref };
+  const doc = await Model.findOne(query).lean();
+  lookupCache.set(cacheKey, { doc, expires: Date.now() + LOOKUP_CACHE_MS });
+  return doc;
+};
+
+/**
+ * Work out who a message speaks for from its topic
+ * A device in the topic sends for itself and its child devices, a plant alone allows any device of that plant
+ * @param {Object} levels - { plant, device } from matchTopic
+ * @returns {Promise<Object>} - Caller for ingestTelemetry, or { error }
+ */
+const resolveCaller = async ({ plant: plantRef, device: deviceRef }) => {
+  const plant = plantRef ? await lookup(Plant, 'plantName', plantRef) : null;
+  if (plantRef && !plant) return { error: `Unknown plant: ${plantRef}` };
+
+  if (deviceRef) {
+    const device = await lookup(Device, 'deviceName', deviceRef);
+    if (!device) return { error: `Unknown device: ${deviceRef}` };
+    if (plant && String(device.plantId) !== String(plant._id)) {
+      return { error: `Device ${device.deviceName} does not belong to plant ${plant.plantName}` };
+    }
+    return { device };
+  }
+
+  return { scope: plant ? { unrestricted: false, plantIds: [String(plant._id)], plantNames: [plant.plantName] } : { unrestricted: true } };
+};
+
+/**
+ * Handle a message from the broker
+ * @param {string} topic - Topic it arrived on
+ * @param {Buffer} payload - Message body, JSON: one reading, an array of readings or { readings: [...] }
+ */
+const handleMessage = async (topic, payload) => {
+  stats.received += 1;
+  stats.lastMessageAt = new Date();
+  try {
+    const pattern = TOPIC_PATTERNS.find(candidate => matchTopic(topic, candidate));
+    if (!pattern) return;
+
+    let body;
+    try {
+      body = JSON.parse(payload.toString());
+    } catch (error) {
+      stats.rejected += 1;
+      console.warn(`⚠️ MQTT message on ${topic} is not JSON: ${error.message}`);
+      return;
+    }
+
+    const caller = await resolveCaller(matchTopic(topic, pattern));
+    if (caller.error) {
+      stats.rejected += 1;
+      console.warn(`⚠️ MQTT message on ${topic} rejected: ${caller.error}`);
+      return;
+    }
+
+    const report = await ingestTelemetry(body, caller);
+    if (report.error) {
+      stats.rejected += 1;
+      console.warn(`⚠️ MQTT message on ${topic} rejected: ${report.error}`);
+      return;
+    }
+    stats.stored += report.stored;
+    stats.duplicates += report.duplicates;
+    stats.rejected += report.rejected;
+    for (const result of report.results.filter(item => item && item.status === 'rejected')) {
+      console.warn(`⚠️ MQTT reading ${result.index} on ${topic} rejected: ${result.error}`);
+    }
+  } catch (error) {
+    stats.failed += 1;
+    stats.lastError = error.message;
+    console.error(`❌ Error handling MQTT message on ${topic}:`, error);
+  }
+};
+
+/**
+ * Queue a message from the broker, dropping it when the bridge is too far behind
+ * @param {string} topic - Topic it arrived on
+ * @param {Buffer} payload - Message body
+ */
+const enqueueMessage = (topic, payload) => {
+  if (queued >= MAX_QUEUE) {
+    stats.dropped += 1;
+    if (droppedInOverflow === 0) {
+      console.warn(`⚠️ MQTT bridge is ${MAX_QUEUE} messages behind, dropping new messages until it catches up`);
+    }
+    droppedInOverflow += 1;
+    return;
+  }
+
+  queued += 1;
+  queue = queue.then(() => handleMessage(topic, payload)).then(() => {
+    queued -= 1;
+    if (droppedInOverflow > 0 && queued === 0) {
+      console.warn(`⚠️ MQTT bridge caught up after dropping ${droppedInOverflow} messages`);
+      droppedInOverflow = 0;
+    }
+  });
+};
+
+/**
+ * Get the broker URL without its credentials, for logs and the status endpoint
+ * @returns {string}
+ */
+const getSafeUrl = () => MQTT_URL.replace(/\/\/[^@/]*@/, '//');
+
+/**
+ * Start the bridge - it stays off unless MQTT_URL is set
+ */
+const startMqttBridge = () => {
+  if (!MQTT_URL || process.env.MQTT_BRIDGE_ENABLED === 'false') {
+    console.log('⏸️ MQTT bridge disabled - set MQTT_URL to connect to a local broker');
+    return;
+  }
+  if (client) return;
+
+  const clientId = process.env.MQTT_CLIENT_ID;
+  client = mqtt.connect(MQTT_URL, {
+    clientId: clientId || `gas-monitor-backend-${crypto.randomBytes(4).toString('hex')}`,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    reconnectPeriod: RECONNECT_MS,
+    // With a fixed client id the broker keeps the session, so QoS 1+ telemetry sent while the backend was down is delivered
+    clean: !clientId
+  });
+
+  client.on('connect', () => {
+    online = true;
+    console.log(`✅ MQTT bridge connected to ${getSafeUrl()}`);
+    client.subscribe(TOPIC_PATTERNS.map(pattern => pattern.subscription), { qos: QOS }, (error) => {
+      if (error) {
+        stats.lastError = error.message;
+        console.error('❌ MQTT bridge subscribe failed:', error.message);
+        return;
+      }
+      console.log(`📥 MQTT bridge subscribed to ${TOPIC_PATTERNS.map(pattern => pattern.subscription).join(', ')}`);
+    });
+  });
+  client.on('message', enqueueMessage);
+  client.on('offline', () => {
+    // Logged once per outage rather than on every reconnect attempt
+    if (online) console.warn(`⚠️ MQTT bridge lost the broker, retrying every ${RECONNECT_MS / 1000}s`);
+    online = false;
+  });
+  client.on('error', (error) => {
+    stats.lastError = error.message;
+    console.error('❌ MQTT bridge error:', error.message);
+  });
+};
+
+/**
+ * Stop the bridge
+ * @returns {Promise<void>}
+ */
+const stopMqttBridge = () => new Promise((resolve) => {
+  if (!client) return resolve();
+  client.end(false, {}, () => resolve());
+  client = null;
+  online = false;
+});
+
+/**
+ * Fill a topic template with a device's plant and device names
+ * @param {string} template - e.g. plants/{plant}/devices/{device}/commands
+ * @param {Object} names - { plant, device }
+ * @returns {Object} - { topic } or { error }
+ */
+const buildTopic = (template, names) => {
+  for (const [key, value] of Object.entries(names)) {
+    if (template.includes(`{${key}}`) && (!value || /[+#/]/.test(value))) {
+      return { error: `${key} name "${value || ''}" cannot be used in an MQTT topic` };
+    }
+  }
+  return { topic: template.replace(/\{(plant|device)\}/g, (match, key) => names[key]) };
+};
+
+/**
+ * Publish a command to a device
+ * @param {Object} device - Device document
+ * @param {string} command - Command name, e.g. reboot
+ * @param {Object} [params] - Command parameters
+ * @param {Object} [options]
+ * @param {string} [options.issuedBy] - User sending the command
+ * @returns {Promise<Object>} - { commandId, topic } or { error }
+ */
+const publishCommand = async (device, command, params = {}, { issuedBy = null } = {}) => {
+  if (!client || !client.connected) {
+    return { error: 'MQTT bridge is not connected' };
+  }
+
+  const plant = device.plantId ? await Plant.findById(device.plantId).lean() : null;
+  const { topic, error } = buildTopic(COMMAND_TOPIC, { plant: plant && plant.plantName, device: device.deviceName });
+  if (error) return { error };
+
+  const commandId = crypto.randomUUID();
+  const message = JSON.stringify({ commandId, command, params, issuedAt: new Date().toISOString(), issuedBy });
+  await new Promise((resolve, reject) => {
+    client.publish(topic, message, { qos: QOS }, (publishError) => (publishError ? reject(publishError) : resolve()));
+  });
+
+  console.log(`📤 Sent command ${command} to ${device.deviceName} on ${topic}`);
+  return { commandId, topic };
+};
+
+/**
+ * Get the state of the bridge
+ * @returns {Object}
+ */
+const getMqttBridgeStatus = () => ({
+  enabled: !!client,
+  connected: !!(client && client.connected),
+  url: MQTT_URL ? getSafeUrl() : null,
+  telemetryTopics: TOPIC_PATTERNS.map(pattern => pattern.subscription),
+  commandTopic: COMMAND_TOPIC,
+  qos: QOS,
+  queued,
+  maxQueue: MAX_QUEUE,
+  ...stats
+});
+
+module.exports = {
+  parseTopicPattern,
+  matchTopic,
+  handleMessage,
+  startMqttBridge,
+  stopMqttBridge,
+  publishCommand,
+  getMqttBridgeStatus
+};
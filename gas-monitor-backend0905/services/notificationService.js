@@ -0,0 +1,215 @@
+/**
+ * Notification Service
+ * Sends alarm notifications to the users subscribed to the alarm's plant or device
+ * Transports are pluggable - anything with a send({ to, subject, text, html }) method can be registered
+ */
+
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/userModel');
+const Plant = require('../models/plant');
+const { SEVERITY_LEVELS } = require('../config/alarmCatalogue');
+const { getAlarmDefinition, resolveAlarmSeverity } = require('./alarmDefinitionService');
+const { getPlantScope, canAccessPlant } = require('./plantAccessService');
+const { createSmtpTransport } = require('./emailTransport');
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'http://localhost:3000/telemetry-dashboard?tab=alarms';
+
+const SEVERITY_COLORS = {
+  critical: '#d32f2f',
+  major: '#ed6c02',
+  minor: '#0288d1',
+  info: '#757575'
+};
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const templates = {
+  text: fs.readFileSync(path.join(TEMPLATE_DIR, 'alarmEmail.txt'), 'utf8'),
+  html: fs.readFileSync(path.join(TEMPLATE_DIR, 'alarmEmail.html'), 'utf8')
+};
+
+let emailTransport;
+
+/**
+ * Get the email transport, creating the SMTP transport on first use
+ * @returns {Object|null}
+ */
+const getEmailTransport = () => {
+  if (emailTransport === undefined) {
+    emailTransport = createSmtpTransport();
+    if (!emailTransport) {
+      console.log('ℹ️ SMTP_HOST not set - alarm emails are disabled');
+    }
+  }
+  return emailTransport;
+};
+
+/**
+ * Replace the email transport, e.g. with another provider
+ * @param {Object|null} transport - Object with a send(message) method
+ */
+const setEmailTransport = (transport) => {
+  emailTransport = transport;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Fill {{placeholders}} in a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @param {boolean} html - Escape values for HTML output
+ * @returns {string}
+ */
+const renderTemplate = (template, values, html = false) =>
+  template.replace(/{{(\w+)}}/g, (match, key) => {
+    const value = values[key] !== undefined && values[key] !== null ? values[key] : '';
+    return html ? escapeHtml(value) : String(value);
+  });
+
+/**
+ * Build the email for an alarm
+ * @param {Object} alarm - Alarm from the Redis alarms channel
+ * @returns {Object} - { subject, text, html }
+ */
+const buildAlarmEmail = (alarm) => {
+  const alarmCode = alarm.AlarmCode || alarm.alarmCode || 'ALARM';
+  const definition = getAlarmDefinition(alarmCode) || {};
+  const severity = resolveAlarmSeverity(alarm.Severity, alarmCode);
+
+  const values = {
+    alarmCode,
+    severityLabel: severity.charAt(0).toUpperCase() + severity.slice(1),
+    severityColor: SEVERITY_COLORS[severity],
+    deviceName: alarm.DeviceName || alarm.deviceName || 'Unknown Device',
+    plantName: alarm.PlantName || alarm.plantName || '',
+    description: alarm.AlarmDescription || alarm.alarmDescription || definition.description || '',
+    alarmValue: alarm.AlarmValue || alarm.alarmValue || '-',
+    createdTimestamp: new Date(alarm.CreatedTimestamp || alarm.createdTimestamp || Date.now()).toUTCString(),
+    recommendedAction: definition.recommendedAction || '-',
+    dashboardUrl: DASHBOARD_URL
+  };
+
+  return {
+    subject: `[${values.severityLabel}] ${alarmCode} on ${values.deviceName} (${values.plantName})`,
+    text: renderTemplate(templates.text, values),
+    html: renderTemplate(templates.html, values, true)
+  };
+};
+
+/**
+ * Find the users who want an email for an alarm
+ * A user must have opted in, subscribed to the plant or device, accept the severity and have access to the plant
+ * @param {Object} alarm - Alarm from the Redis alarms channel
+ * @returns {Promise<Array>} - User documents
+ */
+const findEmailRecipients = async (alarm) => {
+  const plantName = alarm.PlantName || alarm.plantName || '';
+  const deviceName = alarm.DeviceName || alarm.deviceName || '';
+  const severityRank = SEVERITY_LEVELS.indexOf(resolveAlarmSeverity(alarm.Severity, alarm.AlarmCode || alarm.alarmCode));
+
+  const plant = plantName ? await Plant.findOne({ plantName }) : null;
+  const plantId = plant ? plant._id.toString() : null;
+
+  const users = await User.find({ 'notificationPreferences.email.enabled': true });
+  const recipients = [];
+
+  for (const user of users) {
+    const prefs = user.notificationPreferences.email;
+    if (severityRank > SEVERITY_LEVELS.indexOf(prefs.minSeverity)) continue;
+
+    const subscribed = (plantId && prefs.plantIds.some(id => id.toString() === plantId)) ||
+      (deviceName && prefs.deviceNames.includes(deviceName));
+    if (!subscribed) continue;
+
+    const scope = await getPlantScope({ userId: user._id.toString(), role: user.role });
+    if (!canAccessPlant(scope, plantName)) continue;
+
+    recipients.push(user);
+  }
+
+  return recipients;
+};
+
+/**
+ * Email an alarm to a list of users
+ * @param {Object} alarm - Alarm document or message
+ * @param {Array} users - Users with an email address
+ * @param {string} subjectPrefix - Optional prefix for the subject, e.g. [Escalation 2]
+ * @returns {Promise<Array<string>>} - Addresses the email was sent to
+ */
+const sendAlarmEmail = async (alarm, users, subjectPrefix = '') => {
+  const transport = getEmailTransport();
+  if (!transport || users.length === 0) return [];
+
+  const email = buildAlarmEmail(alarm);
+  if (subjectPrefix) email.subject = `${subjectPrefix} ${email.subject}`;
+
+  const results = await Promise.allSettled(
+    users.map(user => transport.send({ to: user.email, ...email }))
+  );
+
+  const sentTo = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ Failed to email alarm to ${users[i].email}:`, result.reason.message);
+    } else {
+      sentTo.push(users[i].email);
+    }
+  });
+  return sentTo;
+};
+
+/**
+ * Send notifications for a new alarm
+ * Failures are logged and never thrown so they cannot disturb the real-time alarm flow
+ * @param {Object} alarm - Alarm from the Redis alarms channel
+ * @returns {Promise<void>}
+ */
+const notifyAlarm = async (alarm) => {
+  if (!getEmailTransport()) return;
+
+  try {
+    const recipients = await findEmailRecipients(alarm);
+    if (recipients.length === 0) return;
+
+    const sentTo = await sendAlarmEmail(alarm, recipients);
+    console.log(`📧 Alarm ${alarm.AlarmCode || alarm.alarmCode} emailed to ${sentTo.length}/${recipients.length} subscribers`);
+  } catch (error) {
+    console.error('❌ Error sending alarm notifications:', error.message);
+  }
+};
+
+/**
+ * Send a sample alarm email to one user so they can check their settings
+ * @param {string} email - Recipient address
+ * @returns {Promise<void>}
+ */
+const sendTestEmail = async (email) => {
+  const transport = getEmailTransport();
+  if (!transport) {
+    throw new Error('Email notifications are not configured on the server');
+  }
+
+  const sample = buildAlarmEmail({
+    AlarmCode: 'TEST',
+    Severity: 'info',
+    DeviceName: 'test-device',
+    PlantName: 'Test Plant',
+    AlarmDescription: 'This is a test notification',
+    AlarmValue: '0'
+  });
+  await transport.send({ to: email, ...sample, subject: `[Test] ${sample.subject}` });
+};
+
+module.exports = {
+  notifyAlarm,
+  sendAlarmEmail,
+  sendTestEmail,
+  buildAlarmEmail,
+  setEmailTransport
+};
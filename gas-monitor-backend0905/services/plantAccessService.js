@@ -0,0 +1,95 @@
+/**
+ * Plant Access Service
+ * Resolves which plants and devices a user may see based on their plant assignments
+ */
+
+const mongoose = require('mongoose');
+const Plant = require('../models/plant');
+const Device = require('../models/Device');
+const PlantAssignment = require('../models/plantAssignment');
+
+// Legacy numeric plant ids used by the socket rooms and the simulator
+const LEGACY_PLANT_NAMES = {
+  '1': 'Plant C',
+  '2': 'Plant D'
+};
+
+/**
+ * Build the plant scope for a user
+ * Super admins are unrestricted, everyone else only sees their assigned plants
+ * @param {Object} user - Decoded JWT payload ({ userId, role })
+ * @returns {Promise<Object>} - { unrestricted, plantIds, plantNames }
+ */
+const getPlantScope = async (user) => {
+  if (user && user.role === 'super-admin') {
+    return { unrestricted: true, plantIds: [], plantNames: [] };
+  }
+
+  if (!user || !mongoose.Types.ObjectId.isValid(user.userId)) {
+    return { unrestricted: false, plantIds: [], plantNames: [] };
+  }
+
+  const assignments = await PlantAssignment.find({ userId: user.userId });
+  const plants = await Plant.find({ _id: { $in: assignments.map(a => a.plantId) } });
+
+  return {
+    unrestricted: false,
+    plantIds: plants.map(p => p._id.toString()),
+    plantNames: plants.map(p => p.plantName)
+  };
+};
+
+/**
+ * Check whether a plant is inside the scope
+ * @param {Object} scope - Scope from getPlantScope
+ * @param {string} plantRef - Plant ObjectId, plant name or legacy numeric id
+ * @returns {boolean}
+ */
+const canAccessPlant = (scope, plantRef) => {
+  if (scope.unrestricted) return true;
+  if (!plantRef) return false;
+
+  const ref = String(plantRef);
+  if (scope.plantIds.includes(ref)) return true;
+
+  const plantName = (LEGACY_PLANT_NAMES[ref] || ref).toLowerCase();
+  return scope.plantNames.some(name => name.toLowerCase() === plantName);
+};
+
+/**
+ * Check whether a device belongs to a plant inside the scope
+ * @param {Object} scope - Scope from getPlantScope
+ * @param {string} deviceRef - Device ObjectId or device name
+ * @returns {Promise<boolean>}
+ */
+const canAccessDevice = async (scope, deviceRef) => {
+  if (scope.unrestricted) return true;
+  if (!deviceRef) return false;
+
+  const query = /^[0-9a-fA-F]{24}$/.test(deviceRef)
+    ? { _id: deviceRef }
+    : { deviceName: deviceRef };
+
+  const device = await Device.findOne(query);
+  return !!device && canAccessPlant(scope, device.plantId.toString());
+};
+
+/**
+ * Get the names of all devices inside the scope
+ * @param {Object} scope - Scope from getPlantScope
+ * @returns {Promise<Array<string>|null>} - Device names, or null when unrestricted
+ */
+const getAccessibleDeviceNames = async (scope) => {
+  if (scope.unrestricted) return null;
+
+  const devices = await Device.find({ plantId: { $in: scope.plantIds } });
+  return devices.map(d => d.deviceName);
+};
+
+module.exports = {
+  LEGACY_PLANT_NAMES,
+  getPlantScope,
+  canAccessPlant,
+  canAccessDevice,
+  getAccessibleDeviceNames
+};
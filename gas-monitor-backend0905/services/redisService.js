@@ -4,6 +4,7 @@
  */
 
 const { redisClient } = require('../server');
+const { extractMetrics } = require('./metricRegistryService');
 
 /**
  * Publish telemetry data to Redis channel
@@ -22,9 +23,8 @@ const publishTelemetryData = async (telemetryData) => {
     const normalizedData = {
       deviceId: telemetryData.deviceId || telemetryData.device || telemetryData.device_id,
       deviceName: telemetryData.deviceName || telemetryData.DeviceName,
-      temperature: telemetryData.temperature || telemetryData.Temperature || 0,
-      humidity: telemetryData.humidity || telemetryData.Humidity || 0,
-      oilLevel: telemetryData.oilLevel || telemetryData.OilLevel || 0,
+      // Every registry metric the message carries, keyed by metric key
+      ...extractMetrics(telemetryData),
       timestamp: telemetryData.timestamp || telemetryData.Timestamp || new Date(),
       plantName: telemetryData.plantName || 
                 (telemetryData.deviceName?.includes('esp32_04') || 
@@ -0,0 +1,369 @@
+/**
+ * Retention Service
+ * Deletes raw telemetry, telemetry rollups and closed alarms once they are older than their plant's
+ * retention policy, optionally archiving them to gzipped NDJSON files first.
+ * Retention varies per plant, so a scheduled job is used rather than TTL indexes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const { getTestDB, getTelemetryDB } = require('../config/db');
+const RetentionPolicy = require('../models/retentionPolicyModel');
+const Plant = require('../models/plant');
+const Device = require('../models/Device');
+const { getRollupWatermark } = require('./telemetryRollupService');
+
+const { EJSON } = mongoose.mongo.BSON;
+const gzip = promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const ARCHIVE_DIR = path.resolve(process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, '..', 'archive'));
+// Documents archived and deleted per round trip
+const BATCH_SIZE = 5000;
+
+const parseDays = (value) => {
+  const days = parseInt(value, 10);
+  return days > 0 ? days : null;
+};
+
+// Used for plants without a policy, policy fields left empty and devices that belong to no plant
+// An unset default keeps that data forever
+const DEFAULT_RETENTION = {
+  rawTelemetryDays: parseDays(process.env.RETENTION_RAW_TELEMETRY_DAYS),
+  minuteRollupDays: parseDays(process.env.RETENTION_MINUTE_ROLLUP_DAYS),
+  hourlyRollupDays: parseDays(process.env.RETENTION_HOURLY_ROLLUP_DAYS),
+  dailyRollupDays: parseDays(process.env.RETENTION_DAILY_ROLLUP_DAYS),
+  closedAlarmDays: parseDays(process.env.RETENTION_CLOSED_ALARM_DAYS),
+  archive: process.env.RETENTION_ARCHIVE === 'true'
+};
+
+/**
+ * Expiry query of each kind of data, for the given devices or plants
+ * Telemetry is never deleted before the next rollup level has been built from it
+ */
+const RETENTION_TARGETS = [
+  {
+    key: 'rawTelemetryDays',
+    collection: 'telemetry',
+    rolledUpBy: '1m',
+    buildQuery: (cutoff, names, exclude) => ({
+      $and: [
+        { $or: [{ Timestamp: { $lt: cutoff } }, { Timestamp: { $exists: false }, timestamp: { $lt: cutoff } }] },
+        matchNames(['DeviceName', 'deviceName', 'device', 'device_id'], names, exclude)
+      ]
+    })
+  },
+  {
+    key: 'minuteRollupDays',
+    collection: 'telemetry_rollup_1m',
+    rolledUpBy: '1h',
+    buildQuery: (cutoff, names, exclude) => ({ $and: [{ BucketStart: { $lt: cutoff } }, matchNames(['DeviceName'], names, exclude)] })
+  },
+  {
+    key: 'hourlyRollupDays',
+    collection: 'telemetry_rollup_1h',
+    rolledUpBy: '1d',
+    buildQuery: (cutoff, names, exclude) => ({ $and: [{ BucketStart: { $lt: cutoff } }, matchNames(['DeviceName'], names, exclude)] })
+  },
+  {
+    key: 'dailyRollupDays',
+    collection: 'telemetry_rollup_1d',
+    buildQuery: (cutoff, names, exclude) => ({ $and: [{ BucketStart: { $lt: cutoff } }, matchNames(['DeviceName'], names, exclude)] })
+  },
+  {
+    key: 'closedAlarmDays',
+    collection: 'alarms',
+    byPlantName: true,
+    // Alarms from before the lifecycle existed count as closed once inactive
+    buildQuery: (cutoff, names, exclude) => ({
+      $and: [
+        { $or: [{ Status: 'Closed' }, { Status: { $exists: false }, IsActive: false }] },
+        { $or: [{ ClosedTimestamp: { $lt: cutoff } }, { ClosedTimestamp: { $exists: false }, CreatedTimestamp: { $lt: cutoff } }] },
+        matchNames(['PlantName', 'plantName'], names, exclude)
+      ]
+    })
+  }
+];
+
+/**
+ * Match documents whose name fields are (or, when excluding, are not) in a list
+ * @param {Array<string>} fields - Fields the name may be stored under
+ * @param {Array<string>} names - Device or plant names
+ * @param {boolean} exclude - Match documents outside the list instead
+ * @returns {Object} - MongoDB query
+ */
+function matchNames(fields, names, exclude) {
+  if (exclude) return { $and: fields.map(field => ({ [field]: { $nin: names } })) };
+  return { $or: fields.map(field => ({ [field]: { $in: names } })) };
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Resolve the effective retention of a plant
+ * @param {Object|null} policy - The plant's RetentionPolicy
+ * @returns {Object} - Days per target and whether to archive
+ */
+const resolveRetention = (policy) => {
+  const retention = {};
+  for (const target of RETENTION_TARGETS) {
+    retention[target.key] = (policy && policy[target.key]) || DEFAULT_RETENTION[target.key];
+  }
+  retention.archive = policy && policy.archive !== null && policy.archive !== undefined
+    ? policy.archive
+    : DEFAULT_RETENTION.archive;
+  return retention;
+};
+
+/**
+ * Make a name safe to use as a directory name
+ * @param {string} name - Plant name
+ * @returns {string}
+ */
+const toDirectoryName = (name) => name.replace(/[^a-zA-Z0-9_-]+/g, '_') || 'unnamed';
+
+/**
+ * Archive and delete the documents matching a query, a batch at a time
+ * Each batch is appended to the archive as its own gzip member and synced to disk before it is deleted,
+ * so a failed write stops the run without losing anything. gunzip and zcat read the members as one file.
+ * @param {Object} collection - Collection to expire documents from
+ * @param {Object} query - Expiry query
+ * @param {string} archivePath - File to archive to, or null to delete without archiving
+ * @returns {Promise<number>} - Documents deleted
+ */
+const expireDocuments = async (collection, query, archivePath) => {
+  if (!archivePath) {
+    const result = await collection.deleteMany(query);
+    return result.deletedCount;
+  }
+
+  let file = null;
+  let deleted = 0;
+
+  try {
+    while (true) {
+      const batch = await collection.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).toArray();
+      if (batch.length === 0) break;
+
+      // The file is only created once there is something to archive
+      if (!file) {
+        await fs.promises.mkdir(path.dirname(archivePath), { recursive: true });
+        file = await fs.promises.open(archivePath, 'a');
+      }
+      const lines = batch.map(doc => `${EJSON.stringify(doc, { relaxed: true })}\n`).join('');
+      await file.appendFile(await gzip(lines));
+      await file.sync();
+
+      const result = await collection.deleteMany({ _id: { $in: batch.map(doc => doc._id) } });
+      deleted += result.deletedCount;
+      if (batch.length < BATCH_SIZE) break;
+    }
+  } finally {
+    if (file) await file.close();
+  }
+
+  return deleted;
+};
+
+/**
+ * Expire one kind of data for one plant (or for everything outside the plants)
+ * @param {Object} telemetryDB - Telemetry database connection
+ * @param {Object} target - Entry of RETENTION_TARGETS
+ * @param {number} days - Retention in days
+ * @param {Object} scope - { label, names, exclude, archive }
+ * @param {Date} now - Time of the run
+ * @returns {Promise<number>} - Documents deleted
+ */
+const expireTarget = async (telemetryDB, target, days, scope, now) => {
+  let cutoff = new Date(now.getTime() - days * DAY_MS);
+  if (target.rolledUpBy) {
+    // Keep whatever the next rollup level still has to read
+    const rolledUpUntil = await getRollupWatermark(target.rolledUpBy);
+    if (!rolledUpUntil) return 0;
+    if (rolledUpUntil < cutoff) cutoff = rolledUpUntil;
+  }
+  if (!scope.exclude && scope.names.length === 0) return 0;
+
+  const archivePath = scope.archive
+    ? path.join(ARCHIVE_DIR, target.collection, toDirectoryName(scope.label),
+      `${target.collection}-${now.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`)
+    : null;
+
+  const deleted = await expireDocuments(
+    telemetryDB.collection(target.collection),
+    target.buildQuery(cutoff, scope.names, scope.exclude),
+    archivePath
+  );
+  if (deleted > 0) {
+    console.log(`🧹 Expired ${deleted} ${target.collection} documents of ${scope.label} older than ${cutoff.toISOString()}${archivePath ? `, archived to ${archivePath}` : ''}`);
+  }
+  return deleted;
+};
+
+/**
+ * Apply every plant's retention policy once
+ * @returns {Promise<Object>} - Documents deleted per collection
+ */
+const runRetention = async () => {
+  // Skip a tick rather than overlap with a slow previous run
+  if (running) return null;
+  running = true;
+
+  const summary = {};
+  try {
+    const telemetryDB = getTelemetryDB();
+    if (!telemetryDB) return summary;
+
+    const now = new Date();
+    const [plants, policies, devices] = await Promise.all([Plant.find(), RetentionPolicy.find(), Device.find({}, 'deviceName plantId')]);
+    const policyByPlant = new Map(policies.map(policy => [policy.plantId.toString(), policy]));
+
+    const scopes = plants.map(plant => ({
+      label: plant.plantName,
+      retention: resolveRetention(policyByPlant.get(plant._id.toString())),
+      deviceNames: devices.filter(device => device.plantId && device.plantId.equals(plant._id)).map(device => device.deviceName),
+      plantNames: [plant.plantName]
+    }));
+    // Data of unknown devices and plants follows the defaults, including devices whose plant was deleted
+    scopes.push({
+      label: 'unassigned',
+      retention: resolveRetention(null),
+      deviceNames: scopes.flatMap(scope => scope.deviceNames),
+      plantNames: plants.map(plant => plant.plantName),
+      exclude: true
+    });
+
+    for (const scope of scopes) {
+      for (const target of RETENTION_TARGETS) {
+        const days = scope.retention[target.key];
+        if (!days) continue;
+        try {
+          summary[target.collection] = (summary[target.collection] || 0) + await expireTarget(telemetryDB, target, days, {
+            label: scope.label,
+            names: target.byPlantName ? scope.plantNames : scope.deviceNames,
+            exclude: scope.exclude,
+            archive: scope.retention.archive
+          }, now);
+        } catch (error) {
+          console.error(`❌ Retention of ${target.collection} for ${scope.label} failed:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Retention run failed:', error.message);
+  } finally {
+    running = false;
+  }
+  return summary;
+};
+
+/**
+ * Total size of the archive files below a directory
+ * @param {string} directory - Directory to measure
+ * @returns {Promise<Object>} - { files, bytes }
+ */
+const measureDirectory = async (directory) => {
+  const usage = { files: 0, bytes: 0 };
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    return usage;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      const nested = await measureDirectory(entryPath);
+      usage.files += nested.files;
+      usage.bytes += nested.bytes;
+    } else {
+      usage.files += 1;
+      usage.bytes += (await fs.promises.stat(entryPath)).size;
+    }
+  }
+  return usage;
+};
+
+/**
+ * Report the storage used by every collection of a database
+ * @param {Object} db - Native database handle
+ * @returns {Promise<Array>} - [{ name, count, size, storageSize, indexSize }]
+ */
+const getDatabaseUsage = async (db) => {
+  const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+  const usage = [];
+  for (const { name } of collections) {
+    try {
+      const [stats] = await db.collection(name).aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+      const storage = stats.storageStats;
+      usage.push({
+        name,
+        count: storage.count,
+        size: storage.size,
+        storageSize: storage.storageSize,
+        indexSize: storage.totalIndexSize
+      });
+    } catch (error) {
+      // Views and system collections have no storage stats
+      usage.push({ name, error: error.message });
+    }
+  }
+  return usage.sort((a, b) => (b.storageSize || 0) - (a.storageSize || 0));
+};
+
+/**
+ * Report storage usage per collection and of the archive directory
+ * @returns {Promise<Object>}
+ */
+const getStorageUsage = async () => {
+  const databases = [];
+  for (const connection of [getTestDB() || mongoose.connection, getTelemetryDB()]) {
+    if (connection && connection.db) {
+      databases.push({ name: connection.name, collections: await getDatabaseUsage(connection.db) });
+    }
+  }
+
+  const archive = { directory: ARCHIVE_DIR, ...(await measureDirectory(ARCHIVE_DIR)), collections: [] };
+  for (const target of RETENTION_TARGETS) {
+    const usage = await measureDirectory(path.join(ARCHIVE_DIR, target.collection));
+    if (usage.files > 0) archive.collections.push({ name: target.collection, ...usage });
+  }
+
+  return { databases, archive };
+};
+
+/**
+ * Start the retention scheduler
+ */
+const startRetentionScheduler = () => {
+  if (process.env.RETENTION_ENABLED === 'false') {
+    console.log('⏸️ Data retention disabled via RETENTION_ENABLED');
+    return;
+  }
+
+  timer = setInterval(runRetention, RETENTION_INTERVAL_MS);
+  console.log(`🧹 Data retention scheduler running every ${RETENTION_INTERVAL_MS / 60000} min`);
+};
+
+/**
+ * Stop the retention scheduler
+ */
+const stopRetentionScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  DEFAULT_RETENTION,
+  RETENTION_FIELDS: RETENTION_TARGETS.map(target => target.key),
+  resolveRetention,
+  runRetention,
+  getStorageUsage,
+  startRetentionScheduler,
+  stopRetentionScheduler
+};
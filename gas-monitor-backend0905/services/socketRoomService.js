@@ -0,0 +1,148 @@
+/**
+ * Socket Room Service
+ * Decides which Socket.IO rooms live telemetry and alarm events are sent to, so clients only receive data for their plants.
+ *
+ * Rooms:
+ * - device:<deviceName> - joined with "subscribe" after a device access check
+ * - plant:<plantId> - joined with "subscribePlant", by ObjectId or by the legacy numeric id of Plant C and Plant D
+ * - plant-alarms:<plantId> - joined on connect for every plant in the user's scope, so alarm updates reach any page
+ * - plants:all - joined on connect by unrestricted users, who also get events whose plant cannot be resolved
+ */
+
+const mongoose = require('mongoose');
+const Plant = require('../models/plant');
+const Device = require('../models/Device');
+const { LEGACY_PLANT_NAMES, getPlantScope } = require('./plantAccessService');
+
+const ALL_PLANTS_ROOM = 'plants:all';
+
+// Plants resolved from event payloads are cached this long before hitting the database again
+const PLANT_CACHE_MS = 60 * 1000;
+
+const plantCache = new Map();
+
+/**
+ * Get the plant scope of a connected socket, computed once per connection
+ * @param {Object} socket - Socket.IO socket with socket.data.user set by the auth middleware
+ * @returns {Promise<Object>} - Scope from getPlantScope
+ */
+const getSocketScope = (socket) => {
+  if (!socket.data.plantScope) {
+    socket.data.plantScope = getPlantScope(socket.data.user).catch((error) => {
+      delete socket.data.plantScope;
+      throw error;
+    });
+  }
+  return socket.data.plantScope;
+};
+
+/**
+ * Join the alarm rooms of the socket's plants
+ * @param {Object} socket - Socket.IO socket
+ * @returns {Promise<void>}
+ */
+const joinScopedRooms = async (socket) => {
+  try {
+    const scope = await getSocketScope(socket);
+    if (scope.unrestricted) {
+      socket.join(ALL_PLANTS_ROOM);
+      return;
+    }
+    scope.plantIds.forEach(plantId => socket.join(`plant-alarms:${plantId}`));
+  } catch (error) {
+    console.error(`❌ Error joining plant rooms for ${socket.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Look up the plant an event belongs to
+ * A registered device decides its plant, the plant named in the payload is only used for unknown devices
+ * @param {Object} refs - { plantId, plantName, deviceName }
+ * @returns {Promise<Object|null>} - { _id, plantName } or null when the plant is unknown
+ */
+const resolvePlant = async ({ plantId, plantName, deviceName }) => {
+  const cacheKey = `${plantId || ''}|${plantName || ''}|${deviceName || ''}`;
+  const cached = plantCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) return cached.plant;
+
+  let plant = null;
+  if (deviceName) {
+    const device = await Device.findOne({ deviceName: String(deviceName) }).select('plantId').lean();
+    if (device && device.plantId) plant = await Plant.findById(device.plantId).select('plantName').lean();
+  }
+  if (!plant && plantId && mongoose.Types.ObjectId.isValid(String(plantId))) {
+    plant = await Plant.findById(String(plantId)).select('plantName').lean();
+  }
+  const name = plantName || (plantId && LEGACY_PLANT_NAMES[String(plantId)]);
+  if (!plant && name) {
+    plant = await Plant.findOne({ plantName: String(name) }).select('plantName').lean();
+  }
+
+  plantCache.set(cacheKey, { plant, expires: Date.now() + PLANT_CACHE_MS });
+  return plant;
+};
+
+/**
+ * Read the plant and device an event refers to from its payload
+ * @param {Object} data - Telemetry or alarm payload
+ * @returns {Object} - { plantId, plantName, deviceName }
+ */
+const getEventRefs = (data) => ({
+  plantId: data.plantId || data.PlantId,
+  plantName: data.PlantName || data.plantName,
+  deviceName: data.DeviceName || data.deviceName || data.deviceId || data.DeviceId || data.device
+});
+
+/**
+ * Get the plant:<id> rooms of a plant, including its legacy numeric room
+ * @param {Object} plant - { _id, plantName }
+ * @returns {Array<string>}
+ */
+const getPlantRooms = (plant) => {
+  const rooms = [`plant:${plant._id}`];
+  Object.entries(LEGACY_PLANT_NAMES)
+    .filter(([, legacyName]) => legacyName.toLowerCase() === plant.plantName.toLowerCase())
+    .forEach(([legacyId]) => rooms.push(`plant:${legacyId}`));
+  return rooms;
+};
+
+/**
+ * Send an event to the rooms of the device and plant it belongs to
+ * Rooms are chained on one emit so a socket in several of them receives the event once.
+ * Errors are logged and never thrown so a failed lookup cannot undo the change being announced.
+ * @param {Object} io - Socket.IO server
+ * @param {string} event - Event name, e.g. alarm_cleared
+ * @param {Object} data - Payload
+ * @param {Object} [options]
+ * @param {Object} [options.refs] - { plantId, plantName, deviceName }, read from the payload by default
+ * @param {boolean} [options.alarm=true] - Also send to the plant-alarms room every user of the plant is in.
+ *   Telemetry passes false so it only reaches clients subscribed to the device or plant.
+ * @returns {Promise<void>}
+ */
+const emitToPlant = async (io, event, data, { alarm = true, refs } = {}) => {
+  if (!io || !data) return;
+  try {
+    refs = refs || getEventRefs(data);
+    const plant = await resolvePlant(refs);
+
+    const rooms = [];
+    if (refs.deviceName) rooms.push(`device:${refs.deviceName}`);
+    if (plant) rooms.push(...getPlantRooms(plant));
+    if (alarm) {
+      if (plant) rooms.push(`plant-alarms:${plant._id}`);
+      rooms.push(ALL_PLANTS_ROOM);
+    }
+    if (rooms.length === 0) return;
+
+    rooms.reduce((target, room) => target.to(room), io).emit(event, data);
+  } catch (error) {
+    console.error(`❌ Error emitting ${event} to plant rooms: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getSocketScope,
+  joinScopedRooms,
+  resolvePlant,
+  emitToPlant
+};
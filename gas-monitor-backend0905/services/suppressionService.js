@@ -0,0 +1,252 @@
+/**
+ * Alarm Suppression Service
+ * Shelves alarm codes on devices for a bounded time and applies plant maintenance windows
+ * Suppressed alarms are still recorded but flagged so they are not pushed to notifications
+ */
+
+const AlarmShelve = require('../models/alarmShelveModel');
+const MaintenanceWindow = require('../models/maintenanceWindowModel');
+const SuppressionAudit = require('../models/suppressionAuditModel');
+const Plant = require('../models/plant');
+const { getTelemetryDB } = require('../config/db');
+const { getStoredAlarmId } = require('./alarmLifecycleService');
+const { emitToPlant } = require('./socketRoomService');
+
+const SUPPRESSION_CHECK_INTERVAL_MS = parseInt(process.env.SUPPRESSION_CHECK_INTERVAL_MS, 10) || 60000;
+
+// Longest time an alarm can be shelved for, 24 hours by default
+const MAX_SHELVE_MINUTES = parseInt(process.env.ALARM_SHELVE_MAX_MINUTES, 10) || 1440;
+
+let timer = null;
+let io = null;
+
+/**
+ * Copy the caller from a decoded JWT for the audit trail
+ * @param {Object} user - Decoded JWT payload
+ * @returns {Object|null} - { userId, name, email }
+ */
+const getActor = (user) => (user ? { userId: user.userId, name: user.name, email: user.email } : null);
+
+/**
+ * Add an entry to the audit trail
+ * Failures are logged and never thrown so they cannot undo the change being audited
+ * @param {Object} entry - SuppressionAudit fields
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (entry) => {
+  try {
+    await SuppressionAudit.create(entry);
+  } catch (error) {
+    console.error(`❌ Failed to record suppression audit "${entry.action}":`, error.message);
+  }
+};
+
+/**
+ * Tell connected dashboards of the plant that its shelves or maintenance windows changed
+ * @param {Object} change - { action, shelve } or { action, window }
+ */
+const broadcastChange = (change) => {
+  const target = change.shelve || change.window || {};
+  emitToPlant(io, 'alarm_suppression_changed', change, { refs: { plantId: target.plantId, deviceName: target.deviceName } });
+};
+
+/**
+ * Shelve an alarm code on a device, extending the shelve if it is already shelved
+ * @param {Object} target - { plantId, deviceName, alarmCode, durationMinutes, reason }
+ * @param {Object} user - Decoded JWT payload of the caller
+ * @returns {Promise<Object>} - AlarmShelve document
+ */
+const shelveAlarm = async ({ plantId, deviceName, alarmCode, durationMinutes, reason = '' }, user) => {
+  const shelvedUntil = new Date(Date.now() + durationMinutes * 60000);
+  const code = alarmCode.toUpperCase();
+
+  let shelve = await AlarmShelve.findOne({ active: true, deviceName, alarmCode: code });
+  const extended = !!shelve;
+  if (shelve) {
+    shelve.set({ shelvedUntil, reason, shelvedBy: getActor(user) });
+  } else {
+    shelve = new AlarmShelve({ plantId, deviceName, alarmCode: code, reason, shelvedUntil, shelvedBy: getActor(user) });
+  }
+  await shelve.save();
+
+  await recordAudit({
+    action: 'shelved',
+    plantId,
+    shelveId: shelve._id,
+    deviceName,
+    alarmCode: code,
+    details: `${extended ? 'Extended' : 'Shelved'} for ${durationMinutes} min${reason ? ` - ${reason}` : ''}`,
+    by: getActor(user)
+  });
+  console.log(`🗄️ ${code} on ${deviceName} shelved until ${shelvedUntil.toISOString()}`);
+  broadcastChange({ action: 'shelved', shelve });
+  return shelve;
+};
+
+/**
+ * End a shelve, either manually or because it expired
+ * @param {Object} shelve - Active AlarmShelve document
+ * @param {Object|null} user - Caller, or null when the server unshelves automatically
+ * @returns {Promise<Object|null>} - Updated shelve, or null if it was already unshelved
+ */
+const unshelveAlarm = async (shelve, user = null) => {
+  const updated = await AlarmShelve.findOneAndUpdate(
+    { _id: shelve._id, active: true },
+    { active: false, unshelvedAt: new Date(), unshelvedBy: getActor(user) },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await recordAudit({
+    action: user ? 'unshelved' : 'shelve_expired',
+    plantId: updated.plantId,
+    shelveId: updated._id,
+    deviceName: updated.deviceName,
+    alarmCode: updated.alarmCode,
+    details: user ? 'Unshelved manually' : 'Shelve period ended',
+    by: getActor(user)
+  });
+  console.log(`🗄️ ${updated.alarmCode} on ${updated.deviceName} unshelved${user ? '' : ' automatically'}`);
+  broadcastChange({ action: 'unshelved', shelve: updated });
+  return updated;
+};
+
+/**
+ * Unshelve every shelve whose period has ended
+ * @returns {Promise<void>}
+ */
+const expireShelves = async () => {
+  try {
+    const expired = await AlarmShelve.find({ active: true, shelvedUntil: { $lte: new Date() } });
+    for (const shelve of expired) {
+      await unshelveAlarm(shelve);
+    }
+  } catch (error) {
+    console.error('❌ Error expiring alarm shelves:', error.message);
+  }
+};
+
+/**
+ * Find what suppresses an alarm, if anything
+ * @param {Object} alarm - { deviceName, plantName, alarmCode }
+ * @param {Date} at - Time the alarm was raised
+ * @returns {Promise<Object|null>} - { Type, Id, PlantId, Reason, Until } or null
+ */
+const findSuppression = async ({ deviceName, plantName, alarmCode }, at = new Date()) => {
+  if (deviceName && alarmCode) {
+    const shelve = await AlarmShelve.findOne({
+      active: true,
+      deviceName,
+      alarmCode: alarmCode.toUpperCase(),
+      shelvedUntil: { $gt: at }
+    });
+    if (shelve) {
+      return {
+        Type: 'shelved',
+        Id: shelve._id.toString(),
+        PlantId: shelve.plantId.toString(),
+        Reason: shelve.reason,
+        Until: shelve.shelvedUntil
+      };
+    }
+  }
+
+  const plant = plantName ? await Plant.findOne({ plantName }) : null;
+  if (!plant) return null;
+
+  const window = await MaintenanceWindow.findOne({
+    plantId: plant._id,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+    $or: [{ deviceNames: { $size: 0 } }, { deviceNames: deviceName }]
+  });
+  if (window) {
+    return {
+      Type: 'maintenance',
+      Id: window._id.toString(),
+      PlantId: plant._id.toString(),
+      Reason: window.reason,
+      Until: window.endsAt
+    };
+  }
+  return null;
+};
+
+/**
+ * Check a newly raised alarm and flag it as suppressed when a shelve or maintenance window applies
+ * The stored alarm is updated so it stays flagged when the dashboard reloads
+ * Errors are logged and treated as not suppressed so a database problem cannot hide alarms
+ * @param {Object} alarmData - Alarm from the Redis alarms channel, updated in place
+ * @returns {Promise<Object|null>} - The suppression, or null
+ */
+const applySuppression = async (alarmData) => {
+  try {
+    const suppression = await findSuppression({
+      deviceName: alarmData.DeviceName || alarmData.deviceName,
+      plantName: alarmData.PlantName || alarmData.plantName,
+      alarmCode: alarmData.AlarmCode || alarmData.alarmCode
+    }, new Date(alarmData.CreatedTimestamp || alarmData.createdTimestamp || Date.now()));
+    if (!suppression) return null;
+
+    alarmData.Suppressed = true;
+    alarmData.Suppression = suppression;
+
+    // Alarms published without their stored _id are only flagged in the live event
+    const alarmId = getStoredAlarmId(alarmData);
+    const telemetryDB = getTelemetryDB();
+    if (alarmId && telemetryDB) {
+      await telemetryDB.collection('alarms').updateOne(
+        { _id: alarmId },
+        { $set: { Suppressed: true, Suppression: suppression } }
+      );
+    }
+
+    await recordAudit({
+      action: 'alarm_suppressed',
+      plantId: suppression.PlantId,
+      alarmId: alarmId ? String(alarmId) : null,
+      shelveId: suppression.Type === 'shelved' ? suppression.Id : null,
+      windowId: suppression.Type === 'maintenance' ? suppression.Id : null,
+      deviceName: alarmData.DeviceName || alarmData.deviceName || '',
+      alarmCode: alarmData.AlarmCode || alarmData.alarmCode || '',
+      details: suppression.Type === 'shelved' ? 'Alarm code is shelved' : 'Raised during a maintenance window'
+    });
+    return suppression;
+  } catch (error) {
+    console.error('❌ Error checking alarm suppression:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Start the scheduler that unshelves expired shelves
+ * @param {Object} socketServer - Socket.IO server used to broadcast changes
+ */
+const startSuppressionScheduler = (socketServer = null) => {
+  io = socketServer;
+  expireShelves();
+  timer = setInterval(expireShelves, SUPPRESSION_CHECK_INTERVAL_MS);
+  console.log(`🗄️ Alarm shelve expiry running every ${SUPPRESSION_CHECK_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop the unshelve scheduler
+ */
+const stopSuppressionScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  MAX_SHELVE_MINUTES,
+  getActor,
+  recordAudit,
+  broadcastChange,
+  shelveAlarm,
+  unshelveAlarm,
+  expireShelves,
+  findSuppression,
+  applySuppression,
+  startSuppressionScheduler,
+  stopSuppressionScheduler
+};
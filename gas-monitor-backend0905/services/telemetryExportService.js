@@ -0,0 +1,268 @@
+/**
+ * Telemetry Export Service
+ * Streams raw telemetry readings as CSV or XLSX straight from a database cursor,
+ * so exports of long ranges never hold more than one batch in memory
+ */
+
+const ExcelJS = require('exceljs');
+const { getTelemetryDB } = require('../config/db');
+const { DEVICE_NAME_EXPRESSION } = require('../config/telemetryMetrics');
+const { getMetricKeys, isKnownMetric, metricValueExpression, getMetricLabel } = require('./metricRegistryService');
+const { toDisplayUnit } = require('./unitService');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+const DEFAULT_EXPORT_RANGE_MS = 24 * 60 * 60 * 1000;
+const CURSOR_BATCH_SIZE = 1000;
+// Excel stops at 1,048,576 rows per sheet, longer exports continue on a new sheet
+const MAX_SHEET_ROWS = 1000000;
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. Europe/London
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate the export query
+ * @param {Object} params - { from, to, format, timezone, metrics }
+ * @returns {Object} - { options } or { error }
+ */
+const parseExportOptions = (params = {}) => {
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from ? new Date(params.from) : new Date(to.getTime() - DEFAULT_EXPORT_RANGE_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  const format = String(params.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const timezone = params.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  const requested = String(params.metrics || '').split(',').map(metric => metric.trim()).filter(Boolean);
+  const metrics = requested.length > 0 ? requested : getMetricKeys();
+  const unknown = metrics.filter(metric => !isKnownMetric(metric));
+  if (unknown.length > 0) {
+    return { error: `Unknown metrics: ${unknown.join(', ')}. Valid metrics: ${getMetricKeys().join(', ')}` };
+  }
+
+  return { options: { from, to, format, timezone, metrics } };
+};
+
+/**
+ * Build a formatter giving the wall-clock time of a date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Function} - date => { text: 'YYYY-MM-DD HH:mm:ss', date: Date holding the wall-clock time as UTC }
+ */
+const localTimeFormatter = (timezone) => {
+  const format = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+  return (date) => {
+    const parts = {};
+    format.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+      text: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`,
+      // Spreadsheet dates carry no timezone, so the cell stores the local wall-clock time
+      date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second))
+    };
+  };
+};
+
+/**
+ * Column headers, with the unit each metric is exported in
+ * @param {Object} options - Export options
+ * @returns {Array<string>}
+ */
+const buildHeaders = ({ timezone, metrics, units = {} }) => [
+  `Time (${timezone})`,
+  'Time (UTC)',
+  'Device',
+  ...metrics.map(metric => getMetricLabel(metric, units[metric]))
+];
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Open a cursor over the readings of some devices, oldest first
+ * @param {Array<string>} deviceNames - Device names
+ * @param {Object} options - Export options
+ * @returns {Object} - Aggregation cursor of { deviceName, timestamp, values }
+ */
+const openTelemetryCursor = (deviceNames, { from, to, metrics }) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Telemetry database connection not available');
+  }
+
+  const names = { $in: deviceNames };
+  const values = {};
+  metrics.forEach(metric => { values[metric] = metricValueExpression(metric); });
+
+  return telemetryDB.collection('telemetry').aggregate([
+    {
+      $match: {
+        $and: [
+          { $or: [{ Timestamp: { $gte: from, $lt: to } }, { timestamp: { $gte: from, $lt: to } }] },
+          { $or: [{ DeviceName: names }, { deviceName: names }, { device: names }, { device_id: names }] }
+        ]
+      }
+    },
+    { $addFields: { _ts: { $ifNull: ['$Timestamp', '$timestamp'] } } },
+    { $match: { _ts: { $gte: from, $lt: to } } },
+    { $sort: { _ts: 1, _id: 1 } },
+    { $addFields: { _values: values, _device: DEVICE_NAME_EXPRESSION } },
+    { $project: { _id: 0, deviceName: '$_device', timestamp: '$_ts', values: '$_values' } }
+  ], { allowDiskUse: true, batchSize: CURSOR_BATCH_SIZE });
+};
+
+/**
+ * Wait until a response can take more data, or has been closed
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Stream an export to an HTTP response
+ * @param {Object} res - Express response
+ * @param {Array<string>} deviceNames - Devices to export
+ * @param {string} name - Device or plant name, used for the file name
+ * @param {Object} options - Options from parseExportOptions, plus the display units from unitService
+ * @returns {Promise<number>} - Rows written
+ */
+const streamTelemetryExport = async (res, deviceNames, name, options) => {
+  const { from, to, format, timezone, metrics, units = {} } = options;
+  const cursor = openTelemetryCursor(deviceNames, options);
+  const toLocalTime = localTimeFormatter(timezone);
+  const headers = buildHeaders(options);
+
+  // Stop reading as soon as the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const day = (date) => date.toISOString().slice(0, 10);
+  const fileName = `telemetry-${name.replace(/[^a-zA-Z0-9_-]+/g, '_')}-${day(from)}-${day(to)}.${EXPORT_FORMATS[format].extension}`;
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  // Let the browser read the file name across origins
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  let rows = 0;
+  let workbook = null;
+  let sheet = null;
+  const addSheet = () => {
+    sheet = workbook.addWorksheet(rows === 0 ? 'Telemetry' : `Telemetry ${Math.floor(rows / MAX_SHEET_ROWS) + 1}`);
+    sheet.columns = headers.map((header, index) => ({
+      header,
+      width: index < 2 ? 22 : Math.max(header.length + 2, 12),
+      style: index === 0 ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+  };
+
+  if (format === 'xlsx') {
+    workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    addSheet();
+  } else {
+    // The byte order mark lets Excel open the file as UTF-8 so the unit symbols survive
+    res.write(`\uFEFF${headers.map(toCsvField).join(',')}\r\n`);
+  }
+
+  try {
+    let lines = [];
+    for await (const doc of cursor) {
+      if (aborted) break;
+
+      const localTime = toLocalTime(doc.timestamp);
+      const readings = metrics.map(metric => toDisplayUnit(metric, doc.values[metric], units));
+      if (workbook) {
+        if (rows > 0 && rows % MAX_SHEET_ROWS === 0) {
+          sheet.commit();
+          addSheet();
+        }
+        sheet.addRow([localTime.date, doc.timestamp.toISOString(), doc.deviceName, ...readings]).commit();
+      } else {
+        lines.push([localTime.text, doc.timestamp.toISOString(), doc.deviceName, ...readings].map(toCsvField).join(','));
+      }
+      rows += 1;
+
+      // Hand each batch to the response and wait whenever the client is reading slower than the database
+      if (rows % CURSOR_BATCH_SIZE === 0) {
+        if (lines.length > 0) {
+          res.write(`${lines.join('\r\n')}\r\n`);
+          lines = [];
+        }
+        if (res.writableNeedDrain) await waitForDrain(res);
+      }
+    }
+
+    if (aborted) {
+      console.log(`⚠️ Telemetry export of ${name} cancelled by the client after ${rows} rows`);
+      return rows;
+    }
+    if (lines.length > 0) res.write(`${lines.join('\r\n')}\r\n`);
+    if (workbook) {
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      res.end();
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  console.log(`📤 Exported ${rows} telemetry rows of ${name} as ${format.toUpperCase()} (${from.toISOString()} - ${to.toISOString()})`);
+  return rows;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportOptions,
+  streamTelemetryExport
+};
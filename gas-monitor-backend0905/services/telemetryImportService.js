@@ -0,0 +1,429 @@
+/**
+ * Telemetry Import Service
+ * Backfills a device's telemetry from CSV or NDJSON files, e.g. readings logged to an SD card while the device
+ * was offline or data migrated from an older system. Files are read line by line, so their size is not limited
+ * by memory. Rows are normalized to the telemetry schema, readings whose timestamp the device already has are
+ * skipped, and the rollups of the imported range are recomputed afterwards.
+ */
+
+const readline = require('readline');
+const { getTelemetryDB } = require('../config/db');
+const { getMetrics, getMetricKeys, getMetric, coerceMetricValue, isValueInRange } = require('./metricRegistryService');
+const { rebuildRollups } = require('./telemetryRollupService');
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+const BATCH_SIZE = 1000;
+// Only the first errors are listed, the rest are counted
+const MAX_REPORTED_ERRORS = 500;
+// Readings stamped further ahead than this are rejected as clock errors
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Header names accepted for the timestamp and device columns, compared without case, spaces or units
+const TIME_COLUMNS = ['timeutc', 'timestamp', 'time', 'datetime', 'date'];
+const DEVICE_COLUMNS = ['device', 'devicename', 'deviceid'];
+
+/**
+ * Work out the file format from the query or the content type
+ * @param {string} format - Explicit format, csv or ndjson
+ * @param {string} contentType - Request content type
+ * @returns {string|null}
+ */
+const detectImportFormat = (format, contentType = '') => {
+  if (format) return IMPORT_FORMATS.includes(String(format).toLowerCase()) ? String(format).toLowerCase() : null;
+  if (/csv/i.test(contentType)) return 'csv';
+  if (/ndjson|jsonl|json-seq/i.test(contentType)) return 'ndjson';
+  return null;
+};
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. Europe/London
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} time - Epoch milliseconds
+ * @param {Intl.DateTimeFormat} format - Formatter for the timezone
+ * @returns {number} - Milliseconds to add to UTC to get the local time
+ */
+const timezoneOffset = (time, format) => {
+  const parts = {};
+  format.formatToParts(new Date(time)).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Build a parser for the timestamps of a file
+ * Epoch seconds or milliseconds and ISO dates with an offset are absolute,
+ * dates without an offset (e.g. 2024-03-01 14:00:00) are read as local time in the timezone
+ * @param {string} timezone - IANA timezone for dates without an offset
+ * @returns {Function} - value => Date or null
+ */
+const timestampParser = (timezone) => {
+  const format = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  return (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+      const number = Number(value);
+      // Anything below 10^11 would be before 1973 in milliseconds, so it is taken as seconds
+      return new Date(number < 1e11 ? number * 1000 : number);
+    }
+
+    const text = String(value).trim();
+    const naive = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?$/.exec(text);
+    if (!naive) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const [, year, month, day, hour, minute, second = '0', fraction = ''] = naive;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, Math.round(Number(fraction || 0) * 1000));
+    // Correct by the offset at the guessed instant, then again in case that crossed a DST change
+    let time = wallClock - timezoneOffset(wallClock, format);
+    time = wallClock - timezoneOffset(time, format);
+    return new Date(time);
+  };
+};
+
+/**
+ * Split a CSV line into fields, honouring double quotes
+ * @param {string} line - One CSV line
+ * @returns {Array<string>}
+ */
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+/**
+ * Reduce a header or field name to compare it loosely, e.g. "Oil Level (%)" -> "oillevel"
+ * A timezone in brackets is kept so "Time (UTC)" can be told apart from local time columns
+ * @param {string} name - Header or field name
+ * @returns {string}
+ */
+const normalizeName = (name) => {
+  const text = String(name).toLowerCase();
+  const withoutUnits = /\(utc\)/.test(text) ? text : text.replace(/\(.*?\)/g, '');
+  return withoutUnits.replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Index the registry metrics by every name they may appear under, e.g. oillevel -> oilLevel
+ * @returns {Object} - { [normalized name]: metric key }
+ */
+const buildMetricIndex = () => {
+  const metricByName = {};
+  getMetrics().forEach(metric => {
+    [metric.key, metric.displayName, ...metric.fields].forEach(name => { metricByName[normalizeName(name)] = metric.key; });
+  });
+  return metricByName;
+};
+
+/**
+ * Map the columns of a CSV header
+ * @param {Array<string>} headers - Header fields
+ * @param {Object} metricByName - From buildMetricIndex
+ * @returns {Object} - { time, timezone, device, metrics: { [metric]: index }, ignored } or { error }
+ */
+const mapCsvColumns = (headers, metricByName) => {
+  const names = headers.map(normalizeName);
+  const columns = { time: -1, timezone: null, device: -1, metrics: {}, ignored: [] };
+
+  // Prefer a UTC column where there are several, as in our own exports
+  for (const candidate of TIME_COLUMNS) {
+    const index = names.findIndex(name => name === candidate);
+    if (index >= 0) {
+      columns.time = index;
+      break;
+    }
+  }
+  if (columns.time >= 0) {
+    // A header such as "Time (Europe/Berlin)" names the timezone of its values
+    const zone = /\(([^)]+)\)/.exec(headers[columns.time]);
+    if (zone && isValidTimezone(zone[1])) columns.timezone = zone[1];
+  }
+
+  names.forEach((name, index) => {
+    if (index === columns.time) return;
+    if (DEVICE_COLUMNS.includes(name)) {
+      columns.device = index;
+    } else if (metricByName[name]) {
+      columns.metrics[metricByName[name]] = index;
+    } else if (!TIME_COLUMNS.includes(name)) {
+      columns.ignored.push(headers[index]);
+    }
+  });
+
+  if (columns.time < 0) {
+    return { error: `No timestamp column found. Name it one of: Timestamp, Time, Time (UTC)` };
+  }
+  if (Object.keys(columns.metrics).length === 0) {
+    return { error: `No metric columns found. Valid metrics: ${getMetricKeys().join(', ')}` };
+  }
+  return columns;
+};
+
+/**
+ * Pick the fields of an NDJSON record
+ * @param {Object} record - Parsed line
+ * @param {Object} metricByName - From buildMetricIndex
+ * @returns {Object} - { time, device, values: { [metric]: raw value } }
+ */
+const readJsonRecord = (record, metricByName) => {
+  const fields = {};
+  Object.keys(record).forEach(key => { fields[normalizeName(key)] = record[key]; });
+
+  const timeKey = TIME_COLUMNS.find(name => fields[name] !== undefined);
+  const deviceKey = DEVICE_COLUMNS.find(name => fields[name] !== undefined);
+  const values = {};
+  Object.keys(record).forEach(key => {
+    const metric = metricByName[normalizeName(key)];
+    if (metric && values[metric] === undefined) values[metric] = record[key];
+  });
+
+  return { time: timeKey ? fields[timeKey] : undefined, device: deviceKey ? fields[deviceKey] : undefined, values };
+};
+
+/**
+ * Validate one row and normalize it to the telemetry schema
+ * @param {Object} row - { time, device, values }
+ * @param {string} deviceName - Device being imported
+ * @param {Function} parseTimestamp - From timestampParser
+ * @param {string} rawLine - The line as read, kept on the document
+ * @returns {Object} - { doc } or { error }
+ */
+const normalizeRow = (row, deviceName, parseTimestamp, rawLine) => {
+  if (row.device !== undefined && row.device !== null && row.device !== '' && String(row.device) !== deviceName) {
+    return { error: `Device ${row.device} does not match ${deviceName}` };
+  }
+
+  const timestamp = parseTimestamp(row.time);
+  if (!timestamp || isNaN(timestamp.getTime())) {
+    return { error: `Invalid or missing timestamp: ${row.time === undefined ? '(none)' : row.time}` };
+  }
+  if (timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { error: `Timestamp ${timestamp.toISOString()} is in the future` };
+  }
+
+  const doc = { DeviceName: deviceName };
+  for (const [key, raw] of Object.entries(row.values)) {
+    if (raw === null || raw === undefined || raw === '') continue;
+    const metric = getMetric(key);
+    const value = coerceMetricValue(metric, raw);
+    if (value === null) {
+      return { error: `${key} must be a ${metric.valueType}, got ${raw}` };
+    }
+    if (!isValueInRange(metric, value)) {
+      return { error: `${key} ${value} is outside the valid range ${metric.validMin ?? '-∞'} to ${metric.validMax ?? '∞'}` };
+    }
+    // Stored under the field the devices write
+    doc[metric.fields[0]] = value;
+  }
+  if (Object.keys(doc).length === 1) {
+    return { error: 'Row has no metric values' };
+  }
+
+  // Missing metrics are left out rather than defaulted to 0, so they do not skew the aggregates
+  doc.Category = timestamp.toISOString().substring(0, 7);
+  doc.RawData = rawLine;
+  doc.Timestamp = timestamp;
+  return { doc };
+};
+
+/**
+ * Import telemetry for a device from a CSV or NDJSON stream
+ * @param {Object} input - Readable stream, e.g. the request
+ * @param {string} deviceName - Device the readings belong to
+ * @param {Object} options - { format, timezone }
+ * @param {string} options.format - csv or ndjson
+ * @param {string} [options.timezone] - Timezone of timestamps without an offset, UTC by default
+ * @returns {Promise<Object>} - Import report, or { error } when the file cannot be read at all
+ */
+const importTelemetry = async (input, deviceName, { format, timezone }) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Telemetry database connection not available');
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  const collection = telemetryDB.collection('telemetry');
+  const report = {
+    deviceName,
+    format,
+    rows: 0,
+    inserted: 0,
+    duplicates: 0,
+    failed: 0,
+    errors: [],
+    ignoredColumns: [],
+    from: null,
+    to: null,
+    rollupBuckets: 0
+  };
+  const addError = (line, message) => {
+    report.failed += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ line, message });
+  };
+
+  // Timestamps already in this file, to drop repeated lines
+  const seen = new Set();
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const pending = batch;
+    batch = [];
+
+    const names = { $in: [deviceName] };
+    const times = pending.map(({ doc }) => doc.Timestamp);
+    const existing = await collection.find(
+      {
+        $and: [
+          { $or: [{ DeviceName: names }, { deviceName: names }, { device: names }, { device_id: names }] },
+          { $or: [{ Timestamp: { $in: times } }, { timestamp: { $in: times } }] }
+        ]
+      },
+      { projection: { Timestamp: 1, timestamp: 1 } }
+    ).toArray();
+    const stored = new Set(existing.map(doc => new Date(doc.Timestamp || doc.timestamp).getTime()));
+
+    const docs = pending.map(({ doc }) => doc).filter(doc => !stored.has(doc.Timestamp.getTime()));
+    report.duplicates += pending.length - docs.length;
+    if (docs.length === 0) return;
+
+    await collection.insertMany(docs, { ordered: false });
+    report.inserted += docs.length;
+    for (const doc of docs) {
+      if (!report.from || doc.Timestamp < report.from) report.from = doc.Timestamp;
+      if (!report.to || doc.Timestamp > report.to) report.to = doc.Timestamp;
+    }
+  };
+
+  const metricByName = buildMetricIndex();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let parseTimestamp = timestampParser(timezone || 'UTC');
+  let columns = null;
+  let lineNumber = 0;
+
+  for await (const rawLine of lines) {
+    lineNumber += 1;
+    // Drop the byte order mark spreadsheet programs put in front of the first line
+    const line = lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+    if (!line.trim()) continue;
+
+    let row;
+    if (format === 'csv') {
+      if (!columns) {
+        columns = mapCsvColumns(parseCsvLine(line), metricByName);
+        if (columns.error) {
+          lines.close();
+          return { error: columns.error };
+        }
+        report.ignoredColumns = columns.ignored;
+        if (!timezone && columns.timezone) parseTimestamp = timestampParser(columns.timezone);
+        continue;
+      }
+      const fields = parseCsvLine(line);
+      const values = {};
+      Object.entries(columns.metrics).forEach(([metric, index]) => { values[metric] = fields[index]; });
+      row = { time: fields[columns.time], device: columns.device >= 0 ? fields[columns.device] : undefined, values };
+    } else {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        report.rows += 1;
+        addError(lineNumber, 'Line is not valid JSON');
+        continue;
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        report.rows += 1;
+        addError(lineNumber, 'Line is not a JSON object');
+        continue;
+      }
+      row = readJsonRecord(record, metricByName);
+    }
+
+    report.rows += 1;
+    const { doc, error } = normalizeRow(row, deviceName, parseTimestamp, line);
+    if (error) {
+      addError(lineNumber, error);
+      continue;
+    }
+    const time = doc.Timestamp.getTime();
+    if (seen.has(time)) {
+      report.duplicates += 1;
+      continue;
+    }
+    seen.add(time);
+
+    batch.push({ doc });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (format === 'csv' && !columns) {
+    return { error: 'The file is empty' };
+  }
+
+  // Bring the rollups of the backfilled range up to date so charts show the imported readings
+  if (report.inserted > 0) {
+    report.rollupBuckets = await rebuildRollups({ from: report.from, to: report.to, deviceNames: [deviceName] });
+  }
+
+  report.errorsTruncated = report.failed > report.errors.length;
+  console.log(`📥 Imported ${report.inserted} of ${report.rows} telemetry rows for ${deviceName} (${report.duplicates} duplicates, ${report.failed} failed)`);
+  return report;
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_CLOCK_SKEW_MS,
+  detectImportFormat,
+  timestampParser,
+  importTelemetry
+};
@@ -0,0 +1,273 @@
+/**
+ * Telemetry Ingest Service
+ * Accepts readings from devices that post over HTTP instead of going through the Azure Event Hub.
+ * Readings are checked against the device and metric registries, stored in the telemetry collection in the
+ * same shape the Event Hub listener writes, and republished on Redis so dashboards and the rule engine see
+ * them live exactly like Azure devices.
+ */
+
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const { getTelemetryDB } = require('../config/db');
+const { getMetrics, coerceMetricValue, isValueInRange } = require('./metricRegistryService');
+const { canAccessPlant } = require('./plantAccessService');
+const { MAX_CLOCK_SKEW_MS, timestampParser } = require('./telemetryImportService');
+const { ROLLUP_LEVELS, getRollupWatermark, rebuildRollups } = require('./telemetryRollupService');
+const { publishTelemetryData } = require('./redisService');
+
+// Most readings accepted in one request
+const INGEST_MAX_BATCH = parseInt(process.env.INGEST_MAX_BATCH, 10) || 1000;
+
+// Readings older than this are stored without being published live, like backfills and buffered uploads
+const INGEST_LIVE_WINDOW_MS = parseInt(process.env.INGEST_LIVE_WINDOW_MS, 10) || 5 * 60 * 1000;
+
+// Fields a reading may name its device and time with
+const DEVICE_FIELDS = ['deviceName', 'DeviceName', 'device', 'deviceId', 'device_id'];
+const TIME_FIELDS = ['timestamp', 'Timestamp', 'time'];
+
+// Timestamps without an offset are taken as UTC
+const parseTimestamp = timestampParser('UTC');
+
+/**
+ * Get the readings of a request body
+ * @param {Object|Array} body - One reading, an array of readings or { readings: [...] }
+ * @returns {Object} - { readings } or { error }
+ */
+const getReadings = (body) => {
+  if (Array.isArray(body)) return { readings: body };
+  if (body && Array.isArray(body.readings)) return { readings: body.readings };
+  if (body && typeof body === 'object' && Object.keys(body).length > 0) return { readings: [body] };
+  return { error: 'Send a reading, an array of readings or { readings: [...] }' };
+};
+
+/**
+ * Find the first field of a reading that is set
+ * @param {Object} reading - Reading
+ * @param {Array<string>} fields - Field names in order of preference
+ * @returns {*}
+ */
+const firstSet = (reading, fields) => {
+  const field = fields.find(name => reading[name] !== undefined && reading[name] !== null && reading[name] !== '');
+  return field ? reading[field] : undefined;
+};
+
+/**
+ * Get the time of the newest stored reading of each device
+ * @param {Object} collection - Telemetry collection
+ * @param {Array<string>} deviceNames - Device names
+ * @returns {Promise<Map>} - device name -> time in ms, devices without readings are left out
+ */
+const getLatestTimestamps = async (collection, deviceNames) => {
+  const latest = new Map();
+  await Promise.all(deviceNames.map(async (deviceName) => {
+    const doc = await collection.findOne({ DeviceName: deviceName }, { sort: { Timestamp: -1 }, projection: { Timestamp: 1 } });
+    if (doc && doc.Timestamp) latest.set(deviceName, new Date(doc.Timestamp).getTime());
+  }));
+  return latest;
+};
+
+/**
+ * Load the devices a batch refers to, by ObjectId or device name
+ * @param {Array<string>} refs - Device references
+ * @returns {Promise<Map>} - reference -> { device, plantName }
+ */
+const loadDevices = async (refs) => {
+  const ids = refs.filter(ref => /^[0-9a-fA-F]{24}$/.test(ref));
+  const devices = await Device.find({ $or: [{ _id: { $in: ids } }, { deviceName: { $in: refs } }] }).lean();
+  const plants = await Plant.find({ _id: { $in: devices.map(device => device.plantId) } }).lean();
+  const plantNames = new Map(plants.map(plant => [plant._id.toString(), plant.plantName]));
+
+  const byRef = new Map();
+  for (const device of devices) {
+    const entry = { device, plantName: plantNames.get(String(device.plantId)) || null };
+    byRef.set(device._id.toString(), entry);
+    byRef.set(device.deviceName, entry);
+  }
+  return byRef;
+};
+
+/**
+ * Validate one reading and build its telemetry document
+ * Metrics may be sent at the top level under any of their registry field names, or as { metrics: { key: value } }
+ * @param {Object} reading - Reading as posted
+ * @param {Object} entry - { device, plantName } from loadDevices
+ * @param {Date} receivedAt - Time the request arrived, used when the reading has no timestamp
+ * @returns {Object} - { doc } or { error }
+ */
+const buildTelemetryDocument = (reading, { device }, receivedAt) => {
+  const rawTime = firstSet(reading, TIME_FIELDS);
+  const timestamp = rawTime === undefined ? receivedAt : parseTimestamp(rawTime);
+  if (!timestamp || isNaN(timestamp.getTime())) {
+    return { error: `Invalid timestamp: ${rawTime}` };
+  }
+  if (timestamp.getTime() > receivedAt.getTime() + MAX_CLOCK_SKEW_MS) {
+    return { error: `Timestamp ${timestamp.toISOString()} is in the future` };
+  }
+
+  const deviceMetrics = getMetrics({ deviceType: device.deviceType || undefined });
+  const nested = reading.metrics && typeof reading.metrics === 'object' ? reading.metrics : null;
+  if (nested) {
+    const unknown = Object.keys(nested).filter(key => !deviceMetrics.some(metric => metric.key === key));
+    if (unknown.length > 0) {
+      return { error: `Unknown metrics for ${device.deviceName}: ${unknown.join(', ')}` };
+    }
+  }
+
+  const doc = { DeviceName: device.deviceName };
+  for (const metric of deviceMetrics) {
+    const raw = nested && nested[metric.key] !== undefined ? nested[metric.key] : firstSet(reading, [metric.key, ...metric.fields]);
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = coerceMetricValue(metric, raw);
+    if (value === null) {
+      return { error: `${metric.key} must be a ${metric.valueType}, got ${JSON.stringify(raw)}` };
+    }
+    if (!isValueInRange(metric, value)) {
+      return { error: `${metric.key} ${value} is outside the valid range ${metric.validMin ?? '-∞'} to ${metric.validMax ?? '∞'}` };
+    }
+    // Stored under the field the Azure devices write
+    doc[metric.fields[0]] = value;
+  }
+  if (Object.keys(doc).length === 1) {
+    return { error: 'Reading has no metric values' };
+  }
+
+  doc.Category = timestamp.toISOString().substring(0, 7);
+  doc.RawData = JSON.stringify(reading);
+  doc.Timestamp = timestamp;
+  return { doc };
+};
+
+/**
+ * Check whether a device may post a reading for another device - itself or one of its child devices
+ * @param {Object} sender - Device the key belongs to
+ * @param {Object} target - Device the reading is for
+ * @returns {boolean}
+ */
+const canPostFor = (sender, target) =>
+  String(target._id) === String(sender._id) || String(target.parentDeviceId) === String(sender._id);
+
+/**
+ * Store and publish a batch of readings
+ * @param {Object|Array} body - Request body, see getReadings
+ * @param {Object} caller
+ * @param {Object} [caller.scope] - Plant scope of a user, readings for devices outside it are rejected
+ * @param {Object} [caller.device] - Device authenticated by its key, readings without a device are its own
+ * @returns {Promise<Object>} - Ingest report, or { error } when the body itself is unusable
+ */
+const ingestTelemetry = async (body, { scope, device: sender } = {}) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Telemetry database connection not available');
+  }
+
+  const { readings, error } = getReadings(body);
+  if (error) return { error };
+  if (readings.length === 0) return { error: 'No readings to ingest' };
+  if (readings.length > INGEST_MAX_BATCH) {
+    return { error: `At most ${INGEST_MAX_BATCH} readings can be sent at once, got ${readings.length}` };
+  }
+
+  const receivedAt = new Date();
+  const report = { received: readings.length, stored: 0, duplicates: 0, rejected: 0, results: [] };
+  const reject = (index, message) => {
+    report.rejected += 1;
+    report.results[index] = { index, status: 'rejected', error: message };
+  };
+
+  const refs = readings.map((reading) => {
+    const ref = reading && typeof reading === 'object' ? firstSet(reading, DEVICE_FIELDS) : undefined;
+    return ref === undefined && sender ? String(sender._id) : ref;
+  });
+  const devices = await loadDevices([...new Set(refs.filter(ref => ref !== undefined).map(String))]);
+
+  // Validate everything first, keeping one reading per device and timestamp
+  const accepted = [];
+  const seen = new Set();
+  readings.forEach((reading, index) => {
+    if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+      return reject(index, 'Reading must be an object');
+    }
+    if (refs[index] === undefined) {
+      return reject(index, `Reading has no device - send one of ${DEVICE_FIELDS.join(', ')}`);
+    }
+    const entry = devices.get(String(refs[index]));
+    if (!entry) {
+      return reject(index, `Unknown device: ${refs[index]}`);
+    }
+    if (sender ? !canPostFor(sender, entry.device) : !canAccessPlant(scope, String(entry.device.plantId))) {
+      return reject(index, `Access denied to device ${entry.device.deviceName}`);
+    }
+
+    const { doc, error: readingError } = buildTelemetryDocument(reading, entry, receivedAt);
+    if (readingError) {
+      return reject(index, readingError);
+    }
+
+    const key = `${doc.DeviceName}|${doc.Timestamp.getTime()}`;
+    report.results[index] = { index, status: seen.has(key) ? 'duplicate' : 'stored', deviceName: doc.DeviceName, timestamp: doc.Timestamp };
+    if (seen.has(key)) {
+      report.duplicates += 1;
+      return;
+    }
+    seen.add(key);
+    accepted.push({ index, doc, plantName: entry.plantName });
+  });
+
+  if (accepted.length === 0) return report;
+
+  // Devices retry when a response is lost, so readings the collection already has are skipped
+  const collection = telemetryDB.collection('telemetry');
+  const names = { $in: [...new Set(accepted.map(({ doc }) => doc.DeviceName))] };
+  const existing = await collection.find(
+    {
+      $and: [
+        { $or: [{ DeviceName: names }, { deviceName: names }, { device: names }, { device_id: names }] },
+        { $or: [{ Timestamp: { $in: accepted.map(({ doc }) => doc.Timestamp) } }, { timestamp: { $in: accepted.map(({ doc }) => doc.Timestamp) } }] }
+      ]
+    },
+    { projection: { DeviceName: 1, deviceName: 1, device: 1, device_id: 1, Timestamp: 1, timestamp: 1 } }
+  ).toArray();
+  const stored = new Set(existing.map(doc =>
+    `${doc.DeviceName || doc.deviceName || doc.device || doc.device_id}|${new Date(doc.Timestamp || doc.timestamp).getTime()}`));
+
+  const fresh = accepted.filter(({ index, doc }) => {
+    if (!stored.has(`${doc.DeviceName}|${doc.Timestamp.getTime()}`)) return true;
+    report.results[index].status = 'duplicate';
+    report.duplicates += 1;
+    return false;
+  });
+  if (fresh.length === 0) return report;
+
+  // Only readings newer than anything the device already reported reach dashboards and the rule engine,
+  // so a late upload can neither overwrite the live value nor raise alarms for the past
+  const latest = await getLatestTimestamps(collection, [...new Set(fresh.map(({ doc }) => doc.DeviceName))]);
+  const liveFrom = receivedAt.getTime() - INGEST_LIVE_WINDOW_MS;
+  const live = fresh
+    .filter(({ doc }) => doc.Timestamp.getTime() >= liveFrom && doc.Timestamp.getTime() > (latest.get(doc.DeviceName) || 0))
+    .sort((a, b) => a.doc.Timestamp - b.doc.Timestamp);
+
+  // insertMany adds the _id to each document, which the Redis message does not need
+  await collection.insertMany(fresh.map(({ doc }) => doc), { ordered: false });
+  report.stored = fresh.length;
+
+  for (const { doc, plantName } of live) {
+    const { _id, RawData, Category, ...message } = doc;
+    await publishTelemetryData({ ...message, deviceId: doc.DeviceName, plantName, timestamp: doc.Timestamp });
+  }
+
+  // Late readings land in buckets the rollups have already built
+  const from = new Date(Math.min(...fresh.map(({ doc }) => doc.Timestamp.getTime())));
+  const watermark = await getRollupWatermark(ROLLUP_LEVELS[0].name);
+  if (watermark && from < watermark) {
+    const to = new Date(Math.max(...fresh.map(({ doc }) => doc.Timestamp.getTime())));
+    await rebuildRollups({ from, to, deviceNames: [...new Set(fresh.map(({ doc }) => doc.DeviceName))] });
+  }
+
+  console.log(`📨 Ingested ${report.stored} of ${report.received} HTTP readings (${live.length} published live, ${report.duplicates} duplicates, ${report.rejected} rejected)`);
+  return report;
+};
+
+module.exports = {
+  INGEST_MAX_BATCH,
+  ingestTelemetry
+};
@@ -0,0 +1,427 @@
+/**
+ * Telemetry Rollup Service
+ * Maintains 1-minute, 1-hour and 1-day rollups (min/max/avg/count per metric per device) of the raw
+ * telemetry collection. Each level is built from the level below and records how far it has got,
+ * so after downtime the next run catches up from where the last one stopped.
+ */
+
+const { getTelemetryDB } = require('../config/db');
+const { DEVICE_NAME_EXPRESSION } = require('../config/telemetryMetrics');
+const { getMetricKeys, metricValueExpression } = require('./metricRegistryService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Finest level first - chunkMs bounds how much of the source is rolled up per database round trip
+const ROLLUP_LEVELS = [
+  { name: '1m', intervalMs: MINUTE_MS, collection: 'telemetry_rollup_1m', chunkMs: 6 * HOUR_MS },
+  { name: '1h', intervalMs: HOUR_MS, collection: 'telemetry_rollup_1h', chunkMs: 7 * DAY_MS },
+  { name: '1d', intervalMs: DAY_MS, collection: 'telemetry_rollup_1d', chunkMs: 180 * DAY_MS }
+];
+
+const STATE_COLLECTION = 'telemetry_rollup_state';
+const ROLLUP_INTERVAL_MS = parseInt(process.env.TELEMETRY_ROLLUP_INTERVAL_MS, 10) || 60000;
+// How long after a minute ends before it is rolled up, so readings that arrive late are still counted
+const ROLLUP_DELAY_MS = parseInt(process.env.TELEMETRY_ROLLUP_DELAY_MS, 10) || 2 * MINUTE_MS;
+
+let timer = null;
+let running = false;
+
+const floorTo = (time, intervalMs) => new Date(Math.floor(new Date(time).getTime() / intervalMs) * intervalMs);
+const ceilTo = (time, intervalMs) => new Date(Math.ceil(new Date(time).getTime() / intervalMs) * intervalMs);
+
+// Start of the epoch-aligned bucket holding a date
+const bucketExpression = (dateField, intervalMs) => ({
+  $subtract: [dateField, { $mod: [{ $toLong: dateField }, intervalMs] }]
+});
+
+/**
+ * Accumulators building partial buckets from raw readings
+ * Partial buckets keep the sum and count rather than the average so they can be combined later
+ * @param {Array<string>} metrics - Metric names
+ * @returns {Object} - $group accumulators
+ */
+const rawAccumulators = (metrics) => {
+  const group = {};
+  for (const metric of metrics) {
+    const value = `$_values.${metric}`;
+    group[`${metric}_min`] = { $min: value };
+    group[`${metric}_max`] = { $max: value };
+    group[`${metric}_sum`] = { $sum: value };
+    group[`${metric}_count`] = { $sum: { $cond: [{ $ne: [value, null] }, 1, 0] } };
+    // Latest reading - documents compare field by field, so the highest timestamp wins
+    group[`${metric}_last`] = { $max: { $cond: [{ $ne: [value, null] }, { t: '$_ts', v: value }, null] } };
+  }
+  return group;
+};
+
+/**
+ * Accumulators combining rollup documents into larger partial buckets
+ * @param {Array<string>} metrics - Metric names
+ * @returns {Object} - $group accumulators
+ */
+const rollupAccumulators = (metrics) => {
+  const group = {};
+  for (const metric of metrics) {
+    const base = `$Metrics.${metric}`;
+    group[`${metric}_min`] = { $min: `${base}.min` };
+    group[`${metric}_max`] = { $max: `${base}.max` };
+    group[`${metric}_sum`] = { $sum: `${base}.sum` };
+    group[`${metric}_count`] = { $sum: `${base}.count` };
+    group[`${metric}_last`] = {
+      $max: { $cond: [{ $gt: [`${base}.count`, 0] }, { t: `${base}.lastAt`, v: `${base}.last` }, null] }
+    };
+  }
+  return group;
+};
+
+/**
+ * Read one metric's partial bucket from a $group result
+ * @param {Object} row - Grouped row
+ * @param {string} metric - Metric name
+ * @returns {Object} - { min, max, sum, count, last, lastAt }
+ */
+const toPartial = (row, metric) => {
+  const count = row[`${metric}_count`] || 0;
+  const last = count > 0 ? row[`${metric}_last`] : null;
+  return {
+    min: count > 0 ? row[`${metric}_min`] : null,
+    max: count > 0 ? row[`${metric}_max`] : null,
+    sum: row[`${metric}_sum`] || 0,
+    count,
+    last: last ? last.v : null,
+    lastAt: last ? last.t : null
+  };
+};
+
+/**
+ * Combine two partial buckets of the same metric
+ * @param {Object} a - Partial bucket
+ * @param {Object} b - Partial bucket
+ * @returns {Object} - Combined partial bucket
+ */
+const mergePartial = (a, b) => {
+  if (!a || a.count === 0) return b;
+  if (!b || b.count === 0) return a;
+  const later = b.lastAt > a.lastAt ? b : a;
+  return {
+    min: Math.min(a.min, b.min),
+    max: Math.max(a.max, b.max),
+    sum: a.sum + b.sum,
+    count: a.count + b.count,
+    last: later.last,
+    lastAt: later.lastAt
+  };
+};
+
+/**
+ * Aggregate telemetry into partial buckets per device
+ * @param {Object} options
+ * @param {string} options.source - 'raw' or the rollup level to read from (e.g. 1m)
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {number} options.intervalMs - Bucket size, a multiple of the source level's interval
+ * @param {Array<string>} options.metrics - Metric names
+ * @param {Array<string>} [options.deviceNames] - Only these devices, all devices when omitted
+ * @returns {Promise<Array>} - [{ deviceName, bucketStart, count, metrics: { [metric]: partial } }]
+ */
+const aggregatePartialBuckets = async ({ source, from, to, intervalMs, metrics, deviceNames }) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Telemetry database connection not available');
+  }
+
+  let collection;
+  let pipeline;
+  if (source === 'raw') {
+    const and = [{ $or: [{ Timestamp: { $gte: from, $lt: to } }, { timestamp: { $gte: from, $lt: to } }] }];
+    if (deviceNames) {
+      const names = { $in: deviceNames };
+      and.push({ $or: [{ DeviceName: names }, { deviceName: names }, { device: names }, { device_id: names }] });
+    }
+    const values = {};
+    metrics.forEach(metric => { values[metric] = metricValueExpression(metric); });
+
+    collection = telemetryDB.collection('telemetry');
+    pipeline = [
+      { $match: { $and: and } },
+      { $addFields: { _ts: { $ifNull: ['$Timestamp', '$timestamp'] } } },
+      { $match: { _ts: { $gte: from, $lt: to } } },
+      { $addFields: { _values: values } },
+      {
+        $group: {
+          _id: { device: DEVICE_NAME_EXPRESSION, bucket: bucketExpression('$_ts', intervalMs) },
+          count: { $sum: 1 },
+          ...rawAccumulators(metrics)
+        }
+      }
+    ];
+  } else {
+    const level = ROLLUP_LEVELS.find(candidate => candidate.name === source);
+    collection = telemetryDB.collection(level.collection);
+    pipeline = [
+      { $match: { BucketStart: { $gte: from, $lt: to }, ...(deviceNames && { DeviceName: { $in: deviceNames } }) } },
+      {
+        $group: {
+          _id: { device: '$DeviceName', bucket: bucketExpression('$BucketStart', intervalMs) },
+          count: { $sum: '$Count' },
+          ...rollupAccumulators(metrics)
+        }
+      }
+    ];
+  }
+
+  const rows = await collection.aggregate(pipeline, { allowDiskUse: true }).toArray();
+  return rows.map(row => {
+    const partials = {};
+    metrics.forEach(metric => { partials[metric] = toPartial(row, metric); });
+    return { deviceName: row._id.device, bucketStart: new Date(row._id.bucket), count: row.count, metrics: partials };
+  });
+};
+
+/**
+ * Get how far a rollup level has been built
+ * Every bucket of the level that starts before this time is complete
+ * @param {string} name - Level name, e.g. 1h
+ * @returns {Promise<Date|null>}
+ */
+const getRollupWatermark = async (name) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return null;
+  const state = await telemetryDB.collection(STATE_COLLECTION).findOne({ _id: name });
+  return state ? state.processedUntil : null;
+};
+
+const setRollupWatermark = (telemetryDB, name, processedUntil) =>
+  telemetryDB.collection(STATE_COLLECTION).updateOne(
+    { _id: name },
+    { $set: { processedUntil, updatedAt: new Date() } },
+    { upsert: true }
+  );
+
+/**
+ * Pick the coarsest rollup level whose buckets fit evenly into the requested interval
+ * @param {number} intervalMs - Requested bucket size
+ * @returns {Object|null} - Rollup level, or null when only raw telemetry fits
+ */
+const chooseRollupLevel = (intervalMs) =>
+  [...ROLLUP_LEVELS].reverse().find(level => intervalMs % level.intervalMs === 0) || null;
+
+/**
+ * Roll up one range of the source into a level and store the buckets
+ * @param {Object} telemetryDB - Telemetry database connection
+ * @param {Object} level - Level being built
+ * @param {Object|null} source - Level it is built from, null for raw telemetry
+ * @param {Date} from - Range start, aligned to the level's interval
+ * @param {Date} to - Range end, aligned to the level's interval
+ * @param {Array<string>} [deviceNames] - Only these devices
+ * @returns {Promise<number>} - Buckets written
+ */
+const rollupRange = async (telemetryDB, level, source, from, to, deviceNames) => {
+  const buckets = await aggregatePartialBuckets({
+    source: source ? source.name : 'raw',
+    from,
+    to,
+    intervalMs: level.intervalMs,
+    metrics: getMetricKeys(),
+    deviceNames
+  });
+
+  // Readings without a device name cannot be queried, so they are not rolled up
+  const operations = buckets.filter(bucket => bucket.deviceName).map(bucket => {
+    const metrics = {};
+    for (const [metric, partial] of Object.entries(bucket.metrics)) {
+      metrics[metric] = { ...partial, avg: partial.count > 0 ? partial.sum / partial.count : null };
+    }
+    return {
+      replaceOne: {
+        filter: { DeviceName: bucket.deviceName, BucketStart: bucket.bucketStart },
+        replacement: {
+          DeviceName: bucket.deviceName,
+          BucketStart: bucket.bucketStart,
+          Count: bucket.count,
+          Metrics: metrics,
+          UpdatedAt: new Date()
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await telemetryDB.collection(level.collection).bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+/**
+ * Find where a level should start when it has never run
+ * @param {Object} telemetryDB - Telemetry database connection
+ * @param {Object|null} source - Source level, null for raw telemetry
+ * @returns {Promise<Date|null>} - Time of the oldest source data
+ */
+const findEarliestSourceTime = async (telemetryDB, source) => {
+  if (source) {
+    const [oldest] = await telemetryDB.collection(source.collection).find({}).sort({ BucketStart: 1 }).limit(1).toArray();
+    return oldest ? oldest.BucketStart : null;
+  }
+
+  const raw = telemetryDB.collection('telemetry');
+  const [byTimestamp, byLegacyTimestamp] = await Promise.all([
+    raw.find({ Timestamp: { $type: 'date' } }).sort({ Timestamp: 1 }).limit(1).toArray(),
+    raw.find({ timestamp: { $type: 'date' } }).sort({ timestamp: 1 }).limit(1).toArray()
+  ]);
+  const times = [byTimestamp[0] && byTimestamp[0].Timestamp, byLegacyTimestamp[0] && byLegacyTimestamp[0].timestamp]
+    .filter(Boolean)
+    .map(time => time.getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+/**
+ * Bring one level up to date with its source
+ * @param {Object} telemetryDB - Telemetry database connection
+ * @param {number} index - Index of the level in ROLLUP_LEVELS
+ * @returns {Promise<number>} - Buckets written
+ */
+const catchUpLevel = async (telemetryDB, index) => {
+  const level = ROLLUP_LEVELS[index];
+  const source = index > 0 ? ROLLUP_LEVELS[index - 1] : null;
+
+  const sourceReadyUntil = source
+    ? await getRollupWatermark(source.name)
+    : new Date(Date.now() - ROLLUP_DELAY_MS);
+  if (!sourceReadyUntil) return 0;
+  const limit = floorTo(sourceReadyUntil, level.intervalMs);
+
+  let watermark = await getRollupWatermark(level.name);
+  if (!watermark) {
+    const earliest = await findEarliestSourceTime(telemetryDB, source);
+    watermark = earliest && earliest < limit ? floorTo(earliest, level.intervalMs) : limit;
+    await setRollupWatermark(telemetryDB, level.name, watermark);
+  }
+
+  let written = 0;
+  while (watermark < limit) {
+    const end = new Date(Math.min(watermark.getTime() + level.chunkMs, limit.getTime()));
+    written += await rollupRange(telemetryDB, level, source, watermark, end);
+    await setRollupWatermark(telemetryDB, level.name, end);
+    watermark = end;
+  }
+  return written;
+};
+
+/**
+ * Update every rollup level once
+ * @returns {Promise<void>}
+ */
+const runRollups = async () => {
+  // Skip a tick rather than overlap with a slow previous run, e.g. a long catch-up
+  if (running) return;
+  running = true;
+
+  try {
+    const telemetryDB = getTelemetryDB();
+    if (!telemetryDB) return;
+
+    for (let index = 0; index < ROLLUP_LEVELS.length; index++) {
+      const written = await catchUpLevel(telemetryDB, index);
+      if (written > 0) {
+        console.log(`📦 Telemetry ${ROLLUP_LEVELS[index].name} rollup updated ${written} buckets`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Telemetry rollup run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Recompute the rollups covering a time range, e.g. after telemetry was imported
+ * Only buckets the scheduler has already built are recomputed, later ones are picked up by its next run
+ * @param {Object} options
+ * @param {Date} options.from - Oldest changed reading
+ * @param {Date} options.to - Newest changed reading
+ * @param {Array<string>} [options.deviceNames] - Devices whose readings changed
+ * @returns {Promise<number>} - Buckets written
+ */
+const rebuildRollups = async ({ from, to, deviceNames }) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) {
+    throw new Error('Telemetry database connection not available');
+  }
+
+  let written = 0;
+  for (let index = 0; index < ROLLUP_LEVELS.length; index++) {
+    const level = ROLLUP_LEVELS[index];
+    const source = index > 0 ? ROLLUP_LEVELS[index - 1] : null;
+    const watermark = await getRollupWatermark(level.name);
+    if (!watermark) continue;
+
+    const start = floorTo(from, level.intervalMs);
+    // The bucket holding `to` is included
+    const end = new Date(Math.min(ceilTo(new Date(to).getTime() + 1, level.intervalMs).getTime(), watermark.getTime()));
+    for (let chunkStart = start; chunkStart < end; chunkStart = new Date(chunkStart.getTime() + level.chunkMs)) {
+      const chunkEnd = new Date(Math.min(chunkStart.getTime() + level.chunkMs, end.getTime()));
+      written += await rollupRange(telemetryDB, level, source, chunkStart, chunkEnd, deviceNames);
+    }
+  }
+
+  console.log(`📦 Rebuilt ${written} telemetry rollup buckets`);
+  return written;
+};
+
+/**
+ * Create the indexes the rollup collections are queried by
+ * @returns {Promise<void>}
+ */
+const ensureRollupIndexes = async () => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return;
+
+  for (const level of ROLLUP_LEVELS) {
+    const collection = telemetryDB.collection(level.collection);
+    await collection.createIndex({ DeviceName: 1, BucketStart: 1 }, { unique: true });
+    await collection.createIndex({ BucketStart: 1 });
+  }
+};
+
+/**
+ * Start the rollup scheduler
+ * The first run starts straight away so a restart catches up without waiting for the interval
+ */
+const startTelemetryRollups = () => {
+  if (process.env.TELEMETRY_ROLLUPS_ENABLED === 'false') {
+    console.log('⏸️ Telemetry rollups disabled via TELEMETRY_ROLLUPS_ENABLED');
+    return;
+  }
+
+  ensureRollupIndexes()
+    .catch(error => console.error('❌ Failed to create telemetry rollup indexes:', error.message))
+    .then(runRollups);
+  timer = setInterval(runRollups, ROLLUP_INTERVAL_MS);
+  console.log(`📦 Telemetry rollup scheduler running every ${ROLLUP_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop the rollup scheduler
+ */
+const stopTelemetryRollups = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  ROLLUP_LEVELS,
+  floorTo,
+  ceilTo,
+  aggregatePartialBuckets,
+  mergePartial,
+  chooseRollupLevel,
+  getRollupWatermark,
+  rebuildRollups,
+  runRollups,
+  startTelemetryRollups,
+  stopTelemetryRollups
+};
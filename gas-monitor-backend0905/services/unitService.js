@@ -0,0 +1,202 @@
+/**
+ * Unit Service
+ * Converts telemetry between the unit a metric is stored in and the unit a user wants to see.
+ * A preference is a unit system plus optional per-metric overrides, e.g. imperial but temperature in °C.
+ */
+
+const User = require('../models/userModel');
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, UNITS, SYSTEM_UNITS } = require('../config/units');
+const { getMetrics, getMetric } = require('./metricRegistryService');
+
+/**
+ * Get the units a stored unit can be shown in
+ * @param {string} unit - Stored unit, e.g. °C
+ * @returns {Array<string>} - The unit itself first, then the other units of its quantity
+ */
+const getUnitOptions = (unit) => {
+  if (!UNITS[unit]) return unit ? [unit] : [];
+  return [unit, ...Object.keys(UNITS).filter(other => other !== unit && UNITS[other].quantity === UNITS[unit].quantity)];
+};
+
+/**
+ * Get the linear conversion between two units
+ * @param {string} from - Unit the value is in
+ * @param {string} to - Unit to convert to
+ * @returns {Object} - { factor, offset } so that to = from * factor + offset, the identity when not convertible
+ */
+const getConversion = (from, to) => {
+  const source = UNITS[from];
+  const target = UNITS[to];
+  if (from === to || !source || !target || source.quantity !== target.quantity) {
+    return { factor: 1, offset: 0 };
+  }
+  return {
+    factor: source.factor / target.factor,
+    offset: (source.offset - target.offset) / target.factor
+  };
+};
+
+/**
+ * Convert a value between two units
+ * @param {number} value - Value in the from unit
+ * @param {string} from - Unit the value is in
+ * @param {string} to - Unit to convert to
+ * @param {Object} [options]
+ * @param {boolean} [options.delta] - The value is a difference, e.g. a tolerance, so the offset does not apply
+ * @returns {number} - Converted value, anything that is not a number is returned unchanged
+ */
+const convertUnit = (value, from, to, { delta = false } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || from === to) return value;
+  const { factor, offset } = getConversion(from, to);
+  // Round away the floating point noise of the factors, e.g. 95°F -> 35.00000000000001°C
+  return Math.round((value * factor + (delta ? 0 : offset)) * 1e6) / 1e6;
+};
+
+/**
+ * Validate a units preference
+ * Accepts the query form "imperial" or "imperial,temperature:°C", or { system, overrides }
+ * @param {string|Object} input - Preference to check
+ * @returns {Object} - { preference: { system, overrides } } or { error }
+ */
+const parseUnitPreference = (input) => {
+  let system = null;
+  let overrides = {};
+
+  if (typeof input === 'string') {
+    for (const part of input.split(',').map(token => token.trim()).filter(Boolean)) {
+      const separator = part.indexOf(':');
+      if (separator === -1) {
+        system = part.toLowerCase();
+      } else {
+        overrides[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+      }
+    }
+  } else if (input && typeof input === 'object') {
+    system = input.system ? String(input.system).toLowerCase() : null;
+    overrides = input.overrides instanceof Map ? Object.fromEntries(input.overrides) : { ...(input.overrides || {}) };
+  } else {
+    return { error: 'Units must be a unit system or { system, overrides }' };
+  }
+
+  if (system && !UNIT_SYSTEMS.includes(system)) {
+    return { error: `Unit system must be one of: ${UNIT_SYSTEMS.join(', ')}` };
+  }
+  for (const [key, unit] of Object.entries(overrides)) {
+    const metric = getMetric(key);
+    if (!metric) {
+      return { error: `Unknown metric in units: ${key}` };
+    }
+    const options = getUnitOptions(metric.unit);
+    if (!options.includes(unit)) {
+      return { error: `${metric.displayName} can be shown in: ${options.join(', ') || 'its stored unit only'}` };
+    }
+  }
+
+  return { preference: { system: system || DEFAULT_UNIT_SYSTEM, overrides } };
+};
+
+/**
+ * Resolve the unit every metric is shown in under a preference
+ * @param {Object} preference - { system, overrides } from parseUnitPreference
+ * @returns {Object} - { [metricKey]: unit }
+ */
+const resolveDisplayUnits = (preference) => {
+  const { system = DEFAULT_UNIT_SYSTEM, overrides = {} } = preference || {};
+  const units = {};
+  for (const metric of getMetrics()) {
+    units[metric.key] = overrides[metric.key] || (SYSTEM_UNITS[system] || {})[metric.unit] || metric.unit;
+  }
+  return units;
+};
+
+/**
+ * Get the saved units preference of a user
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} - { system, overrides }
+ */
+const getUserUnitPreference = async (userId) => {
+  const user = userId ? await User.findById(userId).select('unitPreferences').lean() : null;
+  const saved = (user && user.unitPreferences) || {};
+  // Overrides for metrics removed from the registry since they were saved are dropped
+  const overrides = Object.fromEntries(Object.entries(saved.overrides || {})
+    .filter(([key, unit]) => getMetric(key) && getUnitOptions(getMetric(key).unit).includes(unit)));
+  return { system: saved.system || DEFAULT_UNIT_SYSTEM, overrides };
+};
+
+/**
+ * Resolve the display units of a request - the `units` query wins over the user's saved preference
+ * @param {Object} req - Express request, after authMiddleware
+ * @returns {Promise<Object>} - { preference, units } or { error }
+ */
+const getRequestUnits = async (req) => {
+  let preference;
+  if (req.query.units) {
+    const parsed = parseUnitPreference(String(req.query.units));
+    if (parsed.error) return { error: parsed.error };
+    preference = parsed.preference;
+  } else {
+    preference = await getUserUnitPreference(req.user && req.user.userId);
+  }
+  return { preference, units: resolveDisplayUnits(preference) };
+};
+
+/**
+ * Convert a metric value from its stored unit to a display unit
+ * @param {string} key - Metric key
+ * @param {number} value - Stored value
+ * @param {Object} units - Display units from resolveDisplayUnits
+ * @param {Object} [options] - { delta }
+ * @returns {number}
+ */
+const toDisplayUnit = (key, value, units, options) => {
+  const metric = getMetric(key);
+  return metric && units[key] ? convertUnit(value, metric.unit, units[key], options) : value;
+};
+
+/**
+ * Convert a metric value from a display unit back to its stored unit
+ * @param {string} key - Metric key
+ * @param {number} value - Value in the display unit
+ * @param {Object} units - Display units from resolveDisplayUnits
+ * @param {Object} [options] - { delta }
+ * @returns {number}
+ */
+const toStoredUnit = (key, value, units, options) => {
+  const metric = getMetric(key);
+  return metric && units[key] ? convertUnit(value, units[key], metric.unit, options) : value;
+};
+
+/**
+ * Convert the metric values of a reading or aggregate bucket to display units
+ * Values may be numbers or statistics objects such as { min, max, avg, last }
+ * @param {Object} reading - Reading keyed by metric key
+ * @param {Object} units - Display units from resolveDisplayUnits
+ * @returns {Object} - Converted copy
+ */
+const convertReading = (reading, units) => {
+  if (!reading || typeof reading !== 'object') return reading;
+  const converted = { ...reading };
+  for (const key of Object.keys(units)) {
+    const value = reading[key];
+    if (typeof value === 'number') {
+      converted[key] = toDisplayUnit(key, value, units);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      converted[key] = Object.fromEntries(Object.entries(value)
+        .map(([stat, statValue]) => [stat, toDisplayUnit(key, statValue, units)]));
+    }
+  }
+  return converted;
+};
+
+module.exports = {
+  getUnitOptions,
+  getConversion,
+  convertUnit,
+  parseUnitPreference,
+  resolveDisplayUnits,
+  getUserUnitPreference,
+  getRequestUnits,
+  toDisplayUnit,
+  toStoredUnit,
+  convertReading
+};
@@ -5,6 +5,9 @@
 
 const { io } = require('../server');
 const { getTelemetryDB } = require('../config/db');
+const { canAccessPlant, canAccessDevice } = require('./plantAccessService');
+const { getSocketScope, emitToPlant } = require('./socketRoomService');
+const { extractMetrics } = require('./metricRegistryService');
 
 /**
  * Initialize WebSocket event handlers
@@ -22,8 +25,20 @@ const initializeWebSocketEvents = () => {
   io.on('connection', (socket) => {
     console.log(`🔌 New client connected: ${socket.id}`);
 
-    // Handle device subscription
-    socket.on('subscribe', (deviceId) => {
+    // Handle device subscription, limited to devices of the user's assigned plants
+    socket.on('subscribe', async (deviceId) => {
+      try {
+        const scope = await getSocketScope(socket);
+        if (!(await canAccessDevice(scope, String(deviceId)))) {
+          console.warn(`🚫 Client ${socket.id} denied subscription to device: ${deviceId}`);
+          socket.emit('subscription_error', { deviceId, message: 'Access denied to this device' });
+          return;
+        }
+      } catch (error) {
+        console.error(`❌ Error checking device access: ${error.message}`);
+        return;
+      }
+
       console.log(`👂 Client ${socket.id} subscribed to device: ${deviceId}`);
       socket.join(`device:${deviceId}`);
       
@@ -31,8 +46,20 @@ const initializeWebSocketEvents = () => {
       sendLatestTelemetryToClient(socket, deviceId);
     });
 
-    // Handle plant subscription
-    socket.on('subscribePlant', (plantId) => {
+    // Handle plant subscription, limited to the user's assigned plants
+    socket.on('subscribePlant', async (plantId) => {
+      try {
+        const scope = await getSocketScope(socket);
+        if (!canAccessPlant(scope, plantId)) {
+          console.warn(`🚫 Client ${socket.id} denied subscription to plant: ${plantId}`);
+          socket.emit('subscription_error', { plantId, message: 'Access denied to this plant' });
+          return;
+        }
+      } catch (error) {
+        console.error(`❌ Error checking plant access: ${error.message}`);
+        return;
+      }
+
       console.log(`👂 Client ${socket.id} subscribed to plant: ${plantId}`);
       socket.join(`plant:${plantId}`);
       
@@ -84,9 +111,7 @@ const sendLatestTelemetryToClient = async (socket, deviceId) => {
       const normalizedData = {
         deviceId: deviceId,
         deviceName: latestData[0].DeviceName || latestData[0].deviceName || deviceId,
-        temperature: latestData[0].Temperature || latestData[0].temperature || 0,
-        humidity: latestData[0].Humidity || latestData[0].humidity || 0,
-        oilLevel: latestData[0].OilLevel || latestData[0].oilLevel || 0,
+        ...extractMetrics(latestData[0]),
         timestamp: latestData[0].Timestamp || latestData[0].timestamp || new Date()
       };
 
@@ -162,9 +187,7 @@ const sendLatestPlantDataToClient = async (socket, plantId) => {
         const normalizedData = {
           deviceId: deviceName,
           deviceName: deviceName,
-          temperature: latestData[0].Temperature || latestData[0].temperature || 0,
-          humidity: latestData[0].Humidity || latestData[0].humidity || 0,
-          oilLevel: latestData[0].OilLevel || latestData[0].oilLevel || 0,
+          ...extractMetrics(latestData[0]),
           timestamp: latestData[0].Timestamp || latestData[0].timestamp || new Date(),
           plantName: plantName
         };
@@ -182,8 +205,9 @@ const sendLatestPlantDataToClient = async (socket, plantId) => {
 /**
  * Broadcast telemetry data to all subscribed clients
  * @param {Object} telemetryData - Telemetry data
+ * @returns {Promise<void>}
  */
-const broadcastTelemetryData = (telemetryData) => {
+const broadcastTelemetryData = async (telemetryData) => {
   if (!io) {
     console.error('❌ Socket.IO instance not available');
     return;
@@ -191,14 +215,9 @@ const broadcastTelemetryData = (telemetryData) => {
 
   try {
     const deviceId = telemetryData.deviceId || telemetryData.device;
-    const plantId = telemetryData.plantId || 
-                   (telemetryData.plantName === 'Plant D' ? '2' : '1');
 
-    // Emit to specific device room
-    io.to(`device:${deviceId}`).emit('telemetry', telemetryData);
-    
-    // Also emit to plant room
-    io.to(`plant:${plantId}`).emit('telemetry', telemetryData);
+    // Only clients subscribed to the device or its plant receive the reading
+    await emitToPlant(io, 'telemetry', telemetryData, { alarm: false });
     
     console.log(`📡 Broadcasted telemetry data for device ${deviceId}`);
   } catch (error) {
@@ -207,10 +226,11 @@ const broadcastTelemetryData = (telemetryData) => {
 };
 
 /**
- * Broadcast alarm data to all subscribed clients
+ * Broadcast alarm data to the users of the alarm's plant
  * @param {Object} alarmData - Alarm data
+ * @returns {Promise<void>}
  */
-const broadcastAlarmData = (alarmData) => {
+const broadcastAlarmData = async (alarmData) => {
   if (!io) {
     console.error('❌ Socket.IO instance not available');
     return;
@@ -218,24 +238,21 @@ const broadcastAlarmData = (alarmData) => {
 
   try {
     const deviceId = alarmData.deviceId || alarmData.DeviceId;
-    const plantId = alarmData.plantId || 
-                   (alarmData.plantName === 'Plant D' ? '2' : '1');
 
-    // Emit to specific device room
-    io.to(`device:${deviceId}`).emit('alarm', alarmData);
-    
-    // Also emit to plant room
-    io.to(`plant:${plantId}`).emit('alarm', alarmData);
-    
-    // Broadcast to all clients for notifications
-    io.emit('alarm_notification', {
+    // Only users of the alarm's plant receive it and its notification
+    await emitToPlant(io, 'alarm', alarmData);
+    await emitToPlant(io, 'alarm_notification', {
       id: alarmData._id || alarmData.id,
       deviceId: deviceId,
       deviceName: alarmData.deviceName || alarmData.DeviceName,
       alarmCode: alarmData.alarmCode || alarmData.AlarmCode,
       description: alarmData.alarmDescription || alarmData.AlarmDescription,
       timestamp: alarmData.createdTimestamp || alarmData.CreatedTimestamp || new Date()
-    });
+    }, { refs: {
+      plantId: alarmData.plantId,
+      plantName: alarmData.PlantName || alarmData.plantName,
+      deviceName: alarmData.DeviceName || alarmData.deviceName || deviceId
+    } });
     
     console.log(`🚨 Broadcasted alarm data for device ${deviceId}`);
   } catch (error) {
@@ -0,0 +1,212 @@
+/**
+ * Webhook Service
+ * Delivers alarm and device events to subscribed HTTP endpoints
+ * Each request is signed with HMAC-SHA256 and failed deliveries are retried with exponential backoff
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const Plant = require('../models/plant');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Generate a random signing secret
+ * @returns {string}
+ */
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Sign a request body
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it with X-Webhook-Signature
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - sha256=<hex digest>
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Delay before the next attempt - 2s, 4s, 8s, ... with the defaults
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in ms
+ */
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+
+/**
+ * Make one delivery attempt and schedule a retry when it fails
+ * @param {Object} webhook - Webhook document
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - Updated delivery
+ */
+const attemptDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'gas-monitor-webhooks/1.0',
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }
+    });
+
+    delivery.status = 'success';
+    delivery.responseStatus = response.status;
+    delivery.error = '';
+    delivery.nextAttemptAt = null;
+    console.log(`🪝 Delivered ${delivery.eventType} to webhook "${webhook.name}" (${response.status})`);
+  } catch (error) {
+    delivery.responseStatus = error.response ? error.response.status : null;
+    delivery.error = error.message;
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`❌ Webhook "${webhook.name}" gave up on ${delivery.eventType} after ${delivery.attempts} attempts: ${error.message}`);
+    } else {
+      const delay = getRetryDelay(delivery.attempts);
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      console.warn(`⚠️ Webhook "${webhook.name}" attempt ${delivery.attempts} failed, retrying in ${delay}ms: ${error.message}`);
+      scheduleRetry(delivery._id, delay);
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Retry a pending delivery after a delay, reloading it so disabled or deleted webhooks are skipped
+ * @param {Object} deliveryId - WebhookDelivery id
+ * @param {number} delay - Delay in ms
+ */
+const scheduleRetry = (deliveryId, delay) => {
+  const timer = setTimeout(async () => {
+    try {
+      const delivery = await WebhookDelivery.findById(deliveryId);
+      if (!delivery || delivery.status !== 'pending') return;
+
+      const webhook = await Webhook.findById(delivery.webhookId);
+      if (!webhook || !webhook.enabled) {
+        delivery.status = 'failed';
+        delivery.error = 'Webhook was disabled or deleted';
+        delivery.nextAttemptAt = null;
+        await delivery.save();
+        return;
+      }
+
+      await attemptDelivery(webhook, delivery);
+    } catch (error) {
+      console.error(`❌ Error retrying webhook delivery ${deliveryId}:`, error.message);
+    }
+  }, delay);
+
+  // Pending retries must not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+};
+
+/**
+ * Create a delivery record and make the first attempt
+ * @param {Object} webhook - Webhook document
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} - Delivery after the first attempt
+ */
+const deliverEvent = async (webhook, eventType, data) => {
+  const delivery = new WebhookDelivery({ webhookId: webhook._id, eventType, payload: {} });
+  delivery.payload = {
+    id: delivery._id.toString(),
+    type: eventType,
+    createdAt: new Date().toISOString(),
+    data
+  };
+  return attemptDelivery(webhook, delivery);
+};
+
+/**
+ * Resolve the plant id of an event from an id or a plant name
+ * @param {Object} plant - { plantId, plantName }
+ * @returns {Promise<string|null>}
+ */
+const resolvePlantId = async ({ plantId, plantName }) => {
+  if (plantId) return plantId.toString();
+  if (!plantName) return null;
+  const plant = await Plant.findOne({ plantName });
+  return plant ? plant._id.toString() : null;
+};
+
+/**
+ * Send an event to every enabled webhook subscribed to its type and plant
+ * Failures are logged and never thrown so they cannot disturb the caller
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @param {Object} data - Event data
+ * @param {Object} plant - { plantId, plantName } used for the plant filter
+ * @returns {Promise<void>}
+ */
+const dispatchEvent = async (eventType, data, plant = {}) => {
+  try {
+    const webhooks = await Webhook.find({ enabled: true, eventTypes: eventType });
+    if (webhooks.length === 0) return;
+
+    const plantId = await resolvePlantId(plant);
+    const targets = webhooks.filter(webhook =>
+      webhook.plantIds.length === 0 || (plantId && webhook.plantIds.some(id => id.toString() === plantId))
+    );
+
+    await Promise.all(targets.map(webhook => deliverEvent(webhook, eventType, data)));
+  } catch (error) {
+    console.error(`❌ Error dispatching ${eventType} webhooks:`, error.message);
+  }
+};
+
+/**
+ * Send a test event to one webhook regardless of its subscriptions
+ * @param {Object} webhook - Webhook document
+ * @returns {Promise<Object>} - Delivery after the first attempt
+ */
+const sendTestEvent = (webhook) => deliverEvent(webhook, 'webhook.test', {
+  message: 'This is a test event from the gas monitor',
+  webhookId: webhook._id.toString(),
+  webhookName: webhook.name
+});
+
+/**
+ * Reschedule deliveries left pending by a previous run
+ * @returns {Promise<void>}
+ */
+const resumePendingDeliveries = async () => {
+  try {
+    const pending = await WebhookDelivery.find({ status: 'pending' });
+    pending.forEach(delivery => {
+      const delay = delivery.nextAttemptAt ? Math.max(delivery.nextAttemptAt.getTime() - Date.now(), 0) : 0;
+      scheduleRetry(delivery._id, delay);
+    });
+    if (pending.length > 0) {
+      console.log(`🪝 Resumed ${pending.length} pending webhook deliveries`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to resume pending webhook deliveries:', error.message);
+  }
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  dispatchEvent,
+  sendTestEvent,
+  resumePendingDeliveries
+};
@@ -0,0 +1,318 @@
+/**
+ * Device Simulator
+ * Generates telemetry for virtual devices so the dashboards, rule engine and ingestion can be demoed and load-tested
+ * without hardware, see scripts/simulateDevices.js.
+ *
+ * Every device draws from its own random stream seeded from the run seed and its name, and readings only depend on
+ * the seed, the start time, the interval and the device's profile - replaying a run with the same options produces
+ * exactly the same readings, whatever transport or speed they are sent with.
+ */
+
+const { DEFAULT_METRICS } = require('../config/telemetryMetrics');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Typical readings of a healthy device - each device gets its own baseline within the spread
+// daily is the amplitude of the day/night swing, noise the standard deviation between readings
+const BASELINES = {
+  temperature: { base: 24, spread: 3, daily: 2, noise: 0.15 },
+  humidity: { base: 45, spread: 8, daily: -6, noise: 0.4 },
+  oilLevel: { base: 85, spread: 10, daily: 0, noise: 0.1 },
+  alcoholLevel: { base: 120, spread: 40, daily: 0, noise: 4 },
+  distance: { base: 50, spread: 20, daily: 0, noise: 0.3 }
+};
+
+// Oil a healthy device burns per hour and the level its tank is topped up below
+const OIL_USE_PER_HOUR = 0.5;
+const OIL_REFILL_BELOW = 20;
+
+const METRICS = new Map(DEFAULT_METRICS.map(metric => [metric.key, metric]));
+
+/**
+ * Hash a seed to a 32-bit integer (FNV-1a)
+ * @param {string|number} value - Seed
+ * @returns {number}
+ */
+const hashSeed = (value) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {string|number} seed - Seed, the same seed always gives the same sequence
+ * @returns {Object} - { next, range, normal, chance, pick }
+ */
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    // Standard normal value (Box-Muller)
+    normal: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+    chance: probability => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+};
+
+/**
+ * Device profiles - each adjusts the readings of a healthy device
+ * init sets up the profile's state, adjust changes a reading's values and online decides whether the device reports
+ */
+const PROFILES = {
+  // Healthy device, small noise around its baseline
+  steady: {
+    description: 'Healthy device, readings stay close to their baseline'
+  },
+
+  // Temperature creeps up until someone recalibrates the sensor, crossing the high threshold on the way
+  drifting: {
+    description: 'Temperature drifts up a few degrees an hour and is recalibrated after 20°C',
+    init: (device, random) => {
+      device.state.driftPerHour = random.range(3, 6);
+    },
+    adjust: (values, device, at) => {
+      const hours = (at - device.startAt) / HOUR_MS;
+      values.temperature += (device.state.driftPerHour * hours) % 20;
+    }
+  },
+
+  // Cheap sensor with a lot of jitter and the odd spike, exercising deadbands and hysteresis
+  noisy: {
+    description: 'Five times the usual noise and occasional spikes',
+    noise: 5,
+    adjust: (values, device, at, random) => {
+      if (random.chance(0.03)) {
+        const key = random.pick(['temperature', 'humidity', 'alcoholLevel']);
+        values[key] += (random.chance(0.5) ? 1 : -1) * BASELINES[key].noise * random.range(40, 75);
+      }
+    }
+  },
+
+  // Oil drains until the tank is empty, then is refilled half an hour later
+  'leaking-oil': {
+    description: 'Oil level drops 15-30% an hour, crossing the low threshold, and is refilled once empty',
+    init: (device, random) => {
+      device.state.leakPerHour = random.range(15, 30);
+      device.state.refillBelow = null;
+    },
+    adjust: (values, device, at) => {
+      const { state } = device;
+      if (state.oil > 0) return;
+      state.emptySince = state.emptySince || at;
+      if (at - state.emptySince >= 30 * MINUTE_MS) {
+        state.oil = 95;
+        state.emptySince = null;
+      }
+      values.oilLevel = state.oil;
+    }
+  },
+
+  // A sensor fails some time into the run and then sticks, reports garbage or stops reporting its value
+  'sensor-failure': {
+    description: 'A sensor fails 5-60 minutes in: stuck value, invalid reading or missing value',
+    init: (device, random) => {
+      device.state.failAt = device.startAt + random.range(5, 60) * MINUTE_MS;
+      device.state.failedMetric = random.pick(['temperature', 'humidity', 'distance']);
+      device.state.failureMode = random.pick(['stuck', 'invalid', 'missing']);
+    },
+    adjust: (values, device, at) => {
+      const { state } = device;
+      if (at < state.failAt) return;
+      if (state.failureMode === 'stuck') {
+        state.stuckValue = state.stuckValue ?? values[state.failedMetric];
+        values[state.failedMetric] = state.stuckValue;
+      } else if (state.failureMode === 'invalid') {
+        // What a disconnected one-wire probe reads, outside the valid range so ingestion rejects it
+        values[state.failedMetric] = -127;
+      } else {
+        delete values[state.failedMetric];
+      }
+    }
+  },
+
+  // Flaky connectivity - about every half hour the device drops off for 2-15 minutes
+  'offline-gaps': {
+    description: 'Goes offline for 2-15 minutes about every half hour',
+    init: (device) => {
+      device.state.offlineUntil = 0;
+    },
+    online: (device, at, random) => {
+      const { state } = device;
+      if (at < state.offlineUntil) return false;
+      if (random.chance(device.intervalMs / (30 * MINUTE_MS))) {
+        state.offlineUntil = at + random.range(2, 15) * MINUTE_MS;
+        return false;
+      }
+      return true;
+    }
+  }
+};
+
+const PROFILE_NAMES = Object.keys(PROFILES);
+
+/**
+ * Parse a profile mix such as "steady:3,leaking-oil" or "all"
+ * @param {string} spec - Comma separated profile names with optional weights
+ * @returns {Object} - { profiles } listing each name as often as its weight, or { error }
+ */
+const parseProfileMix = (spec = 'all') => {
+  const profiles = [];
+  for (const part of String(spec).split(',').map(token => token.trim()).filter(Boolean)) {
+    const [name, weightText] = part.split(':');
+    const weight = weightText === undefined ? 1 : parseInt(weightText, 10);
+    if (!(weight > 0)) {
+      return { error: `Invalid weight in profile ${part}` };
+    }
+    const names = name === 'all' ? PROFILE_NAMES : [name];
+    if (!names.every(profile => PROFILES[profile])) {
+      return { error: `Unknown profile ${name}, use one of: ${PROFILE_NAMES.join(', ')}, all` };
+    }
+    for (let index = 0; index < weight; index += 1) profiles.push(...names);
+  }
+  return profiles.length > 0 ? { profiles } : { error: 'No profiles given' };
+};
+
+/**
+ * Build the name of a virtual device
+ * @param {string} plantName - Plant the device belongs to
+ * @param {number} index - Position of the device in its plant, from 0
+ * @returns {string} - e.g. sim-plant-a-01
+ */
+const getVirtualDeviceName = (plantName, index) =>
+  `sim-${plantName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${String(index + 1).padStart(2, '0')}`;
+
+/**
+ * Create the virtual devices of a run
+ * Profiles are handed out in turn across all plants, so the same options always give every device the same profile
+ * @param {Object} options
+ * @param {Array<string>} options.plantNames - Plants to create devices in
+ * @param {number} options.devicesPerPlant - Devices per plant
+ * @param {Array<string>} options.profiles - From parseProfileMix
+ * @param {string|number} options.seed - Run seed
+ * @param {Date} options.start - Simulated time of the first readings
+ * @param {number} options.intervalMs - Average time between two readings of a device
+ * @returns {Array<Object>} - Virtual devices, see takeReading
+ */
+const createVirtualDevices = ({ plantNames, devicesPerPlant, profiles, seed, start, intervalMs }) => {
+  const devices = [];
+  for (const plantName of plantNames) {
+    for (let index = 0; index < devicesPerPlant; index += 1) {
+      const deviceName = getVirtualDeviceName(plantName, index);
+      const random = createRandom(`${seed}:${deviceName}`);
+      const profileName = profiles[devices.length % profiles.length];
+      const device = {
+        deviceName,
+        plantName,
+        profileName,
+        random,
+        intervalMs,
+        startAt: start.getTime(),
+        // Devices are switched on spread over the first interval rather than all at once
+        nextAt: start.getTime() + Math.floor(random.next() * intervalMs),
+        lastAt: null,
+        baseline: Object.fromEntries(Object.entries(BASELINES)
+          .map(([key, { base, spread }]) => [key, base + random.range(-spread, spread)])),
+        state: { refillBelow: OIL_REFILL_BELOW, ledState: false }
+      };
+      device.state.oil = device.baseline.oilLevel;
+      if (PROFILES[profileName].init) PROFILES[profileName].init(device, random);
+      devices.push(device);
+    }
+  }
+  return devices;
+};
+
+/**
+ * Round a value to the precision of its metric and keep it in the metric's valid range
+ * @param {string} key - Metric key
+ * @param {number} value - Raw value
+ * @returns {number}
+ */
+const finishValue = (key, value) => {
+  const metric = METRICS.get(key);
+  if (!metric) return value;
+  let finished = value;
+  // Values far outside the valid range are deliberate sensor faults and are kept
+  if (value > -100) {
+    if (metric.validMin !== undefined && metric.validMin !== null) finished = Math.max(finished, metric.validMin);
+    if (metric.validMax !== undefined && metric.validMax !== null) finished = Math.min(finished, metric.validMax);
+  }
+  const factor = 10 ** (metric.precision ?? 1);
+  return Math.round(finished * factor) / factor;
+};
+
+/**
+ * Count the values beyond the default thresholds, as the device firmware reports them in openAlerts
+ * @param {Object} values - Reading values
+ * @returns {number}
+ */
+const countOpenAlerts = (values) => DEFAULT_METRICS.filter((metric) => {
+  const value = values[metric.key];
+  if (typeof value !== 'number' || metric.defaultThreshold === undefined || value === -127) return false;
+  return metric.thresholdDirection === 'low' ? value < metric.defaultThreshold : value > metric.defaultThreshold;
+}).length;
+
+/**
+ * Produce the next reading of a virtual device and schedule the one after it
+ * @param {Object} device - From createVirtualDevices
+ * @returns {Object} - { reading } with { deviceName, plantName, timestamp, metrics }, reading is null while offline
+ */
+const takeReading = (device) => {
+  const { random, state, baseline } = device;
+  const profile = PROFILES[device.profileName];
+  const at = device.nextAt;
+  const elapsedHours = device.lastAt === null ? 0 : (at - device.lastAt) / HOUR_MS;
+  device.lastAt = at;
+  device.nextAt = at + Math.round(device.intervalMs * random.range(0.9, 1.1));
+
+  // Oil is used up whether or not the device manages to report
+  state.oil = Math.max(state.oil - elapsedHours * (OIL_USE_PER_HOUR + (state.leakPerHour || 0)), 0);
+  if (state.refillBelow !== null && state.oil < state.refillBelow) state.oil = baseline.oilLevel;
+
+  if (profile.online && !profile.online(device, at, random)) {
+    return { reading: null };
+  }
+
+  // Day/night swing peaking mid-afternoon UTC
+  const dayPhase = Math.sin((2 * Math.PI * ((at / HOUR_MS) % 24 - 9)) / 24);
+  const noise = profile.noise || 1;
+  const values = {};
+  for (const [key, { daily, noise: sigma }] of Object.entries(BASELINES)) {
+    values[key] = (key === 'oilLevel' ? state.oil : baseline[key]) + daily * dayPhase + random.normal() * sigma * noise;
+  }
+  if (random.chance(0.005)) state.ledState = !state.ledState;
+
+  if (profile.adjust) profile.adjust(values, device, at, random);
+
+  const metrics = {};
+  for (const [key, value] of Object.entries(values)) {
+    metrics[key] = finishValue(key, value);
+  }
+  metrics.openAlerts = countOpenAlerts(metrics);
+  metrics.ledState = state.ledState;
+
+  return { reading: { deviceName: device.deviceName, plantName: device.plantName, timestamp: new Date(at), metrics } };
+};
+
+module.exports = {
+  PROFILES,
+  PROFILE_NAMES,
+  createRandom,
+  parseProfileMix,
+  getVirtualDeviceName,
+  createVirtualDevices,
+  takeReading
+};
@@ -860,10 +860,70 @@ public class IoTDataProcessor
         
         try
         {
+            // Store the alarm before publishing it, so the backend can fold repeats into the stored document by its _id
+            string? storedId;
+            
+            // If MongoDB data service is available, use it to save alarm data
+            if (_mongoDataService != null)
+            {
+                storedId = await _mongoDataService.SaveAlarmData(
+                    jsonObject,
+                    alarmCode,
+                    alarmDescription,
+                    alarmValue,
+                    deviceId,
+                    deviceName,
+                    plantName
+                );
+                
+                if (storedId != null)
+                {
+                    _alarmsInserted++;
+                    _logger.LogInformation("Successfully inserted alarm using MongoDB data service");
+                }
+            }
+            else
+            {
+                // Create MongoDB document
+                var alarmDocument = new AlarmDocument
+                {
+                    AlarmId = alarmId,
+                    DeviceId = deviceId,
+                    AlarmValue = alarmValue ?? "0",
+                    CreatedBy = 1,
+                    IsActive = true,
+                    CreatedTimestamp = DateTime.UtcNow,
+                    TelemetryKeyId = telemetryKeyId,
+                    AlarmRootCauseId = alarmRootCauseId,
+                    UpdatedBy = 1,
+                    UpdatedTimestamp = DateTime.UtcNow,
+                    AlarmDate = DateTime.UtcNow,
+                    
+                    // Additional fields for dashboard
+                    AlarmCode = alarmCode,
+                    AlarmDescription = alarmDescription,
+                    DeviceName = deviceName,
+                    PlantName = plantName, // Plant name (Plant C or Plant D)
+                    
+                    // Store the full JSON data for reference
+                    DeviceData = jsonObject.ToString()
+                };
+                
+                storedId = await InsertIntoMongoDB(alarmDocument);
+                if (storedId != null)
+                {
+                    _alarmsInserted++;
+                    _logger.LogInformation("\n===========================================");
+                    _logger.LogInformation("========== MONGODB ALARM INSERTION SUCCESS ===========");
+                    _logger.LogInformation("ALARM CODE: {AlarmCode}", alarmCode);
+                    _logger.LogInformation("==========================================\n");
+                }
+            }
+            
             // Create alarm JSON object for Redis
             JObject alarmObject = new JObject
             {
-                ["id"] = Guid.NewGuid().ToString(),
+                ["id"] = storedId ?? Guid.NewGuid().ToString(),
                 ["deviceId"] = deviceId.ToString(),
                 ["deviceName"] = deviceName,
                 ["alarmCode"] = alarmCode,
@@ -876,6 +936,12 @@ public class IoTDataProcessor
                 ["alarmRootCauseId"] = alarmRootCauseId
             };
             
+            // Only a stored alarm has an _id - the backend leaves alarms without one as they are
+            if (storedId != null)
+            {
+                alarmObject["_id"] = storedId;
+            }
+            
             // Publish alarm to Redis for real-time updates
             if (_redisService != null)
             {
@@ -886,56 +952,6 @@ public class IoTDataProcessor
             {
                 _logger.LogWarning("Redis service not available - cannot publish alarm data");
             }
-            
-            // If MongoDB data service is available, use it to save alarm data
-            if (_mongoDataService != null)
-            {
-                await _mongoDataService.SaveAlarmData(
-                    jsonObject,
-                    alarmCode,
-                    alarmDescription,
-                    alarmValue,
-                    deviceId,
-                    deviceName,
-                    plantName
-                );
-                
-                _alarmsInserted++;
-                _logger.LogInformation("Successfully inserted alarm using MongoDB data service");
-                return;
-            }
-            
-            // Create MongoDB document
-            var alarmDocument = new AlarmDocument
-            {
-                AlarmId = alarmId,
-                DeviceId = deviceId,
-                AlarmValue = alarmValue ?? "0",
-                CreatedBy = 1,
-                IsActive = true,
-                CreatedTimestamp = DateTime.UtcNow,
-                TelemetryKeyId = telemetryKeyId,
-                AlarmRootCauseId = alarmRootCauseId,
-                UpdatedBy = 1,
-                UpdatedTimestamp = DateTime.UtcNow,
-                AlarmDate = DateTime.UtcNow,
-                
-                // Additional fields for dashboard
-                AlarmCode = alarmCode,
-                AlarmDescription = alarmDescription,
-                DeviceName = deviceName,
-                PlantName = plantName, // Plant name (Plant C or Plant D)
-                
-                // Store the full JSON data for reference
-                DeviceData = jsonObject.ToString()
-            };
-            
-            await InsertIntoMongoDB(alarmDocument);
-            _alarmsInserted++;
-            _logger.LogInformation("\n===========================================");
-            _logger.LogInformation("========== MONGODB ALARM INSERTION SUCCESS ===========");
-            _logger.LogInformation("ALARM CODE: {AlarmCode}", alarmCode);
-            _logger.LogInformation("==========================================\n");
         }
         catch (Exception ex)
         {
@@ -943,7 +959,8 @@ public class IoTDataProcessor
         }
     }
     
-    private async Task InsertIntoMongoDB(AlarmDocument alarmDocument)
+    // Returns the _id of the inserted alarm, or null when it could not be stored
+    private async Task<string?> InsertIntoMongoDB(AlarmDocument alarmDocument)
     {
         try
         {
@@ -962,13 +979,13 @@ public class IoTDataProcessor
                     else
                     {
                         _logger.LogWarning("Cannot initialize MongoDB: Connection string is missing");
-                        return;
+                        return null;
                     }
                 }
                 catch (Exception ex)
                 {
                     _logger.LogError(ex, "Failed to initialize MongoDB on demand: {Message}", ex.Message);
-                    return;
+                    return null;
                 }
             }
 
@@ -980,16 +997,19 @@ public class IoTDataProcessor
 
             await _alarmCollection.InsertOneAsync(alarmDocument);
             _logger.LogInformation("Inserted alarm into MongoDB with ID: {Id}", alarmDocument.Id);
+            return alarmDocument.Id;
         }
         catch (MongoException ex)
         {
             _logger.LogError(ex, "MongoDB insertion failed: {Message}", ex.Message);
             // Continue execution, don't throw - ensure continuous data flow
+            return null;
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Unexpected error during MongoDB insertion: {Message}", ex.Message);
             // Continue execution, don't throw - ensure continuous data flow
+            return null;
         }
     }
     
@@ -21,6 +21,8 @@ import PlantDashboard from './pages/PlantDashboard';
 import DeviceDashboard from './pages/DeviceDashboard';
 
 import TelemetryDashboard from './pages/TelemetryDashboard';
+import AlarmDefinitions from './pages/AlarmDefinitions';
+import AlarmAnalytics from './pages/AlarmAnalytics';
 import PrivateRoute from './components/PrivateRoute';
 
  
@@ -56,6 +58,18 @@ function App() {
 <Route path="telemetry-dashboard" element={
 <Layout>
 <TelemetryDashboard />
+</Layout>
+
+              } />
+<Route path="alarm-definitions" element={
+<Layout>
+<AlarmDefinitions />
+</Layout>
+
+              } />
+<Route path="alarm-analytics" element={
+<Layout>
+<AlarmAnalytics />
 </Layout>
 
               } />
@@ -14,6 +14,8 @@ import Sidebar from './Sidebar';
 
 import AlarmNotification from './siteView/alarmNotification';
 
+import NotificationPreferencesDialog from './NotificationPreferencesDialog';
+
  
 const Layout = ({ children }) => {
 
@@ -23,6 +25,8 @@ const Layout = ({ children }) => {
 
   const [anchorEl, setAnchorEl] = React.useState(null);
 
+  const [preferencesOpen, setPreferencesOpen] = React.useState(false);
+
   const handleMenu = (event) => {
 
     setAnchorEl(event.currentTarget);
@@ -115,11 +119,14 @@ const Layout = ({ children }) => {
               onClose={handleClose}
 >
 <MenuItem disabled>{user?.email || 'User'}</MenuItem>
+<MenuItem disabled>Role: {user?.role || 'viewer'}</MenuItem>
+<MenuItem onClick={() => { setPreferencesOpen(true); handleClose(); }}>Notification Settings</MenuItem>
 <MenuItem onClick={handleLogout}>Logout</MenuItem>
 </Menu>
 </div>
 </Toolbar>
 </AppBar>
+<NotificationPreferencesDialog open={preferencesOpen} onClose={() => setPreferencesOpen(false)} />
 <Box sx={{ width: '200px', height: '100vh', backgroundColor: '#0d47a1', color: 'white', position: 'fixed' }}>
 <Sidebar />
 </Box>
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Alert
+} from '@mui/material';
+import api from '../services/apiService';
+import { getPreferences, updatePreferences, sendTestEmail } from '../services/preferencesService';
+import { SEVERITY_LEVELS, SEVERITY_CONFIG } from '../services/alarmSeverityService';
+
+const DEFAULT_EMAIL_PREFERENCES = {
+  enabled: false,
+  minSeverity: 'major',
+  plantIds: [],
+  deviceNames: []
+};
+
+// Dialog for the logged in user's alarm email subscriptions
+const NotificationPreferencesDialog = ({ open, onClose }) => {
+  const [email, setEmail] = useState(DEFAULT_EMAIL_PREFERENCES);
+  const [plants, setPlants] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { severity, text }
+
+  useEffect(() => {
+    if (!open) return;
+
+    setMessage(null);
+    getPreferences()
+      .then(preferences => setEmail({ ...DEFAULT_EMAIL_PREFERENCES, ...(preferences?.email || {}) }))
+      .catch(err => console.error('Error fetching notification preferences:', err));
+    api.get('/plants')
+      .then(response => setPlants(response.data))
+      .catch(() => setPlants([]));
+    api.get('/devices')
+      .then(response => setDevices(response.data))
+      .catch(() => setDevices([]));
+  }, [open]);
+
+  const handleChange = (field) => (e) => {
+    const value = field === 'enabled' ? e.target.checked : e.target.value;
+    setEmail({ ...email, [field]: value });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await updatePreferences({ email });
+      onClose();
+    } catch (err) {
+      console.error('Error saving notification preferences:', err);
+      setMessage({ severity: 'error', text: err.response?.data?.message || 'Failed to save preferences' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTestEmail = async () => {
+    try {
+      const result = await sendTestEmail();
+      setMessage({ severity: 'success', text: result.message });
+    } catch (err) {
+      setMessage({ severity: 'error', text: err.response?.data?.message || 'Failed to send test email' });
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose}>
+      <DialogTitle>Notification Settings</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1, minWidth: '400px' }}>
+          {message && <Alert severity={message.severity}>{message.text}</Alert>}
+
+          <FormControlLabel
+            control={<Switch checked={email.enabled} onChange={handleChange('enabled')} />}
+            label="Email me about alarms"
+          />
+
+          <FormControl fullWidth disabled={!email.enabled}>
+            <InputLabel>Minimum Severity</InputLabel>
+            <Select value={email.minSeverity} onChange={handleChange('minSeverity')} label="Minimum Severity">
+              {SEVERITY_LEVELS.map(level => (
+                <MenuItem key={level} value={level}>{SEVERITY_CONFIG[level].label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth disabled={!email.enabled}>
+            <InputLabel>Plants</InputLabel>
+            <Select multiple value={email.plantIds} onChange={handleChange('plantIds')} label="Plants">
+              {plants.map(plant => (
+                <MenuItem key={plant._id} value={plant._id}>{plant.plantName}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth disabled={!email.enabled}>
+            <InputLabel>Devices</InputLabel>
+            <Select multiple value={email.deviceNames} onChange={handleChange('deviceNames')} label="Devices">
+              {devices.map(device => (
+                <MenuItem key={device._id} value={device.deviceName}>{device.deviceName}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleTestEmail}>Send Test Email</Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" color="primary" disabled={saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default NotificationPreferencesDialog;
@@ -5,6 +5,8 @@ import DashboardIcon from '@mui/icons-material/Dashboard';
 import AccountTreeIcon from '@mui/icons-material/AccountTree';
 import DevicesIcon from '@mui/icons-material/Devices';
 import InsightsIcon from '@mui/icons-material/Insights';
+import RuleIcon from '@mui/icons-material/Rule';
+import BarChartIcon from '@mui/icons-material/BarChart';
  
 const drawerWidth = 220;
  
@@ -16,6 +18,8 @@ const Sidebar = () => {
     { text: 'Plant Dashboard', icon: <AccountTreeIcon />, route: '/plant-dashboard' },
     { text: 'Device Management', icon: <DevicesIcon />, route: '/device-dashboard' },
     { text: 'Telemetry Dashboard', icon: <InsightsIcon />, route: '/telemetry-dashboard' },
+    { text: 'Alarm Definitions', icon: <RuleIcon />, route: '/alarm-definitions' },
+    { text: 'Alarm Analytics', icon: <BarChartIcon />, route: '/alarm-analytics' },
   ];
  
   return (
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Typography
+} from '@mui/material';
+import {
+  acknowledgeAlarm,
+  assignAlarm,
+  resolveAlarm,
+  closeAlarm,
+  getAlarmAssignees
+} from '../../services/alarmService';
+
+const ACTION_LABELS = {
+  acknowledge: 'Acknowledge Alarm',
+  assign: 'Assign Alarm',
+  resolve: 'Resolve Alarm',
+  close: 'Close Alarm'
+};
+
+// Dialog collecting the comment (and assignee) for an alarm lifecycle action
+const AlarmActionDialog = ({ open, action, alarm, onClose, onCompleted }) => {
+  const [comment, setComment] = useState('');
+  const [assigneeId, setAssigneeId] = useState('');
+  const [assignees, setAssignees] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setComment('');
+    setAssigneeId('');
+    setError(null);
+
+    if (action === 'assign') {
+      getAlarmAssignees().then(setAssignees);
+    }
+  }, [open, action]);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      let updatedAlarm;
+      if (action === 'acknowledge') updatedAlarm = await acknowledgeAlarm(alarm._id, comment);
+      else if (action === 'assign') updatedAlarm = await assignAlarm(alarm._id, assigneeId, comment);
+      else if (action === 'resolve') updatedAlarm = await resolveAlarm(alarm._id, comment);
+      else if (action === 'close') updatedAlarm = await closeAlarm(alarm._id, comment);
+
+      onCompleted(updatedAlarm);
+      onClose();
+    } catch (err) {
+      console.error(`Error applying ${action} to alarm:`, err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!alarm) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose}>
+      <DialogTitle>{ACTION_LABELS[action]}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1, minWidth: '400px' }}>
+          <Typography variant="body2" color="text.secondary">
+            {alarm.AlarmCode} - {alarm.AlarmDescription} ({alarm.DeviceName})
+          </Typography>
+
+          {error && <Alert severity="error">{error}</Alert>}
+
+          {action === 'assign' && (
+            <FormControl fullWidth>
+              <InputLabel>Assign To</InputLabel>
+              <Select
+                value={assigneeId}
+                onChange={(e) => setAssigneeId(e.target.value)}
+                label="Assign To"
+              >
+                {assignees.map((user) => (
+                  <MenuItem key={user._id} value={user._id}>
+                    {user.name} ({user.email})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          <TextField
+            label="Comment"
+            fullWidth
+            multiline
+            minRows={2}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          color="primary"
+          disabled={submitting || (action === 'assign' && !assigneeId)}
+        >
+          {ACTION_LABELS[action]}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlarmActionDialog;
@@ -0,0 +1,101 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Typography
+} from '@mui/material';
+import { SEVERITY_CONFIG, getSeverity } from '../../services/alarmSeverityService';
+
+const formatTime = (timestamp) => (timestamp
+  ? new Date(timestamp).toLocaleString('en-GB', { hour12: false }).replace(',', '')
+  : '-');
+
+const describeUsers = (users = []) => users.map(user => user.name || user.email).join(', ') || 'nobody';
+
+// Read-only view of an alarm with its lifecycle and escalation history
+const AlarmDetailDialog = ({ open, alarm, onClose }) => {
+  if (!alarm) return null;
+
+  const severity = SEVERITY_CONFIG[getSeverity(alarm)];
+  const statusHistory = alarm.StatusHistory || [];
+  const escalationHistory = alarm.EscalationHistory || [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        {alarm.AlarmCode} - {alarm.DeviceName}
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+          <Chip label={severity.label} color={severity.chipColor} size="small" />
+          <Chip label={alarm.Status || 'New'} size="small" variant="outlined" />
+          {alarm.EscalationLevel > 0 && (
+            <Chip label={`Escalation level ${alarm.EscalationLevel}`} color="error" size="small" variant="outlined" />
+          )}
+          {alarm.Suppressed && (
+            <Chip
+              label={alarm.Suppression?.Type === 'maintenance' ? 'Raised during maintenance' : 'Shelved'}
+              size="small"
+              variant="outlined"
+            />
+          )}
+        </Box>
+
+        <Typography variant="body2">{alarm.AlarmDescription}</Typography>
+        <Typography variant="caption" color="text.secondary" display="block">
+          Raised {formatTime(alarm.CreatedTimestamp)}
+          {alarm.OccurrenceCount > 1 && ` · ${alarm.OccurrenceCount} occurrences, last seen ${formatTime(alarm.LastSeenTimestamp)}`}
+          {alarm.ClearedTimestamp && ` · Cleared ${formatTime(alarm.ClearedTimestamp)}`}
+        </Typography>
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2">Escalation History</Typography>
+        {escalationHistory.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">Not escalated</Typography>
+        ) : (
+          <List dense>
+            {escalationHistory.map((entry, index) => (
+              <ListItem key={index} disableGutters>
+                <ListItemText
+                  primary={`Level ${entry.Level} after ${entry.DelayMinutes} min - notified ${describeUsers(entry.NotifiedUsers)}`}
+                  secondary={formatTime(entry.Timestamp)}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2">Status History</Typography>
+        {statusHistory.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No status changes</Typography>
+        ) : (
+          <List dense>
+            {statusHistory.map((entry, index) => (
+              <ListItem key={index} disableGutters>
+                <ListItemText
+                  primary={`${entry.From} → ${entry.To} by ${entry.By?.name || entry.By?.email || 'system'}`}
+                  secondary={`${formatTime(entry.Timestamp)}${entry.Comment ? ` - ${entry.Comment}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlarmDetailDialog;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Divider,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import {
+  getShelves,
+  unshelveAlarm,
+  getMaintenanceWindows,
+  createMaintenanceWindow,
+  deleteMaintenanceWindow,
+  getSuppressionAudit
+} from '../../services/alarmSuppressionService';
+import { getPlants } from '../../services/plantService';
+import eventBus from '../../services/eventBusService';
+import { useAuth } from '../../context/AuthContext';
+
+const formatTime = (timestamp) => (timestamp
+  ? new Date(timestamp).toLocaleString('en-GB', { hour12: false }).replace(',', '')
+  : '-');
+
+const EMPTY_WINDOW = { plantId: '', deviceNames: '', startsAt: '', endsAt: '', reason: '' };
+
+// Active shelves, maintenance windows and their audit trail
+const AlarmSuppressionDialog = ({ open, selectedPlant, onClose }) => {
+  const [shelves, setShelves] = useState([]);
+  const [windows, setWindows] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [newWindow, setNewWindow] = useState(EMPTY_WINDOW);
+  const [error, setError] = useState(null);
+
+  const { hasRole } = useAuth();
+  const canOperate = hasRole('operator');
+  const canAdminister = hasRole('plant-admin');
+
+  const loadSuppressions = useCallback(async () => {
+    try {
+      const [shelveList, windowList, auditList] = await Promise.all([
+        getShelves(),
+        getMaintenanceWindows(),
+        getSuppressionAudit({ limit: 20 })
+      ]);
+      setShelves(shelveList);
+      setWindows(windowList);
+      setAudit(auditList);
+    } catch (err) {
+      console.error('Error loading alarm suppressions:', err);
+      setError(err.response?.data?.message || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    setError(null);
+    loadSuppressions();
+    getPlants().then(plantList => {
+      setPlants(plantList);
+      const current = plantList.find(plant => plant.plantName === selectedPlant);
+      setNewWindow({ ...EMPTY_WINDOW, plantId: current ? current._id : '' });
+    });
+
+    // Keep the lists current while shelves expire or other users make changes
+    return eventBus.on('alarm-suppression-changed', loadSuppressions);
+  }, [open, selectedPlant, loadSuppressions]);
+
+  const runAction = async (action) => {
+    try {
+      setError(null);
+      await action();
+      await loadSuppressions();
+    } catch (err) {
+      console.error('Error updating alarm suppression:', err);
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleCreateWindow = () => runAction(async () => {
+    await createMaintenanceWindow({
+      plantId: newWindow.plantId,
+      deviceNames: newWindow.deviceNames.split(',').map(name => name.trim()).filter(Boolean),
+      startsAt: new Date(newWindow.startsAt).toISOString(),
+      endsAt: new Date(newWindow.endsAt).toISOString(),
+      reason: newWindow.reason
+    });
+    setNewWindow({ ...EMPTY_WINDOW, plantId: newWindow.plantId });
+  });
+
+  const updateNewWindow = (field) => (e) => setNewWindow({ ...newWindow, [field]: e.target.value });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Shelved Alarms & Maintenance Windows</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Typography variant="subtitle2">Shelved Alarms</Typography>
+        {shelves.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No alarms are shelved</Typography>
+        ) : (
+          <List dense>
+            {shelves.map(shelve => (
+              <ListItem
+                key={shelve._id}
+                disableGutters
+                secondaryAction={canOperate && (
+                  <Tooltip title="Unshelve">
+                    <IconButton edge="end" size="small" onClick={() => runAction(() => unshelveAlarm(shelve._id))}>
+                      <UnarchiveIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              >
+                <ListItemText
+                  primary={`${shelve.alarmCode} on ${shelve.deviceName} until ${formatTime(shelve.shelvedUntil)}`}
+                  secondary={`By ${shelve.shelvedBy?.name || shelve.shelvedBy?.email || 'unknown'}${shelve.reason ? ` - ${shelve.reason}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2">Maintenance Windows</Typography>
+        {windows.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No current or upcoming maintenance</Typography>
+        ) : (
+          <List dense>
+            {windows.map(window => (
+              <ListItem
+                key={window._id}
+                disableGutters
+                secondaryAction={canAdminister && (
+                  <Tooltip title="Delete">
+                    <IconButton edge="end" size="small" onClick={() => runAction(() => deleteMaintenanceWindow(window._id))}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              >
+                <ListItemText
+                  primary={`${window.plantId?.plantName || 'Plant'}: ${formatTime(window.startsAt)} - ${formatTime(window.endsAt)}`}
+                  secondary={`${window.deviceNames.length > 0 ? window.deviceNames.join(', ') : 'All devices'}${window.reason ? ` - ${window.reason}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {canAdminister && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 1 }}>
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Plant</InputLabel>
+              <Select value={newWindow.plantId} onChange={updateNewWindow('plantId')} label="Plant">
+                {plants.map(plant => (
+                  <MenuItem key={plant._id} value={plant._id}>{plant.plantName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              label="Devices (comma separated, empty for all)"
+              value={newWindow.deviceNames}
+              onChange={updateNewWindow('deviceNames')}
+              sx={{ minWidth: 280 }}
+            />
+            <TextField
+              size="small"
+              type="datetime-local"
+              label="Starts"
+              InputLabelProps={{ shrink: true }}
+              value={newWindow.startsAt}
+              onChange={updateNewWindow('startsAt')}
+            />
+            <TextField
+              size="small"
+              type="datetime-local"
+              label="Ends"
+              InputLabelProps={{ shrink: true }}
+              value={newWindow.endsAt}
+              onChange={updateNewWindow('endsAt')}
+            />
+            <TextField
+              size="small"
+              label="Reason"
+              value={newWindow.reason}
+              onChange={updateNewWindow('reason')}
+              sx={{ flexGrow: 1 }}
+            />
+            <Button
+              variant="contained"
+              onClick={handleCreateWindow}
+              disabled={!newWindow.plantId || !newWindow.startsAt || !newWindow.endsAt}
+            >
+              Schedule
+            </Button>
+          </Box>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2">Recent Activity</Typography>
+        {audit.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No activity yet</Typography>
+        ) : (
+          <List dense>
+            {audit.map(entry => (
+              <ListItem key={entry._id} disableGutters>
+                <ListItemText
+                  primary={`${entry.action.replace(/_/g, ' ')}${entry.alarmCode ? ` - ${entry.alarmCode}` : ''}${entry.deviceName ? ` on ${entry.deviceName}` : ''}`}
+                  secondary={`${formatTime(entry.timestamp)} by ${entry.by?.name || entry.by?.email || 'system'}${entry.details ? ` - ${entry.details}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlarmSuppressionDialog;
@@ -14,19 +14,98 @@ import {
   IconButton,
   Tooltip,
   CircularProgress,
+  LinearProgress,
   Alert,
   Button
 } from '@mui/material';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import WarningIcon from '@mui/icons-material/Warning';
 import InfoIcon from '@mui/icons-material/Info';
-import { markAlarmAsRead, getAllAlarms, getAlarmsByDevice, getAlarmsByPlantAndDevice } from '../../services/alarmService';
+import ThumbUpIcon from '@mui/icons-material/ThumbUp';
+import AssignmentIndIcon from '@mui/icons-material/AssignmentInd';
+import TaskAltIcon from '@mui/icons-material/TaskAlt';
+import LockIcon from '@mui/icons-material/Lock';
+import HistoryIcon from '@mui/icons-material/History';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import { markAlarmAsRead, queryAlarms } from '../../services/alarmService';
 import socketService from '../../services/socketService';
+import eventBus from '../../services/eventBusService';
+import { useAuth } from '../../context/AuthContext';
+import AlarmActionDialog from './AlarmActionDialog';
+import AlarmDetailDialog from './AlarmDetailDialog';
+import ShelveAlarmDialog from './ShelveAlarmDialog';
+import AlarmSuppressionDialog from './AlarmSuppressionDialog';
+import { SEVERITY_LEVELS, SEVERITY_CONFIG, getSeverity } from '../../services/alarmSeverityService';
+
+// Short date and time for captions and tooltips
+const formatAlarmTime = (timestamp) => (timestamp
+  ? new Date(timestamp).toLocaleString('en-GB', { hour12: false }).replace(',', '')
+  : '-');
+
+// Chip colours for each lifecycle status
+const STATUS_COLORS = {
+  New: 'error',
+  Acknowledged: 'warning',
+  Assigned: 'info',
+  Resolved: 'success',
+  Closed: 'default'
+};
+
+// Sort options and the query parameters the server sorts by
+const SORT_OPTIONS = {
+  newest: { label: 'Newest First', params: { sort: 'createdAt', order: 'desc' } },
+  oldest: { label: 'Oldest First', params: { sort: 'createdAt', order: 'asc' } },
+  severity: { label: 'Severity', params: { sort: 'severity', order: 'desc' } },
+  lastSeen: { label: 'Last Seen', params: { sort: 'lastSeen', order: 'desc' } },
+  occurrences: { label: 'Most Occurrences', params: { sort: 'occurrences', order: 'desc' } }
+};
+
+// Local date input value (YYYY-MM-DD) to an ISO timestamp at the start or end of that day
+const toDayBoundary = (date, endOfDay = false) => {
+  if (!date) return undefined;
+  return new Date(`${date}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).toISOString();
+};
+
+// Format an alarm from the API and ensure all fields are present
+// The backend provides normalized data, but we still do some client-side validation
+const formatAlarm = (alarm) => ({
+  _id: alarm._id || `alarm-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+  AlarmId: alarm.AlarmId || alarm.alarmId || alarm.id || '',
+  AlarmCode: alarm.AlarmCode || alarm.alarmCode || '',
+  AlarmDescription: alarm.AlarmDescription || alarm.alarmDescription || alarm.description || '',
+  CreatedTimestamp: alarm.CreatedTimestamp || alarm.createdTimestamp || alarm.timestamp || new Date().toISOString(),
+  DeviceId: alarm.DeviceId || alarm.deviceId || '',
+  DeviceName: alarm.DeviceName || alarm.deviceName || 'Unknown Device',
+  PlantName: alarm.PlantName || alarm.plantName || '',
+  IsActive: typeof alarm.IsActive !== 'undefined' ? alarm.IsActive : 
+           typeof alarm.isActive !== 'undefined' ? alarm.isActive : true,
+  IsRead: typeof alarm.IsRead !== 'undefined' ? alarm.IsRead : 
+         typeof alarm.isRead !== 'undefined' ? alarm.isRead : false,
+  Status: alarm.Status || 'New',
+  Severity: getSeverity(alarm),
+  RecommendedAction: alarm.RecommendedAction || '',
+  RootCauses: alarm.RootCauses || [],
+  AcknowledgedBy: alarm.AcknowledgedBy || null,
+  AssignedTo: alarm.AssignedTo || null,
+  ResolvedTimestamp: alarm.ResolvedTimestamp || null,
+  ClosedTimestamp: alarm.ClosedTimestamp || null,
+  ClearedTimestamp: alarm.ClearedTimestamp || null,
+  ClearedValue: alarm.ClearedValue || '',
+  EscalationLevel: alarm.EscalationLevel || 0,
+  EscalationHistory: alarm.EscalationHistory || [],
+  Suppressed: alarm.Suppressed || false,
+  Suppression: alarm.Suppression || null,
+  OccurrenceCount: alarm.OccurrenceCount || 1,
+  FirstSeenTimestamp: alarm.FirstSeenTimestamp || null,
+  LastSeenTimestamp: alarm.LastSeenTimestamp || null,
+  StatusHistory: alarm.StatusHistory || []
+});
 
 const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
   // Use hybrid approach: initial data via API, then WebSocket for updates
   const [alarms, setAlarms] = useState([]);
   const [isLoading, setIsLoading] = useState(true); // Start with loading state
+  const [isFetching, setIsFetching] = useState(false); // A page is being loaded after the first one
   const [error, setError] = useState(null);
   const [dataSource, setDataSource] = useState('loading'); // 'api', 'websocket', or 'loading'
   
@@ -36,174 +115,99 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [severityFilter, setSeverityFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [sortBy, setSortBy] = useState('newest'); // key of SORT_OPTIONS
+  const [actionDialog, setActionDialog] = useState(null); // { action, alarm }
+  const [detailAlarmId, setDetailAlarmId] = useState(null);
+  const [shelveTarget, setShelveTarget] = useState(null);
+  const [suppressionOpen, setSuppressionOpen] = useState(false);
+  
+  const { hasRole } = useAuth();
+  const canOperate = hasRole('operator');
+  const canAdminister = hasRole('plant-admin');
   
-  // Use a ref to keep track of all alarms to avoid state update issues
+  // Use a ref to keep track of the alarms on the current page to avoid state update issues
   const alarmsRef = useRef([]);
   
-  // Load initial alarm data - check cache first, only fetch from API if necessary
+  // Server-side paging - cursors[n] is the cursor that loads page n, total counts every matching alarm
+  const [total, setTotal] = useState(0);
+  const [cursors, setCursors] = useState([null]);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const pageCursor = cursors[page] || null;
+  
+  // Only search once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+  
+  // Any change to the selection, filters or sorting starts again from the first page
+  useEffect(() => {
+    setPage(0);
+    setCursors([null]);
+  }, [selectedDevice, selectedPlant, debouncedSearch, fromDate, toDate, severityFilter, statusFilter, sortBy, rowsPerPage]);
+  
+  // Load the current page of alarms from the server
   useEffect(() => {
     let isMounted = true;
     
-    // Force clearing alarm data when plant or device changes
-    console.log(`🔄 Plant or device selection changed - clearing alarm data`);
-    console.log(`Current selection: Plant "${selectedPlant}", Device "${selectedDevice}"`);
-    
-    // Clear the alarm data in the component state
-    alarmsRef.current = [];
-    setAlarms([]);
-    
-    const loadAlarmsData = async () => {
+    const loadAlarmsPage = async () => {
       try {
-        setIsLoading(true);
-        setDataSource('loading');
+        setIsFetching(true);
         setError(null);
         
-        // Only use cache if same plant AND device
-        const cachedData = socketService.getCachedAlarmData();
-        const cachedPlant = socketService.cache?.currentPlant;
-        const cachedDevice = socketService.cache?.currentDevice;
-        
-        const useCache = cachedData.isLoaded && 
-                        cachedData.data.length > 0 && 
-                        cachedPlant === selectedPlant && 
-                        cachedDevice === selectedDevice;
-        
-        // Log cache status for debugging
-        console.log(`Cache status: useCache=${useCache}, cachedPlant=${cachedPlant}, selectedPlant=${selectedPlant}`);
-        console.log(`cachedDevice=${cachedDevice}, selectedDevice=${selectedDevice}`);
-        
-        if (useCache) {
-          // Use cached data instead of making a new API call
-          console.log('💾 Using cached alarm data from previous session:', cachedData.data.length, 'items');
-          console.log('⏱️ Last fetch time:', new Date(cachedData.lastFetchTime).toLocaleString());
-          
-          if (isMounted) {
-            alarmsRef.current = cachedData.data;
-            setAlarms(cachedData.data);
-            setDataSource('cache');
-            setIsLoading(false);
-          }
-          return;
-        }
-        
-        // If we're not using cache, clear it for the new selection
-        socketService.clearAlarmCache();
-        
-        // Store current plant/device selection in cache
-        socketService.cache.currentPlant = selectedPlant;
-        socketService.cache.currentDevice = selectedDevice;
+        console.log(`🔄 Fetching alarms page ${page + 1}${selectedPlant ? ` for plant "${selectedPlant}"` : ''}${selectedDevice ? ` and device "${selectedDevice}"` : ''}...`);
         
-        // No cached data or filters changed, fetch from API
-        // Define data variable in the outer scope
-        let data = [];
-        
-        if (selectedPlant) {
-          console.log(`🔄 Fetching initial alarms for plant "${selectedPlant}"${selectedDevice ? ` and device "${selectedDevice}"` : ''} from MongoDB...`);
-          
-          // Use the new API endpoint that filters by plant and device
-          data = await getAlarmsByPlantAndDevice(selectedPlant, selectedDevice);
-          
-          // Handle no data case
-          if (!data || data.length === 0) {
-            console.log(`⚠️ No alarms found for plant "${selectedPlant}"${selectedDevice ? ` and device "${selectedDevice}"` : ''}`);
-            if (isMounted) {
-              alarmsRef.current = [];
-              setAlarms([]);
-              setDataSource('api');
-              // Cache the empty result and current selection
-              socketService.cacheAlarmData([]);
-            }
-            return;
-          }
-            
-          console.log('🔍 Fetched filtered alarms from API:', data.length);
-          if (data.length > 0) {
-            console.log('📄 First alarm sample:', data[0]);
-          }
-        } else {
-          // If no plant is selected, fetch either device-specific or all alarms
-          console.log(`🔄 Fetching initial alarms from MongoDB${selectedDevice ? ` for device ${selectedDevice}` : ''}...`);
-          
-          // Fetch alarms from the API - either for a specific device or all alarms
-          data = selectedDevice 
-            ? await getAlarmsByDevice(selectedDevice)
-            : await getAllAlarms();
-          
-          // Handle no data case
-          if (!data || data.length === 0) {
-            console.log('⚠️ No alarms found in MongoDB database');
-            if (isMounted) {
-              alarmsRef.current = [];
-              setAlarms([]);
-              setDataSource('api');
-              // Cache the empty result too
-              socketService.cacheAlarmData([]);
-            }
-            return;
-          }
-            
-          console.log('🔍 Fetched initial alarms from API:', data.length);
-          console.log('📄 First alarm sample:', data[0]);
-        }
-        
-        // Format the alarm data and ensure all fields are present
-        // The backend now provides normalized data, but we'll still do some client-side validation
-        const formattedAlarms = data.map(alarm => ({
-          _id: alarm._id || `alarm-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
-          AlarmId: alarm.AlarmId || alarm.alarmId || alarm.id || '',
-          AlarmCode: alarm.AlarmCode || alarm.alarmCode || '',
-          AlarmDescription: alarm.AlarmDescription || alarm.alarmDescription || alarm.description || '',
-          CreatedTimestamp: alarm.CreatedTimestamp || alarm.createdTimestamp || alarm.timestamp || new Date().toISOString(),
-          DeviceId: alarm.DeviceId || alarm.deviceId || '',
-          DeviceName: alarm.DeviceName || alarm.deviceName || 'Unknown Device',
-          PlantName: alarm.PlantName || alarm.plantName || '',
-          IsActive: typeof alarm.IsActive !== 'undefined' ? alarm.IsActive : 
-                   typeof alarm.isActive !== 'undefined' ? alarm.isActive : true,
-          IsRead: typeof alarm.IsRead !== 'undefined' ? alarm.IsRead : 
-                 typeof alarm.isRead !== 'undefined' ? alarm.isRead : false
-        }));
-        
-        // Sort by timestamp in descending order (newest first)
-        const sortedAlarms = formattedAlarms.sort((a, b) => {
-          const dateA = new Date(a.CreatedTimestamp);
-          const dateB = new Date(b.CreatedTimestamp);
-          return dateB - dateA; // Descending order
+        const result = await queryAlarms({
+          plantName: selectedPlant || undefined,
+          deviceName: selectedDevice || undefined,
+          search: debouncedSearch || undefined,
+          from: toDayBoundary(fromDate),
+          to: toDayBoundary(toDate, true),
+          severity: severityFilter || undefined,
+          status: statusFilter || undefined,
+          ...SORT_OPTIONS[sortBy].params,
+          limit: rowsPerPage,
+          cursor: pageCursor || undefined
         });
         
-        // Log sample of final formatted data
-        if (sortedAlarms.length > 0) {
-          console.log('✅ Alarm data formatted successfully. Sample:', sortedAlarms[0]);
-        }
-        
-        // Update the alarms state if component is still mounted
         if (isMounted) {
-          alarmsRef.current = sortedAlarms;
-          setAlarms(sortedAlarms);
+          const formattedAlarms = result.alarms.map(formatAlarm);
+          alarmsRef.current = formattedAlarms;
+          setAlarms(formattedAlarms);
+          setTotal(result.total);
+          // Remember where the next page starts so it can be requested
+          setCursors(prev => {
+            const next = prev.slice(0, page + 1);
+            next[page + 1] = result.nextCursor;
+            return next;
+          });
           setDataSource('api');
-          // Cache the data in socketService for persistence between tab switches
-          socketService.cacheAlarmData(sortedAlarms);
         }
       } catch (error) {
-        console.error('❌ Error fetching initial alarms:', error);
+        console.error('❌ Error fetching alarms:', error);
         if (isMounted) {
-          setError(`Failed to load alarms data from MongoDB: ${error.message || 'Unknown error'}.`);
+          setError(`Failed to load alarms data: ${error.response?.data?.message || error.message || 'Unknown error'}.`);
           alarmsRef.current = [];
           setAlarms([]);
+          setTotal(0);
         }
       } finally {
         if (isMounted) {
           setIsLoading(false);
+          setIsFetching(false);
         }
       }
     };
     
-    loadAlarmsData();
+    loadAlarmsPage();
     
-    // Cleanup function to prevent state updates if component unmounts
+    // Cleanup function to ignore responses for a page that is no longer shown
     return () => {
       isMounted = false;
     };
-  }, [selectedDevice, selectedPlant]);
+  }, [selectedDevice, selectedPlant, debouncedSearch, fromDate, toDate, severityFilter, statusFilter, sortBy, rowsPerPage, page, pageCursor]);
   
   // Handle new alarm data from WebSocket - only for new incoming alarms
   const handleNewAlarm = useCallback((alarmData) => {
@@ -234,6 +238,12 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
     }
     
     console.log(`✅ Alarm passed filtering: Plant "${alarmPlantName}", Device "${alarmDeviceName}"`);
+    
+    // The server applies the other filters, so a filtered view picks the alarm up on its next load
+    if (debouncedSearch || fromDate || toDate || severityFilter || statusFilter) {
+      console.log('⏭️ Alarm not added live while search filters are applied');
+      return;
+    }
 
     
     // Use more robust ID extraction and generation
@@ -283,30 +293,31 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
       PlantName: alarmData.plantName || alarmData.PlantName || '',
       IsActive: true,
       IsRead: false,
+      Status: alarmData.Status || 'New',
+      Severity: getSeverity(alarmData),
+      Suppressed: alarmData.Suppressed || false,
+      Suppression: alarmData.Suppression || null,
+      OccurrenceCount: 1,
       Source: 'websocket' // Mark this as coming from WebSocket
     };
     
+    setTotal(prev => prev + 1);
+    
+    // Only the first page of the newest-first view shows the alarm straight away
+    // The page is not trimmed so the stored cursors still line up with the next pages
+    if (page !== 0 || sortBy !== 'newest') return;
+    
     console.log(`✅ Adding new alarm via WebSocket: ${formattedAlarm.AlarmCode} at ${formattedAlarm.CreatedTimestamp}`);
     
     // Add the new alarm at the top of the list (maintain descending timestamp order)
     const updatedAlarms = [formattedAlarm, ...alarmsRef.current];
     
-    // Sort by timestamp in descending order (newest first) to ensure proper ordering
-    updatedAlarms.sort((a, b) => {
-      const dateA = new Date(a.CreatedTimestamp);
-      const dateB = new Date(b.CreatedTimestamp);
-      return dateB - dateA; // Descending order
-    });
-    
     // Update the ref and state
     alarmsRef.current = updatedAlarms;
     
     // Force a UI update with a new array reference
     setAlarms([...updatedAlarms]); 
-    
-    // Also add to the socketService cache for persistence between tab switches
-    socketService.addAlarmToCache(formattedAlarm);
-  }, []);
+  }, [selectedPlant, selectedDevice, debouncedSearch, fromDate, toDate, severityFilter, statusFilter, page, sortBy]);
   
   // Connect to WebSocket for alarm updates - only for new incoming alarms after initial load
   useEffect(() => {
@@ -356,6 +367,33 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
     };
   }, [handleNewAlarm, selectedDevice, selectedPlant]);
   
+  // Apply lifecycle changes made by any user (broadcast by the server)
+  const applyAlarmUpdate = useCallback((updatedAlarm) => {
+    if (!updatedAlarm || !updatedAlarm._id) return;
+    
+    alarmsRef.current = alarmsRef.current.map(alarm => 
+      alarm._id === updatedAlarm._id ? { ...alarm, ...updatedAlarm } : alarm
+    );
+    setAlarms([...alarmsRef.current]);
+  }, []);
+  
+  useEffect(() => {
+    const unsubscribeStatus = eventBus.on('alarm-status-changed', applyAlarmUpdate);
+    // Alarms cleared by the server once the reading is back to normal
+    const unsubscribeCleared = eventBus.on('alarm-cleared', applyAlarmUpdate);
+    // Escalations run by the server's escalation scheduler
+    const unsubscribeEscalated = eventBus.on('alarm-escalated', applyAlarmUpdate);
+    // Repeats folded into an open alarm by the server
+    const unsubscribeOccurrence = eventBus.on('alarm-occurrence', applyAlarmUpdate);
+    
+    return () => {
+      unsubscribeStatus();
+      unsubscribeCleared();
+      unsubscribeEscalated();
+      unsubscribeOccurrence();
+    };
+  }, [applyAlarmUpdate]);
+  
   // Effect to maintain socket connection
   useEffect(() => {
     // Setup ping interval to keep WebSocket connection alive
@@ -373,12 +411,13 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
   }, []);
  
   const handleChangePage = (event, newPage) => {
+    // Pages are reached through cursors, so only pages already seen or the next one can be opened
+    if (newPage > page && !cursors[newPage]) return;
     setPage(newPage);
   };
  
   const handleChangeRowsPerPage = (event) => {
     setRowsPerPage(parseInt(event.target.value, 10));
-    setPage(0);
   };
   
   const handleMarkAsRead = async (alarmId) => {
@@ -457,23 +496,35 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
             <Typography>Search</Typography>
             <input
               type="text"
-              placeholder="Search by Alarm Code or Description"
+              placeholder="Search by Alarm Code, Description or Device"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               style={{ padding: '8px', width: '300px' }}
             />
           </Box>
-          <Button
-            variant="outlined"
-            size="small"
-            onClick={() => {
-              setSearchQuery('');
-              setFromDate('');
-              setToDate('');
-            }}
-          >
-            Clear Search
-          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<ArchiveIcon />}
+              onClick={() => setSuppressionOpen(true)}
+            >
+              Shelved & Maintenance
+            </Button>
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={() => {
+                setSearchQuery('');
+                setFromDate('');
+                setToDate('');
+                setSeverityFilter('');
+                setStatusFilter('');
+              }}
+            >
+              Clear Search
+            </Button>
+          </Box>
         </Box>
         <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
           <Typography>From Date</Typography>
@@ -490,11 +541,44 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
             onChange={(e) => setToDate(e.target.value)}
             style={{ padding: '8px' }}
           />
+          <Typography>Severity</Typography>
+          <select
+            value={severityFilter}
+            onChange={(e) => setSeverityFilter(e.target.value)}
+            style={{ padding: '8px' }}
+          >
+            <option value="">All</option>
+            {SEVERITY_LEVELS.map(level => (
+              <option key={level} value={level}>{SEVERITY_CONFIG[level].label}</option>
+            ))}
+          </select>
+          <Typography>Status</Typography>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            style={{ padding: '8px' }}
+          >
+            <option value="">All</option>
+            {Object.keys(STATUS_COLORS).map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          <Typography>Sort By</Typography>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            style={{ padding: '8px' }}
+          >
+            {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
         </Box>
       </Paper>
 
       {/* Alarms Table */}
       <Paper elevation={2}>
+        {isFetching && <LinearProgress />}
         <TableContainer>
           <Table>
             <TableHead>
@@ -504,41 +588,24 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
                 <TableCell>Device Name</TableCell>
                 <TableCell>Alarm Generated Time</TableCell>
                 <TableCell>Alarm Description</TableCell>
-                <TableCell>Alarm Status</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>Workflow</TableCell>
                 <TableCell>Actions</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               {(alarms || [])
-                .filter(alarm => {
-                  // Apply search filter
-                  const searchLower = searchQuery.toLowerCase();
-                  const matchesSearch = searchQuery === '' ||
-                    (alarm.AlarmCode && alarm.AlarmCode.toLowerCase().includes(searchLower)) ||
-                    (alarm.AlarmDescription && alarm.AlarmDescription.toLowerCase().includes(searchLower));
-
-                  // Apply date filters
-                  const alarmDate = new Date(alarm.CreatedTimestamp);
-                  
-                  // From Date - start of the day
-                  const fromDateObj = fromDate ? new Date(fromDate) : null;
-                  const matchesFromDate = !fromDate || alarmDate >= fromDateObj;
-                  
-                  // To Date - end of the day (23:59:59)
-                  let toDateObj = null;
-                  if (toDate) {
-                    toDateObj = new Date(toDate);
-                    toDateObj.setHours(23, 59, 59, 999); // Set to end of day
-                  }
-                  const matchesToDate = !toDate || alarmDate <= toDateObj;
-
-                  return matchesSearch && matchesFromDate && matchesToDate;
-                })
-                .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
                 .map((alarm) => (
                   <TableRow key={alarm._id} hover>
                     <TableCell>{alarm.AlarmId || '-'}</TableCell>
-                    <TableCell>{alarm.AlarmCode || '-'}</TableCell>
+                    <TableCell>
+                      {alarm.AlarmCode || '-'}
+                      {alarm.OccurrenceCount > 1 && (
+                        <Tooltip title={`First seen ${formatAlarmTime(alarm.FirstSeenTimestamp || alarm.CreatedTimestamp)}, last seen ${formatAlarmTime(alarm.LastSeenTimestamp)}`}>
+                          <Chip label={`x${alarm.OccurrenceCount}`} size="small" sx={{ ml: 1 }} />
+                        </Tooltip>
+                      )}
+                    </TableCell>
                     <TableCell>{alarm.DeviceName || '-'}</TableCell>
                     <TableCell>
                       {alarm.CreatedTimestamp ? 
@@ -552,17 +619,62 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
                           hour12: false
                         }).replace(',', '') : '-'}
                     </TableCell>
-                    <TableCell>{alarm.AlarmDescription || '-'}</TableCell>
+                    <TableCell>
+                      {alarm.AlarmDescription || '-'}
+                      {alarm.RecommendedAction && (
+                        <Tooltip title={alarm.RootCauses && alarm.RootCauses.length > 0 ? `Possible causes: ${alarm.RootCauses.join(', ')}` : ''}>
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            Action: {alarm.RecommendedAction}
+                          </Typography>
+                        </Tooltip>
+                      )}
+                    </TableCell>
                     <TableCell>
                       <Chip 
                         icon={<WarningIcon />} 
-                        label={alarm.AlarmCode && alarm.AlarmCode.includes('HIGH') ? "HIGH" : "LOW"} 
-                        color={alarm.AlarmCode && alarm.AlarmCode.includes('HIGH') ? "error" : "warning"} 
+                        label={SEVERITY_CONFIG[getSeverity(alarm)].label} 
+                        color={SEVERITY_CONFIG[getSeverity(alarm)].chipColor} 
                         size="small" 
                         sx={{ minWidth: '90px' }}
                       />
                     </TableCell>
                     <TableCell>
+                      <Chip 
+                        label={alarm.Status || 'New'} 
+                        color={STATUS_COLORS[alarm.Status] || 'error'} 
+                        size="small" 
+                        variant="outlined"
+                      />
+                      {alarm.AssignedTo && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {alarm.AssignedTo.name || alarm.AssignedTo.email}
+                        </Typography>
+                      )}
+                      {alarm.EscalationLevel > 0 && (alarm.Status || 'New') === 'New' && (
+                        <Typography variant="caption" display="block" color="error">
+                          Escalated (level {alarm.EscalationLevel})
+                        </Typography>
+                      )}
+                      {alarm.Suppressed && (
+                        <Tooltip title={alarm.Suppression?.Reason || ''}>
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            Suppressed ({alarm.Suppression?.Type === 'maintenance' ? 'maintenance' : 'shelved'})
+                          </Typography>
+                        </Tooltip>
+                      )}
+                      {alarm.ClearedTimestamp && (
+                        <Typography variant="caption" display="block" color="success.main">
+                          Cleared {new Date(alarm.ClearedTimestamp).toLocaleString('en-GB', { hour12: false }).replace(',', '')}
+                          {alarm.ClearedValue ? ` at ${alarm.ClearedValue}` : ''}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title="Details and history">
+                        <IconButton size="small" onClick={() => setDetailAlarmId(alarm._id)}>
+                          <HistoryIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
                       {!alarm.IsRead && (
                         <Tooltip title="Mark as read">
                           <IconButton size="small" onClick={() => handleMarkAsRead(alarm._id)}>
@@ -570,6 +682,41 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
                           </IconButton>
                         </Tooltip>
                       )}
+                      {canOperate && (alarm.Status || 'New') === 'New' && (
+                        <Tooltip title="Acknowledge">
+                          <IconButton size="small" onClick={() => setActionDialog({ action: 'acknowledge', alarm })}>
+                            <ThumbUpIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {canAdminister && ['Acknowledged', 'Assigned'].includes(alarm.Status) && (
+                        <Tooltip title={alarm.Status === 'Assigned' ? 'Reassign' : 'Assign'}>
+                          <IconButton size="small" onClick={() => setActionDialog({ action: 'assign', alarm })}>
+                            <AssignmentIndIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {canOperate && ['Acknowledged', 'Assigned'].includes(alarm.Status) && (
+                        <Tooltip title="Resolve">
+                          <IconButton size="small" color="success" onClick={() => setActionDialog({ action: 'resolve', alarm })}>
+                            <TaskAltIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {canOperate && alarm.AlarmCode && alarm.DeviceName && (
+                        <Tooltip title="Shelve this alarm code on the device">
+                          <IconButton size="small" onClick={() => setShelveTarget(alarm)}>
+                            <ArchiveIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {canAdminister && ['Acknowledged', 'Assigned', 'Resolved'].includes(alarm.Status) && (
+                        <Tooltip title="Close">
+                          <IconButton size="small" onClick={() => setActionDialog({ action: 'close', alarm })}>
+                            <LockIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))}
@@ -579,13 +726,39 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
         <TablePagination
           rowsPerPageOptions={[5, 10, 25]}
           component="div"
-          count={(alarms || []).length}
+          count={total}
           rowsPerPage={rowsPerPage}
           page={page}
           onPageChange={handleChangePage}
           onRowsPerPageChange={handleChangeRowsPerPage}
         />
       </Paper>
+
+      <AlarmActionDialog
+        open={!!actionDialog}
+        action={actionDialog?.action}
+        alarm={actionDialog?.alarm}
+        onClose={() => setActionDialog(null)}
+        onCompleted={applyAlarmUpdate}
+      />
+
+      <AlarmDetailDialog
+        open={!!detailAlarmId}
+        alarm={alarms.find(alarm => alarm._id === detailAlarmId)}
+        onClose={() => setDetailAlarmId(null)}
+      />
+
+      <ShelveAlarmDialog
+        open={!!shelveTarget}
+        alarm={shelveTarget}
+        onClose={() => setShelveTarget(null)}
+      />
+
+      <AlarmSuppressionDialog
+        open={suppressionOpen}
+        selectedPlant={selectedPlant}
+        onClose={() => setSuppressionOpen(false)}
+      />
     </Box>
   );
 };
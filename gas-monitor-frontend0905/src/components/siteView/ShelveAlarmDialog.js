@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Typography
+} from '@mui/material';
+import { shelveAlarm } from '../../services/alarmSuppressionService';
+
+// Shelve durations offered to operators, in minutes - the server caps the maximum
+const SHELVE_DURATIONS = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 240, label: '4 hours' },
+  { minutes: 480, label: '8 hours' },
+  { minutes: 1440, label: '24 hours' }
+];
+
+// Dialog shelving an alarm code on the alarm's device for a bounded time
+const ShelveAlarmDialog = ({ open, alarm, onClose }) => {
+  const [durationMinutes, setDurationMinutes] = useState(60);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setDurationMinutes(60);
+    setReason('');
+    setError(null);
+  }, [open]);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      await shelveAlarm({
+        deviceName: alarm.DeviceName,
+        alarmCode: alarm.AlarmCode,
+        durationMinutes,
+        reason
+      });
+      onClose();
+    } catch (err) {
+      console.error('Error shelving alarm:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!alarm) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose}>
+      <DialogTitle>Shelve Alarm</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1, minWidth: '400px' }}>
+          <Typography variant="body2" color="text.secondary">
+            New {alarm.AlarmCode} alarms on {alarm.DeviceName} will be recorded without notifications until the shelve ends.
+          </Typography>
+
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <FormControl fullWidth>
+            <InputLabel>Shelve For</InputLabel>
+            <Select
+              value={durationMinutes}
+              onChange={(e) => setDurationMinutes(e.target.value)}
+              label="Shelve For"
+            >
+              {SHELVE_DURATIONS.map(({ minutes, label }) => (
+                <MenuItem key={minutes} value={minutes}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <TextField
+            label="Reason"
+            fullWidth
+            multiline
+            minRows={2}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSubmit} variant="contained" color="primary" disabled={submitting}>
+          Shelve
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShelveAlarmDialog;
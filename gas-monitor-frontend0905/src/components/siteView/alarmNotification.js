@@ -18,13 +18,16 @@ import {
 import NotificationsIcon from '@mui/icons-material/Notifications';
 import WarningIcon from '@mui/icons-material/Warning';
 import { useNavigate } from 'react-router-dom';
-import { markAllAlarmsAsRead, markAlarmAsRead } from '../../services/alarmService';
+import { markAllAlarmsAsRead, markAlarmAsRead, acknowledgeAlarm } from '../../services/alarmService';
 import socketService from '../../services/socketService';
 import eventBus from '../../services/eventBusService';
-import axios from 'axios';
+import api from '../../services/apiService';
+import { useAuth } from '../../context/AuthContext';
+import { SEVERITY_CONFIG, getSeverity, compareBySeverity, playSeveritySound } from '../../services/alarmSeverityService';
 
 const AlarmNotification = () => {
   const navigate = useNavigate();
+  const { hasRole } = useAuth();
   
   // State for alarms and notification management
   const [recentAlarms, setRecentAlarms] = useState([]);
@@ -83,6 +86,32 @@ const AlarmNotification = () => {
     }
   };
   
+  // Handle acknowledging a single alarm straight from the notification list
+  const handleAcknowledge = async (alarm) => {
+    try {
+      const updatedAlarm = await acknowledgeAlarm(alarm._id);
+      applyStatusChange(updatedAlarm);
+    } catch (error) {
+      console.error('Error acknowledging alarm:', error);
+    }
+  };
+  
+  // Merge a lifecycle change into the notification list
+  const applyStatusChange = (updatedAlarm) => {
+    if (!updatedAlarm || !updatedAlarm._id) return;
+    
+    const wasUnread = alarmsRef.current.some(alarm => alarm._id === updatedAlarm._id && !alarm.IsRead);
+    alarmsRef.current = alarmsRef.current.map(alarm => 
+      alarm._id === updatedAlarm._id ? { ...alarm, ...updatedAlarm } : alarm
+    );
+    setRecentAlarms(alarmsRef.current.slice(0, 5));
+    
+    // Acknowledging also marks the alarm as read
+    if (wasUnread && updatedAlarm.IsRead) {
+      setUnreadCount(prev => Math.max(0, prev - 1));
+    }
+  };
+  
   // Handle marking all alarms as read
   const handleMarkAllRead = async () => {
     try {
@@ -103,6 +132,12 @@ const AlarmNotification = () => {
       return;
     }
     
+    // Shelved alarms, alarms raised during maintenance and alarms within a flood are listed in the Alarms tab only
+    if (alarmData.Suppressed || alarmData.InFlood) {
+      console.log('🔕 Ignoring suppressed alarm:', alarmData.AlarmCode || alarmData.alarmCode);
+      return;
+    }
+    
     // Deep log to inspect the exact format of incoming alarms
     console.log('📥 Received new alarm data via WebSocket:', JSON.stringify(alarmData, null, 2));
     
@@ -187,6 +222,8 @@ const AlarmNotification = () => {
         AlarmValue: alarmData.alarmValue || alarmData.AlarmValue || alarmData.value || '',
         IsActive: true,
         IsRead: false,
+        Status: alarmData.Status || 'New',
+        Severity: getSeverity(alarmData),
         Source: 'websocket'
       };
     } catch (err) {
@@ -203,6 +240,8 @@ const AlarmNotification = () => {
         AlarmValue: '',
         IsActive: true,
         IsRead: false,
+        Status: alarmData.Status || 'New',
+        Severity: getSeverity(alarmData),
         Source: 'websocket'
       };
     }
@@ -219,12 +258,15 @@ const AlarmNotification = () => {
     // Increment unread count (with no upper limit)
     setUnreadCount(prev => prev + 1);
     
+    // Audible alert with a distinct tone per severity
+    playSeveritySound(formattedAlarm.Severity);
+    
     // Show browser notification if enabled
     if (showBrowserNotification) {
       try {
         // Check if browser notifications are supported and permission is granted
         if (window.Notification && Notification.permission === 'granted') {
-          new Notification('Gas Monitor Alert', {
+          new Notification(`Gas Monitor Alert (${SEVERITY_CONFIG[formattedAlarm.Severity].label})`, {
             body: `${formattedAlarm.AlarmCode}: ${formattedAlarm.AlarmDescription} (${formattedAlarm.DeviceName})`,
             icon: '/logo.png'
           });
@@ -259,8 +301,8 @@ const AlarmNotification = () => {
         setIsLoading(true);
         
         console.log('🔄 Initial loading of alarms via API');
-        const response = await axios.get('http://localhost:5000/api/alarms');
-        const alarms = response.data;
+        const response = await api.get('/alarms');
+        const alarms = response.data.filter(alarm => !alarm.Suppressed);
         
         // Calculate unread count
         const unreadAlarms = alarms.filter(alarm => !alarm.IsRead);
@@ -316,10 +358,16 @@ const AlarmNotification = () => {
     
     // Subscribe to the event bus for immediate alarm notifications
     const unsubscribe = eventBus.on('new-alarm', handleEventBusAlarm);
+    // Lifecycle changes made by other users
+    const unsubscribeStatus = eventBus.on('alarm-status-changed', applyStatusChange);
+    // Alarms cleared automatically when readings return to normal
+    const unsubscribeCleared = eventBus.on('alarm-cleared', applyStatusChange);
     
     return () => {
-      // Clean up event bus subscription
+      // Clean up event bus subscriptions
       unsubscribe();
+      unsubscribeStatus();
+      unsubscribeCleared();
     };
   }, []);
   
@@ -393,7 +441,7 @@ const AlarmNotification = () => {
       >
         <Badge 
           badgeContent={unreadCount > 30 ? "30+" : unreadCount} 
-          color="error"
+          color={recentAlarms.some(alarm => !alarm.IsRead && ['critical', 'major'].includes(getSeverity(alarm))) ? 'error' : 'warning'}
           max={30} // This is a fallback, our custom display logic handles the "30+" display
         >
           <NotificationsIcon />
@@ -453,7 +501,7 @@ const AlarmNotification = () => {
           <>
             {recentAlarms.length > 0 ? (
               <List sx={{ maxHeight: '250px', overflow: 'auto', padding: 0 }}>
-                {recentAlarms.map((alarm) => (
+                {[...recentAlarms].sort(compareBySeverity).map((alarm) => (
                   <ListItem 
                     key={alarm._id || `alarm-${alarm.AlarmId}`}
                     divider
@@ -469,8 +517,11 @@ const AlarmNotification = () => {
                           variant="subtitle2"
                           sx={{ fontWeight: alarm.IsRead ? 'normal' : 'bold', display: 'flex', alignItems: 'center' }}
                         >
-                          <WarningIcon fontSize="small" sx={{ mr: 0.5, color: 'warning.main' }} />
+                          <WarningIcon fontSize="small" sx={{ mr: 0.5, color: alarm.ClearedTimestamp ? 'success.main' : SEVERITY_CONFIG[getSeverity(alarm)].color }} />
                           {alarm.AlarmCode}
+                          <Typography component="span" variant="caption" sx={{ ml: 1, color: SEVERITY_CONFIG[getSeverity(alarm)].color }}>
+                            {SEVERITY_CONFIG[getSeverity(alarm)].label}
+                          </Typography>
                         </Typography>
                         <Typography variant="caption" color="text.secondary">
                           {formatTimestamp(alarm.CreatedTimestamp)}
@@ -486,18 +537,42 @@ const AlarmNotification = () => {
                           {alarm.DeviceName} ({alarm.PlantName})
                         </Typography>
                         
-                        {!alarm.IsRead && (
-                          <Button 
-                            size="small" 
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              handleMarkAsRead(alarm._id);
-                            }}
-                            sx={{ textTransform: 'none', fontSize: '0.75rem', p: 0, minWidth: 'auto' }}
-                          >
-                            Mark as read
-                          </Button>
-                        )}
+                        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                          {alarm.ClearedTimestamp && (
+                            <Typography variant="caption" color="success.main">
+                              Cleared
+                            </Typography>
+                          )}
+                          {alarm.Status && alarm.Status !== 'New' && (
+                            <Typography variant="caption" color="text.secondary">
+                              {alarm.Status}
+                            </Typography>
+                          )}
+                          {hasRole('operator') && (alarm.Status || 'New') === 'New' && (
+                            <Button 
+                              size="small" 
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleAcknowledge(alarm);
+                              }}
+                              sx={{ textTransform: 'none', fontSize: '0.75rem', p: 0, minWidth: 'auto' }}
+                            >
+                              Acknowledge
+                            </Button>
+                          )}
+                          {!alarm.IsRead && (
+                            <Button 
+                              size="small" 
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleMarkAsRead(alarm._id);
+                              }}
+                              sx={{ textTransform: 'none', fontSize: '0.75rem', p: 0, minWidth: 'auto' }}
+                            >
+                              Mark as read
+                            </Button>
+                          )}
+                        </Box>
                       </Box>
                     </Box>
                   </ListItem>
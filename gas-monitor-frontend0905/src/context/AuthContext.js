@@ -2,6 +2,9 @@ import { createContext, useState, useEffect, useContext } from "react";
 import { jwtDecode } from 'jwt-decode';
  // You'll need to install this package
  
+// Roles ordered from least to most privileged, mirrors the backend roleMiddleware
+export const ROLES = ['viewer', 'operator', 'plant-admin', 'super-admin'];
+ 
 export const AuthContext = createContext();
  
 export const AuthProvider = ({ children }) => {
@@ -33,6 +36,7 @@ export const AuthProvider = ({ children }) => {
         setUser({
           email: decodedToken.email || decodedToken.sub,
           id: decodedToken.id || decodedToken.userId,
+          role: decodedToken.role || 'viewer',
         });
       }
     } catch (error) {
@@ -54,12 +58,19 @@ export const AuthProvider = ({ children }) => {
       setUser({
         email: decodedToken.email || decodedToken.sub,
         id: decodedToken.id || decodedToken.userId,
+        role: decodedToken.role || 'viewer',
       });
     } catch (error) {
       console.error("Error processing token:", error);
     }
   };
  
+  // True when the current user has at least the given role
+  const hasRole = (minimumRole) => {
+    if (!user) return false;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+  };
+ 
   const handleLogout = () => {
     // Clear token from localStorage
     localStorage.removeItem("token");
@@ -76,7 +87,8 @@ export const AuthProvider = ({ children }) => {
         user, 
         token,
         login, 
-        logout: handleLogout 
+        logout: handleLogout,
+        hasRole 
       }}
 >
       {children}
@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from "react";
+import { Bar } from "react-chartjs-2";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import {
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Grid,
+  Box,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { getPlants } from "../services/plantService";
+import { getAlarmAnalytics } from "../services/alarmService";
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+
+const PERIODS = [
+  { value: 7, label: "Last 7 days" },
+  { value: 30, label: "Last 30 days" },
+  { value: 90, label: "Last 90 days" },
+];
+
+const TOP_CODE_OPTIONS = [5, 10, 20];
+
+// Mean response times come back in milliseconds, show them as minutes or hours
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "-";
+  const minutes = ms / 60000;
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 120) return `${minutes.toFixed(1)} min`;
+  return `${(minutes / 60).toFixed(1)} h`;
+};
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  scales: {
+    x: { grid: { display: false } },
+    y: { beginAtZero: true, ticks: { precision: 0 }, grid: { color: "#f0f0f0" } },
+  },
+  plugins: { legend: { display: false } },
+};
+
+const headerCellSx = { color: "white", fontWeight: "bold" };
+
+const SummaryCard = ({ title, value }) => (
+  <Paper sx={{ p: 2, borderRadius: 3, textAlign: "center" }}>
+    <Typography variant="body2" color="text.secondary">{title}</Typography>
+    <Typography variant="h5" fontWeight="bold">{value}</Typography>
+  </Paper>
+);
+
+// Counts and response times for one plant, device or alarm code
+const ResponseCells = ({ row }) => (
+  <>
+    <TableCell align="right">{row.count}</TableCell>
+    <TableCell align="right">{row.active}</TableCell>
+    <TableCell align="right">{formatDuration(row.mttaMs)}</TableCell>
+    <TableCell align="right">{formatDuration(row.mttrMs)}</TableCell>
+  </>
+);
+
+const ResponseHeaderCells = () => (
+  <>
+    <TableCell sx={headerCellSx} align="right">Alarms</TableCell>
+    <TableCell sx={headerCellSx} align="right">Active</TableCell>
+    <TableCell sx={headerCellSx} align="right">MTTA</TableCell>
+    <TableCell sx={headerCellSx} align="right">MTTR</TableCell>
+  </>
+);
+
+const AlarmAnalytics = () => {
+  const [plants, setPlants] = useState([]);
+  const [plantName, setPlantName] = useState("");
+  const [periodDays, setPeriodDays] = useState(30);
+  const [top, setTop] = useState(10);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getPlants()
+      .then(setPlants)
+      .catch((err) => console.error("Error fetching plants:", err));
+  }, []);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getAlarmAnalytics({
+          plantName: plantName || undefined,
+          from: new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000).toISOString(),
+          top,
+          // Bucket the time-of-day chart in the viewer's local time
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        });
+        if (isMounted) setReport(data);
+      } catch (err) {
+        console.error("Error fetching alarm analytics:", err);
+        if (isMounted) setError(err.response?.data?.message || "Failed to load alarm analytics");
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+
+    fetchReport();
+    return () => {
+      isMounted = false;
+    };
+  }, [plantName, periodDays, top]);
+
+  const topCodesChartData = {
+    labels: report?.topCodes.map((code) => code.alarmCode) || [],
+    datasets: [{
+      label: "Alarms",
+      data: report?.topCodes.map((code) => code.count) || [],
+      backgroundColor: "#0d47a1",
+    }],
+  };
+
+  const byHourChartData = {
+    labels: report?.byHour.map((bucket) => `${String(bucket.hour).padStart(2, "0")}:00`) || [],
+    datasets: [{
+      label: "Alarms",
+      data: report?.byHour.map((bucket) => bucket.count) || [],
+      backgroundColor: "#ff9800",
+    }],
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Alarm Analytics
+      </Typography>
+
+      <Box sx={{ display: "flex", gap: 2, mb: 3 }}>
+        <FormControl sx={{ minWidth: 200 }}>
+          <InputLabel>Plant</InputLabel>
+          <Select label="Plant" value={plantName} onChange={(e) => setPlantName(e.target.value)}>
+            <MenuItem value="">All plants</MenuItem>
+            {plants.map((plant) => (
+              <MenuItem key={plant._id} value={plant.plantName}>{plant.plantName}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl sx={{ minWidth: 160 }}>
+          <InputLabel>Period</InputLabel>
+          <Select label="Period" value={periodDays} onChange={(e) => setPeriodDays(e.target.value)}>
+            {PERIODS.map((period) => (
+              <MenuItem key={period.value} value={period.value}>{period.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Top codes</InputLabel>
+          <Select label="Top codes" value={top} onChange={(e) => setTop(e.target.value)}>
+            {TOP_CODE_OPTIONS.map((count) => (
+              <MenuItem key={count} value={count}>Top {count}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading && !report ? (
+        <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : report && (
+        <>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={6} md={3}>
+              <SummaryCard title="Alarms" value={report.summary.count} />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <SummaryCard title="Still active" value={report.summary.active} />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <SummaryCard title="Mean time to acknowledge" value={formatDuration(report.summary.mttaMs)} />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <SummaryCard title="Mean time to resolve" value={formatDuration(report.summary.mttrMs)} />
+            </Grid>
+          </Grid>
+
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="h6" mb={1}>Top Alarm Codes</Typography>
+              <Paper sx={{ p: 2, height: 280, borderRadius: 3 }}>
+                <Bar data={topCodesChartData} options={chartOptions} />
+              </Paper>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Typography variant="h6" mb={1}>Alarms by Time of Day</Typography>
+              <Paper sx={{ p: 2, height: 280, borderRadius: 3 }}>
+                <Bar data={byHourChartData} options={chartOptions} />
+              </Paper>
+            </Grid>
+          </Grid>
+
+          <Typography variant="h6" mb={1}>By Plant</Typography>
+          <Paper sx={{ borderRadius: 3, mb: 3 }}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                    <TableCell sx={headerCellSx}>Plant</TableCell>
+                    <ResponseHeaderCells />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.byPlant.map((row) => (
+                    <TableRow key={row.plantName} hover>
+                      <TableCell>{row.plantName}</TableCell>
+                      <ResponseCells row={row} />
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Typography variant="h6" mb={1}>Top Offending Devices</Typography>
+          <Paper sx={{ borderRadius: 3, mb: 3 }}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                    <TableCell sx={headerCellSx}>Device</TableCell>
+                    <TableCell sx={headerCellSx}>Plant</TableCell>
+                    <ResponseHeaderCells />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.byDevice.map((row) => (
+                    <TableRow key={`${row.plantName}/${row.deviceName}`} hover>
+                      <TableCell>{row.deviceName}</TableCell>
+                      <TableCell>{row.plantName}</TableCell>
+                      <ResponseCells row={row} />
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Typography variant="h6" mb={1}>Top Alarm Codes</Typography>
+          <Paper sx={{ borderRadius: 3 }}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                    <TableCell sx={headerCellSx}>Alarm Code</TableCell>
+                    <TableCell sx={headerCellSx}>Description</TableCell>
+                    <TableCell sx={headerCellSx} align="right">Devices</TableCell>
+                    <ResponseHeaderCells />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.topCodes.map((row) => (
+                    <TableRow key={row.alarmCode} hover>
+                      <TableCell>{row.alarmCode}</TableCell>
+                      <TableCell>{row.description || "-"}</TableCell>
+                      <TableCell align="right">{row.deviceCount}</TableCell>
+                      <ResponseCells row={row} />
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+    </>
+  );
+};
+
+export default AlarmAnalytics;
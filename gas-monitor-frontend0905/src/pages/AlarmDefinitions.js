@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from "react";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+
+import { useAuth } from "../context/AuthContext";
+import {
+  getAlarmDefinitions,
+  createAlarmDefinition,
+  updateAlarmDefinition,
+  deleteAlarmDefinition,
+} from "../services/alarmDefinitionService";
+import { SEVERITY_LEVELS, SEVERITY_CONFIG } from "../services/alarmSeverityService";
+import {
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  Button,
+  Grid,
+  Chip,
+  Alert,
+} from "@mui/material";
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  severity: "minor",
+  recommendedAction: "",
+  rootCauses: "",
+};
+
+const AlarmDefinitions = () => {
+  const [definitions, setDefinitions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editMode, setEditMode] = useState(false);
+  const [error, setError] = useState(null);
+  const { hasRole } = useAuth();
+
+  // Everyone can read the catalogue, only super admins may change it
+  const canManageDefinitions = hasRole("super-admin");
+
+  useEffect(() => {
+    fetchDefinitions();
+  }, []);
+
+  const fetchDefinitions = async () => {
+    try {
+      setDefinitions(await getAlarmDefinitions());
+    } catch (err) {
+      console.error("Error fetching alarm definitions:", err);
+      setError("Failed to load alarm definitions");
+    }
+  };
+
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const clearForm = () => {
+    setForm(EMPTY_FORM);
+    setEditMode(false);
+    setError(null);
+  };
+
+  const saveDefinition = async () => {
+    const payload = {
+      ...form,
+      rootCauses: form.rootCauses.split("\n").map((cause) => cause.trim()).filter(Boolean),
+    };
+
+    try {
+      if (editMode) {
+        await updateAlarmDefinition(form.code, payload);
+      } else {
+        await createAlarmDefinition(payload);
+      }
+      fetchDefinitions();
+      clearForm();
+    } catch (err) {
+      console.error("Error saving alarm definition:", err);
+      setError(err.response?.data?.message || "Failed to save alarm definition");
+    }
+  };
+
+  const handleEdit = (definition) => {
+    setEditMode(true);
+    setError(null);
+    setForm({
+      code: definition.code,
+      description: definition.description,
+      severity: definition.severity,
+      recommendedAction: definition.recommendedAction || "",
+      rootCauses: (definition.rootCauses || []).join("\n"),
+    });
+  };
+
+  const handleDelete = async (code) => {
+    if (window.confirm(`Are you sure you want to delete alarm definition ${code}?`)) {
+      try {
+        await deleteAlarmDefinition(code);
+        fetchDefinitions();
+      } catch (err) {
+        console.error("Error deleting alarm definition:", err);
+        setError(err.response?.data?.message || "Failed to delete alarm definition");
+      }
+    }
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Alarm Definitions
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {canManageDefinitions && (
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          {editMode ? `Edit ${form.code}` : "Add New Alarm Definition"}
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField
+              fullWidth
+              label="Alarm Code"
+              value={form.code}
+              onChange={handleChange("code")}
+              disabled={editMode}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={4}>
+            <TextField
+              fullWidth
+              label="Description"
+              value={form.description}
+              onChange={handleChange("description")}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <Select fullWidth value={form.severity} onChange={handleChange("severity")}>
+              {SEVERITY_LEVELS.map((level) => (
+                <MenuItem key={level} value={level}>{SEVERITY_CONFIG[level].label}</MenuItem>
+              ))}
+            </Select>
+          </Grid>
+          <Grid item xs={12} sm={6} md={4}>
+            <TextField
+              fullWidth
+              label="Recommended Action"
+              value={form.recommendedAction}
+              onChange={handleChange("recommendedAction")}
+            />
+          </Grid>
+          <Grid item xs={12} md={10}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              label="Root Causes (one per line)"
+              value={form.rootCauses}
+              onChange={handleChange("rootCauses")}
+            />
+          </Grid>
+          <Grid item xs={12} md={2}>
+            <Button
+              fullWidth
+              variant="contained"
+              onClick={saveDefinition}
+              disabled={!form.code || !form.description}
+            >
+              {editMode ? "Update" : "Add"}
+            </Button>
+            {editMode && (
+              <Button fullWidth variant="text" onClick={clearForm} sx={{ mt: 1 }}>
+                Cancel
+              </Button>
+            )}
+          </Grid>
+        </Grid>
+      </Paper>
+      )}
+
+      <Paper sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Alarm Code</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Description</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Severity</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Recommended Action</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Root Causes</TableCell>
+                {canManageDefinitions && (
+                  <>
+                    <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Edit</TableCell>
+                    <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Delete</TableCell>
+                  </>
+                )}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {definitions.map((definition) => (
+                <TableRow key={definition._id}>
+                  <TableCell>{definition.code}</TableCell>
+                  <TableCell>{definition.description}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={SEVERITY_CONFIG[definition.severity]?.label || definition.severity}
+                      color={SEVERITY_CONFIG[definition.severity]?.chipColor || "default"}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>{definition.recommendedAction || "-"}</TableCell>
+                  <TableCell>
+                    {(definition.rootCauses || []).length > 0 ? definition.rootCauses.join(", ") : "-"}
+                  </TableCell>
+                  {canManageDefinitions && (
+                    <>
+                      <TableCell align="center">
+                        <Button onClick={() => handleEdit(definition)} color="primary">
+                          <EditIcon />
+                        </Button>
+                      </TableCell>
+                      <TableCell align="center">
+                        <Button onClick={() => handleDelete(definition.code)} color="error">
+                          <DeleteIcon />
+                        </Button>
+                      </TableCell>
+                    </>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </>
+  );
+};
+
+export default AlarmDefinitions;
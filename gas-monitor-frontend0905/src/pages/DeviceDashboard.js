@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import axios from "axios";
+import api from "../services/apiService";
 import {
   Box,
   Typography,
@@ -20,11 +20,14 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
+  Chip,
+  Alert,
 } from "@mui/material";
 import EditIcon from "@mui/icons-material/Edit";
 import DeleteIcon from "@mui/icons-material/Delete";
 import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
 import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
+import VpnKeyIcon from "@mui/icons-material/VpnKey";
 import Layout from "../components/Layout";
 import {
   getDevices,
@@ -34,8 +37,22 @@ import {
   getChildDevices,
   updateDevice,
   getChildDeviceCount,
+  getDeviceKeys,
+  createDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
 } from "../services/deviceService";
 
+// Chip colours for each device key status
+const KEY_STATUS_COLORS = {
+  active: "success",
+  expiring: "warning",
+  expired: "default",
+  revoked: "error",
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "--");
+
 const DeviceDashboard = () => {
   const [devices, setDevices] = useState([]);
   const [deviceName, setDeviceName] = useState("");
@@ -63,8 +80,15 @@ const DeviceDashboard = () => {
   const [editCommissionedDate, setEditCommissionedDate] = useState("");
   const [editParentDeviceId, setEditParentDeviceId] = useState("");
 
+  // Device API keys state
+  const [keysDevice, setKeysDevice] = useState(null);
+  const [deviceKeys, setDeviceKeys] = useState([]);
+  const [keyLabel, setKeyLabel] = useState("");
+  const [graceHours, setGraceHours] = useState("24");
+  const [issuedKey, setIssuedKey] = useState(null);
+
   useEffect(() => {
-    axios.get("http://localhost:5000/api/plants").then((res) => {
+    api.get("/plants").then((res) => {
       setPlants(res.data);
     });
   }, []);
@@ -171,7 +195,7 @@ const DeviceDashboard = () => {
     }
 
     try {
-      const azureResponse = await axios.post("http://localhost:5000/api/azure/register-device", {
+      const azureResponse = await api.post("/azure/register-device", {
         deviceId: serialNumber,
       });
 
@@ -281,6 +305,70 @@ const DeviceDashboard = () => {
     }
   };
 
+  // Load the API keys of the device shown in the keys dialog
+  const fetchDeviceKeys = async (deviceId) => {
+    try {
+      setDeviceKeys(await getDeviceKeys(deviceId));
+    } catch (error) {
+      console.error("Error fetching device keys:", error);
+      alert("Failed to load device keys.");
+    }
+  };
+
+  const handleOpenKeysDialog = (device) => {
+    setKeysDevice(device);
+    setDeviceKeys([]);
+    setKeyLabel("");
+    setIssuedKey(null);
+    fetchDeviceKeys(device._id);
+  };
+
+  // The issued key is forgotten on close, it cannot be fetched again
+  const handleCloseKeysDialog = () => {
+    setKeysDevice(null);
+    setIssuedKey(null);
+  };
+
+  const handleCreateKey = async () => {
+    try {
+      const { key } = await createDeviceKey(keysDevice._id, keyLabel);
+      setIssuedKey(key);
+      setKeyLabel("");
+      fetchDeviceKeys(keysDevice._id);
+    } catch (error) {
+      console.error("Error issuing device key:", error);
+      alert(error.response?.data?.message || "Failed to issue device key.");
+    }
+  };
+
+  const handleRotateKey = async () => {
+    if (!window.confirm(`Replace the keys of ${keysDevice.deviceName}? The current keys stop working after ${graceHours || 0} hour(s).`)) {
+      return;
+    }
+    try {
+      const { key } = await rotateDeviceKey(keysDevice._id, keyLabel, graceHours);
+      setIssuedKey(key);
+      setKeyLabel("");
+      fetchDeviceKeys(keysDevice._id);
+    } catch (error) {
+      console.error("Error rotating device key:", error);
+      alert(error.response?.data?.message || "Failed to rotate device key.");
+    }
+  };
+
+  const handleRevokeKey = async (credential) => {
+    if (!window.confirm(`Revoke key ${credential.prefix}…? The device can no longer post with it.`)) {
+      return;
+    }
+    try {
+      await revokeDeviceKey(keysDevice._id, credential._id);
+      fetchDeviceKeys(keysDevice._id);
+    } catch (error) {
+      console.error("Error revoking device key:", error);
+      alert(error.response?.data?.message || "Failed to revoke device key.");
+    }
+  };
+
   const dashboardContent = (
     <>
       <Typography variant="h4" fontWeight="bold" mb={3}>
@@ -393,6 +481,7 @@ const DeviceDashboard = () => {
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>MAC ID</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Commissioned Date</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Child Devices</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>API Keys</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Edit</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Delete</TableCell>
               </TableRow>
@@ -417,6 +506,11 @@ const DeviceDashboard = () => {
                         {getChildCount(device._id)} CHILD
                       </Button>
                     </TableCell>
+                    <TableCell>
+                      <IconButton onClick={() => handleOpenKeysDialog(device)}>
+                        <VpnKeyIcon />
+                      </IconButton>
+                    </TableCell>
                     <TableCell>
                       <IconButton onClick={() => handleOpenEditDialog(device)}>
                         <EditIcon />
@@ -435,7 +529,7 @@ const DeviceDashboard = () => {
                   {/* Child Devices Row */}
                   {openChildRows[device._id] && (
                     <TableRow>
-                      <TableCell colSpan={7} style={{ paddingBottom: 0, paddingTop: 0 }}>
+                      <TableCell colSpan={8} style={{ paddingBottom: 0, paddingTop: 0 }}>
                         <Collapse in={openChildRows[device._id]} timeout="auto" unmountOnExit>
                           <Box sx={{ margin: 1 }}>
                             <Typography variant="h6" gutterBottom component="div">
@@ -448,6 +542,7 @@ const DeviceDashboard = () => {
                                   <TableCell>Serial Number</TableCell>
                                   <TableCell>MAC ID</TableCell>
                                   <TableCell>Commissioned Date</TableCell>
+                                  <TableCell>API Keys</TableCell>
                                   <TableCell>Edit</TableCell>
                                   <TableCell>Delete</TableCell>
                                 </TableRow>
@@ -462,6 +557,11 @@ const DeviceDashboard = () => {
                                       <TableCell>
                                         {new Date(child.commissionedDate).toLocaleDateString()}
                                       </TableCell>
+                                      <TableCell>
+                                        <IconButton onClick={() => handleOpenKeysDialog(child)}>
+                                          <VpnKeyIcon />
+                                        </IconButton>
+                                      </TableCell>
                                       <TableCell>
                                         <IconButton onClick={() => handleOpenEditDialog(child, true)}>
                                           <EditIcon />
@@ -479,7 +579,7 @@ const DeviceDashboard = () => {
                                   ))
                                 ) : (
                                   <TableRow>
-                                    <TableCell colSpan={6}>No child devices found</TableCell>
+                                    <TableCell colSpan={7}>No child devices found</TableCell>
                                   </TableRow>
                                 )}
                               </TableBody>
@@ -563,6 +663,114 @@ const DeviceDashboard = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Device API Keys Dialog */}
+      <Dialog open={!!keysDevice} onClose={handleCloseKeysDialog} maxWidth="md" fullWidth>
+        <DialogTitle>API Keys - {keysDevice?.deviceName}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The device sends its key in the X-Device-Key header when posting to /api/ingest/telemetry.
+            Only the prefix of a key is kept in clear.
+          </Typography>
+
+          {issuedKey && (
+            <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setIssuedKey(null)}>
+              Copy this key into the device now - it will not be shown again.
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+                <Typography component="code" sx={{ fontFamily: "monospace", wordBreak: "break-all" }}>
+                  {issuedKey}
+                </Typography>
+                <Button size="small" onClick={() => navigator.clipboard?.writeText(issuedKey)}>
+                  Copy
+                </Button>
+              </Box>
+            </Alert>
+          )}
+
+          <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center", mb: 2 }}>
+            <TextField
+              label="Label"
+              size="small"
+              value={keyLabel}
+              onChange={(e) => setKeyLabel(e.target.value)}
+            />
+            <Button variant="contained" onClick={handleCreateKey}>
+              Generate Key
+            </Button>
+            <TextField
+              label="Grace (hours)"
+              type="number"
+              size="small"
+              value={graceHours}
+              onChange={(e) => setGraceHours(e.target.value)}
+              inputProps={{ min: 0 }}
+              sx={{ width: 130 }}
+            />
+            <Button variant="outlined" onClick={handleRotateKey} disabled={deviceKeys.length === 0}>
+              Rotate Keys
+            </Button>
+          </Box>
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Prefix</TableCell>
+                <TableCell>Label</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell>Rotated</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell>Last Used</TableCell>
+                <TableCell>Revoke</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {deviceKeys.length > 0 ? (
+                deviceKeys.map((credential) => (
+                  <TableRow key={credential._id}>
+                    <TableCell sx={{ fontFamily: "monospace" }}>{credential.prefix}…</TableCell>
+                    <TableCell>{credential.label || "--"}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={credential.status}
+                        color={KEY_STATUS_COLORS[credential.status] || "default"}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>{formatDateTime(credential.createdAt)}</TableCell>
+                    <TableCell>{formatDateTime(credential.rotatedAt)}</TableCell>
+                    <TableCell>{formatDateTime(credential.expiresAt)}</TableCell>
+                    <TableCell>
+                      {formatDateTime(credential.lastUsedAt)}
+                      {credential.lastUsedIp && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {credential.lastUsedIp}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <IconButton
+                        color="error"
+                        onClick={() => handleRevokeKey(credential)}
+                        disabled={credential.status === "revoked" || credential.status === "expired"}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={8}>No API keys issued for this device</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseKeysDialog}>Close</Button>
+        </DialogActions>
+      </Dialog>
     </>
   );
 
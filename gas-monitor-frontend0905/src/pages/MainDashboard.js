@@ -22,7 +22,7 @@ import "leaflet/dist/leaflet.css";
 import Sidebar from "../components/Sidebar";
 import AccountCircleIcon from "@mui/icons-material/AccountCircle";
 import WarningIcon from "@mui/icons-material/Warning";
-import axios from "axios";
+import api from "../services/apiService";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import AlarmNotification from "../components/siteView/alarmNotification";
@@ -84,7 +84,7 @@ const MainDashboard = () => {
     const fetchAlarms = async () => {
       try {
         setLoading(true);
-        const response = await axios.get('http://localhost:5000/api/alarms');
+        const response = await api.get('/alarms');
         // Sort by creation time and take only the first 5
         const sortedAlarms = response.data
           .sort((a, b) => new Date(b.CreatedTimestamp) - new Date(a.CreatedTimestamp))
@@ -2,7 +2,8 @@ import React, { useState, useEffect } from "react";
 import EditIcon from "@mui/icons-material/Edit";
 import DeleteIcon from "@mui/icons-material/Delete";
 
-import axios from "axios";
+import api from "../services/apiService";
+import { useAuth } from "../context/AuthContext";
 import {
   Typography,
   Table,
@@ -30,6 +31,11 @@ const PlantDashboard = () => {
   const [isActive, setIsActive] = useState(true);
   const [editMode, setEditMode] = useState(false);
   const [selectedPlant, setSelectedPlant] = useState(null);
+  const { hasRole } = useAuth();
+
+  // Plant admins may edit plants, only super admins may add or delete them
+  const canEditPlants = hasRole("plant-admin");
+  const canManagePlants = hasRole("super-admin");
 
   useEffect(() => {
     fetchPlants();
@@ -37,7 +43,7 @@ const PlantDashboard = () => {
 
   const fetchPlants = async () => {
     try {
-      const response = await axios.get("http://localhost:5000/api/plants");
+      const response = await api.get("/plants");
       setPlants(response.data);
     } catch (err) {
       console.error("Error fetching plants:", err);
@@ -46,7 +52,7 @@ const PlantDashboard = () => {
 
   const addPlant = async () => {
     try {
-      const response = await axios.post("http://localhost:5000/api/plants", {
+      const response = await api.post("/plants", {
         plantName,
         location,
         capacity: parseInt(capacity),
@@ -71,7 +77,7 @@ const PlantDashboard = () => {
   const handleDelete = async (id) => {
     if (window.confirm("Are you sure you want to delete this plant?")) {
       try {
-        await axios.delete(`http://localhost:5000/api/plants/${id}`);
+        await api.delete(`/plants/${id}`);
         fetchPlants();
       } catch (err) {
         console.error("Error deleting plant:", err);
@@ -90,7 +96,7 @@ const PlantDashboard = () => {
 
   const updatePlant = async () => {
     try {
-      await axios.put(`http://localhost:5000/api/plants/${selectedPlant._id}`, {
+      await api.put(`/plants/${selectedPlant._id}`, {
         plantName,
         location,
         capacity: parseInt(capacity),
@@ -109,6 +115,7 @@ const PlantDashboard = () => {
         Plant Dashboard
       </Typography>
 
+      {(canManagePlants || editMode) && (
       <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
         <Typography variant="h6" gutterBottom>
           {editMode ? "Edit Plant" : "Add New Plant"}
@@ -180,6 +187,7 @@ const PlantDashboard = () => {
           </Grid>
         </Grid>
       </Paper>
+      )}
 
       <Paper sx={{ borderRadius: 3 }}>
         <TableContainer>
@@ -202,12 +210,12 @@ const PlantDashboard = () => {
       <TableCell>{plant.capacity}</TableCell>
       <TableCell>{plant.isActive ? "Active" : "Inactive"}</TableCell>
       <TableCell align="center">
-        <Button onClick={() => handleEdit(plant)} color="primary">
+        <Button onClick={() => handleEdit(plant)} color="primary" disabled={!canEditPlants}>
           <EditIcon />
         </Button>
       </TableCell>
       <TableCell align="center">
-        <Button onClick={() => handleDelete(plant._id)} color="error">
+        <Button onClick={() => handleDelete(plant._id)} color="error" disabled={!canManagePlants}>
           <DeleteIcon />
         </Button>
       </TableCell>
@@ -3,9 +3,12 @@ import { getPlants } from "../services/plantService";
 import { getDevices } from "../services/deviceService";
 import { getThresholdValue, updateThresholdValue, getToleranceValue, updateToleranceValue } from '../services/telemetryService';
 import { fetchLatestTelemetry, fetchTelemetryData, fetchRealtimeTelemetry } from '../services/telemetryService';
+import { getMetrics } from '../services/metricService';
+import { getPreferences, updatePreferences } from '../services/preferencesService';
 import socketService from '../services/socketService';
-import axios from 'axios';
+import api from '../services/apiService';
 import Layout from "../components/Layout";
+import { useAuth } from '../context/AuthContext';
 import AlarmsTab from '../components/siteView/AlarmsTab';
 import { useLocation, useNavigate } from 'react-router-dom';
 
@@ -13,6 +16,8 @@ import {
   getLatestTelemetryEntry, 
   getRealtimeTelemetryData, 
   getTelemetryData,
+  getAggregatedTelemetry,
+  exportTelemetry,
   clearDeviceCache,
   restartDevice
 } from "../services/telemetryService";
@@ -69,9 +74,68 @@ import {
   Popover
 } from "@mui/material";
 import NotificationsIcon from '@mui/icons-material/Notifications';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
 
 import { useTheme } from '@mui/material/styles';
 
+// Chart periods on the status tab - the server picks a bucket size that suits each range
+const DATA_PERIODS = {
+  '1h': { label: 'Last hour', rangeMs: 60 * 60 * 1000, refreshMs: 60 * 1000 },
+  '24h': { label: 'Last 24 hours', rangeMs: 24 * 60 * 60 * 1000, refreshMs: 5 * 60 * 1000 },
+  '7d': { label: 'Last 7 days', rangeMs: 7 * 24 * 60 * 60 * 1000, refreshMs: 15 * 60 * 1000 },
+  '30d': { label: 'Last 30 days', rangeMs: 30 * 24 * 60 * 60 * 1000, refreshMs: 60 * 60 * 1000 }
+};
+
+// Unit systems the charts, tables and threshold inputs can be shown in - saved on the user's profile
+const UNIT_SYSTEMS = {
+  metric: 'Metric (°C, cm, L)',
+  imperial: 'Imperial (°F, in, gal)'
+};
+
+// Export choices - raw readings of the selected period for the device or its whole plant
+const EXPORT_OPTIONS = [
+  { key: 'device-csv', label: 'This device as CSV', scope: 'device', format: 'csv' },
+  { key: 'device-xlsx', label: 'This device as Excel', scope: 'device', format: 'xlsx' },
+  { key: 'plant-csv', label: 'Whole plant as CSV', scope: 'plant', format: 'csv' },
+  { key: 'plant-xlsx', label: 'Whole plant as Excel', scope: 'plant', format: 'xlsx' }
+];
+
+// Pick the registry metrics out of a reading - values may sit under any of the metric's field names, bare or as { value }
+const readMetricValues = (data, metrics) => metrics.reduce((values, metric) => {
+  const field = [metric.key, ...(metric.fields || [])].find(name => data?.[name] !== undefined && data?.[name] !== null);
+  if (!field) return values;
+  const raw = data[field];
+  const value = typeof raw === 'object' ? raw.value : raw;
+  if (value !== undefined && value !== null) values[metric.key] = value;
+  return values;
+}, {});
+
+// Show a value with the metric's precision, and boolean metrics such as the LED state as On/Off
+const formatMetricValue = (metric, value) => {
+  if (value === undefined || value === null || value === '') return '--';
+  if (metric.valueType === 'boolean') {
+    return value === true || value === 1 || ['true', '1', 'on'].includes(String(value).toLowerCase()) ? 'On' : 'Off';
+  }
+  const number = Number(value);
+  return isNaN(number) ? '--' : number.toFixed(metric.precision ?? 1);
+};
+
+// Unit a metric is shown in - the API resolves it from the user's units preference
+const displayUnit = (metric) => metric.displayUnit ?? metric.unit;
+
+// Column and chart label with the unit, e.g. "Oil Level (%)"
+const metricLabel = (metric) => (displayUnit(metric) ? `${metric.displayName} (${displayUnit(metric)})` : metric.displayName);
+
+// Live readings arrive in the stored units, the REST APIs already answer in the display units
+const toDisplayValues = (values, metrics) => metrics.reduce((converted, metric) => {
+  const value = values[metric.key];
+  const conversion = metric.displayConversion;
+  if (typeof value === 'number' && conversion) {
+    converted[metric.key] = value * conversion.factor + conversion.offset;
+  }
+  return converted;
+}, { ...values });
+
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
  
@@ -93,9 +157,9 @@ function TabPanel(props) {
 }
 
 // Custom circular progress visualization component that matches the reference UI
-const MetricCircle = ({ value, label, color, size = 100, thickness = 5 }) => {
+const MetricCircle = ({ value, label, unit, color, size = 100, thickness = 5 }) => {
   const theme = useTheme();
-  const displayValue = value || 0;
+  const displayValue = value ?? 0;
   
   return (
     <Box sx={{ 
@@ -136,7 +200,7 @@ const MetricCircle = ({ value, label, color, size = 100, thickness = 5 }) => {
         >
           <Typography variant="h5" component="div" fontWeight="bold">
             {displayValue}
-            {label === 'Temperature' ? '°C' : label === 'Humidity' || label === 'Oil Level' ? '%' : ''}
+            {unit && displayValue !== '--' ? unit : ''}
           </Typography>
         </Box>
       </Box>
@@ -148,6 +212,9 @@ const MetricCircle = ({ value, label, color, size = 100, thickness = 5 }) => {
 };
 
 const TelemetryDashboard = () => {
+  const { hasRole } = useAuth();
+  // Viewers may inspect settings but only operators and above may change them
+  const canSendCommands = hasRole('operator');
   const [selectedConfigType, setSelectedConfigType] = useState('');
   const [selectedCommandType, setSelectedCommandType] = useState("");
   const [liveCommandValue, setLiveCommandValue] = useState('');
@@ -168,9 +235,14 @@ const TelemetryDashboard = () => {
   const [selectedPlant, setSelectedPlant] = useState("");
   const [selectedDevice, setSelectedDevice] = useState('');
   const [dataPeriod, setDataPeriod] = useState('1h');
+  const [aggregatedData, setAggregatedData] = useState([]);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+  const [exporting, setExporting] = useState(false);
   const [telemetryData, setTelemetryData] = useState([]);
   const [realtimeData, setRealtimeData] = useState([]);
   const [latestEntry, setLatestEntry] = useState(null);
+  const [metrics, setMetrics] = useState([]);
+  const [unitSystem, setUnitSystem] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
@@ -189,6 +261,9 @@ const TelemetryDashboard = () => {
   // Ref to track processed data to prevent duplicates
   const processedDataRef = useRef(new Set());
   
+  // Ref to the metric registry for the WebSocket handlers
+  const metricsRef = useRef([]);
+  
   // Map MongoDB device IDs to actual device identifiers used in EventHub
   // This mapping ensures we subscribe to the right WebSocket channels
   const [deviceIdMap, setDeviceIdMap] = useState({});
@@ -225,7 +300,7 @@ const TelemetryDashboard = () => {
           console.log(' Initial fetch of alarm count and notifications via API');
           setDataSource('loading'); // Show loading state
           
-          const response = await axios.get('http://localhost:5000/api/alarms');
+          const response = await api.get('/alarms');
           const alarms = response.data;
           
           // Update alarm count
@@ -289,13 +364,9 @@ const TelemetryDashboard = () => {
     // When switching back to status tab, ensure we maintain data
     if (newValue === 'status') {
       // If we have deviceData but latestEntry is null, restore it
-      if (deviceData && (!latestEntry || !latestEntry.temperature)) {
+      if (deviceData && Object.keys(readMetricValues(latestEntry, metrics)).length === 0) {
         console.log(' Restoring device data after tab switch');
-        setLatestEntry({
-          temperature: deviceData.temperature || 0,
-          humidity: deviceData.humidity || 0,
-          oilLevel: deviceData.oilLevel || 0
-        });
+        setLatestEntry(readMetricValues(deviceData, metrics));
       }
     }
   };
@@ -381,18 +452,7 @@ const TelemetryDashboard = () => {
         // Properly normalize the data structure
         const normalized = {
           alerts: Array.isArray(data.alerts) ? data.alerts : [],
-          temperature: typeof data.temperature === 'object' ? 
-            data.temperature.value : 
-            typeof data.temperature === 'number' ? 
-              data.temperature : 0,
-          humidity: typeof data.humidity === 'object' ? 
-            data.humidity.value : 
-            typeof data.humidity === 'number' ? 
-              data.humidity : 0,
-          oilLevel: typeof data.oilLevel === 'object' ? 
-            data.oilLevel.value : 
-            typeof data.oilLevel === 'number' ? 
-              data.oilLevel : 0
+          ...readMetricValues(data, metricsRef.current)
         };
 
         console.log("Normalized latest entry:", normalized);
@@ -434,8 +494,7 @@ const TelemetryDashboard = () => {
       if (data?.length > 0) {
         const processedData = data.map(entry => ({
           ...entry,
-          temperature: entry.temperature?.value || entry.temperature || 0,
-          oilLevel: entry.oilLevel?.value || entry.oilLevel || 0,
+          ...readMetricValues(entry, metricsRef.current),
           timestamp: entry.timestamp
         }));
         
@@ -448,6 +507,109 @@ const TelemetryDashboard = () => {
     }
   }, [selectedDevice]);
   
+  // Load the user's unit system once, the dashboard switch below saves changes back to the profile
+  useEffect(() => {
+    getPreferences()
+      .then(preferences => setUnitSystem(preferences?.units?.system || 'metric'))
+      .catch(error => {
+        console.error("Error fetching units preference:", error);
+        setUnitSystem('metric');
+      });
+  }, []);
+  
+  // Load the metric registry for the selected device - it decides which gauges, charts and columns are shown
+  useEffect(() => {
+    if (!unitSystem) return;
+    let isMounted = true;
+    
+    const fetchMetrics = async () => {
+      try {
+        const definitions = await getMetrics(selectedDevice ? { deviceId: selectedDevice } : {});
+        if (isMounted) setMetrics(definitions);
+      } catch (error) {
+        console.error("Error fetching metric registry:", error);
+      }
+    };
+    
+    fetchMetrics();
+    return () => {
+      isMounted = false;
+    };
+  }, [selectedDevice, unitSystem]);
+  
+  // The WebSocket handlers are registered once per device, so they read the registry through a ref
+  useEffect(() => {
+    metricsRef.current = metrics;
+  }, [metrics]);
+  
+  const chartMetrics = metrics.filter(metric => metric.chart && metric.valueType === 'number');
+  const chartMetricKeys = chartMetrics.map(metric => metric.key).join(',');
+  
+  // Load the chart data for the selected period, aggregated into buckets on the server
+  useEffect(() => {
+    if (!selectedDevice || !chartMetricKeys) {
+      setAggregatedData([]);
+      return;
+    }
+    
+    let isMounted = true;
+    const period = DATA_PERIODS[dataPeriod];
+    
+    const fetchAggregatedData = async () => {
+      const to = new Date();
+      const buckets = await getAggregatedTelemetry(selectedDevice, {
+        from: new Date(to.getTime() - period.rangeMs).toISOString(),
+        to: to.toISOString(),
+        interval: 'auto',
+        metrics: chartMetricKeys
+      });
+      if (isMounted) setAggregatedData(buckets);
+    };
+    
+    fetchAggregatedData();
+    const refreshInterval = setInterval(fetchAggregatedData, period.refreshMs);
+    
+    return () => {
+      isMounted = false;
+      clearInterval(refreshInterval);
+    };
+  }, [selectedDevice, dataPeriod, chartMetricKeys, unitSystem]);
+  
+  // Save the unit system and reload the readings, which the server converts for us
+  const handleUnitSystemChange = async (system) => {
+    try {
+      await updatePreferences({ units: system });
+      clearDeviceCache(selectedDevice);
+      setUnitSystem(system);
+      if (selectedDevice) {
+        await Promise.all([fetchLatestEntry(), fetchRealtimeData(), fetchHistoricalData()]);
+      }
+    } catch (err) {
+      console.error("Error saving units preference:", err);
+      setError("Failed to change units. Please try again.");
+    }
+  };
+  
+  // Download the raw readings behind the charts, with times in the browser's timezone
+  const handleExport = async ({ scope, format }) => {
+    setExportMenuAnchor(null);
+    const to = new Date();
+    setExporting(true);
+    try {
+      await exportTelemetry({
+        ...(scope === 'plant' ? { plantId: selectedPlant } : { deviceId: selectedDevice }),
+        from: new Date(to.getTime() - DATA_PERIODS[dataPeriod].rangeMs).toISOString(),
+        to: to.toISOString(),
+        format,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // Track initial data loading state
   const [initialDataLoaded, setInitialDataLoaded] = useState(false);
   // Track data source for UI display
@@ -597,26 +759,24 @@ const TelemetryDashboard = () => {
     // Update UI state with the new data
     if (data) {
       // Format the data for UI components
+      const metricValues = toDisplayValues(readMetricValues(data, metricsRef.current), metricsRef.current);
       const formattedData = {
         timestamp: new Date(data.receivedTimestamp || data.timestamp || new Date()).toISOString(),
-        temperature: data.temperature || 0,
-        humidity: data.humidity || 0,
-        distance: data.distance || 0,
-        alcoholLevel: data.alcoholLevel || data.alcohol || 0,
-        oilLevel: data.oilLevel || 0,
+        ...metricValues,
         deviceId: data.deviceId || data.device,
         plantName: data.plantName
       };
       
       // Log important values for monitoring
-      console.log(`📊 WebSocket data - Temp: ${formattedData.temperature}°C | Humidity: ${formattedData.humidity}% | Time: ${formattedData.timestamp}`);
+      const summary = metricsRef.current
+        .filter(metric => metricValues[metric.key] !== undefined)
+        .map(metric => `${metric.displayName}: ${formatMetricValue(metric, metricValues[metric.key])}${displayUnit(metric) || ''}`);
+      console.log(`📊 WebSocket data - ${summary.join(' | ')} | Time: ${formattedData.timestamp}`);
       
       // 1. Update latest telemetry entry (for metric circles)
       setLatestEntry(prev => ({
         ...prev,
-        temperature: formattedData.temperature,
-        humidity: formattedData.humidity,
-        oilLevel: formattedData.oilLevel
+        ...metricValues
       }));
       
       // 2. Update device data (for dashboard header)
@@ -808,16 +968,12 @@ const TelemetryDashboard = () => {
     
     if (window.confirm(`Are you sure you want to restart this device?`)) {
       try {
-        const success = await restartDevice(selectedDevice);
-        
-        if (success) {
-          alert("Restart command sent successfully!");
-        } else {
-          alert("Failed to restart device. Try again.");
-        }
+        await restartDevice(selectedDevice);
+        alert("Restart command sent successfully!");
       } catch (error) {
         console.error("Error restarting device:", error);
-        alert("Failed to restart device. Try again.");
+        // e.g. the MQTT bridge is not connected, or the role is not allowed to send commands
+        alert(error.response?.data?.message || "Failed to restart device. Try again.");
       }
     }
   };
@@ -1044,14 +1200,14 @@ const TelemetryDashboard = () => {
     if (selectedDevice && selectedMetric) {
       fetchThresholdValue();
     }
-  }, [selectedDevice, selectedMetric]);
+  }, [selectedDevice, selectedMetric, unitSystem]);
   
   // Fetch tolerance value when tolerance metric is selected
   useEffect(() => {
     if (selectedDevice && selectedToleranceMetric) {
       fetchToleranceValue();
     }
-  }, [selectedDevice, selectedToleranceMetric]);
+  }, [selectedDevice, selectedToleranceMetric, unitSystem]);
   
   // Fetch the current threshold value for the selected device and metric
   const fetchThresholdValue = async () => {
@@ -1083,7 +1239,7 @@ const TelemetryDashboard = () => {
       if (success) {
         setCurrentTolerance(newTolerance);
         setNewTolerance('');
-        alert(`${selectedToleranceMetric.charAt(0).toUpperCase() + selectedToleranceMetric.slice(1)} tolerance updated successfully!`);
+        alert(`${metricName(selectedToleranceMetric)} tolerance updated successfully!`);
         // Reset the dropdown selection to allow selecting other parameters
         setTimeout(() => {
           // Brief delay to prevent React state update conflicts
@@ -1098,9 +1254,23 @@ const TelemetryDashboard = () => {
     }
   };
   
+  // Numeric metrics shown on the dashboard can carry a threshold and a tolerance
+  const limitMetrics = metrics.filter(metric => metric.valueType === 'number' && (metric.chart || metric.gauge));
+  const metricName = (key) => metrics.find(metric => metric.key === key)?.displayName || key;
+  const metricUnit = (key) => {
+    const metric = metrics.find(definition => definition.key === key);
+    return metric ? displayUnit(metric) : '';
+  };
+  
   // Render the command center tab content
   const renderCommandCenterTab = () => (
     <Box>
+      {!canSendCommands && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Your role is read-only. Ask an operator to change device settings.
+        </Typography>
+      )}
+
       {/* Threshold Section Header */}
       <Typography variant="h6" sx={{ mb: 2 }}>
         Threshold Settings
@@ -1115,9 +1285,9 @@ const TelemetryDashboard = () => {
           onChange={(e) => setSelectedMetric(e.target.value)}
           label="Select Metric for Threshold"
         >
-          <MenuItem value="temperature">Temperature</MenuItem>
-          <MenuItem value="humidity">Humidity</MenuItem>
-          <MenuItem value="oilLevel">Oil Level</MenuItem>
+          {limitMetrics.map(metric => (
+            <MenuItem key={metric.key} value={metric.key}>{metric.displayName}</MenuItem>
+          ))}
         </Select>
       </FormControl>
 
@@ -1125,14 +1295,14 @@ const TelemetryDashboard = () => {
       {currentThreshold !== null && selectedMetric && (
         <Box sx={{ mb: 2 }}>
           <Typography variant="subtitle1">
-            Current Threshold for {selectedMetric.charAt(0).toUpperCase() + selectedMetric.slice(1)}: <strong>{currentThreshold}</strong>
+            Current Threshold for {metricName(selectedMetric)}: <strong>{currentThreshold} {currentThreshold && metricUnit(selectedMetric)}</strong>
           </Typography>
         </Box>
       )}
 
       {/* Input to update threshold */}
       <TextField
-        label="New Threshold Value"
+        label={metricUnit(selectedMetric) ? `New Threshold Value (${metricUnit(selectedMetric)})` : "New Threshold Value"}
         variant="outlined"
         fullWidth
         value={newThreshold}
@@ -1150,7 +1320,7 @@ const TelemetryDashboard = () => {
         variant="contained"
         fullWidth
         onClick={handleThresholdUpdate}
-        disabled={!selectedMetric || !newThreshold}
+        disabled={!canSendCommands || !selectedMetric || !newThreshold}
         sx={{ mb: 2 }}
       >
         Update Threshold
@@ -1170,9 +1340,9 @@ const TelemetryDashboard = () => {
           onChange={(e) => setSelectedToleranceMetric(e.target.value)}
           label="Select Metric for Tolerance"
         >
-          <MenuItem value="temperature">Temperature</MenuItem>
-          <MenuItem value="humidity">Humidity</MenuItem>
-          <MenuItem value="oilLevel">Oil Level</MenuItem>
+          {limitMetrics.map(metric => (
+            <MenuItem key={metric.key} value={metric.key}>{metric.displayName}</MenuItem>
+          ))}
         </Select>
       </FormControl>
       
@@ -1180,14 +1350,14 @@ const TelemetryDashboard = () => {
       {currentTolerance !== null && selectedToleranceMetric && (
         <Box sx={{ mb: 2 }}>
           <Typography variant="subtitle1">
-            Current Tolerance for {selectedToleranceMetric.charAt(0).toUpperCase() + selectedToleranceMetric.slice(1)}: <strong>{currentTolerance}</strong>
+            Current Tolerance for {metricName(selectedToleranceMetric)}: <strong>{currentTolerance} {currentTolerance && metricUnit(selectedToleranceMetric)}</strong>
           </Typography>
         </Box>
       )}
 
       {/* Input to update tolerance */}
       <TextField
-        label="New Tolerance Value"
+        label={metricUnit(selectedToleranceMetric) ? `New Tolerance Value (${metricUnit(selectedToleranceMetric)})` : "New Tolerance Value"}
         variant="outlined"
         fullWidth
         value={newTolerance}
@@ -1205,7 +1375,7 @@ const TelemetryDashboard = () => {
         variant="contained"
         fullWidth
         onClick={handleToleranceUpdate}
-        disabled={!selectedToleranceMetric || !newTolerance}
+        disabled={!canSendCommands || !selectedToleranceMetric || !newTolerance}
         sx={{ mb: 2 }}
       >
         Update Tolerance
@@ -1217,6 +1387,7 @@ const TelemetryDashboard = () => {
         color="error"
         fullWidth
         onClick={handleRestartDevice}
+        disabled={!canSendCommands}
       >
         Restart Device
       </Button>
@@ -1237,6 +1408,8 @@ const TelemetryDashboard = () => {
       );
     }
 
+    const latestValues = readMetricValues(latestEntry, metrics);
+
     return (
       <Box sx={{ mt: 3 }}>
         <Typography variant="h6" fontWeight="bold" mb={2}>
@@ -1253,59 +1426,60 @@ const TelemetryDashboard = () => {
             label="Open Alerts" 
             color="#f44336"
           />
-          <MetricCircle 
-            value={Number(latestEntry.temperature).toFixed(1)}
-            label="Temperature" 
-            color="#ff9800"
-          />
-          <MetricCircle 
-            value={Number(latestEntry.humidity).toFixed(1)}
-            label="Humidity" 
-            color="#2196f3"
-          />
-          <MetricCircle 
-            value={Number(latestEntry.oilLevel).toFixed(1)}
-            label="Oil Level" 
-            color="#4caf50"
-          />
+          {metrics.filter(metric => metric.gauge).map(metric => (
+            <MetricCircle 
+              key={metric.key}
+              value={formatMetricValue(metric, latestValues[metric.key])}
+              label={metric.displayName} 
+              unit={metric.valueType === 'number' ? displayUnit(metric) : ''}
+              color={metric.color}
+            />
+          ))}
         </Box>
       </Box>
     );
   };
 
-  const temperatureChartData = {
-    labels: telemetryData?.map(entry => new Date(entry.timestamp).toLocaleTimeString()) || [],
-    datasets: [{
-      label: 'Temperature',
-      data: telemetryData?.map(entry => {
-        if (typeof entry.temperature === 'object') {
-          return entry.temperature.value || 0;
-        }
-        return entry.temperature || 0;
-      }) || [],
-      borderColor: '#ff9800',
-      tension: 0.1
-    }]
-  };
-  
-  const oilLevelChartData = {
-    labels: telemetryData?.map(entry => new Date(entry.timestamp).toLocaleTimeString()) || [],
-    datasets: [{
-      label: 'Oil Level',
-      data: telemetryData?.map(entry => {
-        if (typeof entry.oilLevel === 'object') {
-          return entry.oilLevel.value || 0;
-        }
-        return entry.oilLevel || 0;
-      }) || [],
-      borderColor: '#4caf50',
-      tension: 0.1
-    }]
-  };
+  // Show only the time for short periods and the date as well for longer ones
+  const formatBucketLabel = (timestamp) => (['1h', '24h'].includes(dataPeriod)
+    ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : new Date(timestamp).toLocaleString([], { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }));
+
+  // Average per bucket, with the bucket's min and max as dashed lines
+  const buildAggregateChartData = (metric, label, color) => ({
+    labels: aggregatedData.map(bucket => formatBucketLabel(bucket.timestamp)),
+    datasets: [
+      {
+        label: `${label} (avg)`,
+        data: aggregatedData.map(bucket => bucket[metric]?.avg ?? null),
+        borderColor: color,
+        pointRadius: 0,
+        tension: 0.1
+      },
+      {
+        label: `${label} (max)`,
+        data: aggregatedData.map(bucket => bucket[metric]?.max ?? null),
+        borderColor: color,
+        borderDash: [4, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        tension: 0.1
+      },
+      {
+        label: `${label} (min)`,
+        data: aggregatedData.map(bucket => bucket[metric]?.min ?? null),
+        borderColor: color,
+        borderDash: [4, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        tension: 0.1
+      }
+    ]
+  });
 
   // Update the table rendering section in renderCharts
   const renderCharts = () => {
-    if (!selectedDevice || realtimeData.length === 0) {
+    if (!selectedDevice || (realtimeData.length === 0 && aggregatedData.length === 0)) {
       return (
         <Box sx={{ textAlign: 'center', py: 3, mt: 3 }}>
           <Typography variant="body1" color="text.secondary">
@@ -1320,20 +1494,71 @@ const TelemetryDashboard = () => {
 
     return (
       <>
-        <Grid container spacing={3} sx={{ mt: 2 }}>
-          <Grid item xs={12} md={6}>
-            <Typography variant="h6" mb={1}>Temperature Over Time</Typography>
-            <Paper sx={{ p: 2, height: 250 }}>
-              <Line data={temperatureChartData} options={chartOptions} />
-            </Paper>
-          </Grid>
-          
-          <Grid item xs={12} md={6}>
-            <Typography variant="h6" mb={1}>Oil Level Over Time</Typography>
-            <Paper sx={{ p: 2, height: 250 }}>
-              <Line data={oilLevelChartData} options={chartOptions} />
-            </Paper>
-          </Grid>
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1, mt: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={exporting ? <CircularProgress size={16} /> : <FileDownloadIcon />}
+            onClick={(e) => setExportMenuAnchor(e.currentTarget)}
+            disabled={exporting}
+          >
+            Export
+          </Button>
+          <Menu
+            anchorEl={exportMenuAnchor}
+            open={Boolean(exportMenuAnchor)}
+            onClose={() => setExportMenuAnchor(null)}
+          >
+            {EXPORT_OPTIONS.map(option => (
+              <MenuItem
+                key={option.key}
+                onClick={() => handleExport(option)}
+                disabled={option.scope === 'plant' && !selectedPlant}
+              >
+                {option.label}
+              </MenuItem>
+            ))}
+          </Menu>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel id="unit-system-label">Units</InputLabel>
+            <Select
+              labelId="unit-system-label"
+              value={unitSystem || ''}
+              onChange={(e) => handleUnitSystemChange(e.target.value)}
+              label="Units"
+            >
+              {Object.entries(UNIT_SYSTEMS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel id="data-period-label">Period</InputLabel>
+            <Select
+              labelId="data-period-label"
+              value={dataPeriod}
+              onChange={(e) => setDataPeriod(e.target.value)}
+              label="Period"
+            >
+              {Object.entries(DATA_PERIODS).map(([value, period]) => (
+                <MenuItem key={value} value={value}>
+                  {period.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <Grid container spacing={3} sx={{ mt: 0 }}>
+          {chartMetrics.map(metric => (
+            <Grid item xs={12} md={6} key={metric.key}>
+              <Typography variant="h6" mb={1}>{metric.displayName} Over Time</Typography>
+              <Paper sx={{ p: 2, height: 250 }}>
+                <Line data={buildAggregateChartData(metric.key, metric.displayName, metric.color)} options={chartOptions} />
+              </Paper>
+            </Grid>
+          ))}
         </Grid>
 
         <Box sx={{ mt: 4 }}>
@@ -1343,8 +1568,9 @@ const TelemetryDashboard = () => {
               <TableHead>
                 <TableRow>
                   <TableCell>Timestamp</TableCell>
-                  <TableCell>Temperature (°C)</TableCell>
-                  <TableCell>Oil Level (%)</TableCell>
+                  {chartMetrics.map(metric => (
+                    <TableCell key={metric.key}>{metricLabel(metric)}</TableCell>
+                  ))}
                 </TableRow>
               </TableHead>
               <TableBody>
@@ -1354,25 +1580,16 @@ const TelemetryDashboard = () => {
                       <TableCell>
                         {new Date(item.timestamp).toLocaleString()}
                       </TableCell>
-                      <TableCell>
-                        {typeof item.temperature === 'object' && item.temperature.value !== undefined
-                          ? item.temperature.value
-                          : typeof item.temperature === 'number'
-                          ? item.temperature
-                          : '0'}
-                      </TableCell>
-                      <TableCell>
-                        {typeof item.oilLevel === 'object' && item.oilLevel.value !== undefined
-                          ? item.oilLevel.value
-                          : typeof item.oilLevel === 'number'
-                          ? item.oilLevel
-                          : '0'}
-                      </TableCell>
+                      {chartMetrics.map(metric => (
+                        <TableCell key={metric.key}>
+                          {formatMetricValue(metric, readMetricValues(item, [metric])[metric.key])}
+                        </TableCell>
+                      ))}
                     </TableRow>
                   ))
                 ) : (
                   <TableRow>
-                    <TableCell colSpan={3} align="center">No data available</TableCell>
+                    <TableCell colSpan={chartMetrics.length + 1} align="center">No data available</TableCell>
                   </TableRow>
                 )}
               </TableBody>
@@ -0,0 +1,23 @@
+import api from './apiService';
+
+const API_URL = '/alarm-definitions';
+
+export const getAlarmDefinitions = async () => {
+  const response = await api.get(API_URL);
+  return response.data;
+};
+
+export const createAlarmDefinition = async (definition) => {
+  const response = await api.post(API_URL, definition);
+  return response.data;
+};
+
+export const updateAlarmDefinition = async (code, definition) => {
+  const response = await api.put(`${API_URL}/${encodeURIComponent(code)}`, definition);
+  return response.data;
+};
+
+export const deleteAlarmDefinition = async (code) => {
+  const response = await api.delete(`${API_URL}/${encodeURIComponent(code)}`);
+  return response.data;
+};
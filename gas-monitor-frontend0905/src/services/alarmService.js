@@ -128,6 +128,21 @@ export const getAlarmsByPlantAndDevice = async (plantName, deviceName = null) =>
   }
 };
 
+// Query one page of alarms with server-side filters, sorting and cursor pagination
+// Resolves to { alarms, total, limit, nextCursor } - throws so callers can show the error
+export const queryAlarms = async (params = {}) => {
+  console.log('Querying alarms:', params);
+  const response = await apiCallWithRetry(() => api.get('/alarms/query', { params }));
+  console.log(`Alarm query returned ${response.data.alarms.length} of ${response.data.total} alarms`);
+  return response.data;
+};
+
+// Fetch alarm counts, MTTA/MTTR, top alarm codes and the time-of-day distribution for a period
+export const getAlarmAnalytics = async (params = {}) => {
+  const response = await apiCallWithRetry(() => api.get('/alarms/analytics', { params }));
+  return response.data;
+};
+
 export const getUnreadAlarmsCount = async () => {
   try {
     console.log('Fetching unread alarms count from MongoDB database...');
@@ -198,6 +213,42 @@ export const markAllAlarmsAsRead = async () => {
   }
 };
 
+// Move an alarm to its next lifecycle state
+// Unlike the read helpers this throws, so callers can show why a transition was rejected
+const updateAlarmLifecycle = async (alarmId, action, body = {}) => {
+  if (!alarmId) {
+    throw new Error(`No alarmId provided to ${action} alarm`);
+  }
+  
+  console.log(`Updating alarm ${alarmId}: ${action}...`);
+  const response = await api.put(`/alarms/${alarmId}/${action}`, body);
+  console.log(`Successfully applied ${action} to alarm ${alarmId}`);
+  return response.data;
+};
+
+export const acknowledgeAlarm = (alarmId, comment = '') =>
+  updateAlarmLifecycle(alarmId, 'acknowledge', { comment });
+
+export const assignAlarm = (alarmId, userId, comment = '') =>
+  updateAlarmLifecycle(alarmId, 'assign', { userId, comment });
+
+export const resolveAlarm = (alarmId, comment = '') =>
+  updateAlarmLifecycle(alarmId, 'resolve', { comment });
+
+export const closeAlarm = (alarmId, comment = '') =>
+  updateAlarmLifecycle(alarmId, 'close', { comment });
+
+// Fetch the users an alarm can be assigned to
+export const getAlarmAssignees = async () => {
+  try {
+    const response = await apiCallWithRetry(() => api.get('/alarms/assignees'));
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    console.error('Error fetching alarm assignees:', error);
+    return [];
+  }
+};
+
 // Add a function to clear client-side alarm cache if needed
 export const clearAlarmCache = () => {
   console.log('Clearing client-side alarm cache');
@@ -0,0 +1,67 @@
+// Alarm severity display settings - colours, sort rank and alert tone for each level
+// Severities are assigned by the backend from its alarm code catalogue
+
+export const SEVERITY_LEVELS = ['critical', 'major', 'minor', 'info'];
+
+export const SEVERITY_CONFIG = {
+  critical: { label: 'Critical', chipColor: 'error', color: '#d32f2f', rank: 0, tone: { frequency: 880, beeps: 3 } },
+  major: { label: 'Major', chipColor: 'warning', color: '#ed6c02', rank: 1, tone: { frequency: 660, beeps: 2 } },
+  minor: { label: 'Minor', chipColor: 'info', color: '#0288d1', rank: 2, tone: { frequency: 520, beeps: 1 } },
+  info: { label: 'Info', chipColor: 'default', color: '#757575', rank: 3, tone: null }
+};
+
+/**
+ * Get the severity of an alarm, falling back to minor for alarms without one
+ * @param {Object} alarm - Alarm object (REST or WebSocket format)
+ * @returns {string} - One of SEVERITY_LEVELS
+ */
+export const getSeverity = (alarm) => {
+  const severity = (alarm && (alarm.Severity || alarm.severity) || '').toLowerCase();
+  return SEVERITY_CONFIG[severity] ? severity : 'minor';
+};
+
+/**
+ * Compare two alarms by severity, most severe first, then newest first
+ * @param {Object} a - Alarm
+ * @param {Object} b - Alarm
+ * @returns {number}
+ */
+export const compareBySeverity = (a, b) => {
+  const rankDiff = SEVERITY_CONFIG[getSeverity(a)].rank - SEVERITY_CONFIG[getSeverity(b)].rank;
+  if (rankDiff !== 0) return rankDiff;
+  return new Date(b.CreatedTimestamp) - new Date(a.CreatedTimestamp);
+};
+
+let audioContext = null;
+
+/**
+ * Play the alert tone for a severity using the Web Audio API
+ * Browsers block audio until the user has interacted with the page, so failures are ignored
+ * @param {string} severity - Alarm severity
+ */
+export const playSeveritySound = (severity) => {
+  const config = SEVERITY_CONFIG[severity];
+  if (!config || !config.tone) return;
+
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    audioContext = audioContext || new AudioContext();
+
+    const { frequency, beeps } = config.tone;
+    for (let i = 0; i < beeps; i++) {
+      const start = audioContext.currentTime + i * 0.25;
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.2);
+    }
+  } catch (error) {
+    console.warn('Unable to play alarm sound:', error.message);
+  }
+};
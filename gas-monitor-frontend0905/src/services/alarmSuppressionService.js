@@ -0,0 +1,43 @@
+import api from './apiService';
+
+const API_URL = '/alarm-suppressions';
+
+export const getShelves = async (params = {}) => {
+  const response = await api.get(`${API_URL}/shelves`, { params });
+  return response.data;
+};
+
+export const shelveAlarm = async (shelve) => {
+  const response = await api.post(`${API_URL}/shelves`, shelve);
+  return response.data;
+};
+
+export const unshelveAlarm = async (id) => {
+  const response = await api.delete(`${API_URL}/shelves/${id}`);
+  return response.data;
+};
+
+export const getMaintenanceWindows = async (params = {}) => {
+  const response = await api.get(`${API_URL}/maintenance-windows`, { params });
+  return response.data;
+};
+
+export const createMaintenanceWindow = async (window) => {
+  const response = await api.post(`${API_URL}/maintenance-windows`, window);
+  return response.data;
+};
+
+export const updateMaintenanceWindow = async (id, window) => {
+  const response = await api.put(`${API_URL}/maintenance-windows/${id}`, window);
+  return response.data;
+};
+
+export const deleteMaintenanceWindow = async (id) => {
+  const response = await api.delete(`${API_URL}/maintenance-windows/${id}`);
+  return response.data;
+};
+
+export const getSuppressionAudit = async (params = {}) => {
+  const response = await api.get(`${API_URL}/audit`, { params });
+  return response.data;
+};
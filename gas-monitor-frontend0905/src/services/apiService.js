@@ -8,15 +8,18 @@ const api = axios.create({
   timeout: 15000, // Increase timeout to 15 seconds to handle slower database connections
 });
  
-// Add request interceptor to include JWT token in headers
+// Request interceptor that includes the JWT token in headers
+// Exported so other axios instances can authenticate the same way
+export const attachAuthToken = config => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers['Authorization'] = `Bearer ${token}`;
+  }
+  return config;
+};
+ 
 api.interceptors.request.use(
-  config => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers['Authorization'] = `Bearer ${token}`;
-    }
-    return config;
-  },
+  attachAuthToken,
   error => Promise.reject(error)
 );
  
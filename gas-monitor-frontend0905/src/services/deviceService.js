@@ -1,13 +1,13 @@
 //device service 
 // services/deviceService.js
  
-import axios from 'axios';
+import api from './apiService';
 
-const API_URL = 'http://localhost:5000/api/devices';
+const API_URL = '/devices';
 
 export const getDevices = async (plantId) => {
 
-  const response = await axios.get(`${API_URL}?plantId=${plantId}`);
+  const response = await api.get(`${API_URL}?plantId=${plantId}`);
 
   return response.data;
 
@@ -15,7 +15,7 @@ export const getDevices = async (plantId) => {
 
 export const addDevice = async (deviceData) => {
 
-  const response = await axios.post(API_URL, deviceData);
+  const response = await api.post(API_URL, deviceData);
 
   return response.data;
 
@@ -23,13 +23,13 @@ export const addDevice = async (deviceData) => {
 
 export const deleteDevice = async (id) => {
 
-  await axios.delete(`${API_URL}/${id}`);
+  await api.delete(`${API_URL}/${id}`);
 
 };
 
 export const getParentDevices = async (plantId) => {
 
-  const response = await axios.get(`${API_URL}/parents?plantId=${plantId}`);
+  const response = await api.get(`${API_URL}/parents?plantId=${plantId}`);
 
   return response.data;
 
@@ -37,7 +37,7 @@ export const getParentDevices = async (plantId) => {
 
 export const getChildDevices = async (parentId) => {
 
-  const response = await axios.get(`${API_URL}/${parentId}/children`);
+  const response = await api.get(`${API_URL}/${parentId}/children`);
 
   return response.data;
 
@@ -45,7 +45,43 @@ export const getChildDevices = async (parentId) => {
 
 export const updateDevice = async (id, updatedData) => {
 
-  const response = await axios.put(`${API_URL}/${id}`, updatedData);
+  const response = await api.put(`${API_URL}/${id}`, updatedData);
+
+  return response.data;
+
+};
+ 
+// API keys a device posts telemetry with - only prefixes are listed
+
+export const getDeviceKeys = async (id) => {
+
+  const response = await api.get(`${API_URL}/${id}/keys`);
+
+  return response.data;
+
+};
+
+// Returns { key, credential } - the key is only shown this once
+
+export const createDeviceKey = async (id, label) => {
+
+  const response = await api.post(`${API_URL}/${id}/keys`, { label });
+
+  return response.data;
+
+};
+
+export const rotateDeviceKey = async (id, label, graceHours) => {
+
+  const response = await api.post(`${API_URL}/${id}/keys/rotate`, { label, graceHours });
+
+  return response.data;
+
+};
+
+export const revokeDeviceKey = async (id, keyId) => {
+
+  const response = await api.delete(`${API_URL}/${id}/keys/${keyId}`);
 
   return response.data;
 
@@ -0,0 +1,24 @@
+import api from './apiService';
+
+const API_URL = '/metrics';
+
+// Registry in display order - pass { deviceId } or { deviceType } for the metrics one kind of device reports
+export const getMetrics = async (params = {}) => {
+  const response = await api.get(API_URL, { params });
+  return response.data;
+};
+
+export const createMetric = async (metric) => {
+  const response = await api.post(API_URL, metric);
+  return response.data;
+};
+
+export const updateMetric = async (key, metric) => {
+  const response = await api.put(`${API_URL}/${encodeURIComponent(key)}`, metric);
+  return response.data;
+};
+
+export const deleteMetric = async (key) => {
+  const response = await api.delete(`${API_URL}/${encodeURIComponent(key)}`);
+  return response.data;
+};
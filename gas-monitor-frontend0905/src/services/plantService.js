@@ -1,30 +1,30 @@
-import axios from 'axios';
+import api from './apiService';
 
-const API_URL = 'http://localhost:5000/api/plants';
+const API_URL = '/plants';
 
 export const getPlants = async () => {
-  const response = await axios.get(API_URL);
+  const response = await api.get(API_URL);
   return response.data;
 };
 
 export const addPlant = async (plantData) => {
-  const response = await axios.post(API_URL, plantData);
+  const response = await api.post(API_URL, plantData);
   return response.data;
 };
 
 export const deletePlant = async (id) => {
-  const response = await axios.delete(`${API_URL}/${id}`);
+  const response = await api.delete(`${API_URL}/${id}`);
   return response.data;
 };
 
 export const updatePlant = async (id, plantData) => {
-  const response = await axios.put(`${API_URL}/${id}`, plantData);
+  const response = await api.put(`${API_URL}/${id}`, plantData);
   return response.data;
 };
 
 export const addDeviceToAzure = async (deviceId) => {
   try {
-    const response = await axios.post("http://localhost:5000/api/devices/add-device", { deviceId });
+    const response = await api.post("/devices/add-device", { deviceId });
     return response.data;
   } catch (error) {
     console.error("Error registering device:", error);
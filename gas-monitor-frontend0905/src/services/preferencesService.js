@@ -0,0 +1,18 @@
+import api from './apiService';
+
+const API_URL = '/auth/preferences';
+
+export const getPreferences = async () => {
+  const response = await api.get(API_URL);
+  return response.data;
+};
+
+export const updatePreferences = async (preferences) => {
+  const response = await api.put(API_URL, preferences);
+  return response.data;
+};
+
+export const sendTestEmail = async () => {
+  const response = await api.post(`${API_URL}/test-email`);
+  return response.data;
+};
@@ -73,6 +73,8 @@ class SocketService {
       reconnectionDelay: 1000,
       timeout: 20000,
       withCredentials: false,  // Important for cross-origin requests
+      // Read on every (re)connect so a token refreshed after login is used instead of the one from page load
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
       reconnection: true,      // Enable auto-reconnection
       autoConnect: true,       // Connect on instantiation
       extraHeaders: {
@@ -105,7 +107,7 @@ class SocketService {
           if (sub.startsWith('plant-')) {
             const plantId = sub.replace('plant-', '');
             console.log(`🏭 Resubscribing to plant: ${plantId}`);
-            this.socket.emit('subscribe-plant', plantId);
+            this.socket.emit('subscribePlant', plantId);
           } else {
             console.log(`📡 Resubscribing to device: ${sub}`);
             this.socket.emit('subscribe', sub);
@@ -154,6 +156,40 @@ class SocketService {
       console.error('WebSocket connection error:', error);
       this.connected = false;
     });
+
+    // Alarm lifecycle changes (acknowledge, assign, resolve, close) made by any user
+    this.socket.on('alarm_status_changed', (data) => {
+      console.log('🔄 Received alarm status change via WebSocket:', data);
+      this.updateAlarmInCache(data);
+      eventBus.emit('alarm-status-changed', data);
+    });
+
+    // Alarms cleared automatically once the reading is back inside its limit
+    this.socket.on('alarm_cleared', (data) => {
+      console.log('✅ Received alarm cleared via WebSocket:', data);
+      this.updateAlarmInCache(data);
+      eventBus.emit('alarm-cleared', data);
+    });
+
+    // Unacknowledged alarms escalated by the server's escalation policies
+    this.socket.on('alarm_escalated', (data) => {
+      console.log('⏫ Received alarm escalation via WebSocket:', data);
+      this.updateAlarmInCache(data);
+      eventBus.emit('alarm-escalated', data);
+    });
+
+    // Repeats of an open alarm folded into it by the server
+    this.socket.on('alarm_occurrence', (data) => {
+      console.log('🔁 Received repeated alarm occurrence via WebSocket:', data);
+      this.updateAlarmInCache(data);
+      eventBus.emit('alarm-occurrence', data);
+    });
+
+    // Shelves and maintenance windows changed by any user or expired on the server
+    this.socket.on('alarm_suppression_changed', (data) => {
+      console.log('🗄️ Received alarm suppression change via WebSocket:', data);
+      eventBus.emit('alarm-suppression-changed', data);
+    });
   }
 
   disconnect() {
@@ -272,7 +308,7 @@ class SocketService {
     }
     
     console.log(`Subscribing to plant: ${plantId}`);
-    this.socket.emit('subscribe-plant', plantId);
+    this.socket.emit('subscribePlant', plantId);
   }
 
   // Keep track of active listeners to prevent duplicates
@@ -593,6 +629,15 @@ class SocketService {
     console.log(`📝 Added new alarm to cache: ${formattedAlarm.AlarmCode}`);
   }
 
+  // Replace a cached alarm with its latest server state (e.g. after a lifecycle change)
+  updateAlarmInCache(updatedAlarm) {
+    if (!updatedAlarm || !updatedAlarm._id) return;
+    
+    this.cache.alarmData = this.cache.alarmData.map(alarm => 
+      alarm._id === updatedAlarm._id ? { ...alarm, ...updatedAlarm } : alarm
+    );
+  }
+
   markAlarmAsRead(alarmId) {
     if (!alarmId) return;
     
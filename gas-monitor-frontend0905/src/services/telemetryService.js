@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { attachAuthToken } from './apiService';
  
 const BASE_URL = process.env.REACT_APP_API_BASE_URL || "http://localhost:5000/api";
  
@@ -9,6 +10,7 @@ axios.defaults.retryDelay = 1000;
  
 // Create axios instance with retry logic
 const axiosInstance = axios.create();
+axiosInstance.interceptors.request.use(attachAuthToken);
 axiosInstance.interceptors.response.use(null, async (error) => {
   const { config } = error;
   if (!config || !config.retry) {
@@ -96,6 +98,57 @@ export const getRealtimeTelemetryData = async (deviceId) => {
   }
 };
  
+/**
+ * Fetch telemetry aggregated into time buckets (min/max/avg/last per metric)
+ * @param {string} deviceId - Device ID or name
+ * @param {Object} params - { from, to, interval, metrics, units } - units defaults to the user's saved preference
+ */
+export const getAggregatedTelemetry = async (deviceId, params = {}) => {
+  try {
+    console.log('📊 Fetching aggregated telemetry data...', params);
+    const response = await axiosInstance.get(`${BASE_URL}/telemetry/aggregate/${deviceId}`, { params });
+    return response.data?.buckets || [];
+  } catch (error) {
+    console.error("❌ Error fetching aggregated telemetry data:", error);
+    return [];
+  }
+};
+
+/**
+ * Download raw telemetry as a CSV or Excel file
+ * @param {Object} params - { deviceId or plantId, from, to, format, timezone, metrics, units }
+ */
+export const exportTelemetry = async (params = {}) => {
+  try {
+    console.log('📤 Exporting telemetry...', params);
+    // Exports can be large, so no timeout and no automatic retries
+    const response = await axiosInstance.get(`${BASE_URL}/telemetry/export`, {
+      params,
+      responseType: 'blob',
+      timeout: 0,
+      retry: 0
+    });
+
+    const disposition = response.headers['content-disposition'] || '';
+    const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || `telemetry.${params.format || 'csv'}`;
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("❌ Error exporting telemetry:", error);
+    // Error bodies arrive as a blob too
+    const body = error.response?.data instanceof Blob
+      ? await error.response.data.text().then(JSON.parse).catch(() => null)
+      : null;
+    throw new Error(body?.error || 'Failed to export telemetry');
+  }
+};
+
 /**
  * Fetch the latest telemetry entry for a device
  */
@@ -166,7 +219,7 @@ export const updateThresholdValue = async (deviceId, type, value) => {
 };
 
 export const updateThreshold = async (deviceId, data) => {
-  const response = await axios.post(`/api/telemetry/threshold/${deviceId}`, data);
+  const response = await axiosInstance.post(`${BASE_URL}/telemetry/threshold/${deviceId}`, data);
   return response.data;
 };
 
@@ -210,17 +263,19 @@ export const clearDeviceCache = (deviceId) => {
 };
 
 /**
- * Send a restart command to a device
+ * Send a restart command to a device over the site's MQTT broker
+ * The backend only accepts commands from operators and above of the device's plant
+ * @returns {Promise<Object>} - { commandId, topic }, throws with the backend's message when it was not sent
  */
 export const restartDevice = async (deviceId) => {
   try {
     console.log('🔄 Sending restart command to device:', deviceId);
-    const response = await axiosInstance.post(`${BASE_URL}/telemetry/command/${deviceId}`, {
+    const response = await axiosInstance.post(`${BASE_URL}/devices/${deviceId}/commands`, {
       command: 'restart'
     });
-    return response.status === 200;
+    return response.data;
   } catch (error) {
     console.error("❌ Error restarting device:", error);
-    return false;
+    throw error;
   }
 };
\ No newline at end of file